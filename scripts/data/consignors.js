@@ -0,0 +1,123 @@
+/**
+ * Consignor Registry
+ * The merchant houses that trust cargo to ships on consignment, and how
+ * each regards us. Standing is shared by every voyage in the world and
+ * kept in the "consignors" world setting:
+ *
+ *   { consignorId: { reputation, delivered, late, lost } }
+ *
+ * reputation runs -5..+5. A good name earns a better commission; a house
+ * that has been let down too often will not deal with us at all. Ports
+ * without a house of their own get "<Port> Factors".
+ */
+
+import { Platform } from '../platform/platform.js';
+import { PortRegistry } from './ports.js';
+
+export class ConsignorRegistry {
+    static SETTING_NS = "adnd-voyage-simulator";
+    static SETTING_KEY = "consignors";
+
+    static MAX_REPUTATION = 5;
+    static REFUSAL_REPUTATION = -3; // At or below this the house will not deal
+
+    static houses = new Map();
+    static standing = {};
+
+    static initialize() {
+        const housesData = {
+            house_tarrel: { name: "House Tarrel", homePort: "greyhawk_city" },
+            millbridge_sons: { name: "Millbridge & Sons", homePort: "greyhawk_city" },
+            velverdyva_traders: { name: "Velverdyva Traders", homePort: "dyvers" },
+            wintershine_vintners: { name: "Wintershine Vintners", homePort: "verbobonc" },
+            leukish_grain_factors: { name: "Leukish Grain Factors", homePort: "leukish" },
+            hardby_masons_guild: { name: "Hardby Masons' Guild", homePort: "hardby" },
+            safeton_timber_company: { name: "Safeton Timber Company", homePort: "safeton" },
+            fax_fishmongers: { name: "Fax Fishmongers", homePort: "fax" },
+            elredd_spice_consortium: { name: "Elredd Spice Consortium", homePort: "port_elredd" },
+            nesser_trading_house: { name: "Nesser Trading House", homePort: "nessermouth" },
+            house_darmen: { name: "House Darmen", homePort: "rel_mord" },
+            keoland_merchant_company: { name: "Keoland Merchant Company", homePort: "gradsul" }
+        };
+
+        this.houses.clear();
+        for (const [id, data] of Object.entries(housesData)) {
+            this.houses.set(id, { id, ...data });
+        }
+        this.standing = {};
+
+        console.log(`Consignor Registry | Registered ${this.houses.size} merchant houses`);
+    }
+
+    // =========================================================================
+    // WORLD STORAGE
+    // =========================================================================
+
+    static loadSaved() {
+        let store = {};
+        try {
+            store = Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {};
+        } catch (err) {
+            console.warn("Consignor Registry | Could not read saved standing", err);
+        }
+        this.standing = store;
+        console.log(`Consignor Registry | Loaded standing with ${Object.keys(this.standing).length} houses`);
+    }
+
+    static async save() {
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, structuredClone(this.standing));
+    }
+
+    // =========================================================================
+    // HOUSES AND STANDING
+    // =========================================================================
+
+    static get(id) {
+        if (this.houses.has(id)) return this.houses.get(id);
+        if (id?.startsWith("factors_")) {
+            const portId = id.slice("factors_".length);
+            const port = PortRegistry.get(portId);
+            return { id, name: `${port?.name || portId} Factors`, homePort: portId };
+        }
+        return null;
+    }
+
+    /**
+     * Houses with offices at a port
+     */
+    static getAtPort(portId) {
+        const houses = Array.from(this.houses.values()).filter(house => house.homePort === portId);
+        return houses.length > 0 ? houses : [this.get(`factors_${portId}`)];
+    }
+
+    static getStanding(id) {
+        return this.standing[id] ??= { reputation: 0, delivered: 0, late: 0, lost: 0 };
+    }
+
+    static getReputation(id) {
+        return this.standing[id]?.reputation || 0;
+    }
+
+    static willDeal(id) {
+        return this.getReputation(id) > this.REFUSAL_REPUTATION;
+    }
+
+    /**
+     * Record how a contract ended and move the house's opinion of us
+     * @param {"delivered"|"late"|"lost"} outcome
+     */
+    static recordOutcome(id, outcome, change) {
+        const standing = this.getStanding(id);
+        standing[outcome] = (standing[outcome] || 0) + 1;
+        standing.reputation = Math.max(-this.MAX_REPUTATION, Math.min(this.MAX_REPUTATION, standing.reputation + change));
+        return standing.reputation;
+    }
+
+    static describeReputation(reputation) {
+        if (reputation >= 3) return "trusted";
+        if (reputation >= 1) return "favoured";
+        if (reputation > this.REFUSAL_REPUTATION && reputation < 0) return "doubted";
+        if (reputation <= this.REFUSAL_REPUTATION) return "shunned";
+        return "unknown";
+    }
+}
@@ -2,6 +2,9 @@
  * Crew Generator Utility
  * Generates random stats and details for maritime officers
  */
+
+import { Dice } from '../voyage/dice.js';
+
 export class CrewGenerator {
 
     static NAMES = [
@@ -28,7 +31,7 @@ export class CrewGenerator {
     static generate(role = 'Captain') {
         const stats = this.rollStatsForRole(role);
         const titleList = this.ROLE_TITLES[role] || this.ROLE_TITLES.Lieutenant;
-        const name = `${titleList[Math.floor(Math.random() * titleList.length)]} ${this.NAMES[Math.floor(Math.random() * this.NAMES.length)]}`;
+        const name = `${titleList[Math.floor(Dice.random() * titleList.length)]} ${this.NAMES[Math.floor(Dice.random() * this.NAMES.length)]}`;
         const skills = this.generateSkills(role, stats);
         const level = this.rollLevel(role);
 
@@ -53,19 +56,19 @@ export class CrewGenerator {
 
     static rollLevel(role) {
         if (role === "Captain") {
-            const roll = Math.floor(Math.random() * 10) + 1;
+            const roll = Dice.die(10);
             if (roll <= 4) return 5;
             if (roll <= 7) return 6;
             if (roll <= 9) return 7;
             return 8;
         }
-        if (role === "Lieutenant") return Math.floor(Math.random() * 3) + 2; // 2-4
-        if (role === "Mate") return Math.floor(Math.random() * 2) + 1; // 1-2
-        return Math.floor(Math.random() * 3) + 1; // 1-3 for specialists
+        if (role === "Lieutenant") return Math.floor(Dice.random() * 3) + 2; // 2-4
+        if (role === "Mate") return Dice.die(2); // 1-2
+        return Dice.die(3); // 1-3 for specialists
     }
 
     static rollStat(bonus = 0) {
-        const roll = Math.floor(Math.random() * 6) + Math.floor(Math.random() * 6) + Math.floor(Math.random() * 6) + 3;
+        const roll = Math.floor(Dice.random() * 6) + Math.floor(Dice.random() * 6) + Math.floor(Dice.random() * 6) + 3;
         return Math.max(3, Math.min(18, roll + bonus));
     }
 
@@ -83,43 +86,44 @@ export class CrewGenerator {
                 s.bargaining = stats.cha >= 12;
                 s.appraisal = stats.wis >= 12;
                 s.trade = stats.wis >= 13;
-                s.seaLore = Math.random() > 0.4;
-                s.vesselIdentification = Math.random() > 0.5;
-                s.signaling = Math.random() > 0.7;
+                s.seaLore = Dice.random() > 0.4;
+                s.vesselIdentification = Dice.random() > 0.5;
+                s.signaling = Dice.random() > 0.7;
                 break;
             case 'Lieutenant':
                 s.shipSailing = true;
-                s.piloting = Math.random() > 0.4;
-                s.navigation = Math.random() > 0.6;
+                s.piloting = Dice.random() > 0.4;
+                s.navigation = Dice.random() > 0.6;
                 s.signaling = true;
-                s.shipCarpentry = Math.random() > 0.5;
+                s.shipCarpentry = Dice.random() > 0.5;
                 s.bargaining = stats.cha >= 14;
-                s.seaLore = Math.random() > 0.6;
+                s.seaLore = Dice.random() > 0.6;
                 break;
             case 'Mate':
                 s.shipSailing = true;
                 s.shipRowing = stats.str >= 12;
                 s.signaling = true;
                 s.boating = true;
-                s.shipCarpentry = Math.random() > 0.4;
+                s.shipCarpentry = Dice.random() > 0.4;
                 break;
             case 'Navigator':
                 s.navigation = true;
                 s.piloting = true;
                 s.shipSailing = true;
                 s.seaLore = true;
-                s.vesselIdentification = Math.random() > 0.3;
-                s.signaling = Math.random() > 0.5;
+                s.weatherSense = Dice.random() > 0.5;
+                s.vesselIdentification = Dice.random() > 0.3;
+                s.signaling = Dice.random() > 0.5;
                 break;
             case 'Artillerist':
                 s.artillerist = true;
                 s.signaling = true;
-                s.shipCarpentry = Math.random() > 0.6;
+                s.shipCarpentry = Dice.random() > 0.6;
                 break;
             case 'Surgeon':
                 // Medicine/First Aid are not in the proficiency system yet,
                 // but track them for future use
-                s.seaLore = Math.random() > 0.5;
+                s.seaLore = Dice.random() > 0.5;
                 s.appraisal = stats.wis >= 14;
                 break;
         }
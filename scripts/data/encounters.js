@@ -3,6 +3,8 @@
 // Salt Water Shallow/Deep, Fresh Water (river/small lake), Inland Sea (DMG large body)
 // Includes Dinosaur, Island, Ghost Ship, and Other Encounters subtables
 
+import { Dice } from '../voyage/dice.js';
+
 export class EncounterRegistry {
     static tables = new Map();
     static effects = new Map();
@@ -514,7 +516,7 @@ export class EncounterRegistry {
 
         // Deep water has a split very rare tier (VERY_RARE_LOW and VERY_RARE)
         if (!table && waterType === "DEEP" && frequency === "VERY_RARE") {
-            const roll = Math.random();
+            const roll = Dice.random();
             table = roll < 0.75
                 ? this.getTable('SALT_WATER_DEEP_VERY_RARE_LOW')
                 : this.getTable('SALT_WATER_DEEP_VERY_RARE');
@@ -522,7 +524,7 @@ export class EncounterRegistry {
 
         if (!table || table.length === 0) return null;
 
-        const index = Math.floor(Math.random() * table.length);
+        const index = Math.floor(Dice.random() * table.length);
         const entry = { ...table[index] };
 
         // Resolve subtable references
@@ -543,7 +545,7 @@ export class EncounterRegistry {
         if (!table || table.length === 0) return null;
 
         for (let attempt = 0; attempt < maxRetries; attempt++) {
-            const d100 = Math.floor(Math.random() * 100) + 1;
+            const d100 = Dice.die(100);
             const entry = table.find(e => d100 >= e.minRoll && d100 <= e.maxRoll);
             if (!entry) continue;
 
@@ -572,7 +574,7 @@ export class EncounterRegistry {
         if (name.includes("dinosaur")) {
             const table = this.subtables.get('DINOSAUR');
             if (!table) return null;
-            const index = Math.floor(Math.random() * table.length);
+            const index = Math.floor(Dice.random() * table.length);
             return table[index];
         }
 
@@ -580,12 +582,12 @@ export class EncounterRegistry {
             const table = this.subtables.get('ISLAND');
             if (!table) return null;
             // 85% deserted, 15% inhabited
-            const desertedRoll = Math.floor(Math.random() * 100) + 1;
+            const desertedRoll = Dice.die(100);
             if (desertedRoll <= 85) {
-                return { name: "Deserted Island", reef: Math.random() < 0.10, mountainous: Math.random() < 0.75 };
+                return { name: "Deserted Island", reef: Dice.random() < 0.10, mountainous: Dice.random() < 0.75 };
             }
-            const index = Math.floor(Math.random() * table.length);
-            return { ...table[index], reef: Math.random() < 0.10, mountainous: Math.random() < 0.75 };
+            const index = Math.floor(Dice.random() * table.length);
+            return { ...table[index], reef: Dice.random() < 0.10, mountainous: Dice.random() < 0.75 };
         }
 
         if (name.includes("ghost ship")) {
@@ -605,8 +607,8 @@ export class EncounterRegistry {
     static rollGhostShip() {
         const crewTable = this.subtables.get('GHOST_SHIP_CREW');
         const officerTable = this.subtables.get('GHOST_SHIP_OFFICERS');
-        const crewRoll = Math.floor(Math.random() * 100) + 1;
-        const officerRoll = Math.floor(Math.random() * 100) + 1;
+        const crewRoll = Dice.die(100);
+        const officerRoll = Dice.die(100);
 
         const crew = crewTable.find(e => crewRoll >= e.minRoll && crewRoll <= e.maxRoll);
         const officer = officerTable.find(e => officerRoll >= e.minRoll && officerRoll <= e.maxRoll);
@@ -627,7 +629,7 @@ export class EncounterRegistry {
      */
     static rollSunkenShip() {
         const table = this.subtables.get('SUNKEN_SHIP');
-        const roll = Math.floor(Math.random() * 100) + 1;
+        const roll = Dice.die(100);
         const result = table.find(e => roll >= e.minRoll && roll <= e.maxRoll);
         return {
             name: "Sunken Ship",
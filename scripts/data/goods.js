@@ -0,0 +1,214 @@
+/**
+ * Trade Goods Registry
+ * Concrete goods beneath the five cargo categories. Prices and the market
+ * stay keyed by category; the good decides what the cargo is called, how
+ * it keeps at sea and where it may be traded:
+ *
+ *   category     - CargoRegistry id the good is priced as
+ *   perishability - key of PERISHABILITY
+ *   tonsPerLoad  - weight of one load (a typical load is half a ton)
+ *   origins      - ports whose merchants usually offer it
+ *   destinations - ports where it is sought (+1 demand when sold there)
+ *   prohibitedAt - ports where trading it is illegal
+ *   contraband   - illegal everywhere except the ports in legalAt
+ *
+ * Ports may also prohibit goods through their own prohibited list.
+ */
+
+import { PortRegistry } from './ports.js';
+import { Dice } from '../voyage/dice.js';
+
+export class GoodsRegistry {
+    static goods = new Map();
+
+    /**
+     * How goods keep at sea. Spoilage follows the distance roll made at
+     * sale; extraUnits adds distance units beyond the rolled threshold and
+     * chance is the percent chance per unit of losing a quarter of the lot.
+     */
+    static PERISHABILITY = {
+        durable: { name: "Durable", spoils: false, extraUnits: 0, chance: 0 },
+        standard: { name: "Standard", spoils: true, extraUnits: 0, chance: 25 },
+        perishable: { name: "Perishable", spoils: true, extraUnits: 1, chance: 25 },
+        live: { name: "Live", spoils: true, extraUnits: 1, chance: 50 }
+    };
+
+    // Offers from a good's origin port are this many times as likely
+    static ORIGIN_WEIGHT = 3;
+
+    static initialize() {
+        const goodsData = {
+            // Primitive Goods
+            grain: {
+                name: "Grain", category: "primitive", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["leukish", "fax"], destinations: ["greyhawk_city", "hardby"]
+            },
+            timber: {
+                name: "Timber", category: "primitive", perishability: "durable", tonsPerLoad: 1,
+                origins: ["nessermouth", "safeton"], destinations: ["greyhawk_city", "dyvers", "gradsul"]
+            },
+            building_stone: {
+                name: "Building Stone", category: "primitive", perishability: "durable", tonsPerLoad: 1.5,
+                origins: ["hardby"], destinations: ["greyhawk_city", "rel_mord"]
+            },
+            iron_ore: {
+                name: "Iron Ore", category: "primitive", perishability: "durable", tonsPerLoad: 1.5,
+                origins: ["safeton"], destinations: ["dyvers", "gradsul"]
+            },
+            salt_fish: {
+                name: "Salt Fish", category: "primitive", perishability: "perishable", tonsPerLoad: 0.5,
+                origins: ["nessermouth", "fax"], destinations: ["verbobonc", "dyvers"]
+            },
+            livestock: {
+                name: "Livestock", category: "primitive", perishability: "live", tonsPerLoad: 1,
+                origins: ["leukish", "verbobonc"], destinations: ["greyhawk_city"]
+            },
+
+            // Consumer Goods
+            woolen_cloth: {
+                name: "Woolen Cloth", category: "consumer", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["dyvers"], destinations: ["leukish", "fax"]
+            },
+            ironmongery: {
+                name: "Tools & Ironmongery", category: "consumer", perishability: "durable", tonsPerLoad: 1,
+                origins: ["dyvers", "gradsul"], destinations: ["leukish", "nessermouth"]
+            },
+            pottery: {
+                name: "Pottery", category: "consumer", perishability: "durable", tonsPerLoad: 0.5,
+                origins: ["hardby"], destinations: ["safeton", "fax"]
+            },
+            hardby_ale: {
+                name: "Hardby Ale", category: "consumer", perishability: "perishable", tonsPerLoad: 0.5,
+                origins: ["hardby"], destinations: ["greyhawk_city", "safeton"]
+            },
+            provisions: {
+                name: "Preserved Provisions", category: "consumer", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["greyhawk_city"], destinations: ["nessermouth", "port_elredd"]
+            },
+
+            // Comfort Items
+            verbobonc_wine: {
+                name: "Verbobonc Wine", category: "comfort", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["verbobonc"], destinations: ["greyhawk_city", "gradsul"]
+            },
+            keoish_brandy: {
+                name: "Keoish Brandy", category: "comfort", perishability: "durable", tonsPerLoad: 0.5,
+                origins: ["gradsul"], destinations: ["greyhawk_city", "rel_mord"]
+            },
+            glassware: {
+                name: "Glassware", category: "comfort", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["dyvers"], destinations: ["rel_mord", "verbobonc"]
+            },
+            furniture: {
+                name: "Furniture", category: "comfort", perishability: "durable", tonsPerLoad: 1,
+                origins: ["rel_mord"], destinations: ["greyhawk_city", "hardby"]
+            },
+            fresh_fruit: {
+                name: "Fresh Fruit", category: "comfort", perishability: "perishable", tonsPerLoad: 0.5,
+                origins: ["port_elredd", "safeton"], destinations: ["greyhawk_city", "dyvers"]
+            },
+
+            // Fine Goods
+            silk: {
+                name: "Silk", category: "fine", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["greyhawk_city", "port_elredd"], destinations: ["rel_mord", "verbobonc"]
+            },
+            spices: {
+                name: "Spices", category: "fine", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["port_elredd"], destinations: ["greyhawk_city", "dyvers", "gradsul"]
+            },
+            tapestries: {
+                name: "Art & Tapestries", category: "fine", perishability: "standard", tonsPerLoad: 0.5,
+                origins: ["greyhawk_city"], destinations: ["gradsul", "hardby"]
+            },
+            masterwork_arms: {
+                name: "Masterwork Arms", category: "fine", perishability: "durable", tonsPerLoad: 1,
+                origins: ["rel_mord"], destinations: ["greyhawk_city", "safeton"]
+            },
+            slaves: {
+                name: "Slaves", category: "fine", perishability: "live", tonsPerLoad: 1,
+                origins: ["port_elredd"], destinations: [],
+                contraband: true, legalAt: ["port_elredd"]
+            },
+
+            // Precious Goods
+            gemstones: {
+                name: "Gemstones", category: "precious", perishability: "durable", tonsPerLoad: 0.5,
+                origins: ["greyhawk_city"], destinations: ["gradsul", "rel_mord"]
+            },
+            ivory: {
+                name: "Ivory", category: "precious", perishability: "durable", tonsPerLoad: 0.5,
+                origins: ["port_elredd"], destinations: ["greyhawk_city", "gradsul"]
+            },
+            minor_magic: {
+                name: "Minor Magic Items", category: "precious", perishability: "durable", tonsPerLoad: 0.5,
+                origins: ["greyhawk_city"], destinations: ["rel_mord", "dyvers"]
+            },
+            exotic_creatures: {
+                name: "Exotic Creatures", category: "precious", perishability: "live", tonsPerLoad: 1,
+                origins: ["port_elredd"], destinations: ["greyhawk_city", "rel_mord"]
+            }
+        };
+
+        this.goods.clear();
+        for (const [id, data] of Object.entries(goodsData)) {
+            this.goods.set(id, {
+                origins: [],
+                destinations: [],
+                prohibitedAt: [],
+                contraband: false,
+                legalAt: [],
+                ...data
+            });
+        }
+
+        console.log(`Goods Registry | Registered ${this.goods.size} trade goods`);
+    }
+
+    static get(id) {
+        return this.goods.get(id);
+    }
+
+    static getAll() {
+        return Array.from(this.goods.values());
+    }
+
+    static getByCategory(category) {
+        return Array.from(this.goods.entries())
+            .filter(([, good]) => good.category === category)
+            .map(([id, good]) => ({ id, ...good }));
+    }
+
+    static getPerishability(id) {
+        return this.PERISHABILITY[this.get(id)?.perishability] || this.PERISHABILITY.standard;
+    }
+
+    static isLegalAt(id, portId) {
+        const good = this.get(id);
+        if (!good) return true;
+        if (PortRegistry.get(portId)?.prohibited?.includes(id)) return false;
+        if (good.contraband) return good.legalAt.includes(portId);
+        return !good.prohibitedAt.includes(portId);
+    }
+
+    /**
+     * Is the good sought at this port?
+     */
+    static isWantedAt(id, portId) {
+        return this.get(id)?.destinations.includes(portId) || false;
+    }
+
+    /**
+     * Pick the good a merchant offers in a category: only goods legal at
+     * the port, with the port's own produce more likely
+     */
+    static pickForOffer(category, portId) {
+        const weighted = [];
+        for (const good of this.getByCategory(category)) {
+            if (!this.isLegalAt(good.id, portId)) continue;
+            const weight = good.origins.includes(portId) ? this.ORIGIN_WEIGHT : 1;
+            for (let i = 0; i < weight; i++) weighted.push(good.id);
+        }
+        return weighted.length > 0 ? Dice.pick(weighted) : null;
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Market Registry
+ * Per-port market state for each cargo category, shared by every voyage in
+ * the world and kept in the "markets" world setting:
+ *
+ *   { day, ports: { portId: { categoryId: { stock, demand, updated, prices } } } }
+ *
+ * stock is loads on hand with local merchants, demand is a modifier added
+ * to the sale demand roll (-5..+5) and prices keeps the last few trades.
+ * Our purchases drain stock and raise demand, our sales do the reverse.
+ * Between visits both drift back toward the port's equilibrium, which
+ * comes from its size and its exports/imports.
+ *
+ * The market keeps its own day count, advanced with the voyage calendar,
+ * and a port's entries are created the first time a ship calls there.
+ */
+
+import { Platform } from '../platform/platform.js';
+import { PortRegistry } from './ports.js';
+import { CargoRegistry } from './cargo.js';
+
+export class MarketRegistry {
+    static SETTING_NS = "adnd-voyage-simulator";
+    static SETTING_KEY = "markets";
+
+    // Loads local merchants hold of a category at equilibrium
+    static STOCK_BY_SIZE = { "Major Port": 60, "Port": 40, "Minor Port": 20, "Anchorage": 8 };
+
+    // Loads it takes to move demand by one step
+    static DEPTH_BY_SIZE = { "Major Port": 40, "Port": 25, "Minor Port": 15, "Anchorage": 8 };
+
+    static HALF_LIFE_DAYS = 14;
+    static PRICE_MEMORY = 5;
+    static MAX_DEMAND = 5;
+    static EXPORT_ROLL_PULL = 2;
+
+    static day = 0;
+    static ports = {};
+
+    static initialize() {
+        this.day = 0;
+        this.ports = {};
+    }
+
+    // =========================================================================
+    // WORLD STORAGE
+    // =========================================================================
+
+    static loadSaved() {
+        let store = {};
+        try {
+            store = Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {};
+        } catch (err) {
+            console.warn("Market Registry | Could not read saved markets", err);
+        }
+        this.day = store.day || 0;
+        this.ports = store.ports || {};
+        console.log(`Market Registry | Loaded markets for ${Object.keys(this.ports).length} ports (day ${this.day})`);
+    }
+
+    static async save() {
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, structuredClone({ day: this.day, ports: this.ports }));
+    }
+
+    static async reset() {
+        this.initialize();
+        await this.save();
+        console.log("Market Registry | Markets reset to equilibrium");
+    }
+
+    static advanceDays(days = 1) {
+        this.day += days;
+    }
+
+    // =========================================================================
+    // MARKET STATE
+    // =========================================================================
+
+    /**
+     * Where a port's market settles when left alone
+     */
+    static getEquilibrium(portId, cargoType) {
+        const port = PortRegistry.get(portId);
+        let stock = this.STOCK_BY_SIZE[port?.size] ?? this.STOCK_BY_SIZE.Anchorage;
+        let demand = 0;
+        if (port?.exports?.includes(cargoType)) {
+            stock *= 2;
+            demand -= 1;
+        }
+        if (port?.imports?.includes(cargoType)) {
+            stock = Math.floor(stock / 2);
+            demand += 1;
+        }
+        return { stock, demand };
+    }
+
+    /**
+     * Current market entry, drifted forward to today
+     */
+    static getMarket(portId, cargoType) {
+        const equilibrium = this.getEquilibrium(portId, cargoType);
+        const portMarkets = this.ports[portId] ??= {};
+        const entry = portMarkets[cargoType] ??= { ...equilibrium, updated: this.day, prices: [] };
+
+        const elapsed = this.day - entry.updated;
+        if (elapsed > 0) {
+            const remaining = Math.pow(0.5, elapsed / this.HALF_LIFE_DAYS);
+            entry.stock = equilibrium.stock + (entry.stock - equilibrium.stock) * remaining;
+            entry.demand = equilibrium.demand + (entry.demand - equilibrium.demand) * remaining;
+            entry.updated = this.day;
+        }
+        return entry;
+    }
+
+    static _depth(portId) {
+        return this.DEPTH_BY_SIZE[PortRegistry.get(portId)?.size] ?? this.DEPTH_BY_SIZE.Anchorage;
+    }
+
+    static _clampDemand(demand) {
+        return Math.max(-this.MAX_DEMAND, Math.min(this.MAX_DEMAND, demand));
+    }
+
+    static _rememberPrice(entry, kind, price) {
+        entry.prices.push({ day: this.day, kind, price });
+        if (entry.prices.length > this.PRICE_MEMORY) entry.prices.splice(0, entry.prices.length - this.PRICE_MEMORY);
+    }
+
+    /**
+     * We sold loads here: merchants stock up and want less of it
+     */
+    static recordSale(portId, cargoType, loads, pricePerLoad) {
+        const entry = this.getMarket(portId, cargoType);
+        entry.stock += loads;
+        entry.demand = this._clampDemand(entry.demand - 2 * loads / this._depth(portId));
+        this._rememberPrice(entry, "sale", pricePerLoad);
+    }
+
+    /**
+     * We bought loads here: stock drains and what's left is dearer
+     */
+    static recordPurchase(portId, cargoType, loads, pricePerLoad) {
+        const entry = this.getMarket(portId, cargoType);
+        entry.stock = Math.max(0, entry.stock - loads);
+        entry.demand = this._clampDemand(entry.demand + loads / this._depth(portId));
+        this._rememberPrice(entry, "purchase", pricePerLoad);
+    }
+
+    // =========================================================================
+    // TABLE MODIFIERS
+    // =========================================================================
+
+    /**
+     * Pull a cargo type roll that lands just outside an export's range
+     * into it, so a port mostly offers what it produces
+     */
+    static biasTypeRoll(portId, roll) {
+        for (const cargoType of PortRegistry.get(portId)?.exports || []) {
+            const range = CargoRegistry.get(cargoType)?.valueRoll;
+            if (!range) continue;
+            if (roll < range.min && range.min - roll <= this.EXPORT_ROLL_PULL) return range.min;
+            if (roll > range.max && roll - range.max <= this.EXPORT_ROLL_PULL) return range.max;
+        }
+        return roll;
+    }
+
+    /**
+     * Whole loads merchants can sell us and the price swing from how
+     * plentiful the goods are: a glut is up to 25% cheaper, scarcity up
+     * to 50% dearer
+     */
+    static getOfferTerms(portId, cargoType) {
+        const entry = this.getMarket(portId, cargoType);
+        const normalStock = this.STOCK_BY_SIZE[PortRegistry.get(portId)?.size] ?? this.STOCK_BY_SIZE.Anchorage;
+        const pricePercent = Math.round(Math.max(-25, Math.min(50, (1 - entry.stock / normalStock) * 50)));
+        return { stock: Math.floor(entry.stock), pricePercent };
+    }
+
+    /**
+     * Modifier added to the sale demand roll
+     */
+    static getDemandModifier(portId, cargoType) {
+        return Math.round(this.getMarket(portId, cargoType).demand);
+    }
+
+    /**
+     * One-line market report for the voyage log
+     */
+    static describe(portId) {
+        const port = PortRegistry.get(portId);
+        const notes = [];
+        for (const [cargoType, cargo] of CargoRegistry.types) {
+            const { stock } = this.getOfferTerms(portId, cargoType);
+            const demand = this.getDemandModifier(portId, cargoType);
+            const lastPrice = this.getMarket(portId, cargoType).prices.at(-1);
+            const tags = [];
+            if (port?.exports?.includes(cargoType)) tags.push("export");
+            if (port?.imports?.includes(cargoType)) tags.push("import");
+            notes.push(`${cargo.name}${tags.length ? ` (${tags.join(", ")})` : ""}: ${stock} loads, demand ${demand >= 0 ? "+" : ""}${demand}${lastPrice ? `, last ${lastPrice.kind} ${lastPrice.price} gp` : ""}`);
+        }
+        return notes.join("; ");
+    }
+}
@@ -1,18 +1,54 @@
 /**
  * Port Registry
- * Manages port definitions and connections
+ * Manages port definitions and connections.
+ *
+ * The built-in Greyhawk ports are the default set. Once the GM edits the
+ * port database it is kept in the "ports" world setting, which replaces
+ * the defaults on load. Each port may carry waterTypes and bearings keyed
+ * like connections, giving the water type of that segment and the compass
+ * course (degrees, 0 = north) sailed along it.
+ *
+ * exports/imports list cargo categories the port is known for producing
+ * or wanting; the market (data/markets.js) biases its tables with them.
+ * tariff is the customs duty percent (null rolls 2d10 per sale) and
+ * prohibited lists trade goods that may not be landed there.
  */
 
+import { Platform } from '../platform/platform.js';
+
 export class PortRegistry {
     static ports = new Map();
     static MILES_PER_INCH_DAILY = 8;
+    static SETTING_NS = "adnd-voyage-simulator";
+    static SETTING_KEY = "ports";
+
+    // Sizes understood by getSizeModifier and the port services
+    static SIZES = ["Major Port", "Port", "Minor Port", "Anchorage"];
+    static WATER_TYPES = ["coastal", "openWater", "river", "lake"];
 
     static initialize() {
-        // Register all ports
-        const portData = {
+        this._registerDefaults();
+        console.log(`Port Registry | Registered ${this.ports.size} ports`);
+    }
+
+    static _registerDefaults() {
+        this.ports.clear();
+        for (const [id, data] of Object.entries(this.getDefaultData())) {
+            this.ports.set(id, data);
+        }
+    }
+
+    /**
+     * Built-in Greyhawk ports (Nyr Dyv, Woolly Bay and Relmor Bay)
+     */
+    static getDefaultData() {
+        return {
             greyhawk_city: {
                 name: "City of Greyhawk",
                 size: "Major Port",
+                exports: ["fine", "precious"],
+                imports: ["primitive"],
+                tariff: 12,
                 connections: {
                     dyvers: 390,
                     verbobonc: 600,
@@ -22,11 +58,24 @@ export class PortRegistry {
                     fax: 480,
                     port_elredd: 480,
                     nessermouth: 870
+                },
+                bearings: {
+                    dyvers: 270,
+                    verbobonc: 250,
+                    leukish: 10,
+                    hardby: 170,
+                    safeton: 120,
+                    fax: 80,
+                    port_elredd: 40,
+                    nessermouth: 110
                 }
             },
             dyvers: {
                 name: "Dyvers",
                 size: "Port",
+                exports: ["consumer"],
+                imports: ["comfort"],
+                tariff: 10,
                 connections: {
                     greyhawk_city: 390,
                     verbobonc: 210,
@@ -35,99 +84,278 @@ export class PortRegistry {
                     safeton: 630,
                     fax: 870,
                     port_elredd: 990
+                },
+                bearings: {
+                    greyhawk_city: 90,
+                    verbobonc: 225,
+                    leukish: 40,
+                    hardby: 135,
+                    safeton: 100,
+                    fax: 80,
+                    port_elredd: 65
                 }
             },
             verbobonc: {
                 name: "Verbobonc",
                 size: "Port",
+                exports: ["comfort"],
+                imports: ["fine"],
+                tariff: 8,
+                prohibited: ["minor_magic"],
                 connections: {
                     greyhawk_city: 600,
                     dyvers: 210,
                     leukish: 780
+                },
+                bearings: {
+                    greyhawk_city: 70,
+                    dyvers: 45,
+                    leukish: 50
                 }
             },
             leukish: {
                 name: "Leukish",
                 size: "Minor Port",
+                exports: ["primitive"],
+                imports: ["consumer"],
+                tariff: 5,
                 connections: {
                     greyhawk_city: 420,
                     dyvers: 570,
                     verbobonc: 780,
                     port_elredd: 350
+                },
+                bearings: {
+                    greyhawk_city: 190,
+                    dyvers: 220,
+                    verbobonc: 230,
+                    port_elredd: 95
                 }
             },
             hardby: {
                 name: "Hardby",
                 size: "Major Port",
+                exports: ["consumer"],
+                imports: ["fine"],
+                tariff: 10,
                 connections: {
                     rel_mord: 150,
                     gradsul: 200,
                     greyhawk_city: 650,
                     fax: 300,
                     port_elredd: 600
+                },
+                bearings: {
+                    rel_mord: 90,
+                    gradsul: 150,
+                    greyhawk_city: 350,
+                    fax: 45,
+                    port_elredd: 25
                 }
             },
             safeton: {
                 name: "Safeton",
                 size: "Port",
+                exports: ["primitive"],
+                imports: ["comfort"],
+                tariff: 6,
                 connections: {
                     greyhawk_city: 250,
                     dyvers: 200,
                     nessermouth: 100
+                },
+                bearings: {
+                    greyhawk_city: 300,
+                    dyvers: 280,
+                    nessermouth: 150
                 }
             },
             fax: {
                 name: "Fax",
                 size: "Minor Port",
+                exports: ["primitive"],
+                imports: ["consumer"],
+                tariff: 5,
                 connections: {
                     greyhawk_city: 180,
                     hardby: 300,
                     rel_mord: 400
+                },
+                bearings: {
+                    greyhawk_city: 260,
+                    hardby: 225,
+                    rel_mord: 140
                 }
             },
             port_elredd: {
                 name: "Port Elredd",
                 size: "Major Port",
+                exports: ["fine"],
+                imports: ["primitive"],
+                tariff: 4,
                 connections: {
                     greyhawk_city: 500,
                     leukish: 350,
                     hardby: 600,
                     rel_mord: 700
+                },
+                bearings: {
+                    greyhawk_city: 220,
+                    leukish: 275,
+                    hardby: 205,
+                    rel_mord: 170
                 }
             },
             nessermouth: {
                 name: "Nessermouth",
                 size: "Minor Port",
+                exports: ["primitive"],
+                imports: ["consumer"],
+                tariff: 8,
                 connections: {
                     safeton: 100,
                     greyhawk_city: 200
+                },
+                bearings: {
+                    safeton: 330,
+                    greyhawk_city: 290
                 }
             },
             rel_mord: {
                 name: "Rel Mord",
                 size: "Port",
+                exports: ["comfort"],
+                imports: ["primitive"],
+                tariff: 15,
+                prohibited: ["exotic_creatures"],
                 connections: {
                     hardby: 150,
                     gradsul: 100,
                     fax: 400,
                     port_elredd: 700
+                },
+                bearings: {
+                    hardby: 270,
+                    gradsul: 220,
+                    fax: 320,
+                    port_elredd: 350
                 }
             },
             gradsul: {
                 name: "Gradsul",
                 size: "Port",
+                exports: ["precious"],
+                imports: ["consumer"],
+                tariff: 12,
                 connections: {
                     hardby: 200,
                     rel_mord: 100
+                },
+                bearings: {
+                    hardby: 330,
+                    rel_mord: 40
                 }
             }
         };
+    }
 
-        for (const [id, data] of Object.entries(portData)) {
-            this.ports.set(id, data);
+    // =========================================================================
+    // WORLD STORAGE
+    // =========================================================================
+
+    static loadSaved() {
+        let store = {};
+        try {
+            store = Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {};
+        } catch (err) {
+            console.warn("Port Registry | Could not read saved ports", err);
         }
+        if (Object.keys(store).length === 0) return;
 
-        console.log(`Port Registry | Registered ${this.ports.size} ports`);
+        this.ports.clear();
+        for (const [id, data] of Object.entries(store)) {
+            this.ports.set(id, this._normalizePort(data));
+        }
+        console.log(`Port Registry | Loaded ${this.ports.size} saved ports`);
+    }
+
+    static _normalizePort(data) {
+        return {
+            name: data.name || "Unnamed Port",
+            size: this.SIZES.includes(data.size) ? data.size : "Anchorage",
+            connections: { ...(data.connections || {}) },
+            waterTypes: { ...(data.waterTypes || {}) },
+            bearings: { ...(data.bearings || {}) },
+            exports: [...(data.exports || [])],
+            imports: [...(data.imports || [])],
+            tariff: typeof data.tariff === "number" ? data.tariff : null,
+            prohibited: [...(data.prohibited || [])]
+        };
+    }
+
+    /**
+     * Persist the whole port set to world storage
+     */
+    static async save() {
+        const store = Object.fromEntries(this.ports.entries());
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, structuredClone(store));
+        console.log(`Port Registry | Saved ${this.ports.size} ports`);
+    }
+
+    static async resetToDefaults() {
+        this._registerDefaults();
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, {});
+        console.log(`Port Registry | Reset to ${this.ports.size} default ports`);
+    }
+
+    static set(id, data) {
+        this.ports.set(id, this._normalizePort(data));
+    }
+
+    /**
+     * Remove a port and every connection that leads to it
+     */
+    static delete(id) {
+        this.ports.delete(id);
+        for (const port of this.ports.values()) {
+            delete port.connections[id];
+            if (port.waterTypes) delete port.waterTypes[id];
+            if (port.bearings) delete port.bearings[id];
+        }
+    }
+
+    /**
+     * Add or update the segment fromId → toId. Connections run both ways:
+     * the distance and water type are written to the reverse segment too,
+     * and a new reverse segment gets the reciprocal bearing.
+     */
+    static setConnection(fromId, toId, distance, waterType = "coastal", bearing = null) {
+        const from = this.get(fromId);
+        const to = this.get(toId);
+        if (!from || !to || fromId === toId) return;
+
+        const isNew = !to.connections[fromId];
+        from.connections[toId] = distance;
+        to.connections[fromId] = distance;
+        from.waterTypes = { ...(from.waterTypes || {}), [toId]: waterType };
+        to.waterTypes = { ...(to.waterTypes || {}), [fromId]: waterType };
+        if (bearing !== null) {
+            from.bearings = { ...(from.bearings || {}), [toId]: bearing };
+            if (isNew) to.bearings = { ...(to.bearings || {}), [fromId]: (bearing + 180) % 360 };
+        }
+    }
+
+    /**
+     * Remove the segment between two ports, in both directions
+     */
+    static removeConnection(fromId, toId) {
+        for (const [portId, otherId] of [[fromId, toId], [toId, fromId]]) {
+            const port = this.get(portId);
+            if (!port) continue;
+            delete port.connections[otherId];
+            if (port.waterTypes) delete port.waterTypes[otherId];
+            if (port.bearings) delete port.bearings[otherId];
+        }
     }
 
     static get(id) {
@@ -138,6 +366,10 @@ export class PortRegistry {
         return Array.from(this.ports.values());
     }
 
+    static getAllWithIds() {
+        return Array.from(this.ports.entries()).map(([id, data]) => ({ id, ...data }));
+    }
+
     static getSizeModifier(portSize) {
         switch (portSize) {
             case "Major Port": return +2;
@@ -152,4 +384,23 @@ export class PortRegistry {
         if (!fromPort) return null;
         return fromPort.connections[toId] || null;
     }
+
+    /**
+     * Water type of the segment fromId → toId, checking the reverse
+     * segment if needed. Returns null when the ports do not record one.
+     */
+    static getWaterType(fromId, toId) {
+        return this.get(fromId)?.waterTypes?.[toId] || this.get(toId)?.waterTypes?.[fromId] || null;
+    }
+
+    /**
+     * Compass course from fromId to toId in degrees, or the reciprocal of
+     * the reverse segment's. Returns null when neither port records one.
+     */
+    static getBearing(fromId, toId) {
+        const bearing = this.get(fromId)?.bearings?.[toId];
+        if (typeof bearing === "number") return bearing;
+        const reverse = this.get(toId)?.bearings?.[fromId];
+        return typeof reverse === "number" ? (reverse + 180) % 360 : null;
+    }
 }
\ No newline at end of file
@@ -1,17 +1,45 @@
 /**
  * Route Registry
- * Manages trade route definitions
+ * Manages trade route definitions.
+ *
+ * Like PortRegistry, the built-in routes are the default set and a saved
+ * "routes" world setting replaces them on load.
+ *
+ * Each route declares its topology:
+ *   oneWay    - sail the listed ports in order
+ *   roundTrip - sail out, then back through the same ports
+ *   circuit   - sail the list, then from the last port back to the first
+ * and a repeat count for running the cycle several times.
  */
 
+import { PortRegistry } from './ports.js';
+import { Platform } from '../platform/platform.js';
+
 export class RouteRegistry {
     static routes = new Map();
+    static SETTING_NS = "adnd-voyage-simulator";
+    static SETTING_KEY = "routes";
+    static TOPOLOGIES = ["oneWay", "roundTrip", "circuit"];
 
     static initialize() {
-        const routeData = {
+        this._registerDefaults();
+        console.log(`Route Registry | Registered ${this.routes.size} routes`);
+    }
+
+    static _registerDefaults() {
+        this.routes.clear();
+        for (const [id, data] of Object.entries(this.getDefaultData())) {
+            this.routes.set(id, data);
+        }
+    }
+
+    static getDefaultData() {
+        return {
             nyr_dyv_circuit: {
                 name: "Nyr Dyv Circuit",
                 ports: ["verbobonc", "dyvers", "greyhawk_city", "leukish"],
                 description: "Classic circuit around the Nyr Dyv lake",
+                topology: "circuit",
                 segments: [
                     { from: "verbobonc", to: "dyvers", waterType: "lake" },
                     { from: "dyvers", to: "greyhawk_city", waterType: "lake" },
@@ -40,6 +68,7 @@ export class RouteRegistry {
                 name: "Relmor Bay Circuit",
                 ports: ["hardby", "rel_mord", "gradsul"],
                 description: "Circuit around Relmor Bay",
+                topology: "circuit",
                 segments: [
                     { from: "hardby", to: "rel_mord", waterType: "coastal" },
                     { from: "rel_mord", to: "gradsul", waterType: "coastal" }
@@ -116,12 +145,57 @@ export class RouteRegistry {
                 ]
             }
         };
+    }
 
-        for (const [id, data] of Object.entries(routeData)) {
-            this.routes.set(id, data);
+    // =========================================================================
+    // WORLD STORAGE
+    // =========================================================================
+
+    static loadSaved() {
+        let store = {};
+        try {
+            store = Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {};
+        } catch (err) {
+            console.warn("Route Registry | Could not read saved routes", err);
         }
+        if (Object.keys(store).length === 0) return;
 
-        console.log(`Route Registry | Registered ${this.routes.size} routes`);
+        this.routes.clear();
+        for (const [id, data] of Object.entries(store)) {
+            this.routes.set(id, this._normalizeRoute(data));
+        }
+        console.log(`Route Registry | Loaded ${this.routes.size} saved routes`);
+    }
+
+    static _normalizeRoute(data) {
+        return {
+            name: data.name || "Unnamed Route",
+            ports: Array.isArray(data.ports) ? [...data.ports] : [],
+            description: data.description || "",
+            topology: this.getTopology(data),
+            repeat: this.getRepeat(data),
+            segments: Array.isArray(data.segments) ? data.segments.map(seg => ({ ...seg })) : []
+        };
+    }
+
+    static async save() {
+        const store = Object.fromEntries(this.routes.entries());
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, structuredClone(store));
+        console.log(`Route Registry | Saved ${this.routes.size} routes`);
+    }
+
+    static async resetToDefaults() {
+        this._registerDefaults();
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, {});
+        console.log(`Route Registry | Reset to ${this.routes.size} default routes`);
+    }
+
+    static set(id, data) {
+        this.routes.set(id, this._normalizeRoute(data));
+    }
+
+    static delete(id) {
+        this.routes.delete(id);
     }
 
     static get(id) {
@@ -132,15 +206,91 @@ export class RouteRegistry {
         return Array.from(this.routes.entries()).map(([id, data]) => ({ id, ...data }));
     }
 
+    // =========================================================================
+    // TOPOLOGY
+    // =========================================================================
+
+    /**
+     * Declared topology. Routes saved before topology existed may carry
+     * the older circuit flag instead.
+     */
+    static getTopology(route) {
+        if (this.TOPOLOGIES.includes(route?.topology)) return route.topology;
+        return route?.circuit ? "circuit" : "oneWay";
+    }
+
+    static getRepeat(route) {
+        return Math.max(1, parseInt(route?.repeat) || 1);
+    }
+
+    /**
+     * Full ordered list of port calls after applying topology and repeats.
+     * e.g. roundTrip [a, b, c] x2 → [a, b, c, b, a, b, c, b, a]
+     */
+    static getStops(route) {
+        const ports = route?.ports || [];
+        if (ports.length < 2) return [...ports];
+
+        let cycle;
+        switch (this.getTopology(route)) {
+            case "roundTrip":
+                cycle = [...ports, ...ports.slice(0, -1).reverse()];
+                break;
+            case "circuit":
+                cycle = [...ports, ports[0]];
+                break;
+            default:
+                cycle = [...ports];
+        }
+
+        const stops = [...cycle];
+        for (let r = 1; r < this.getRepeat(route); r++) {
+            stops.push(...cycle.slice(1));
+        }
+        return stops;
+    }
+
+    /**
+     * Problems that would stop the route from being sailed. Empty if valid.
+     */
+    static validate(route) {
+        const errors = [];
+        if (!route) return ["Route not found"];
+
+        const ports = route.ports || [];
+        if (ports.length < 2) errors.push(`${route.name}: a route needs at least two ports`);
+
+        for (const id of ports) {
+            if (!PortRegistry.get(id)) errors.push(`${route.name}: unknown port "${id}"`);
+        }
+
+        const topology = this.getTopology(route);
+        if (this.getRepeat(route) > 1 && topology === "oneWay" && ports[0] !== ports[ports.length - 1]) {
+            errors.push(`${route.name}: a one-way route can only repeat if it ends at its first port`);
+        }
+
+        const stops = this.getStops(route);
+        const reported = new Set();
+        for (let i = 0; i < stops.length - 1; i++) {
+            const key = `${stops[i]}>${stops[i + 1]}`;
+            if (reported.has(key) || !PortRegistry.get(stops[i]) || !PortRegistry.get(stops[i + 1])) continue;
+            if (!PortRegistry.getDistance(stops[i], stops[i + 1])) {
+                reported.add(key);
+                errors.push(`${route.name}: no connection from ${PortRegistry.get(stops[i]).name} to ${PortRegistry.get(stops[i + 1]).name}`);
+            }
+        }
+        return errors;
+    }
+
     static calculateTotalDistance(routeId) {
-        const route = this.get(routeId);
+        const route = typeof routeId === "string" ? this.get(routeId) : routeId;
         if (!route) return 0;
 
-        // PortRegistry is already imported at the top of the file
+        const stops = this.getStops(route);
         let totalDistance = 0;
 
-        for (let i = 0; i < route.ports.length - 1; i++) {
-            const distance = PortRegistry.getDistance(route.ports[i], route.ports[i + 1]);
+        for (let i = 0; i < stops.length - 1; i++) {
+            const distance = PortRegistry.getDistance(stops[i], stops[i + 1]);
             if (distance) totalDistance += distance;
         }
 
@@ -149,12 +299,41 @@ export class RouteRegistry {
 
     /**
      * Get the waterType for a specific leg of a route.
-     * Falls back to "coastal" if no segment data exists.
+     * Route segment data wins, then the port database, then "coastal".
+     * Accepts a route id or a route object (voyage states carry the object).
+     * With no route, any known route segment between the two ports is used.
      */
     static getSegmentWaterType(routeId, fromPortId, toPortId) {
-        const route = this.get(routeId);
-        if (!route?.segments) return "coastal";
-        const seg = route.segments.find(s => s.from === fromPortId && s.to === toPortId);
-        return seg?.waterType || "coastal";
+        const route = typeof routeId === "string" ? this.get(routeId) : routeId;
+        // Return legs of round trips sail the same water in reverse
+        const seg = route
+            ? (route.segments?.find(s => s.from === fromPortId && s.to === toPortId)
+                || route.segments?.find(s => s.from === toPortId && s.to === fromPortId))
+            : this._findAnySegment(fromPortId, toPortId);
+        return seg?.waterType || PortRegistry.getWaterType(fromPortId, toPortId) || "coastal";
+    }
+
+    /**
+     * Compass course for a leg of a route in degrees, or null if unknown.
+     * A bearing on the route segment wins (its reciprocal when sailing the
+     * segment in reverse), then the port database.
+     */
+    static getSegmentBearing(routeId, fromPortId, toPortId) {
+        const route = typeof routeId === "string" ? this.get(routeId) : routeId;
+        const seg = route?.segments?.find(s => s.from === fromPortId && s.to === toPortId);
+        if (typeof seg?.bearing === "number") return seg.bearing;
+        const reverse = route?.segments?.find(s => s.from === toPortId && s.to === fromPortId);
+        if (typeof reverse?.bearing === "number") return (reverse.bearing + 180) % 360;
+        return PortRegistry.getBearing(fromPortId, toPortId);
+    }
+
+    static _findAnySegment(fromPortId, toPortId) {
+        for (const route of this.routes.values()) {
+            const seg = route.segments?.find(s =>
+                (s.from === fromPortId && s.to === toPortId) || (s.from === toPortId && s.to === fromPortId)
+            );
+            if (seg) return seg;
+        }
+        return null;
     }
 }
\ No newline at end of file
@@ -16,9 +16,14 @@
  * mate) are calculated separately in initializeVoyageState based on crew total.
  */
 
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
 export class ShipRegistry {
     static templates = new Map();
     static ships = new Map(); // player-named instances
+    static SETTING_NS = "adnd-voyage-simulator";
+    static SETTING_KEY = "ships";
 
     static initialize() {
         this._registerTemplates();
@@ -26,6 +31,103 @@ export class ShipRegistry {
         console.log(`Ship Registry | ${this.templates.size} templates, ${this.ships.size} instances`);
     }
 
+    // =========================================================================
+    // WORLD STORAGE — named instances persist in the "ships" world setting.
+    // main.js calls loadSaved() from the ready hook, once world settings
+    // are available. A null entry marks a deleted ship.
+    // =========================================================================
+
+    static loadSaved() {
+        let store = {};
+        try {
+            store = Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {};
+        } catch (err) {
+            console.warn("Ship Registry | Could not read saved ships", err);
+        }
+
+        for (const [id, data] of Object.entries(store)) {
+            if (data === null) this.ships.delete(id);
+            else this.ships.set(id, this._normalizeInstance({ ...data, id }));
+        }
+        // Legacy ships that were never saved still need the persistent fields
+        for (const [id, ship] of this.ships) this.ships.set(id, this._normalizeInstance(ship));
+
+        console.log(`Ship Registry | Loaded ${Object.keys(store).length} saved ships, ${this.ships.size} instances`);
+    }
+
+    static _normalizeInstance(ship) {
+        ship.homePort = ship.homePort || ship.currentPort || "greyhawk_city";
+        ship.voyageHistory = Array.isArray(ship.voyageHistory) ? ship.voyageHistory : [];
+        ship.daysSinceService = ship.daysSinceService ?? 0;
+        ship.status = ship.status || "active";
+        return ship;
+    }
+
+    static async _writeStore(mutator) {
+        const store = structuredClone(Platform.settings.get(this.SETTING_NS, this.SETTING_KEY) || {});
+        mutator(store);
+        await Platform.settings.set(this.SETTING_NS, this.SETTING_KEY, store);
+    }
+
+    /**
+     * Save a named ship to world storage (and the in-memory registry).
+     */
+    static async save(ship) {
+        if (!ship?.id) throw new Error("Cannot save a ship without an id");
+        this.register(ship.id, this._normalizeInstance(ship));
+        await this._writeStore(store => { store[ship.id] = structuredClone(ship); });
+        console.log(`Ship Registry | Saved ${ship.name} (${ship.id})`);
+        return ship;
+    }
+
+    static async delete(id) {
+        const ship = this.get(id);
+        this.ships.delete(id);
+        await this._writeStore(store => { store[id] = null; });
+        console.log(`Ship Registry | Deleted ${ship?.name || id}`);
+    }
+
+    /**
+     * Copy an existing ship under a new name. Voyage history is not copied.
+     */
+    static async clone(id, name = null) {
+        const source = this.get(id);
+        if (!source) throw new Error(`Ship instance '${id}' not found`);
+
+        const copy = structuredClone(source);
+        copy.id = `${source.templateId || "ship"}_${Date.now()}`;
+        copy.name = name || `${source.name} (Copy)`;
+        copy.voyageHistory = [];
+        copy.status = "active";
+        return this.save(copy);
+    }
+
+    /**
+     * Append a finished voyage to a ship's history and persist it.
+     * condition carries the ship's state at the end of the voyage:
+     * { hullValue, crew, currentPort, daysSinceService, status }. The crew
+     * still aboard is kept as currentCrew; ship.crew stays the complement
+     * she needs, so losses show up as a shortfall to hire for next time.
+     */
+    static async recordVoyage(id, entry, condition = null) {
+        const ship = this.get(id);
+        if (!ship) return;
+        this._normalizeInstance(ship);
+
+        if (condition) {
+            if (condition.hullValue !== undefined) {
+                ship.hullPoints.value = Math.min(ship.hullPoints.max, Math.max(0, condition.hullValue));
+            }
+            if (condition.crew) ship.currentCrew = structuredClone(condition.crew);
+            if (condition.currentPort !== undefined) ship.currentPort = condition.currentPort;
+            if (condition.daysSinceService !== undefined) ship.daysSinceService = condition.daysSinceService;
+            if (condition.status) ship.status = condition.status;
+        }
+
+        ship.voyageHistory.push(entry);
+        await this.save(ship);
+    }
+
     // =========================================================================
     // TEMPLATES — generic ship types from DMG + Seafaring
     // =========================================================================
@@ -673,10 +775,10 @@ export class ShipRegistry {
     }
 
     /**
-     * Create a new named ship instance from a template.
+     * Create a new named ship instance from a template and save it.
      * Rolls hull value from the DMG formula if present.
      */
-    static createFromTemplate(templateId, name, port = "greyhawk_city") {
+    static async createFromTemplate(templateId, name, port = "greyhawk_city") {
         const tmpl = this.getTemplate(templateId);
         if (!tmpl) throw new Error(`Ship template '${templateId}' not found`);
 
@@ -684,8 +786,7 @@ export class ShipRegistry {
         let hullMax = tmpl.hullPoints.max;
         if (tmpl.hullFormula) {
             try {
-                const roll = new Roll(tmpl.hullFormula);
-                roll.evaluate({ async: false });
+                const roll = Dice.roll(tmpl.hullFormula);
                 hullMax = roll.total;
                 console.log(`Ship Registry | Rolled hull for ${tmpl.shipType}: ${tmpl.hullFormula} = ${hullMax}`);
             } catch {
@@ -722,6 +823,8 @@ export class ShipRegistry {
             foodDays: tmpl.foodDays || 7,
             baseEarningsPerDay: Math.floor(tmpl.cargoCapacity * 2),
             currentPort: port,
+            homePort: port,
+            voyageHistory: [],
             captain: { name: "", level: 0 },
             crew: JSON.parse(JSON.stringify(tmpl.crew)).map(c => ({ ...c, level: 0 })),
             cost: tmpl.cost || 0,
@@ -733,8 +836,7 @@ export class ShipRegistry {
             instance.crew.push({ role: "marine", level: 0, count: tmpl.marines });
         }
 
-        this.register(id, instance);
-        return instance;
+        return this.save(instance);
     }
 
     // =========================================================================
@@ -758,6 +860,6 @@ export class ShipRegistry {
         if (!template) {
             throw new Error(`Ship instance '${id}' not found`);
         }
-        return foundry.utils.deepClone(template);
+        return structuredClone(template);
     }
 }
@@ -5,6 +5,9 @@
 
 import { PortRegistry } from '../data/ports.js';
 import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { TradingStrategy } from '../trading/trading-strategy.js';
+import { Platform } from '../platform/platform.js';
 
 export class ReportGenerator {
 
@@ -20,26 +23,17 @@ export class ReportGenerator {
         const journalName = `Voyage – ${voyageState.ship.name} (${startDate} to ${endDate})`;
 
         try {
-            const journalEntry = await JournalEntry.create({
+            const journalEntry = await Platform.output.journal({
                 name: journalName,
-                folder: await this.getOrCreateVoyageFolder()
+                content: journalContent,
+                folder: "Voyage Logs"
             });
 
-            await journalEntry.createEmbeddedDocuments("JournalEntryPage", [{
-                name: "Voyage Log",
-                type: "text",
-                text: {
-                    content: journalContent,
-                    markdown: false
-                }
-            }]);
-
-            ui.notifications.info(`Journal entry "${journalName}" created successfully!`);
-            journalEntry.sheet.render(true); // Auto-open the journal
+            Platform.output.notify("info", `Journal entry "${journalName}" created successfully!`);
             return journalEntry;
         } catch (err) {
             console.error("Error creating journal entry:", err);
-            ui.notifications.error("Failed to create journal entry. See console for details.");
+            Platform.output.notify("error", "Failed to create journal entry. See console for details.");
             await this.offerHTMLExport(journalContent, journalName);
             return null;
         }
@@ -69,10 +63,17 @@ export class ReportGenerator {
             weatherLogHtml,
             voyageLogHtml,
             tradeMode,
+            tradeStrategy,
             commissionRate,
             revenueTotal,
             expenseTotal,
+            contractIncome,
+            consignments,
+            diversions,
+            finance,
+            flags,
             crewQuality,
+            seed,
             ledger,      // Added
             breakdown    // Added
         } = state;
@@ -87,16 +88,19 @@ export class ReportGenerator {
         const repairs = breakdown?.repairs || 0;
         const cargoPurchases = breakdown?.cargo || 0;
         const taxes = breakdown?.taxes || 0;
+        const penalties = breakdown?.penalties || 0;
+        const financeCosts = breakdown?.finance || 0;
         
         // Handle misc/rounding differences
-        const calculatedTotal = wages + food + fees + repairs + cargoPurchases + taxes;
+        const calculatedTotal = wages + food + fees + repairs + cargoPurchases + taxes + penalties + financeCosts;
         const misc = expenseTotal - calculatedTotal;
 
         // Calculate profit distribution
         const profitDistribution = this.calculateProfitDistribution({
             ownerNetProfit,
             crewEarningsFromTrade,
-            ship
+            ship,
+            investors: finance?.investors
         });
 
         // Build sections
@@ -123,7 +127,8 @@ export class ReportGenerator {
                 <strong>Route:</strong> ${route.name}<br />
                 <strong>Crew Quality:</strong> ${crewQuality}<br />
                 <strong>Voyage Commenced:</strong> ${shipStartDate}<br />
-                <strong>Voyage Concluded:</strong> ${shipEndDate}
+                <strong>Voyage Concluded:</strong> ${shipEndDate}${seed ? `<br />
+                <strong>Dice Seed:</strong> ${seed}` : ""}
             </div>
             <div class="log-entry no-indent">
                 <strong>Days at Sea:</strong> ${totalDays} days<br />
@@ -138,12 +143,15 @@ export class ReportGenerator {
         <div class="info-box">
             <div class="log-entry no-indent">
                 <strong>Capital at Departure (Owner's):</strong> ${startingCapital} gold pieces<br />
+                ${finance?.investors ? `<strong>Of Which Investors':</strong> ${finance.investors.capital} gold pieces for a ${finance.investors.stake}% stake<br />` : ''}
                 <strong>Capital at Return (Owner's):</strong> ${treasury} gold pieces<br />
+                ${finance?.credit ? `<strong>Held as Letters of Credit:</strong> ${finance.credit} gold pieces<br />` : ''}
                 <strong>Owner's Net Result:</strong> ${ownerNetProfit >= 0 ? 'Profit of' : 'Loss of'} ${Math.abs(ownerNetProfit)} gold pieces
             </div>
 
             <div class="log-entry no-indent">
                 <strong>Total Revenue Earned:</strong> ${revenueTotal} gold pieces<br />
+                ${contractIncome ? `<strong>Of Which Freight Contracts:</strong> ${contractIncome} gold pieces<br />` : ''}
                 <strong>Total Expenses Incurred:</strong> ${expenseTotal} gold pieces
             </div>
         </div>
@@ -178,6 +186,8 @@ export class ReportGenerator {
                     <td style="padding: 4px;">Customs & Taxes:</td>
                     <td style="text-align: right;">${taxes} gp</td>
                 </tr>
+                ${penalties ? `<tr><td style="padding: 4px;">Penalties, Fines & Bribes:</td><td style="text-align: right;">${penalties} gp</td></tr>` : ''}
+                ${financeCosts ? `<tr><td style="padding: 4px;">Loan Interest & Banking Fees:</td><td style="text-align: right;">${financeCosts} gp</td></tr>` : ''}
                 ${misc !== 0 ? `<tr><td style="padding: 4px;">Miscellaneous:</td><td style="text-align: right;">${misc} gp</td></tr>` : ''}
                 
                 <tr style="border-top: 2px solid #8b4513; font-weight: bold; background-color: rgba(139,69,19,0.1);">
@@ -198,6 +208,7 @@ export class ReportGenerator {
 
         <div class="info-box">
             <strong>Ship Owner's Share:</strong> ${profitDistribution.ownerShare} gold pieces<br />
+            ${finance?.investors ? `<strong>Investors' Share (${finance.investors.stake}%):</strong> ${profitDistribution.investorShare} gold pieces, ${profitDistribution.investorReturn} gold pieces returned to them<br />` : ''}
             <strong>Captain's Share:</strong> ${profitDistribution.captainShare} gold pieces<br />
             <strong>Lieutenant's Share:</strong> ${profitDistribution.lieutenantShares} gold pieces<br />
             <strong>Mate's Share:</strong> ${profitDistribution.mateShares} gold pieces<br />
@@ -208,7 +219,17 @@ export class ReportGenerator {
         </div>
 
         <h2 class="section-header">Cargo Manifest and Trading Summary</h2>
-        ${this.buildCargoSummaryHTML(portActivities, tradeMode, commissionRate)}
+        ${this.buildCargoSummaryHTML(portActivities, tradeMode, commissionRate, tradeStrategy)}
+
+        ${finance?.loans?.length > 0 || finance?.letterFees > 0 || flags?.seized ? `
+        <h2 class="section-header">Financing</h2>
+        ${this.buildFinancingHTML(finance, flags?.seized)}
+        ` : ''}
+
+        ${consignments?.length > 0 ? `
+        <h2 class="section-header">Consignment Contracts</h2>
+        ${this.buildConsignmentsHTML(consignments)}
+        ` : ''}
 
         ${repairLog.length > 0 ? `
         <h2 class="section-header">Ship Repairs and Maintenance</h2>
@@ -220,6 +241,11 @@ export class ReportGenerator {
         ${passengerManifestHTML}
         ` : ''}
 
+        ${diversions?.length > 0 ? `
+        <h2 class="section-header">Diversions</h2>
+        ${this.buildDiversionsHTML(diversions)}
+        ` : ''}
+
         <h2 class="section-header">Port Calls and Activities</h2>
         ${portActivitiesHTML}
 
@@ -476,15 +502,29 @@ export class ReportGenerator {
                     </div>
                     ` : ''}
 
-                    ${activity.trading ? `
+                    ${activity.trades && activity.trades.length > 0 ? `
                     <div style="margin: 10px 0;">
                         <strong>Trading:</strong>
                         <ul style="margin: 5px 0 0 20px;">
-                            <li>Type: ${activity.trading.type === "purchase" ? "Purchase" : "Sale"}</li>
-                            <li>Commodity: ${activity.trading.cargoType}</li>
-                            <li>Quantity: ${activity.trading.loads} loads</li>
-                            ${activity.trading.pricePerLoad ? `<li>Price: ${activity.trading.pricePerLoad} gp/load</li>` : ''}
-                            ${activity.trading.totalCost ? `<li>Cost: ${activity.trading.totalCost} gp</li>` : ''}
+                            ${activity.trades.map(t => `<li>${t.type === "purchase" ? "Bought" : "Sold"} ${t.loads} loads of ${this.getGoodName(t)} @ ${t.pricePerLoad} gp/load (${t.total} gp)</li>`).join('')}
+                        </ul>
+                    </div>
+                    ` : ''}
+
+                    ${activity.decisions && activity.decisions.length > 0 ? `
+                    <div style="margin: 10px 0;">
+                        <strong>Trading Decisions:</strong>
+                        <ul style="margin: 5px 0 0 20px;">
+                            ${activity.decisions.map(d => `<li>${d.strategy}: ${this.getDecisionLabel(d.action)} ${d.good} (${d.reason})</li>`).join('')}
+                        </ul>
+                    </div>
+                    ` : ''}
+
+                    ${activity.contracts && activity.contracts.length > 0 ? `
+                    <div style="margin: 10px 0;">
+                        <strong>Contracts:</strong>
+                        <ul style="margin: 5px 0 0 20px;">
+                            ${activity.contracts.map(c => `<li>${c.description}: ${c.amount >= 0 ? '+' : '−'}${Math.abs(c.amount)} gp</li>`).join('')}
                         </ul>
                     </div>
                     ` : ''}
@@ -502,24 +542,44 @@ export class ReportGenerator {
         }).join('');
     }
 
+    /**
+     * Trade good name, falling back to the category for older records
+     */
+    static getGoodName(trade) {
+        return GoodsRegistry.get(trade.good)?.name || CargoRegistry.get(trade.cargoType)?.name || trade.cargoType;
+    }
+
+    static getDecisionLabel(action) {
+        const labels = { buy: "Bought", sell: "Sold", hold: "Held", decline: "Declined" };
+        return labels[action] || action;
+    }
+
     /**
      * Build cargo summary HTML
      */
-    static buildCargoSummaryHTML(portActivities, tradeMode, commissionRate) {
+    static buildCargoSummaryHTML(portActivities, tradeMode, commissionRate, tradeStrategy) {
         let totalPurchased = 0;
         let totalSold = 0;
         let totalPurchaseCost = 0;
         let totalSaleRevenue = 0;
+        const byGood = new Map();
 
         portActivities.forEach(activity => {
-            if (activity.trading) {
-                if (activity.trading.type === "purchase") {
-                    totalPurchased += activity.trading.loads;
-                    totalPurchaseCost += activity.trading.totalCost;
-                } else if (activity.trading.type === "sale") {
-                    totalSold += activity.trading.loads;
-                    totalSaleRevenue += activity.trading.totalRevenueForOwner || 0;
+            for (const trade of activity.trades || []) {
+                const name = this.getGoodName(trade);
+                const row = byGood.get(name) || { bought: 0, sold: 0, cost: 0, revenue: 0 };
+                if (trade.type === "purchase") {
+                    totalPurchased += trade.loads;
+                    totalPurchaseCost += trade.total;
+                    row.bought += trade.loads;
+                    row.cost += trade.total;
+                } else if (trade.type === "sale") {
+                    totalSold += trade.loads;
+                    totalSaleRevenue += trade.total;
+                    row.sold += trade.loads;
+                    row.revenue += trade.total;
                 }
+                byGood.set(name, row);
             }
         });
 
@@ -528,16 +588,136 @@ export class ReportGenerator {
         }
 
         return `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">
+                <tr style="border-bottom: 1px solid #8b4513;">
+                    <th style="text-align: left; padding: 4px;">Goods</th>
+                    <th style="text-align: right;">Bought</th>
+                    <th style="text-align: right;">Sold</th>
+                    <th style="text-align: right;">Cost</th>
+                    <th style="text-align: right;">Revenue</th>
+                </tr>
+                ${Array.from(byGood.entries()).map(([name, row]) => `
+                <tr>
+                    <td style="padding: 4px;">${name}</td>
+                    <td style="text-align: right;">${row.bought} loads</td>
+                    <td style="text-align: right;">${row.sold} loads</td>
+                    <td style="text-align: right;">${row.cost} gp</td>
+                    <td style="text-align: right;">${row.revenue} gp</td>
+                </tr>`).join('')}
+            </table>
             <div class="info-box">
                 <p><strong>Total Cargo Purchased:</strong> ${totalPurchased} loads</p>
                 <p><strong>Total Cargo Sold:</strong> ${totalSold} loads</p>
                 <p><strong>Total Purchase Cost:</strong> ${totalPurchaseCost} gp</p>
                 <p><strong>Total Sale Revenue:</strong> ${totalSaleRevenue} gp</p>
-                <p><strong>Trading Mode:</strong> ${tradeMode === 'speculation' ? 'Speculation' : `Consignment (${commissionRate}% commission)`}</p>
+                <p><strong>Trading Mode:</strong> ${tradeMode === 'speculation' ? 'Speculation' : `Consignment (${commissionRate}% base commission)`}</p>
+                <p><strong>Trading Profile:</strong> ${TradingStrategy.getStrategy(tradeStrategy).name}</p>
             </div>
         `;
     }
 
+    /**
+     * Build consignment contracts HTML: who consigned what, where to, and
+     * how each contract ended
+     */
+    static buildConsignmentsHTML(consignments) {
+        const outcome = contract => {
+            if (contract.status === "delivered") {
+                const loss = contract.loadsLost > 0 ? `, ${contract.loadsLost} loads lost (${contract.liability} gp owed)` : '';
+                return `${contract.late ? 'Delivered late' : 'Delivered'}${loss}`;
+            }
+            if (contract.status === "active") return 'In transit';
+            return `${contract.status === "lost" ? 'Lost' : 'Not delivered'} (${contract.liability || 0} gp owed)`;
+        };
+
+        return `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">
+                <tr style="border-bottom: 1px solid #8b4513;">
+                    <th style="text-align: left; padding: 4px;">Consignor</th>
+                    <th style="text-align: left;">Goods</th>
+                    <th style="text-align: left;">To</th>
+                    <th style="text-align: right;">Declared</th>
+                    <th style="text-align: right;">Commission</th>
+                    <th style="text-align: right;">Freight</th>
+                    <th style="text-align: left; padding-left: 8px;">Outcome</th>
+                </tr>
+                ${consignments.map(contract => `
+                <tr>
+                    <td style="padding: 4px;">${contract.consignorName}</td>
+                    <td>${contract.loads} loads of ${contract.goodName}</td>
+                    <td>${PortRegistry.get(contract.destinationPort)?.name || contract.destinationPort}</td>
+                    <td style="text-align: right;">${contract.declaredValue} gp</td>
+                    <td style="text-align: right;">${contract.commissionRate}%</td>
+                    <td style="text-align: right;">${contract.freight} gp</td>
+                    <td style="padding-left: 8px;">${outcome(contract)}</td>
+                </tr>`).join('')}
+            </table>
+        `;
+    }
+
+    /**
+     * Build financing HTML: loans taken and how each ended, letters of
+     * credit, and the seizure of the ship if it came to that
+     */
+    static buildFinancingHTML(finance, seized) {
+        const outcome = loan => {
+            if (loan.status === "repaid") return `Repaid ${loan.repaid} gp on day ${loan.repaidDay}`;
+            if (loan.status === "seized") return 'Settled by seizure of the ship';
+            return 'Outstanding';
+        };
+
+        return `
+            ${seized ? `
+            <div class="log-entry">
+                The vessel was seized by her creditors at ${PortRegistry.get(seized.portId)?.name || seized.portId} for ${seized.owed} gold pieces owed to ${seized.lender} and others.
+            </div>` : ''}
+            ${finance.loans.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 10px;">
+                <tr style="border-bottom: 1px solid #8b4513;">
+                    <th style="text-align: left; padding: 4px;">Lender</th>
+                    <th style="text-align: right;">Borrowed</th>
+                    <th style="text-align: right;">Rate</th>
+                    <th style="text-align: right;">Days</th>
+                    <th style="text-align: left; padding-left: 8px;">Outcome</th>
+                </tr>
+                ${finance.loans.map(loan => `
+                <tr>
+                    <td style="padding: 4px;">${loan.lender}</td>
+                    <td style="text-align: right;">${loan.principal} gp</td>
+                    <td style="text-align: right;">${loan.rate}%/month</td>
+                    <td style="text-align: right;">${loan.takenDay}-${loan.dueDay}</td>
+                    <td style="padding-left: 8px;">${outcome(loan)}</td>
+                </tr>`).join('')}
+            </table>` : ''}
+            ${finance.letterFees > 0 ? `
+            <div class="info-box">
+                <strong>Letters of Credit:</strong> ${finance.credit} gold pieces held at the voyage's end; ${finance.letterFees} gold pieces paid in bankers' fees
+            </div>` : ''}
+        `;
+    }
+
+    /**
+     * Build diversions HTML: each change of course, why, and what it cost
+     */
+    static buildDiversionsHTML(diversions) {
+        const portName = id => PortRegistry.get(id)?.name || id;
+        const outcome = diversion => {
+            if (diversion.outcome === "rejoin") {
+                return `Rejoined the route for ${portName(diversion.bound)}${diversion.extraMiles > 0 ? `, ${diversion.extraMiles} miles out of her way` : ''}`;
+            }
+            if (diversion.outcome === "end") return 'Voyage ended there';
+            return 'Never made port';
+        };
+
+        return diversions.map(diversion => `
+            <div class="port-entry">
+                <strong>${diversion.date}:</strong> Bound from ${portName(diversion.from)} for ${portName(diversion.bound)}, the ship diverted to ${portName(diversion.port)} because ${diversion.reasonText}.<br />
+                ${diversion.days !== null ? `Made port in ${diversion.days} days (${diversion.miles} miles, with ${Math.round(diversion.remaining)} still to ${portName(diversion.bound)}).<br />` : ''}
+                Outcome: ${outcome(diversion)}
+            </div>
+        `).join('');
+    }
+
     /**
      * Build repair log HTML
      */
@@ -583,17 +763,21 @@ export class ReportGenerator {
      * Calculate profit distribution
      */
     static calculateProfitDistribution(params) {
-        const { ownerNetProfit, crewEarningsFromTrade, ship } = params;
+        const { ownerNetProfit, crewEarningsFromTrade, ship, investors = null } = params;
 
         let ownerShare = 0;
+        let investorShare = 0;
         let captainShare = 0;
         let lieutenantShares = 0;
         let mateShares = 0;
         let commonCrewShare = 0;
 
         if (ownerNetProfit > 0) {
-            ownerShare = Math.floor(ownerNetProfit * 0.50);
-            const remainingProfit = ownerNetProfit - ownerShare;
+            // Investors take their stake of the capital's half
+            const capitalShare = Math.floor(ownerNetProfit * 0.50);
+            investorShare = investors ? Math.floor(capitalShare * investors.stake / 100) : 0;
+            ownerShare = capitalShare - investorShare;
+            const remainingProfit = ownerNetProfit - capitalShare;
 
             const lieutenantCount = ship.crew.find(c => c.role === "lieutenant")?.count || 0;
             lieutenantShares = Math.floor(remainingProfit * 0.05) * lieutenantCount;
@@ -604,12 +788,17 @@ export class ReportGenerator {
             captainShare = Math.floor(remainingProfit * 0.25);
 
             commonCrewShare = remainingProfit - captainShare - lieutenantShares - mateShares;
+        } else if (ownerNetProfit < 0 && investors) {
+            // ...and bear their stake of a loss, up to the capital they put in
+            investorShare = -Math.min(investors.capital, Math.floor(-ownerNetProfit * investors.stake / 100));
         }
 
         const totalCrewPayout = crewEarningsFromTrade + captainShare + lieutenantShares + mateShares + commonCrewShare;
 
         return {
             ownerShare,
+            investorShare,
+            investorReturn: investors ? investors.capital + investorShare : 0,
             captainShare,
             lieutenantShares,
             mateShares,
@@ -652,60 +841,31 @@ export class ReportGenerator {
             .replace(/<\/p>/g, '</div>');
     }
 
-    /**
-     * Get or create voyage folder
-     */
-    static async getOrCreateVoyageFolder() {
-        const existingFolder = game.folders.find(f => f.name === "Voyage Logs" && f.type === "JournalEntry");
-        if (existingFolder) return existingFolder.id;
-
-        const folder = await Folder.create({
-            name: "Voyage Logs",
-            type: "JournalEntry",
-            color: "#8b4513"
-        });
-        return folder.id;
-    }
-
     /**
      * Offer HTML export if journal creation fails
      */
     static async offerHTMLExport(htmlContent, fileName) {
-        return new Promise((resolve) => {
-            new Dialog({
-                title: "Journal Creation Failed",
-                content: `<p>Could not create journal entry. Export as HTML file instead?</p>`,
-                buttons: {
-                    export: {
-                        icon: '<i class="fas fa-file-export"></i>',
-                        label: "Export HTML",
-                        callback: () => {
-                            this.exportHTML(htmlContent, fileName);
-                            resolve(true);
-                        }
-                    },
-                    close: {
-                        icon: '<i class="fas fa-times"></i>',
-                        label: "Close",
-                        callback: () => resolve(false)
-                    }
-                }
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "journalExport",
+            title: "Journal Creation Failed",
+            content: `<p>Could not create journal entry. Export as HTML file instead?</p>`,
+            choices: {
+                export: { icon: '<i class="fas fa-file-export"></i>', label: "Export HTML" },
+                close: { icon: '<i class="fas fa-times"></i>', label: "Close" }
+            },
+            default: "export"
         });
+        if (choice !== "export") return false;
+        await this.exportHTML(htmlContent, fileName);
+        return true;
     }
 
     /**
      * Export HTML to file
      */
-    static exportHTML(htmlContent, fileName) {
-        const blob = new Blob([htmlContent], { type: "text/html;charset=utf-8" });
-        const link = document.createElement("a");
-        link.href = URL.createObjectURL(blob);
-        link.download = `${fileName.replace(/[^a-z0-9]/gi, '_')}.html`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
-        ui.notifications.info(`Voyage log exported as ${link.download}`);
-    }
-}
\ No newline at end of file
+    static async exportHTML(htmlContent, fileName) {
+        const downloadName = `${fileName.replace(/[^a-z0-9]/gi, '_')}.html`;
+        await Platform.output.download(htmlContent, downloadName, "text/html");
+        Platform.output.notify("info", `Voyage log exported as ${downloadName}`);
+    }
+}
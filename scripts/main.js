@@ -10,9 +10,18 @@ import { ShipRegistry } from './data/ships.js';
 import { PortRegistry } from './data/ports.js';
 import { RouteRegistry } from './data/routes.js';
 import { CargoRegistry } from './data/cargo.js';
+import { GoodsRegistry } from './data/goods.js';
 import { EncounterRegistry } from './data/encounters.js';
+import { MarketRegistry } from './data/markets.js';
+import { TradingStrategy } from './trading/trading-strategy.js';
+import { ConsignorRegistry } from './data/consignors.js';
+import { Dice } from './voyage/dice.js';
+import { Platform } from './platform/platform.js';
+import { createFoundryAdapters } from './platform/foundry-adapters.js';
 import { VoyageSetupDialog } from './ui/voyage-dialog.js';
 import { ShipEditorDialog } from './ui/ship-editor-dialog.js';
+import { VoyageControlPanel } from './ui/voyage-control-panel.js';
+import { PortRouteManagerDialog } from './ui/port-route-manager.js';
 
 console.log("=== All imports successful ===");
 
@@ -31,6 +40,9 @@ class ADnDVoyageSimulator {
      */
     static initialize() {
         console.log(`${this.TITLE} | Initializing module`);
+
+        // Route the engine's settings, prompts, output and calendar through Foundry
+        Platform.install(createFoundryAdapters());
         
         // Register settings
         this.registerSettings();
@@ -40,7 +52,10 @@ class ADnDVoyageSimulator {
         PortRegistry.initialize();
         RouteRegistry.initialize();
         CargoRegistry.initialize();
+        GoodsRegistry.initialize();
         EncounterRegistry.initialize();
+        MarketRegistry.initialize();
+        ConsignorRegistry.initialize();
         
         // Store module API in game namespace
         game.adndVoyage = {
@@ -50,8 +65,13 @@ class ADnDVoyageSimulator {
             routes: RouteRegistry,
             cargo: CargoRegistry,
             encounters: EncounterRegistry,
+            registerTradingProfile: (id, profile) => TradingStrategy.registerStrategy(id, profile),
+            dice: Dice,
+            platform: Platform,
             openDialog: () => new VoyageSetupDialog().render(true),
-            editShip: () => new ShipEditorDialog().render(true)
+            editShip: () => new ShipEditorDialog().render(true),
+            openControlPanel: (voyageId = null) => new VoyageControlPanel(voyageId).render(true),
+            managePorts: () => new PortRouteManagerDialog().render(true)
         };
         
         // Register scene controls early (before getSceneControlButtons fires)
@@ -149,6 +169,50 @@ class ADnDVoyageSimulator {
             default: {}
         });
 
+        // Named ship instances (world-level)
+        game.settings.register(this.ID, 'ships', {
+            name: 'Saved Ships',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+
+        // GM-edited port and route databases (empty = built-in Greyhawk set)
+        game.settings.register(this.ID, 'ports', {
+            name: 'Port Database',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+
+        game.settings.register(this.ID, 'routes', {
+            name: 'Route Database',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+
+        // Port markets shared by every voyage in the world
+        game.settings.register(this.ID, 'markets', {
+            name: 'Port Markets',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+
+        // Standing with the merchant houses that consign goods
+        game.settings.register(this.ID, 'consignors', {
+            name: 'Consignor Reputation',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+
         // Port Agents
         game.settings.register(this.ID, 'portAgentsEnabled', {
             name: 'Port Agents Available',
@@ -175,6 +239,13 @@ class ADnDVoyageSimulator {
      */
     static ready() {
         console.log(`${this.TITLE} | Ready`);
+
+        // Saved world data overrides the built-in ships, ports and routes
+        ShipRegistry.loadSaved();
+        PortRegistry.loadSaved();
+        RouteRegistry.loadSaved();
+        MarketRegistry.loadSaved();
+        ConsignorRegistry.loadSaved();
         
         // CTT and weather checks deferred — these modules may init after us
         // The simulation checks for CTT at runtime via _getCTT(), so this is just a log
@@ -243,12 +314,40 @@ class ADnDVoyageSimulator {
                     }
                 };
 
+                const controlTool = {
+                    name: "voyage-control",
+                    title: "Voyage Control Panel",
+                    icon: "fas fa-compass",
+                    visible: true,
+                    button: true,
+                    onChange: () => {
+                        console.log("Voyage Control Panel | Button clicked");
+                        new VoyageControlPanel().render({ force: true });
+                    }
+                };
+
+                const portTool = {
+                    name: "port-manager",
+                    title: "Ports & Routes",
+                    icon: "fas fa-map-marked-alt",
+                    visible: true,
+                    button: true,
+                    onChange: () => {
+                        console.log("Port Manager | Button clicked");
+                        new PortRouteManagerDialog().render({ force: true });
+                    }
+                };
+
                 if (Array.isArray(tokenGroup.tools)) {
                     tokenGroup.tools.push(voyageTool);
                     tokenGroup.tools.push(editorTool);
+                    tokenGroup.tools.push(controlTool);
+                    tokenGroup.tools.push(portTool);
                 } else {
                     tokenGroup.tools["voyage-simulator"] = voyageTool;
                     tokenGroup.tools["ship-editor"] = editorTool;
+                    tokenGroup.tools["voyage-control"] = controlTool;
+                    tokenGroup.tools["port-manager"] = portTool;
                 }
                 console.log("Voyage Simulator | Scene control buttons added");
             } catch (err) {
@@ -0,0 +1,207 @@
+/**
+ * Foundry Platform Adapters
+ * The only place the engine's settings, prompts, output and calendar touch
+ * Foundry globals. Installed by main.js during init.
+ */
+
+const SPEAKER_ALIAS = "Voyage Simulator";
+
+export class FoundrySettings {
+
+    register(namespace, key, data) {
+        return game.settings.register(namespace, key, data);
+    }
+
+    get(namespace, key) {
+        return game.settings.get(namespace, key);
+    }
+
+    set(namespace, key, value) {
+        return game.settings.set(namespace, key, value);
+    }
+}
+
+/**
+ * Prompts become Dialogs. Closing the window without choosing resolves
+ * with choice null.
+ */
+export class FoundryPrompts {
+
+    choose({ title, content, choices, default: defaultChoice, fields = [] }) {
+        return new Promise((resolve) => {
+            const buttons = {};
+            for (const [key, choice] of Object.entries(choices)) {
+                if (choice.disabled) continue;
+                buttons[key] = {
+                    label: typeof choice === "string" ? choice : choice.label,
+                    icon: choice.icon,
+                    callback: (html) => resolve({ choice: key, values: this._readFields(html, fields) })
+                };
+            }
+            new Dialog({
+                title,
+                content,
+                buttons,
+                default: defaultChoice,
+                close: () => resolve({ choice: null, values: {} })
+            }).render(true);
+        });
+    }
+
+    _readFields(html, fields) {
+        const values = {};
+        for (const field of fields) values[field] = html.find(`#${field}`).val();
+        return values;
+    }
+}
+
+export class FoundryOutput {
+
+    notify(level, message) {
+        ui.notifications[level]?.(message);
+    }
+
+    chat({ content, flags = {} }) {
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ alias: SPEAKER_ALIAS }),
+            content,
+            flags
+        });
+    }
+
+    /**
+     * Create a journal with a single text page and open it
+     */
+    async journal({ name, content, folder = null }) {
+        const journalEntry = await JournalEntry.create({
+            name,
+            folder: folder ? await this._getOrCreateFolder(folder) : null
+        });
+
+        await journalEntry.createEmbeddedDocuments("JournalEntryPage", [{
+            name: "Voyage Log",
+            type: "text",
+            text: {
+                content,
+                markdown: false
+            }
+        }]);
+
+        journalEntry.sheet.render(true); // Auto-open the journal
+        return journalEntry;
+    }
+
+    async _getOrCreateFolder(name) {
+        const existingFolder = game.folders.find(f => f.name === name && f.type === "JournalEntry");
+        if (existingFolder) return existingFolder.id;
+
+        const folder = await Folder.create({
+            name,
+            type: "JournalEntry",
+            color: "#8b4513"
+        });
+        return folder.id;
+    }
+
+    download(content, fileName, type = "text/html") {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+        return true;
+    }
+}
+
+/**
+ * Dates come from Calendar/Time Tracker when installed, otherwise from the
+ * DnD Weather module's calendar.
+ */
+export class FoundryCalendar {
+
+    _getCTT() {
+        return game.modules?.get('calendar-time-tracker')?.api ?? null;
+    }
+
+    setStartDate({ year, month, day } = {}) {
+        if (!year || !month || !day) return;
+
+        const ctt = this._getCTT();
+        if (ctt) {
+            // CTT expects numeric month index, but voyageConfig has month name string
+            // Look up the index from CTT's calendar configuration
+            let monthIndex = month;
+            if (typeof monthIndex === 'string') {
+                const tracker = game.modules.get('calendar-time-tracker')?.timeTracker;
+                const months = tracker?.calendarSystem?.configuration?.months || [];
+                const foundIdx = months.findIndex(m => m.name === monthIndex);
+                if (foundIdx >= 0) {
+                    monthIndex = foundIdx;
+                    console.log(`[Voyage Setup] Resolved month "${month}" to CTT index ${monthIndex}`);
+                } else {
+                    console.warn(`[Voyage Setup] Could not find month "${month}" in CTT calendar, skipping setDateTime`);
+                    monthIndex = null;
+                }
+            }
+            if (monthIndex !== null) {
+                ctt.setDateTime({ year, month: monthIndex, day, hour: 6, minute: 0, second: 0 });
+                console.log(`[Voyage Setup] Date set via CTT: ${ctt.getCurrentDate().fullDateTime}`);
+            }
+            return;
+        }
+
+        const tracker = globalThis.dndWeather?.weatherSystem?.calendarTracker;
+        if (tracker) {
+            tracker.setDate({ year, month, day, hour: 6, minute: 0 });
+            console.log(`[Voyage Setup] Date set via Weather module: ${tracker.getDateString()}`);
+        }
+    }
+
+    getCurrentDate() {
+        // Priority 1: CTT module
+        const ctt = this._getCTT();
+        if (ctt) {
+            const d = ctt.getCurrentDate();
+            return d.fullDateTime || d.formatted || `${d.year}-${d.month}-${d.day}`;
+        }
+        // Priority 2: Weather module calendar
+        if (globalThis.dndWeather?.weatherSystem?.calendarTracker) {
+            return globalThis.dndWeather.weatherSystem.calendarTracker.getDateString();
+        }
+        if (globalThis.dndWeather?.weatherSystem?.currentWeather?.timestamp) {
+            return globalThis.dndWeather.weatherSystem.currentWeather.timestamp;
+        }
+        return "Unknown Date";
+    }
+
+    advanceDay() {
+        const ctt = this._getCTT();
+        if (ctt) {
+            ctt.advanceTime(1, "day");
+            return;
+        }
+        if (globalThis.dndWeather?.weatherSystem?.calendarTracker) {
+            globalThis.dndWeather.weatherSystem.calendarTracker.advanceDay();
+        }
+    }
+
+    advanceHours(hours) {
+        const ctt = this._getCTT();
+        if (ctt) {
+            ctt.advanceTime(hours, "hour");
+        }
+        // Weather module has no hour-level advance; skip
+    }
+}
+
+export function createFoundryAdapters() {
+    return {
+        settings: new FoundrySettings(),
+        prompts: new FoundryPrompts(),
+        output: new FoundryOutput(),
+        calendar: new FoundryCalendar()
+    };
+}
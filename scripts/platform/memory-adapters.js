@@ -0,0 +1,156 @@
+/**
+ * In-memory Platform Adapters
+ * Stand-ins for Foundry used when the engine runs headless. Everything is
+ * kept on the adapter instances so a harness can inspect what happened.
+ */
+
+import { WeatherGenerator } from '../voyage/weather-generator.js';
+
+/**
+ * Settings held in a Map keyed "namespace.key"
+ */
+export class MemorySettings {
+
+    constructor(initial = {}) {
+        this.values = new Map(Object.entries(initial));
+    }
+
+    register(namespace, key, data = {}) {
+        const id = `${namespace}.${key}`;
+        if (!this.values.has(id) && data.default !== undefined) {
+            this.values.set(id, structuredClone(data.default));
+        }
+    }
+
+    get(namespace, key) {
+        const value = this.values.get(`${namespace}.${key}`);
+        return value === undefined ? undefined : structuredClone(value);
+    }
+
+    async set(namespace, key, value) {
+        this.values.set(`${namespace}.${key}`, structuredClone(value));
+        return value;
+    }
+}
+
+/**
+ * Answers prompts from a script instead of a player.
+ *
+ * answers maps a prompt id to a choice key, a { choice, values } object,
+ * an array of either (used in order) or a function of the request.
+ * Prompts without a scripted answer, or answered with a disabled
+ * choice, take their default choice.
+ */
+export class ScriptedPrompts {
+
+    constructor(answers = {}) {
+        this.answers = answers;
+        this.asked = [];
+    }
+
+    async choose(request) {
+        let answer = this.answers[request.id];
+        if (Array.isArray(answer)) answer = answer.shift();
+        if (typeof answer === "function") answer = answer(request);
+        if (answer === undefined || request.choices[answer?.choice ?? answer]?.disabled) {
+            answer = request.default ?? Object.keys(request.choices)[0];
+        }
+
+        const result = typeof answer === "object" && answer !== null
+            ? { choice: answer.choice ?? null, values: answer.values || {} }
+            : { choice: answer, values: {} };
+
+        this.asked.push({ id: request.id, title: request.title, ...result });
+        return result;
+    }
+}
+
+/**
+ * Records notifications, chat cards, journals and downloads
+ */
+export class MemoryOutput {
+
+    constructor() {
+        this.notifications = [];
+        this.messages = [];
+        this.journals = [];
+        this.downloads = [];
+    }
+
+    notify(level, message) {
+        this.notifications.push({ level, message });
+        console.log(`Voyage Simulator | [${level}] ${message}`);
+    }
+
+    async chat({ content, flags = {} }) {
+        const message = { id: `msg-${this.messages.length + 1}`, content, flags };
+        this.messages.push(message);
+        return message;
+    }
+
+    async journal({ name, content, folder = null }) {
+        const entry = { id: `journal-${this.journals.length + 1}`, name, content, folder };
+        this.journals.push(entry);
+        return entry;
+    }
+
+    async download(content, fileName, type = "text/html") {
+        this.downloads.push({ content, fileName, type });
+        return true;
+    }
+}
+
+/**
+ * Day counter on a calendar of named months, the Greyhawk calendar with its
+ * festival weeks unless given another. Months are names, each
+ * daysPerMonth long, or { name, days } entries. Dates roll over at the end
+ * of each month; a month not on the calendar rolls back to its own first
+ * day. Without a start date it reports "Day N".
+ */
+export class MemoryCalendar {
+
+    constructor({ months = WeatherGenerator.CALENDAR, daysPerMonth = 28 } = {}) {
+        this.months = months.map(month => typeof month === "string" ? { name: month, days: daysPerMonth } : month);
+        this.daysPerMonth = daysPerMonth;
+        this.date = null;
+        this.dayCount = 1;
+        this.hour = 6;
+    }
+
+    setStartDate({ year, month, day } = {}) {
+        if (year && month && day) this.date = { year, month, day };
+        this.dayCount = 1;
+        this.hour = 6;
+    }
+
+    getCurrentDate() {
+        if (!this.date) return `Day ${this.dayCount}`;
+        return `${this.date.day} ${this.date.month}, ${this.date.year}`;
+    }
+
+    advanceDay() {
+        this.dayCount++;
+        if (!this.date) return;
+        this.date.day++;
+        const monthIndex = this.months.findIndex(month => month.name === this.date.month);
+        const monthLength = monthIndex >= 0 ? this.months[monthIndex].days : this.daysPerMonth;
+        if (this.date.day <= monthLength) return;
+
+        this.date.day = 1;
+        if (monthIndex < 0) return;
+        if (monthIndex === this.months.length - 1) {
+            this.date.month = this.months[0].name;
+            this.date.year++;
+        } else {
+            this.date.month = this.months[monthIndex + 1].name;
+        }
+    }
+
+    advanceHours(hours) {
+        this.hour += hours;
+        while (this.hour >= 24) {
+            this.hour -= 24;
+            this.advanceDay();
+        }
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Platform
+ * The voyage engine (simulation, trading, encounters, navigation, port
+ * systems) reaches the host application only through the adapters held
+ * here:
+ *
+ *   settings - register/get/set persisted values
+ *   prompts  - ask the player to choose between options
+ *   output   - notifications, chat cards, journal entries, file downloads
+ *   calendar - current date and advancing time
+ *
+ * Dice live in voyage/dice.js and need no host. main.js installs the
+ * Foundry adapters on init; everywhere else (Node, test harnesses) the
+ * in-memory adapters are used.
+ */
+
+import { MemorySettings, ScriptedPrompts, MemoryOutput, MemoryCalendar } from './memory-adapters.js';
+
+export class Platform {
+
+    static ADAPTERS = ["settings", "prompts", "output", "calendar"];
+
+    static settings = new MemorySettings();
+    static prompts = new ScriptedPrompts();
+    static output = new MemoryOutput();
+    static calendar = new MemoryCalendar();
+
+    /**
+     * Replace some or all adapters. Unlisted adapters are kept.
+     */
+    static install(adapters = {}) {
+        for (const key of this.ADAPTERS) {
+            if (adapters[key]) this[key] = adapters[key];
+        }
+        console.log(`Voyage Simulator | Platform adapters installed: ${this.ADAPTERS.filter(k => adapters[k]).join(", ")}`);
+    }
+
+    /**
+     * Fresh in-memory adapters, e.g. between test voyages
+     */
+    static useMemory(options = {}) {
+        this.install({
+            settings: new MemorySettings(options.settings),
+            prompts: new ScriptedPrompts(options.answers),
+            output: new MemoryOutput(),
+            calendar: new MemoryCalendar(options.calendar)
+        });
+    }
+}
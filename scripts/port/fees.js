@@ -4,6 +4,7 @@
  */
 
 import { PortRegistry } from '../data/ports.js';
+import { Dice } from '../voyage/dice.js';
 
 export class PortFees {
 
@@ -25,8 +26,7 @@ export class PortFees {
         let newTreasury = currentTreasury;
 
         // Entrance fee (d10 + 10 gp)
-        const entranceRoll = new Roll("1d10 + 10");
-        await entranceRoll.evaluate();
+        const entranceRoll = Dice.roll("1d10 + 10");
         const entranceFee = entranceRoll.total;
         
         newTreasury -= entranceFee;
@@ -38,8 +38,7 @@ export class PortFees {
         voyageLogHtmlRef.value += `<p><strong>Entrance Fee at ${portName}:</strong> ${entranceRoll.formula} = ${entranceFee} gp</p>`;
 
         // Moorage (80% chance of berth, otherwise anchor)
-        const moorageCheck = new Roll("1d100");
-        await moorageCheck.evaluate();
+        const moorageCheck = Dice.roll("1d100");
         
         let moorageCost, moorageType;
         if (moorageCheck.total <= 80) {
@@ -91,7 +90,7 @@ export class PortFees {
     static calculateDailyMoorage(moorageType, hullPoints, additionalDays) {
         if (additionalDays <= 0) return 0;
         
-        const dailyRate = moorageType === "Berth" ? hullPoints : 5;
+        const dailyRate = moorageType?.toLowerCase() === "berth" ? hullPoints : 5;
         return dailyRate * additionalDays;
     }
 
@@ -4,6 +4,8 @@
  */
 
 import { PortRegistry } from '../data/ports.js';
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
 
 export class PassengerBooking {
 
@@ -28,10 +30,8 @@ export class PassengerBooking {
         let newTreasury = currentTreasury;
 
         // Regular passengers seeking passage
-        const passRoll1 = new Roll("2d4");
-        const passRoll2 = new Roll("1d4");
-        await passRoll1.evaluate();
-        await passRoll2.evaluate();
+        const passRoll1 = Dice.roll("2d4");
+        const passRoll2 = Dice.roll("1d4");
 
         let regularPassengers = Math.max(0, passRoll1.total - passRoll2.total + portSizeMod);
 
@@ -62,8 +62,7 @@ export class PassengerBooking {
         }
 
         // Charter opportunity (5% chance)
-        const charterRoll = new Roll("1d100");
-        await charterRoll.evaluate();
+        const charterRoll = Dice.roll("1d100");
 
         if (charterRoll.total <= 5) {
             const charterResult = await this.offerCharterOpportunity(portName, automateTrading);
@@ -104,8 +103,7 @@ export class PassengerBooking {
      * Offer charter opportunity
      */
     static async offerCharterOpportunity(portName, automateTrading) {
-        const distanceRoll = new Roll("2d20");
-        await distanceRoll.evaluate();
+        const distanceRoll = Dice.roll("2d20");
         const distance = distanceRoll.total * 100;
 
         // Calculate charter fee (40 gp per ton per 500 miles, min 100 gp)
@@ -116,27 +114,21 @@ export class PassengerBooking {
             return { accepted: true, distance: distance, fee: fee };
         }
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: `Charter Opportunity - ${portName}`,
-                content: `
-                    <p>Passengers wish to charter the entire vessel!</p>
-                    <p><strong>Destination:</strong> ${distance} miles away</p>
-                    <p><strong>Charter Fee:</strong> ${fee} gp</p>
-                    <p>Accept this charter?</p>
-                `,
-                buttons: {
-                    accept: {
-                        label: "Accept Charter",
-                        callback: () => resolve({ accepted: true, distance: distance, fee: fee })
-                    },
-                    decline: {
-                        label: "Decline",
-                        callback: () => resolve({ accepted: false, distance: 0, fee: 0 })
-                    }
-                },
-                default: "decline"
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "charter",
+            title: `Charter Opportunity - ${portName}`,
+            content: `
+                <p>Passengers wish to charter the entire vessel!</p>
+                <p><strong>Destination:</strong> ${distance} miles away</p>
+                <p><strong>Charter Fee:</strong> ${fee} gp</p>
+                <p>Accept this charter?</p>
+            `,
+            choices: { accept: "Accept Charter", decline: "Decline" },
+            default: "decline"
         });
+
+        return choice === "accept"
+            ? { accepted: true, distance: distance, fee: fee }
+            : { accepted: false, distance: 0, fee: 0 };
     }
 }
\ No newline at end of file
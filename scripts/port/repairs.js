@@ -3,6 +3,9 @@
  * Handles ship repairs and maintenance
  */
 
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
 export class ShipRepairs {
 
     /**
@@ -39,112 +42,97 @@ export class ShipRepairs {
         const dailyDrydockFee = Math.round(maxHull * 5 * (1 + drydockCostModifier));
         const drydockTotalCost = (damageAmount * 100) + (drydockRepairDays * dailyDrydockFee);
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: `Ship Repairs - ${portName}`,
-                content: `
-                    <div style="margin-bottom: 15px;">
-                        <h3>🔧 Ship Condition</h3>
-                        <p><strong>Current Hull:</strong> ${currentHull}/${maxHull} (-${damageAmount} damage)</p>
-                        <p><strong>Treasury:</strong> ${treasury} gp</p>
-                        <p><strong>Port Type:</strong> ${portSize}</p>
-                    </div>
+        const canSelfRepair = proficiencyScores.shipCarpentry !== null;
+        const { choice } = await Platform.prompts.choose({
+            id: "portRepair",
+            title: `Ship Repairs - ${portName}`,
+            content: `
+                <div style="margin-bottom: 15px;">
+                    <h3>🔧 Ship Condition</h3>
+                    <p><strong>Current Hull:</strong> ${currentHull}/${maxHull} (-${damageAmount} damage)</p>
+                    <p><strong>Treasury:</strong> ${treasury} gp</p>
+                    <p><strong>Port Type:</strong> ${portSize}</p>
+                </div>
 
-                    <h3>Repair Options:</h3>
+                <h3>Repair Options:</h3>
 
-                    <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
-                        <strong>🏗️ Professional Repair</strong><br />
-                        <strong>Cost:</strong> ${damageAmount * 100} gp (100 gp/hull point)<br />
-                        <strong>Time:</strong> ${damageAmount} days<br />
-                        <strong>Quality:</strong> Permanent, full restoration
-                    </div>
+                <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
+                    <strong>🏗️ Professional Repair</strong><br />
+                    <strong>Cost:</strong> ${damageAmount * 100} gp (100 gp/hull point)<br />
+                    <strong>Time:</strong> ${damageAmount} days<br />
+                    <strong>Quality:</strong> Permanent, full restoration
+                </div>
 
-                    <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
-                        <strong>🏭 Dry Dock Repair</strong><br />
-                        <strong>Cost:</strong> ${drydockTotalCost} gp<br />
-                        <strong>Time:</strong> ${drydockRepairDays} days (40% faster)<br />
-                        <strong>Quality:</strong> Permanent, full restoration<br />
-                        <small>Dry dock fees: ${dailyDrydockFee} gp/day</small>
-                    </div>
+                <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
+                    <strong>🏭 Dry Dock Repair</strong><br />
+                    <strong>Cost:</strong> ${drydockTotalCost} gp<br />
+                    <strong>Time:</strong> ${drydockRepairDays} days (40% faster)<br />
+                    <strong>Quality:</strong> Permanent, full restoration<br />
+                    <small>Dry dock fees: ${dailyDrydockFee} gp/day</small>
+                </div>
 
-                    ${proficiencyScores.shipCarpentry !== null ? `
-                    <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
-                        <strong>🔨 Self-Repair (Ship Carpentry)</strong><br />
-                        <strong>Cost:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2)) * 50} gp<br />
-                        <strong>Time:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2))} weeks<br />
-                        <strong>Max Repair:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2))} points (≤50% hull)<br />
-                        <small>Requires proficiency checks</small>
-                    </div>
-                    ` : ''}
+                ${canSelfRepair ? `
+                <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
+                    <strong>🔨 Self-Repair (Ship Carpentry)</strong><br />
+                    <strong>Cost:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2)) * 50} gp<br />
+                    <strong>Time:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2))} weeks<br />
+                    <strong>Max Repair:</strong> ${Math.min(damageAmount, Math.floor(maxHull/2))} points (≤50% hull)<br />
+                    <small>Requires proficiency checks</small>
+                </div>
+                ` : ''}
 
-                    <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
-                        <strong>⏭️ No Repairs</strong><br />
-                        Continue voyage with current damage
-                    </div>
-                `,
-                buttons: {
-                    professional: {
-                        icon: "<i class='fas fa-hammer'></i>",
-                        label: `Professional (${damageAmount * 100} gp)`,
-                        callback: () => {
-                            if (treasury >= damageAmount * 100) {
-                                resolve({
-                                    method: "professional",
-                                    repairCost: damageAmount * 100,
-                                    repairDays: damageAmount,
-                                    newHull: maxHull,
-                                    newTreasury: treasury - (damageAmount * 100)
-                                });
-                            } else {
-                                ui.notifications.error("Insufficient funds!");
-                                resolve({ repairCost: 0, repairDays: 0, newHull: currentHull, newTreasury: treasury });
-                            }
-                        }
-                    },
-                    drydock: {
-                        icon: "<i class='fas fa-industry'></i>",
-                        label: `Dry Dock (${drydockTotalCost} gp)`,
-                        callback: () => {
-                            if (treasury >= drydockTotalCost) {
-                                resolve({
-                                    method: "drydock",
-                                    repairCost: drydockTotalCost,
-                                    repairDays: drydockRepairDays,
-                                    newHull: maxHull,
-                                    newTreasury: treasury - drydockTotalCost
-                                });
-                            } else {
-                                ui.notifications.error("Insufficient funds!");
-                                resolve({ repairCost: 0, repairDays: 0, newHull: currentHull, newTreasury: treasury });
-                            }
-                        }
-                    },
-                    ...(proficiencyScores.shipCarpentry !== null ? {
-                        selfrepair: {
-                            icon: "<i class='fas fa-tools'></i>",
-                            label: "Self-Repair",
-                            callback: async () => {
-                                const result = await this.performSelfRepair(
-                                    damageAmount,
-                                    maxHull,
-                                    currentHull,
-                                    treasury,
-                                    proficiencyScores.shipCarpentry,
-                                    totalDays
-                                );
-                                resolve(result);
-                            }
-                        }
-                    } : {}),
-                    none: {
-                        icon: "<i class='fas fa-times'></i>",
-                        label: "No Repairs",
-                        callback: () => resolve({ repairCost: 0, repairDays: 0, newHull: currentHull, newTreasury: treasury })
-                    }
-                },
-                default: "professional"
-            }).render(true);
+                <div style="border: 1px solid #ccc; padding: 10px; margin: 10px 0; border-radius: 5px;">
+                    <strong>⏭️ No Repairs</strong><br />
+                    Continue voyage with current damage
+                </div>
+            `,
+            choices: {
+                professional: { icon: "<i class='fas fa-hammer'></i>", label: `Professional (${damageAmount * 100} gp)` },
+                drydock: { icon: "<i class='fas fa-industry'></i>", label: `Dry Dock (${drydockTotalCost} gp)` },
+                ...(canSelfRepair ? { selfrepair: { icon: "<i class='fas fa-tools'></i>", label: "Self-Repair" } } : {}),
+                none: { icon: "<i class='fas fa-times'></i>", label: "No Repairs" }
+            },
+            default: "professional"
         });
+
+        const noRepair = { repairCost: 0, repairDays: 0, newHull: currentHull, newTreasury: treasury };
+        if (choice === "professional") {
+            if (treasury < damageAmount * 100) {
+                Platform.output.notify("error", "Insufficient funds!");
+                return noRepair;
+            }
+            return {
+                method: "professional",
+                repairCost: damageAmount * 100,
+                repairDays: damageAmount,
+                newHull: maxHull,
+                newTreasury: treasury - (damageAmount * 100)
+            };
+        }
+        if (choice === "drydock") {
+            if (treasury < drydockTotalCost) {
+                Platform.output.notify("error", "Insufficient funds!");
+                return noRepair;
+            }
+            return {
+                method: "drydock",
+                repairCost: drydockTotalCost,
+                repairDays: drydockRepairDays,
+                newHull: maxHull,
+                newTreasury: treasury - drydockTotalCost
+            };
+        }
+        if (choice === "selfrepair") {
+            return this.performSelfRepair(
+                damageAmount,
+                maxHull,
+                currentHull,
+                treasury,
+                proficiencyScores.shipCarpentry,
+                totalDays
+            );
+        }
+        return noRepair;
     }
 
     /**
@@ -155,7 +143,7 @@ export class ShipRepairs {
         const selfRepairCost = maxSelfRepair * 50;
 
         if (treasury < selfRepairCost) {
-            ui.notifications.error("Insufficient funds for materials!");
+            Platform.output.notify("error", "Insufficient funds for materials!");
             return { repairCost: 0, repairDays: 0, newHull: currentHull, newTreasury: treasury };
         }
 
@@ -163,14 +151,12 @@ export class ShipRepairs {
         let temporaryRepairs = [];
 
         for (let i = 0; i < maxSelfRepair; i++) {
-            const profCheck = new Roll("1d20");
-            await profCheck.evaluate();
+            const profCheck = Dice.roll("1d20");
 
             if (profCheck.total <= carpentryScore) {
                 successfulRepairs++;
             } else {
-                const durationRoll = new Roll("1d6");
-                await durationRoll.evaluate();
+                const durationRoll = Dice.roll("1d6");
                 
                 temporaryRepairs.push({
                     points: 1,
@@ -203,65 +189,55 @@ export class ShipRepairs {
 
         const availableRepair = Math.min(damageAmount, maxEmergencyRepair - currentHull);
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: "Emergency At-Sea Repairs",
-                content: `
-                    <h3>⚓ Emergency Repairs</h3>
-                    <p><strong>Current Hull:</strong> ${currentHull}/${maxHull}</p>
-                    <p><strong>Available Repair:</strong> Up to ${availableRepair} points</p>
-                    
-                    <div style="border: 1px solid orange; padding: 10px; margin: 10px 0; background: #fff8dc;">
-                        <strong>🔧 Makeshift Repair</strong><br />
-                        <strong>Time:</strong> 1 hour per hull point<br />
-                        <strong>Duration:</strong> Temporary (d6 days)<br />
-                        <strong>Requirements:</strong> 10 crew, ship idle
-                    </div>
-
-                    <p>Hull points to repair:</p>
-                    <input type="number" id="repairAmount" min="0" max="${availableRepair}" 
-                           value="${Math.min(availableRepair, 3)}" style="width: 100px;">
-                `,
-                buttons: {
-                    repair: {
-                        icon: "<i class='fas fa-wrench'></i>",
-                        label: "Make Repairs",
-                        callback: async (html) => {
-                            const repairPoints = parseInt(html.find("#repairAmount").val()) || 0;
-                            
-                            if (repairPoints > 0) {
-                                const temporaryRepairs = [];
-                                
-                                for (let i = 0; i < repairPoints; i++) {
-                                    const durationRoll = new Roll("1d6");
-                                    await durationRoll.evaluate();
-                                    
-                                    temporaryRepairs.push({
-                                        points: 1,
-                                        expiresDay: totalDays + durationRoll.total
-                                    });
-                                }
+        const { choice, values } = await Platform.prompts.choose({
+            id: "emergencyRepair",
+            title: "Emergency At-Sea Repairs",
+            content: `
+                <h3>⚓ Emergency Repairs</h3>
+                <p><strong>Current Hull:</strong> ${currentHull}/${maxHull}</p>
+                <p><strong>Available Repair:</strong> Up to ${availableRepair} points</p>
+                
+                <div style="border: 1px solid orange; padding: 10px; margin: 10px 0; background: #fff8dc;">
+                    <strong>🔧 Makeshift Repair</strong><br />
+                    <strong>Time:</strong> 1 hour per hull point<br />
+                    <strong>Duration:</strong> Temporary (d6 days)<br />
+                    <strong>Requirements:</strong> 10 crew, ship idle
+                </div>
 
-                                resolve({
-                                    repairPoints: repairPoints,
-                                    repairHours: repairPoints,
-                                    newHull: currentHull + repairPoints,
-                                    temporaryRepairs: temporaryRepairs
-                                });
-                            } else {
-                                resolve({ repairPoints: 0, repairHours: 0 });
-                            }
-                        }
-                    },
-                    cancel: {
-                        icon: "<i class='fas fa-times'></i>",
-                        label: "Cancel",
-                        callback: () => resolve({ repairPoints: 0, repairHours: 0 })
-                    }
-                },
-                default: "repair"
-            }).render(true);
+                <p>Hull points to repair:</p>
+                <input type="number" id="repairAmount" min="0" max="${availableRepair}" 
+                       value="${Math.min(availableRepair, 3)}" style="width: 100px;">
+            `,
+            choices: {
+                repair: { icon: "<i class='fas fa-wrench'></i>", label: "Make Repairs" },
+                cancel: { icon: "<i class='fas fa-times'></i>", label: "Cancel" }
+            },
+            default: "repair",
+            fields: ["repairAmount"]
         });
+
+        if (choice !== "repair") return { repairPoints: 0, repairHours: 0 };
+
+        const requested = values.repairAmount === undefined ? Math.min(availableRepair, 3) : parseInt(values.repairAmount) || 0;
+        const repairPoints = Math.min(Math.max(requested, 0), availableRepair);
+        if (repairPoints <= 0) return { repairPoints: 0, repairHours: 0 };
+
+        const temporaryRepairs = [];
+        for (let i = 0; i < repairPoints; i++) {
+            const durationRoll = Dice.roll("1d6");
+            
+            temporaryRepairs.push({
+                points: 1,
+                expiresDay: totalDays + durationRoll.total
+            });
+        }
+
+        return {
+            repairPoints: repairPoints,
+            repairHours: repairPoints,
+            newHull: currentHull + repairPoints,
+            temporaryRepairs: temporaryRepairs
+        };
     }
 
     /**
@@ -0,0 +1,100 @@
+/**
+ * Cargo Hold
+ * The ship's hold as a list of lots. Each lot is one purchase (or one
+ * consignment) and keeps its own price, origin and perishability clock:
+ *
+ *   { id, type, good, loads, purchasePrice, purchasePort, purchaseLegIndex,
+ *     milesCarried, daysAboard, consignment, contract }
+ *
+ * type is the cargo category the lot is priced as; good is the concrete
+ * trade good (GoodsRegistry id), null for lots from older saves. contract
+ * is the id of the consignment contract the lot is carried under.
+ *
+ * milesCarried/daysAboard count from the lot's last transaction, which is
+ * the distance the perishability rules test against.
+ */
+
+import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+
+export class CargoHold {
+
+    /**
+     * Build a new lot
+     */
+    static createLot(hold, { type, good = null, loads, purchasePrice = 0, purchasePort = null, purchaseLegIndex = 0, consignment = false, contract = null }) {
+        const nextId = hold.reduce((max, lot) => Math.max(max, lot.id || 0), 0) + 1;
+        return {
+            id: nextId,
+            type,
+            good,
+            loads,
+            purchasePrice,
+            purchasePort,
+            purchaseLegIndex,
+            milesCarried: 0,
+            daysAboard: 0,
+            consignment,
+            contract
+        };
+    }
+
+    /**
+     * Add a lot to the hold and return it
+     */
+    static addLot(hold, data) {
+        const lot = this.createLot(hold, data);
+        hold.push(lot);
+        return lot;
+    }
+
+    static totalLoads(hold) {
+        return (hold || []).reduce((sum, lot) => sum + (lot.loads || 0), 0);
+    }
+
+    /**
+     * Remove loads from a lot, dropping the lot once it is empty
+     */
+    static removeLoads(hold, lotId, loads) {
+        const index = hold.findIndex(lot => lot.id === lotId);
+        if (index < 0) return;
+        hold[index].loads -= loads;
+        if (hold[index].loads <= 0) hold.splice(index, 1);
+    }
+
+    /**
+     * Advance every lot's perishability clock by a day at sea
+     */
+    static age(hold, miles, days = 1) {
+        for (const lot of hold || []) {
+            lot.milesCarried += miles;
+            lot.daysAboard += days;
+        }
+    }
+
+    static lotName(lot) {
+        return GoodsRegistry.get(lot.good)?.name || CargoRegistry.get(lot.type)?.name || lot.type;
+    }
+
+    /**
+     * One-line summary, e.g. "8 loads of Silk, 4 loads of Verbobonc Wine"
+     */
+    static describe(hold) {
+        if (!hold || hold.length === 0) return "Empty hold";
+        return hold.map(lot => `${lot.loads} loads of ${this.lotName(lot)}${lot.consignment ? " (consignment)" : ""}`).join(", ");
+    }
+
+    /**
+     * Voyages saved with the single currentCargo slot
+     */
+    static fromLegacy(currentCargo) {
+        if (!currentCargo?.type || !(currentCargo.loads > 0)) return [];
+        return [this.createLot([], {
+            type: currentCargo.type,
+            loads: currentCargo.loads,
+            purchasePrice: currentCargo.purchasePrice || 0,
+            purchaseLegIndex: currentCargo.purchaseLegIndex ?? 0,
+            consignment: !(currentCargo.purchasePrice > 0)
+        })];
+    }
+}
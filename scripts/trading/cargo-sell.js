@@ -5,26 +5,25 @@
 
 import { CargoRegistry } from '../data/cargo.js';
 import { PortRegistry } from '../data/ports.js';
+import { MarketRegistry } from '../data/markets.js';
+import { GoodsRegistry } from '../data/goods.js';
 import { ProficiencySystem } from './proficiency.js';
 import { CargoPerishability } from './perishability.js';
 import { PortAgentSystem } from './port-agent.js';
-
-/**
- * Calculate transport fee for consignment cargo
- * Rules: 40 gp per ton (2 loads) per 500 miles, minimum 100 gp
- */
-function calculateTransportFee(loads, distanceMiles) {
-    const tons = loads / 2; // 2 loads = 1 ton
-    const segments = Math.ceil(distanceMiles / 500); // How many 500-mile segments
-    const fee = tons * 40 * segments;
-    
-    return Math.max(fee, 100); // Minimum 100 gp
-}
+import { CustomsSystem } from './customs.js';
+import { TradingStrategy } from './trading-strategy.js';
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
 
 export class CargoSelling {
 
+    // Contraband fetches a premium from black market buyers
+    static BLACK_MARKET_DEMAND = 2;
+
     /**
-     * Handle cargo sale at a port
+     * Sell one or more lots at a port. Agent, customs and smuggling are
+     * settled once for the whole sale; price and spoilage are rolled per lot
+     * against that lot's own distance carried.
      */
     static async handleCargoSale(params) {
         const {
@@ -35,14 +34,12 @@ export class CargoSelling {
             automateTrading,
             currentPortActivity,
             voyageLogHtmlRef,
-            currentCargoType,
-            currentLoads,
-            currentPurchaseCost,
+            lots,
             tradeMode,
             commissionRate,
-            distanceTraveled,
             crewQualityMod,
-            crewEarningsFromTrade
+            crewEarningsFromTrade,
+            tradeStrategy = TradingStrategy.DEFAULT_STRATEGY
         } = params;
 
         const portName = PortRegistry.get(portId).name;
@@ -69,25 +66,21 @@ export class CargoSelling {
                 // Manual mode: offer port agent
                 portAgent = await PortAgentSystem.generateAgent();
                 
-                const agentChoice = await new Promise((resolve) => {
-                    new Dialog({
-                        title: "Port Agent Available",
-                        content: `
-                            <p>Hire a port agent to handle the sale?</p>
-                            <p><strong>Agent Skills:</strong> Bargaining ${portAgent.skillScore}, Appraisal ${portAgent.skillScore}</p>
-                            <p><strong>Fee:</strong> ${portAgent.feePercent}% of sale proceeds</p>
-                            <p><strong>Penalty:</strong> -1 to demand roll</p>
-                            <p><strong>Your Skills:</strong> Bargaining ${captainProficiencyScores.bargaining || 'none'}, Appraisal ${captainProficiencyScores.appraisal || 'none'}</p>
-                        `,
-                        buttons: {
-                            hire: { label: "Hire Agent", callback: () => resolve(true) },
-                            skip: { label: "No Thanks", callback: () => resolve(false) }
-                        },
-                        default: "skip"
-                    }).render(true);
+                const { choice: agentChoice } = await Platform.prompts.choose({
+                    id: "saleAgent",
+                    title: "Port Agent Available",
+                    content: `
+                        <p>Hire a port agent to handle the sale?</p>
+                        <p><strong>Agent Skills:</strong> Bargaining ${portAgent.skillScore}, Appraisal ${portAgent.skillScore}</p>
+                        <p><strong>Fee:</strong> ${portAgent.feePercent}% of sale proceeds</p>
+                        <p><strong>Penalty:</strong> -1 to demand roll</p>
+                        <p><strong>Your Skills:</strong> Bargaining ${captainProficiencyScores.bargaining || 'none'}, Appraisal ${captainProficiencyScores.appraisal || 'none'}</p>
+                    `,
+                    choices: { hire: "Hire Agent", skip: "No Thanks" },
+                    default: "skip"
                 });
                 
-                if (agentChoice) {
+                if (agentChoice === "hire") {
                     usingPortAgent = true;
                     voyageLogHtmlRef.value += `<p><strong>Port Agent Hired:</strong> Skill ${portAgent.skillScore}, Fee ${portAgent.feePercent}%</p>`;
                     currentPortActivity.activities.push(`Hired port agent for sale (skill ${portAgent.skillScore}, fee ${portAgent.feePercent}%)`);
@@ -96,35 +89,33 @@ export class CargoSelling {
         }
 
         // Customs delay
-        const cDelayRoll = new Roll("1d6");
-        await cDelayRoll.evaluate();
+        const cDelayRoll = Dice.roll("1d6");
         voyageLogHtmlRef.value += `<p><strong>Customs Delay:</strong> ${cDelayRoll.total} hours.</p>`;
 
-        // Check if smuggling proficiency exists
+        // Duty is owed on everything landed legally; contraband goes to the black market
         let attemptSmuggling = false;
         let finalTaxAmount = 0;
         let finalTaxPercent = 0;
         let finalSmugglingNote = "";
+        let customsFine = 0;
+        let customsBribe = 0;
 
-        // Roll for base tax rate first
-        const taxRoll = new Roll("2d10");
-        await taxRoll.evaluate();
-        const baseTaxPercent = Math.clamp(taxRoll.total, 1, 100);
+        const dutiableLots = lots.filter(lot => !lot.good || GoodsRegistry.isLegalAt(lot.good, portId));
+        const tariff = CustomsSystem.getTariff(portId);
+        const baseTaxPercent = tariff.percent;
 
         // Calculate estimated tax for decision-making
-        const baseCargoValue = CargoRegistry.get(currentCargoType).baseValue * currentLoads;
-        const estimatedTax = Math.floor(baseCargoValue * (baseTaxPercent / 100));
+        const estimatedTax = Math.floor(CustomsSystem.lotValue(dutiableLots) * (baseTaxPercent / 100));
 
         // Decide whether to attempt smuggling
-        if (captainProficiencyScores.smuggling !== null && captainProficiencyScores.smuggling > 0) {
+        const strategy = TradingStrategy.getStrategy(tradeStrategy);
+        if (estimatedTax > 0) {
             if (automateTrading) {
-                // Auto-decide: only smuggle if high proficiency AND high tax
-                attemptSmuggling = (captainProficiencyScores.smuggling >= 12 && estimatedTax > 500);
-                
+                attemptSmuggling = TradingStrategy.shouldEvadeDuties(tradeStrategy, estimatedTax);
                 if (attemptSmuggling) {
-                    voyageLogHtmlRef.value += `<p><em>Captain decides to attempt smuggling (tax would be: ${estimatedTax} gp, proficiency: ${captainProficiencyScores.smuggling})</em></p>`;
+                    voyageLogHtmlRef.value += `<p><em>${strategy.name}: landing cargo without paying duty (duty would be ${estimatedTax} gp, proficiency: ${captainProficiencyScores.smuggling ?? 'none'})</em></p>`;
                 }
-            } else {
+            } else if (captainProficiencyScores.smuggling || strategy.evadeDuties) {
                 // Manual mode - ask player
                 attemptSmuggling = await this.offerSmugglingChoice(portName, captainProficiencyScores);
             }
@@ -132,31 +123,35 @@ export class CargoSelling {
 
         // Process smuggling or normal customs
         if (attemptSmuggling) {
-            const smugglingCheck = await ProficiencySystem.makeProficiencyCheck(
-                "smuggling",
+            const inspection = await CustomsSystem.inspect({
+                portId,
                 captainProficiencyScores,
                 lieutenantSkills,
                 crewQualityMod,
-                0
-            );
+                logRef: voyageLogHtmlRef
+            });
 
-            if (smugglingCheck.success) {
-                finalTaxPercent = 0;
-                finalTaxAmount = 0;
+            if (!inspection.caught) {
                 finalSmugglingNote = "Successfully avoided customs inspection";
-                voyageLogHtmlRef.value += `<p><strong>Smuggling SUCCESS:</strong> No customs fees!</p>`;
+                voyageLogHtmlRef.value += `<p><strong>Smuggling SUCCESS:</strong> No customs duty!</p>`;
             } else {
-                // Failed smuggling = 10x penalty
-                finalTaxAmount = estimatedTax * 10;
-                finalTaxPercent = baseTaxPercent * 10;
-                finalSmugglingNote = `Smuggling failed - ${finalTaxPercent}% fine`;
-                voyageLogHtmlRef.value += `<p><strong>Smuggling FAILED:</strong> ${finalTaxPercent}% fine (${finalTaxAmount} gp)!</p>`;
+                const outcome = await CustomsSystem.resolveCaught({
+                    portId,
+                    fine: estimatedTax * CustomsSystem.DUTY_FINE_MULTIPLIER,
+                    contraband: false,
+                    treasury: newTreasury,
+                    evadeByDefault: strategy.evadeDuties,
+                    automateTrading,
+                    logRef: voyageLogHtmlRef
+                });
+                customsFine = outcome.fine;
+                customsBribe = outcome.bribe;
+                finalSmugglingNote = customsBribe > 0 ? `Smuggling caught - ${customsBribe} gp bribe` : `Smuggling failed - ${customsFine} gp fine`;
             }
-        } else {
+        } else if (dutiableLots.length > 0) {
             // Normal customs processing with appraisal
             const cargoValue = await this.processCustomsAppraisal(
-                currentCargoType,
-                currentLoads,
+                dutiableLots,
                 captainProficiencyScores,
                 lieutenantSkills,
                 crewQualityMod,
@@ -164,52 +159,157 @@ export class CargoSelling {
             );
             finalTaxPercent = baseTaxPercent;
             finalTaxAmount = Math.floor(cargoValue * (finalTaxPercent / 100));
-            voyageLogHtmlRef.value += `<p><strong>Customs Tax:</strong> ${finalTaxPercent}% of ${cargoValue} gp = ${finalTaxAmount} gp.</p>`;
+            voyageLogHtmlRef.value += `<p><strong>Customs Tax:</strong> ${finalTaxPercent}%${tariff.rolled ? "" : " tariff"} of ${cargoValue} gp = ${finalTaxAmount} gp.</p>`;
+        }
+
+        // Price, spoil and split each lot
+        const saleContext = {
+            portId,
+            portName,
+            portSize,
+            portSizeMod,
+            profScores: usingPortAgent ? portAgent.proficiencyScores : captainProficiencyScores,
+            lieutenantSkills,
+            crewQualityMod,
+            voyageLogHtmlRef,
+            usingPortAgent,
+            tradeMode,
+            commissionRate
+        };
+        const sales = [];
+        for (const lot of lots) {
+            sales.push(await this._sellLot(lot, saleContext));
+        }
+
+        const loadsSold = sales.reduce((sum, sale) => sum + sale.loadsSold, 0);
+        if (loadsSold === 0) {
+            // Everything spoiled - nothing reaches the customs house
+            return {
+                lots: sales,
+                loadsSold: 0,
+                newTreasury: currentTreasury,
+                newCrewEarningsFromTrade: crewEarningsFromTrade,
+                taxAmount: 0,
+                customsFine: 0,
+                customsBribe: 0,
+                agentFee: 0,
+                totalSaleValueForOwner: 0,
+                spoiledAll: true
+            };
         }
 
+        const totalSaleValue = sales.reduce((sum, sale) => sum + sale.totalSaleValue, 0);
+        const totalSaleValueForOwner = sales.reduce((sum, sale) => sum + sale.totalSaleValueForOwner, 0);
+        const totalSaleValueToConsignor = sales.reduce((sum, sale) => sum + sale.totalSaleValueToConsignor, 0);
+        const crewDirectTradeEarnings = sales.reduce((sum, sale) => sum + sale.crewDirectTradeEarnings, 0);
+
+        newTreasury += totalSaleValueForOwner;
+        newCrewEarningsFromTrade += crewDirectTradeEarnings;
+
+        // Deduct duty, fines and bribes from owner's treasury
+        newTreasury -= finalTaxAmount + customsFine + customsBribe;
+        
+        // Deduct port agent fee if used
+        let agentFee = 0;
+        if (usingPortAgent && portAgent) {
+            agentFee = PortAgentSystem.calculateFee(totalSaleValue, portAgent.feePercent);
+            newTreasury -= agentFee;
+            voyageLogHtmlRef.value += `<p><strong>Port Agent Fee:</strong> ${agentFee} gp (${portAgent.feePercent}% of ${totalSaleValue} gp)</p>`;
+        }
+
+        // Log final treasury change summary
+        const treasuryChange = newTreasury - currentTreasury;
+        const changeSign = treasuryChange >= 0 ? '+' : '';
+        voyageLogHtmlRef.value += `<p><strong>Treasury Update:</strong> ${currentTreasury} gp → ${newTreasury} gp (${changeSign}${treasuryChange} gp from this sale)</p>`;
+
+        return {
+            lots: sales,
+            loadsSold,
+            totalSaleValueToConsignor,
+            totalSaleValueForOwner,
+            taxAmount: finalTaxAmount,
+            taxPercentFinal: finalTaxPercent,
+            customsFine,
+            customsBribe,
+            smugglingNote: finalSmugglingNote,
+            agentFee,
+            crewDirectTradeEarnings,
+            newCrewEarningsFromTrade,
+            newTreasury,
+            action: "sold"
+        };
+    }
+
+    /**
+     * Price one lot, apply spoilage for the distance it was carried and
+     * split the proceeds for the trade mode
+     */
+    static async _sellLot(lot, context) {
+        const { portId, portName, portSize, portSizeMod, profScores, lieutenantSkills, crewQualityMod,
+            voyageLogHtmlRef, usingPortAgent, tradeMode, commissionRate } = context;
+        const cargoName = GoodsRegistry.get(lot.good)?.name || CargoRegistry.get(lot.type)?.name || lot.type;
+        const distanceTraveled = lot.milesCarried || 0;
+
+        // Goods sought at this port sell as if demand were a step higher
+        let marketDemand = MarketRegistry.getDemandModifier(portId, lot.type);
+        if (GoodsRegistry.isWantedAt(lot.good, portId)) {
+            marketDemand += 1;
+            voyageLogHtmlRef.value += `<p><em>${cargoName} is sought in ${portName}: +1 demand.</em></p>`;
+        }
+        if (lot.good && !GoodsRegistry.isLegalAt(lot.good, portId)) {
+            marketDemand += this.BLACK_MARKET_DEMAND;
+            voyageLogHtmlRef.value += `<p><em>${cargoName} is prohibited in ${portName}; sold on the black market: +${this.BLACK_MARKET_DEMAND} demand.</em></p>`;
+        }
+
+        const sale = {
+            lotId: lot.id,
+            cargoType: lot.type,
+            good: lot.good,
+            loadsSold: 0,
+            loadsSpoiled: 0,
+            pricePerLoad: 0,
+            totalSaleValue: 0,
+            totalSaleValueForOwner: 0,
+            totalSaleValueToConsignor: 0,
+            crewDirectTradeEarnings: 0
+        };
+
         // Calculate sale price with all modifiers (includes distance roll)
         let saleResult = await this.calculateSalePrice(
-            currentCargoType,
-            currentLoads,
+            lot.type,
+            lot.loads,
             portSize,
             portSizeMod,
             distanceTraveled,
-            usingPortAgent ? portAgent.proficiencyScores : captainProficiencyScores,
+            profScores,
             lieutenantSkills,
             crewQualityMod,
             voyageLogHtmlRef,
-            usingPortAgent
+            usingPortAgent,
+            marketDemand
         );
 
         // Check perishability using the same distance roll from sale calculation
-        let actualLoads = currentLoads;
-        let actualPurchaseCost = currentPurchaseCost;
+        let actualLoads = lot.loads;
         
         if (saleResult.distanceRollInfo) {
             const perishResult = await CargoPerishability.applyPerishability(
                 saleResult.distanceRollInfo,
-                currentLoads,
+                lot.loads,
                 voyageLogHtmlRef,
-                portName
+                portName,
+                lot.good
             );
+            sale.loadsSpoiled = perishResult.loadsLost;
             
             if (!perishResult.success || perishResult.loadsRemaining === 0) {
-                // All cargo spoiled - return early
-                return {
-                    newTreasury: currentTreasury,
-                    newCrewEarningsFromTrade: crewEarningsFromTrade,
-                    taxAmount: 0,
-                    totalSaleValueForOwner: 0,
-                    spoiledAll: true
-                };
+                // Whole lot spoiled
+                return sale;
             }
             
             if (perishResult.loadsLost > 0) {
                 // Some cargo spoiled - recalculate sale value with remaining loads
                 actualLoads = perishResult.loadsRemaining;
-                actualPurchaseCost = Math.floor(currentPurchaseCost * (actualLoads / currentLoads));
-                
-                // Recalculate total sale value with remaining loads
                 saleResult = {
                     ...saleResult,
                     totalSaleValue: saleResult.pricePerLoad * actualLoads
@@ -217,101 +317,54 @@ export class CargoSelling {
             }
         }
 
-        // Handle profit distribution based on trade mode
-        let totalSaleValueForOwner = 0;
-        let totalSaleValueToConsignor = 0;
-        let crewDirectTradeEarnings = 0;
+        sale.loadsSold = actualLoads;
+        sale.pricePerLoad = saleResult.pricePerLoad;
+        sale.totalSaleValue = saleResult.totalSaleValue;
 
         if (tradeMode === "speculation") {
             // SPECULATION MODE (Ship Owner)
             // Rules: "A ship owner engages in speculation typically takes 50% of the profits, 
             // with the remainder split in shares amongst the captain and crew."
             
+            const actualPurchaseCost = lot.purchasePrice * actualLoads;
             const cargoGrossProfit = saleResult.totalSaleValue - actualPurchaseCost;
             
-            voyageLogHtmlRef.value += `<p><strong>Cargo Sale:</strong> ${actualLoads} loads @ ${saleResult.pricePerLoad} gp/load = ${saleResult.totalSaleValue} gp gross.</p>`;
+            voyageLogHtmlRef.value += `<p><strong>Cargo Sale:</strong> ${actualLoads} loads of ${cargoName} @ ${saleResult.pricePerLoad} gp/load = ${saleResult.totalSaleValue} gp gross.</p>`;
             
             if (cargoGrossProfit > 0) {
                 // Owner gets 50% of profit, crew gets 50% of profit
                 const ownerProfitShare = Math.floor(cargoGrossProfit * 0.50);
-                crewDirectTradeEarnings = Math.floor(cargoGrossProfit * 0.50);
+                sale.crewDirectTradeEarnings = Math.floor(cargoGrossProfit * 0.50);
                 
                 // Owner receives: original investment + their share of profit
-                totalSaleValueForOwner = actualPurchaseCost + ownerProfitShare;
+                sale.totalSaleValueForOwner = actualPurchaseCost + ownerProfitShare;
                 
-                voyageLogHtmlRef.value += `<p><strong>Speculation Profit:</strong> Gross profit ${cargoGrossProfit} gp. Owner receives ${totalSaleValueForOwner} gp (cost recovery + 50% profit). Crew earns ${crewDirectTradeEarnings} gp (50% profit).</p>`;
+                voyageLogHtmlRef.value += `<p><strong>Speculation Profit:</strong> Gross profit ${cargoGrossProfit} gp. Owner receives ${sale.totalSaleValueForOwner} gp (cost recovery + 50% profit). Crew earns ${sale.crewDirectTradeEarnings} gp (50% profit).</p>`;
             } else {
                 // Loss or break-even - owner gets sale value, crew gets nothing
-                crewDirectTradeEarnings = 0;
-                totalSaleValueForOwner = saleResult.totalSaleValue;
+                sale.totalSaleValueForOwner = saleResult.totalSaleValue;
                 
-                voyageLogHtmlRef.value += `<p><strong>Speculation Loss:</strong> Purchased for ${actualPurchaseCost} gp, sold for ${saleResult.totalSaleValue} gp. Loss: ${Math.abs(cargoGrossProfit)} gp. Owner receives ${totalSaleValueForOwner} gp.</p>`;
+                voyageLogHtmlRef.value += `<p><strong>Speculation Loss:</strong> Purchased for ${actualPurchaseCost} gp, sold for ${saleResult.totalSaleValue} gp. Loss: ${Math.abs(cargoGrossProfit)} gp. Owner receives ${sale.totalSaleValueForOwner} gp.</p>`;
             }
-            
-            newTreasury += totalSaleValueForOwner;
-            newCrewEarningsFromTrade += crewDirectTradeEarnings;
-            
         } else {
             // CONSIGNMENT MODE
             // Rules: "The captain or guild representative sells the cargo for the best possible price, 
             // with 10-40% of the sale to the ship's crew."
             
             // Crew gets their commission (10-40% of sale, based on commissionRate setting)
-            const crewCommission = Math.floor(saleResult.totalSaleValue * (commissionRate / 100));
-            crewDirectTradeEarnings = crewCommission;
-            
-            // Consignor gets the rest
-            totalSaleValueToConsignor = saleResult.totalSaleValue - crewCommission;
+            sale.crewDirectTradeEarnings = Math.floor(saleResult.totalSaleValue * (commissionRate / 100));
             
-            // Calculate transport fee: 40 gp per ton (2 loads) per 500 miles
-            // Get the distance for this leg (passed in as distanceTraveled)
-            const transportFee = calculateTransportFee(currentLoads, distanceTraveled);
+            // Consignor gets the rest; the ship's freight is settled under the contract
+            sale.totalSaleValueToConsignor = saleResult.totalSaleValue - sale.crewDirectTradeEarnings;
             
-            // Owner receives second half of transport fee (first half was paid upfront)
-            const deliveryPayment = Math.floor(transportFee / 2);
-            totalSaleValueForOwner = deliveryPayment;
-            
-            voyageLogHtmlRef.value += `<p><strong>Transport Fee (delivery payment):</strong> ${deliveryPayment} gp (${transportFee} gp total for ${distanceTraveled} miles)</p>`;
-            
-            newTreasury += totalSaleValueForOwner;
-            newCrewEarningsFromTrade += crewDirectTradeEarnings;
+            voyageLogHtmlRef.value += `<p><strong>Consignment Sale:</strong> ${actualLoads} loads of ${cargoName} @ ${saleResult.pricePerLoad} gp/load = ${saleResult.totalSaleValue} gp. Crew commission ${sale.crewDirectTradeEarnings} gp (${commissionRate}%), consignor receives ${sale.totalSaleValueToConsignor} gp.</p>`;
         }
 
-        // Deduct tax from owner's treasury
-        if (finalTaxAmount > 0) {
-            newTreasury -= finalTaxAmount;
-        }
-        
-        // Deduct port agent fee if used
-        if (usingPortAgent && portAgent) {
-            const agentFee = PortAgentSystem.calculateFee(saleResult.totalSaleValue, portAgent.feePercent);
-            newTreasury -= agentFee;
-            voyageLogHtmlRef.value += `<p><strong>Port Agent Fee:</strong> ${agentFee} gp (${portAgent.feePercent}% of ${saleResult.totalSaleValue} gp)</p>`;
-        }
-
-        // Log final treasury change summary
-        const treasuryChange = newTreasury - currentTreasury;
-        const changeSign = treasuryChange >= 0 ? '+' : '';
-        voyageLogHtmlRef.value += `<p><strong>Treasury Update:</strong> ${currentTreasury} gp → ${newTreasury} gp (${changeSign}${treasuryChange} gp from this sale)</p>`;
-
-        return {
-            loadsSold: currentLoads,
-            salePricePerLoad: saleResult.pricePerLoad,
-            totalSaleValueToConsignor,
-            totalSaleValueForOwner,
-            taxAmount: finalTaxAmount,
-            taxPercentFinal: finalTaxPercent,
-            smugglingNote: finalSmugglingNote,
-            crewDirectTradeEarnings,
-            newCrewEarningsFromTrade,
-            newTreasury,
-            cargoType: currentCargoType,
-            action: "sold"
-        };
+        return sale;
     }
 
-    static async processCustomsAppraisal(cargoType, loads, profScores, ltSkills, crewQualityMod, logRef) {
-        const baseValue = CargoRegistry.get(cargoType).baseValue * loads;
+    static async processCustomsAppraisal(lots, profScores, ltSkills, crewQualityMod, logRef) {
+        const baseValue = lots.reduce((sum, lot) => sum + CargoRegistry.get(lot.type).baseValue * lot.loads, 0);
         let adjustmentPercent = 0;
 
         if (profScores.appraisal !== null) {
@@ -332,10 +385,9 @@ export class CargoSelling {
         return Math.max(0, Math.floor(baseValue * (100 + adjustmentPercent) / 100));
     }
 
-    static async calculateSalePrice(cargoType, loads, portSize, portSizeMod, distance, profScores, ltSkills, crewQualityMod, logRef, usingPortAgent = false) {
+    static async calculateSalePrice(cargoType, loads, portSize, portSizeMod, distance, profScores, ltSkills, crewQualityMod, logRef, usingPortAgent = false, marketDemand = 0) {
         // Demand modifier: 3d6 roll, modified +4 by successful Trade proficiency
-        const dmRoll = new Roll("3d6");
-        await dmRoll.evaluate();
+        const dmRoll = Dice.roll("3d6");
         
         let demandRollModified = dmRoll.total;
         let tradeNote = "";
@@ -360,10 +412,12 @@ export class CargoSelling {
             demandMod -= 1;
         }
 
+        // Port market: recent gluts and shortages of this category
+        demandMod += marketDemand;
+
         // Distance modifier (d6 roll determines both price modifier AND perishability threshold)
         // Per rules: Short (1-2, <80mi, -1), Medium (3-5, ≤250mi, 0), Long (6, ≤500mi, +2), Extraordinary (>500mi, +4)
-        const distRoll = new Roll("1d6");
-        await distRoll.evaluate();
+        const distRoll = Dice.roll("1d6");
         
         let distanceMod = 0;
         let distanceCategory = "Medium";
@@ -422,8 +476,7 @@ export class CargoSelling {
         }
 
         // Calculate SA roll
-        const saRoll = new Roll("3d6");
-        await saRoll.evaluate();
+        const saRoll = Dice.roll("3d6");
         let saBase = saRoll.total + demandMod + distanceMod + sellBargAdj + sellAppAdj;
 
         // Penalty for no trading skills
@@ -444,7 +497,7 @@ export class CargoSelling {
         const totalValue = pricePerLoad * loads;
 
         // Log the SA calculation for debugging
-        logRef.value += `<p><em>Sale Price Calc: SA Roll ${saRoll.total} + Demand ${demandMod}${tradeNote} + Distance ${distanceMod} (${distanceCategory}) + Barg ${sellBargAdj} + App ${sellAppAdj}${noSkillsPenalty ? ' - 2 (no skills)' : ''} = ${saBase} → ${saPercent}%${bargainBonus > 0 ? ` (+${bargainBonus}% bargain bonus) = ${finalPercent}%` : ''} of ${baseValue} gp = ${pricePerLoad} gp/load</em></p>`;
+        logRef.value += `<p><em>Sale Price Calc: SA Roll ${saRoll.total} + Demand ${demandMod}${tradeNote}${marketDemand ? ` (market ${marketDemand > 0 ? '+' : ''}${marketDemand})` : ''} + Distance ${distanceMod} (${distanceCategory}) + Barg ${sellBargAdj} + App ${sellAppAdj}${noSkillsPenalty ? ' - 2 (no skills)' : ''} = ${saBase} → ${saPercent}%${bargainBonus > 0 ? ` (+${bargainBonus}% bargain bonus) = ${finalPercent}%` : ''} of ${baseValue} gp = ${pricePerLoad} gp/load</em></p>`;
 
         return { 
             pricePerLoad, 
@@ -468,21 +521,18 @@ export class CargoSelling {
     }
 
     static async offerSmugglingChoice(portName, profScores) {
-        return new Promise((resolve) => {
-            new Dialog({
-                title: `Smuggling Opportunity - ${portName}`,
-                content: `
-                    <p>Attempt to avoid customs?</p>
-                    <p><strong>Success:</strong> No fees</p>
-                    <p><strong>Failure:</strong> 10× penalty</p>
-                    <p><strong>Your Score:</strong> ${profScores.smuggling}</p>
-                `,
-                buttons: {
-                    attempt: { label: "Smuggle", callback: () => resolve(true) },
-                    legal: { label: "Pay Customs", callback: () => resolve(false) }
-                },
-                default: "legal"
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "smuggling",
+            title: `Smuggling Opportunity - ${portName}`,
+            content: `
+                <p>Attempt to avoid customs?</p>
+                <p><strong>Success:</strong> No fees</p>
+                <p><strong>Failure:</strong> 10× penalty</p>
+                <p><strong>Your Score:</strong> ${profScores.smuggling}</p>
+            `,
+            choices: { attempt: "Smuggle", legal: "Pay Customs" },
+            default: "legal"
         });
+        return choice === "attempt";
     }
 }
\ No newline at end of file
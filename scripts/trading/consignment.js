@@ -0,0 +1,141 @@
+/**
+ * Consignment System
+ * Merchant houses trusting their goods to the ship for sale at a named
+ * port by a deadline. The ship earns freight, half on loading and half on
+ * delivery; the crew takes the contract's commission on the sale and the
+ * consignor the rest. Goods lost on the way are owed at their declared
+ * value, and a late ship forfeits the freight balance.
+ */
+
+import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { PortRegistry } from '../data/ports.js';
+import { ConsignorRegistry } from '../data/consignors.js';
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
+export class ConsignmentSystem {
+
+    static MIN_COMMISSION = 10;
+    static MAX_COMMISSION = 40;
+    static REPUTATION_COMMISSION_STEP = 2; // Commission points per point of reputation
+
+    // Deadline allowance: sailing days at a cautious pace plus time in each port on the way
+    static MILES_PER_DAY_ALLOWED = 40;
+    static PORT_DAYS_ALLOWED = 7;
+
+    // How a contract's end moves the consignor's opinion of us
+    static REPUTATION_CHANGE = { delivered: 1, late: -1, lost: -2 };
+
+    /**
+     * Freight for carrying goods: 40 gp per ton per 500 miles, minimum 100 gp
+     */
+    static calculateFreight(loads, distanceMiles, tonsPerLoad = 0.5) {
+        const tons = loads * tonsPerLoad; // A typical load is half a ton
+        const segments = Math.ceil(distanceMiles / 500);
+        return Math.max(tons * 40 * segments, 100);
+    }
+
+    /**
+     * Commission a house offers: the voyage's rate moved by our reputation
+     * with it, kept within 10-40%
+     */
+    static commissionFor(consignorId, baseRate) {
+        const rate = baseRate + ConsignorRegistry.getReputation(consignorId) * this.REPUTATION_COMMISSION_STEP;
+        return Math.max(this.MIN_COMMISSION, Math.min(this.MAX_COMMISSION, rate));
+    }
+
+    /**
+     * Goods owed for loads that never reach the consignor
+     */
+    static calculateLiability(contract, lostLoads) {
+        return Math.ceil(contract.declaredValue * lostLoads / contract.loads);
+    }
+
+    /**
+     * One merchant house's consignment offer. The goods go to a port ahead
+     * where they may be landed, preferably one where they are sought.
+     * remainingLegs are the legs still to sail from the current port.
+     * @returns {Object|null} contract, {refused, consignorName} if the house
+     *   won't deal with us, or null when it has nothing to send our way
+     */
+    static generateOffer({ portId, remainingLegs, freeLoads, baseCommission, currentDay }) {
+        const house = Dice.pick(ConsignorRegistry.getAtPort(portId));
+        if (!ConsignorRegistry.willDeal(house.id)) {
+            return { refused: true, consignorName: house.name, reputation: ConsignorRegistry.getReputation(house.id) };
+        }
+
+        const cargoType = CargoRegistry.determineTypeFromRoll(Dice.roll("3d6").total);
+        const good = GoodsRegistry.pickForOffer(cargoType, portId);
+        if (!good) return null;
+
+        const ahead = [];
+        let distance = 0;
+        let stops = 0;
+        for (const leg of remainingLegs) {
+            distance += leg.distance;
+            stops++;
+            if (leg.toID === portId || ahead.some(d => d.portId === leg.toID)) continue;
+            if (!GoodsRegistry.isLegalAt(good, leg.toID)) continue;
+            ahead.push({ portId: leg.toID, distance, stops });
+        }
+        if (ahead.length === 0) return null;
+
+        const sought = ahead.filter(d => GoodsRegistry.isWantedAt(good, d.portId));
+        const destination = Dice.pick(sought.length > 0 ? sought : ahead);
+        const loads = Math.min(Dice.roll("2d6").total, freeLoads);
+        const daysAllowed = Math.ceil(destination.distance / this.MILES_PER_DAY_ALLOWED)
+            + this.PORT_DAYS_ALLOWED * (destination.stops - 1)
+            + Dice.roll("1d6").total;
+        const freight = this.calculateFreight(loads, destination.distance, GoodsRegistry.get(good)?.tonsPerLoad);
+        const upfrontPayment = Math.floor(freight / 2);
+
+        return {
+            consignor: house.id,
+            consignorName: house.name,
+            cargoType,
+            good,
+            goodName: GoodsRegistry.get(good).name,
+            loads,
+            originPort: portId,
+            destinationPort: destination.portId,
+            distance: destination.distance,
+            daysAllowed,
+            deadlineDay: currentDay + daysAllowed,
+            declaredValue: CargoRegistry.get(cargoType).baseValue * loads,
+            commissionRate: this.commissionFor(house.id, baseCommission),
+            freight,
+            upfrontPayment,
+            deliveryPayment: freight - upfrontPayment,
+            loadsLost: 0,
+            status: "active"
+        };
+    }
+
+    /**
+     * Accept or decline an offered consignment. Offers are sized to the
+     * free hold, so automated trading takes every one; otherwise the
+     * player decides.
+     */
+    static async offerContract({ contract, portName, automateTrading }) {
+        if (automateTrading) return true;
+
+        const destinationName = PortRegistry.get(contract.destinationPort)?.name || contract.destinationPort;
+        const reputation = ConsignorRegistry.getReputation(contract.consignor);
+        const { choice } = await Platform.prompts.choose({
+            id: "consignmentContract",
+            title: `Consignment - ${portName}`,
+            content: `
+                <p><strong>${contract.consignorName}</strong> (${ConsignorRegistry.describeReputation(reputation)}) consigns ${contract.loads} loads of ${contract.goodName} for sale at <strong>${destinationName}</strong> (${contract.distance} miles) within ${contract.daysAllowed} days.</p>
+                <p><strong>Declared value:</strong> ${contract.declaredValue} gp</p>
+                <p><strong>Commission:</strong> ${contract.commissionRate}% of the sale to the crew</p>
+                <p><strong>Freight:</strong> ${contract.freight} gp (${contract.upfrontPayment} gp now, ${contract.deliveryPayment} gp on delivery if on time)</p>
+                <p><em>Goods lost on the way are owed at their declared value.</em></p>
+            `,
+            choices: { accept: "Accept Consignment", decline: "Decline" },
+            default: "accept"
+        });
+
+        return choice === "accept";
+    }
+}
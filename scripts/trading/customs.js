@@ -0,0 +1,146 @@
+/**
+ * Customs System
+ * Duties, inspections and what happens to captains caught cheating the
+ * customs house.
+ *
+ * Each port declares a tariff (percent of appraised cargo value, rolled
+ * 2d10 for ports that declare none) and the goods it prohibits, which
+ * GoodsRegistry.isLegalAt consults. A ship arriving with contraband, or
+ * trying to land cargo without paying duty, may be inspected; the
+ * smuggling proficiency hides the goods. A caught captain may be offered
+ * a bribe, otherwise pays a fine, loses the contraband and may see the
+ * ship impounded for some days.
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { ProficiencySystem } from './proficiency.js';
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
+export class CustomsSystem {
+
+    // Percent chance customs searches a ship, by port size
+    static INSPECTION_CHANCE = { "Major Port": 60, "Port": 45, "Minor Port": 30, "Anchorage": 15 };
+
+    // Percent chance the officers will take a bribe, by port size
+    static BRIBE_CHANCE = { "Major Port": 25, "Port": 40, "Minor Port": 55, "Anchorage": 70 };
+
+    static BRIBE_RATE = 0.5;          // Bribe asked, as a share of the fine
+    static DUTY_FINE_MULTIPLIER = 10; // Evaded duty is fined tenfold
+    static IMPOUND_CHANCE = 25;       // Percent chance contraband gets the ship impounded
+
+    /**
+     * Tariff percent charged on cargo sold at a port
+     * @returns {{percent: number, rolled: boolean}}
+     */
+    static getTariff(portId) {
+        const tariff = PortRegistry.get(portId)?.tariff;
+        if (typeof tariff === "number") return { percent: tariff, rolled: false };
+        return { percent: Math.min(Math.max(Dice.roll("2d10").total, 1), 100), rolled: true };
+    }
+
+    /**
+     * Lots aboard that may not be landed at this port
+     */
+    static contrabandLots(hold, portId) {
+        return (hold || []).filter(lot => lot.good && !GoodsRegistry.isLegalAt(lot.good, portId));
+    }
+
+    /**
+     * Base value of lots, what fines and duties are reckoned from
+     */
+    static lotValue(lots) {
+        return lots.reduce((sum, lot) => sum + (CargoRegistry.get(lot.type)?.baseValue || 0) * lot.loads, 0);
+    }
+
+    /**
+     * Customs decides whether to search the ship; if it does, the smuggling
+     * proficiency decides whether anything is found.
+     * @returns {{inspected: boolean, caught: boolean}}
+     */
+    static async inspect({ portId, captainProficiencyScores, lieutenantSkills, crewQualityMod, logRef }) {
+        const port = PortRegistry.get(portId);
+        const chance = this.INSPECTION_CHANCE[port.size] ?? this.INSPECTION_CHANCE.Anchorage;
+        const inspectionRoll = Dice.roll("1d100").total;
+
+        if (inspectionRoll > chance) {
+            logRef.value += `<p><strong>Customs Inspection:</strong> Waved through at ${port.name} (${inspectionRoll} > ${chance}%).</p>`;
+            return { inspected: false, caught: false };
+        }
+
+        // A captain without the proficiency has no score at all
+        const scores = {
+            ...captainProficiencyScores,
+            smuggling: captainProficiencyScores?.smuggling ?? null,
+            customsInspection: captainProficiencyScores?.customsInspection ?? null
+        };
+        const check = await ProficiencySystem.makeProficiencyCheck(
+            "smuggling",
+            scores,
+            lieutenantSkills || {},
+            crewQualityMod,
+            0
+        );
+        if (check.success) {
+            logRef.value += `<p><strong>Customs Inspection:</strong> Searched at ${port.name}, but the goods stayed hidden (Smuggling ${check.roll} ≤ ${check.needed}).</p>`;
+            return { inspected: true, caught: false };
+        }
+
+        const checkNote = check.roll === null ? "no Smuggling proficiency" : `Smuggling ${check.roll} > ${check.needed}`;
+        logRef.value += `<p><strong>Customs Inspection:</strong> Searched at ${port.name} and caught (${checkNote})!</p>`;
+        return { inspected: true, caught: true };
+    }
+
+    /**
+     * Settle with customs after being caught. A bribe is sometimes on
+     * offer; refused or not, the fine is paid, contraband is confiscated
+     * and the ship may be impounded. Automated captains bribe only when
+     * their strategy runs contraband or evades duty on purpose; the rest
+     * take the fine.
+     * @returns {{bribe: number, fine: number, confiscate: boolean, impoundDays: number}}
+     */
+    static async resolveCaught({ portId, fine, contraband, treasury, evadeByDefault, automateTrading, logRef }) {
+        const port = PortRegistry.get(portId);
+        const outcome = { bribe: 0, fine: 0, confiscate: false, impoundDays: 0 };
+
+        const bribeChance = this.BRIBE_CHANCE[port.size] ?? this.BRIBE_CHANCE.Anchorage;
+        const bribe = Math.ceil(fine * this.BRIBE_RATE);
+        if (Dice.roll("1d100").total <= bribeChance && bribe <= treasury) {
+            const payBribe = automateTrading
+                ? evadeByDefault
+                : await this.offerBribe(port.name, bribe, fine, contraband);
+            if (payBribe) {
+                outcome.bribe = bribe;
+                logRef.value += `<p><strong>💰 Bribe:</strong> ${bribe} gp to the customs officers at ${port.name}; the matter is forgotten.</p>`;
+                return outcome;
+            }
+        }
+
+        outcome.fine = fine;
+        outcome.confiscate = contraband;
+        logRef.value += `<p><strong>⚖️ Customs Fine:</strong> ${fine} gp at ${port.name}${contraband ? ", contraband confiscated" : ""}.</p>`;
+
+        if (contraband && Dice.roll("1d100").total <= this.IMPOUND_CHANCE) {
+            outcome.impoundDays = Dice.roll("1d6+1").total;
+            logRef.value += `<p><strong>⛓️ Impounded:</strong> The ship is held at ${port.name} for ${outcome.impoundDays} days.</p>`;
+        }
+        return outcome;
+    }
+
+    static async offerBribe(portName, bribe, fine, contraband) {
+        const { choice } = await Platform.prompts.choose({
+            id: "customsBribe",
+            title: `Caught by Customs - ${portName}`,
+            content: `
+                <p>The customs officers hint that the matter could be overlooked.</p>
+                <p><strong>Bribe:</strong> ${bribe} gp</p>
+                <p><strong>Otherwise:</strong> ${fine} gp fine${contraband ? ", contraband confiscated and the ship may be impounded" : ""}</p>
+            `,
+            choices: { bribe: "Pay Bribe", refuse: "Accept the Fine" },
+            default: "bribe"
+        });
+        return choice === "bribe";
+    }
+}
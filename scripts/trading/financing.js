@@ -0,0 +1,153 @@
+/**
+ * Financing System
+ * Capital beyond the owner's starting gold, and what happens when the
+ * money runs out:
+ *
+ * - Loans: moneylenders lend against the ship at a monthly rate set by the
+ *   size of the port. A loan falls due LOAN_TERM_DAYS after it is taken,
+ *   and every loan falls due at the final port. Creditors still unpaid
+ *   GRACE_DAYS after the due date, or at the final port, seize the ship.
+ * - Investors: capital put up before departure for a stake in the venture
+ *   in proportion to it. They share the capital's half of a profit and
+ *   bear their part of a loss (see ReportGenerator.calculateProfitDistribution).
+ * - Letters of credit: at ports with a banking house, coin beyond a cash
+ *   float is exchanged for letters. The treasury still counts them, but
+ *   boarders cannot take them, and at ports without a bank only the coin
+ *   aboard can buy cargo.
+ * - Arrears: wages fall due while the treasury is empty; crew still unpaid
+ *   when the ship reaches port desert.
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { Platform } from '../platform/platform.js';
+
+export class FinancingSystem {
+
+    // Moneylenders by port size: most they will have out to one ship, and monthly interest (%)
+    static LENDERS = {
+        "Major Port": { limit: 20000, rate: 3 },
+        "Port": { limit: 8000, rate: 5 },
+        "Minor Port": { limit: 2000, rate: 8 }
+    };
+
+    // Ports large enough for a banking house to issue and honour letters of credit
+    static BANKING_SIZES = ["Major Port", "Port"];
+
+    static LOAN_TERM_DAYS = 60;
+    static GRACE_DAYS = 14;
+    static RESERVE_DAYS = 30;       // Days of wages and provisions kept in hand, and the cash float
+    static LETTER_FEE_PERCENT = 1;  // Charged on coin exchanged for letters
+    static LOAN_STEP = 100;         // Loans are made in round sums
+
+    /**
+     * Financing state for a new voyage
+     */
+    static createFinance({ startingGold = 0, investorCapital = 0, lettersOfCredit = false } = {}) {
+        const capital = startingGold + investorCapital;
+        return {
+            loans: [],
+            credit: 0, // Part of the treasury held as letters of credit
+            lettersOfCredit: !!lettersOfCredit,
+            investors: investorCapital > 0
+                ? { capital: investorCapital, stake: Math.round(investorCapital / capital * 100) }
+                : null,
+            arrearsDays: 0,
+            letterFees: 0
+        };
+    }
+
+    /**
+     * The moneylenders at a port, or null where there are none
+     */
+    static getLender(portId) {
+        const port = PortRegistry.get(portId);
+        const terms = this.LENDERS[port?.size];
+        if (!terms) return null;
+        return { name: `Moneylenders of ${port.name}`, portId, ...terms };
+    }
+
+    static hasBank(portId) {
+        return this.BANKING_SIZES.includes(PortRegistry.get(portId)?.size);
+    }
+
+    /**
+     * Coin actually aboard: the treasury less what is held as letters
+     */
+    static coinAboard(state) {
+        return state.treasury - (state.finance?.credit || 0);
+    }
+
+    /**
+     * Wages and provisions to keep in hand
+     */
+    static reserveFor(dailyCost) {
+        return (dailyCost || 0) * this.RESERVE_DAYS;
+    }
+
+    /**
+     * Principal plus interest; any part of a month is charged as a month
+     */
+    static amountOwed(loan, day) {
+        const months = Math.max(1, Math.ceil((day - loan.takenDay) / 30));
+        return loan.principal + Math.ceil(loan.principal * loan.rate / 100 * months);
+    }
+
+    static activeLoans(finance) {
+        return (finance?.loans || []).filter(loan => loan.status === "active");
+    }
+
+    static totalOwed(finance, day) {
+        return this.activeLoans(finance).reduce((sum, loan) => sum + this.amountOwed(loan, day), 0);
+    }
+
+    /**
+     * What a lender will advance against a shortfall, in round sums up to
+     * its limit less the principal already out
+     */
+    static loanAmount(lender, finance, shortfall) {
+        const outstanding = this.activeLoans(finance).reduce((sum, loan) => sum + loan.principal, 0);
+        const wanted = Math.ceil(shortfall / this.LOAN_STEP) * this.LOAN_STEP;
+        return Math.max(0, Math.min(wanted, lender.limit - outstanding));
+    }
+
+    static createLoan(lender, amount, day) {
+        return {
+            lender: lender.name,
+            portId: lender.portId,
+            principal: amount,
+            rate: lender.rate,
+            takenDay: day,
+            dueDay: day + this.LOAN_TERM_DAYS,
+            repaid: 0,
+            status: "active"
+        };
+    }
+
+    /**
+     * Creditors seize the ship once a loan is this far past due
+     */
+    static isDefaulted(loan, day) {
+        return day > loan.dueDay + this.GRACE_DAYS;
+    }
+
+    /**
+     * Take the loan on offer? Automated trading borrows whenever short;
+     * otherwise the player decides.
+     */
+    static async offerLoan({ lender, amount, treasury, reserve, automateTrading }) {
+        if (automateTrading) return true;
+
+        const { choice } = await Platform.prompts.choose({
+            id: "loanOffer",
+            title: `Moneylenders - ${PortRegistry.get(lender.portId)?.name || lender.portId}`,
+            content: `
+                <p>The treasury holds <strong>${treasury} gp</strong>, short of the ${reserve} gp needed for ${this.RESERVE_DAYS} days of wages and provisions.</p>
+                <p><strong>${lender.name}</strong> offer <strong>${amount} gp</strong> at ${lender.rate}% a month, due in ${this.LOAN_TERM_DAYS} days.</p>
+                <p><em>Loans unpaid ${this.GRACE_DAYS} days after they fall due, or at the end of the voyage, cost the ship.</em></p>
+            `,
+            choices: { borrow: "Borrow", decline: "Decline" },
+            default: "borrow"
+        });
+        return choice === "borrow";
+    }
+}
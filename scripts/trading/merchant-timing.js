@@ -8,6 +8,9 @@
  * - Week 3+: One merchant per week
  */
 
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
 export class MerchantTimingSystem {
 
     /**
@@ -17,8 +20,7 @@ export class MerchantTimingSystem {
         const portSizeMod = this.getPortSizeModifier(portSize);
         const reactionAdj = this.getReactionAdjustment(charisma);
         
-        const roll = new Roll("1d6");
-        roll.evaluate({ async: false });
+        const roll = Dice.roll("1d6");
         
         const total = Math.max(1, roll.total + portSizeMod + reactionAdj);
         
@@ -63,6 +65,13 @@ export class MerchantTimingSystem {
         return cumulative;
     }
 
+    /**
+     * Days to wait in port before the next week's merchants arrive
+     */
+    static daysUntilNextWeek(daysInPort) {
+        return 7 - (daysInPort % 7);
+    }
+
     /**
      * Offer "wait for more merchants" choice (manual mode)
      */
@@ -76,7 +85,7 @@ export class MerchantTimingSystem {
         }
 
         const nextWeekMerchants = this.getMerchantsThisWeek(totalMerchants, currentWeek + 1);
-        const daysToWait = 7 - (daysInPort % 7);
+        const daysToWait = this.daysUntilNextWeek(daysInPort);
 
         let content = `
             <div class="merchant-wait">
@@ -94,23 +103,15 @@ export class MerchantTimingSystem {
             </div>
         `;
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: "Wait for More Merchants?",
-                content: content,
-                buttons: {
-                    wait: {
-                        label: `Wait ${daysToWait} Days`,
-                        callback: () => resolve(true)
-                    },
-                    sail: {
-                        label: "Depart Now",
-                        callback: () => resolve(false)
-                    }
-                },
-                default: "sail"
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "merchantWait",
+            title: "Wait for More Merchants?",
+            content: content,
+            choices: { wait: `Wait ${daysToWait} Days`, sail: "Depart Now" },
+            default: "sail"
         });
+
+        return choice === "wait";
     }
 
     /**
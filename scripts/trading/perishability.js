@@ -10,9 +10,15 @@
  * - Short (1-2): <80 miles threshold
  * - Medium (3-5): ≤250 miles threshold  
  * - Long (6): ≤500 miles threshold
+ *
+ * How the goods themselves keep (GoodsRegistry.PERISHABILITY) adjusts this:
+ * durable goods never spoil, perishable and live goods count extra units
+ * beyond the threshold and live cargo dies off more often.
  */
 
 import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { Dice } from '../voyage/dice.js';
 
 export class CargoPerishability {
 
@@ -20,13 +26,14 @@ export class CargoPerishability {
      * Check if cargo has perished during voyage
      * @param {Object} distanceRollInfo - {roll, category, threshold, actualDistance} from sale calculation
      * @param {number} currentLoads - Current number of loads
+     * @param {Object} perishability - GoodsRegistry.PERISHABILITY entry for the goods
      * @returns {Object} {loadsLost, loadsRemaining, perishabilityNote, spoiled}
      */
-    static async checkPerishability(distanceRollInfo, currentLoads) {
+    static async checkPerishability(distanceRollInfo, currentLoads, perishability = GoodsRegistry.PERISHABILITY.standard) {
         const { roll, category, threshold, actualDistance } = distanceRollInfo;
         
-        // If actual distance is within threshold, cargo is fine - no logging needed
-        if (actualDistance <= threshold) {
+        // Durable goods, or within threshold - cargo is fine, no logging needed
+        if (!perishability.spoils || actualDistance <= threshold) {
             return {
                 loadsLost: 0,
                 loadsRemaining: currentLoads,
@@ -36,7 +43,7 @@ export class CargoPerishability {
         }
         
         // Calculate how many distance "units" beyond threshold we traveled
-        const excessUnits = this.calculateExcessUnits(category, actualDistance);
+        const excessUnits = this.calculateExcessUnits(category, actualDistance) + perishability.extraUnits;
         
         if (excessUnits === 0) {
             return {
@@ -48,7 +55,7 @@ export class CargoPerishability {
         }
         
         // Roll for spoilage on each excess unit (25% chance of 25% loss each)
-        const spoilageResults = await this.rollSpoilage(excessUnits, currentLoads);
+        const spoilageResults = await this.rollSpoilage(excessUnits, currentLoads, perishability.chance);
         
         // Only generate note if something actually spoiled
         if (spoilageResults.totalLost === 0) {
@@ -105,17 +112,16 @@ export class CargoPerishability {
 
     /**
      * Roll for spoilage on each excess unit
-     * 25% chance that 25% of remaining cargo perishes per excess unit
+     * By default 25% chance that 25% of remaining cargo perishes per excess unit
      */
-    static async rollSpoilage(excessUnits, startingLoads) {
+    static async rollSpoilage(excessUnits, startingLoads, chance = 25) {
         let totalLost = 0;
         const details = [];
         
         for (let unit = 0; unit < excessUnits; unit++) {
-            const perishChance = new Roll("1d100");
-            await perishChance.evaluate();
+            const perishChance = Dice.roll("1d100");
             
-            if (perishChance.total <= 25) {
+            if (perishChance.total <= chance) {
                 const currentRemaining = startingLoads - totalLost;
                 const lostThisUnit = Math.ceil(currentRemaining * 0.25);
                 totalLost += lostThisUnit;
@@ -166,12 +172,15 @@ export class CargoPerishability {
      * @param {number} currentLoads - Current cargo loads
      * @param {Object} logRef - Reference to voyage log HTML
      * @param {string} portName - Name of port for logging
+     * @param {string} goodId - GoodsRegistry id of the cargo, if known
      */
-    static async applyPerishability(distanceRollInfo, currentLoads, logRef, portName) {
-        const result = await this.checkPerishability(distanceRollInfo, currentLoads);
+    static async applyPerishability(distanceRollInfo, currentLoads, logRef, portName, goodId = null) {
+        const perishability = goodId ? GoodsRegistry.getPerishability(goodId) : GoodsRegistry.PERISHABILITY.standard;
+        const result = await this.checkPerishability(distanceRollInfo, currentLoads, perishability);
         
         if (result.spoiled && result.loadsLost > 0) {
-            logRef.value += `<p><strong>⚠️ Cargo Spoilage at ${portName}:</strong> ${result.perishabilityNote}</p>`;
+            const goodsNote = goodId ? ` ${GoodsRegistry.get(goodId)?.name} (${perishability.name.toLowerCase()}):` : "";
+            logRef.value += `<p><strong>⚠️ Cargo Spoilage at ${portName}:</strong>${goodsNote} ${result.perishabilityNote}</p>`;
             
             if (result.loadsRemaining === 0) {
                 logRef.value += `<p><strong>❌ Total Cargo Loss:</strong> All cargo has perished. Nothing to sell.</p>`;
@@ -3,13 +3,16 @@
  * Middlemen for cargo transactions
  */
 
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
+
 export class PortAgentSystem {
 
     /**
      * Check if port agents are available at this port
      */
     static isAvailable(portSize) {
-        if (!game.settings.get("adnd-voyage-simulator", "portAgentsEnabled")) return false;
+        if (!Platform.settings.get("adnd-voyage-simulator", "portAgentsEnabled")) return false;
         // Available at Minor Port or larger (not Anchorage)
         return ["Minor Port", "Port", "Major Port"].includes(portSize);
     }
@@ -19,13 +22,11 @@ export class PortAgentSystem {
      */
     static async generateAgent() {
         // Skills: 10 + d8 + d4 - 1 (range 11-21)
-        const skillRoll = new Roll("10 + 1d8 + 1d4 - 1");
-        await skillRoll.evaluate();
+        const skillRoll = Dice.roll("10 + 1d8 + 1d4 - 1");
         const skillScore = skillRoll.total;
 
         // Fee: 2d10 + 5% (range 7-25%)
-        const feeRoll = new Roll("2d10 + 5");
-        await feeRoll.evaluate();
+        const feeRoll = Dice.roll("2d10 + 5");
         const feePercent = feeRoll.total;
 
         return {
@@ -3,6 +3,8 @@
  * Handles skill calculations and checks
  */
 
+import { Dice } from '../voyage/dice.js';
+
 export class ProficiencySystem {
     
     /**
@@ -26,7 +28,8 @@ export class ProficiencySystem {
             signaling: "intScore",
             vesselIdentification: "intScore",
             boating: "wisScore",
-            artillerist: "intScore"
+            artillerist: "intScore",
+            weatherSense: "wisScore"
         };
         return abilityMap[skillKey] || null;
     }
@@ -54,7 +57,8 @@ export class ProficiencySystem {
             signaling: 0,
             vesselIdentification: 0,
             boating: +1,
-            artillerist: -2
+            artillerist: -2,
+            weatherSense: -1
         };
 
         const modifier = modifiers[skillKey] ?? 0;
@@ -119,7 +123,8 @@ export class ProficiencySystem {
      * @returns {Object} {success, roll, needed, modifier, note}
      */
     static async makeProficiencyCheck(skillKey, proficiencyScores, lieutenantSkills, crewQualityMod, modifier = 0) {
-        const captainScore = proficiencyScores[skillKey];
+        // Skills missing from the scores are untrained, same as null
+        const captainScore = proficiencyScores[skillKey] ?? null;
 
         // Special case: unskilled piloting (use base WIS-4)
         if (captainScore === null && skillKey === "piloting") {
@@ -127,8 +132,7 @@ export class ProficiencySystem {
             const unskilledScore = baseWisdom - 4;
             const effectiveTarget = unskilledScore + crewQualityMod - modifier;
             
-            const roll = new Roll("1d20");
-            await roll.evaluate();
+            const roll = Dice.roll("1d20");
             
             const success = roll.total <= effectiveTarget;
             return {
@@ -167,8 +171,7 @@ export class ProficiencySystem {
             targetModifier += 1;
         }
 
-        const roll = new Roll("1d20");
-        await roll.evaluate();
+        const roll = Dice.roll("1d20");
 
         const effectiveTarget = captainScore + targetModifier;
         const success = roll.total <= effectiveTarget;
@@ -205,8 +208,7 @@ export class ProficiencySystem {
             if (skillKey === "piloting") {
                 const unskilledScore = 10 - 4;
                 const effectiveTarget = unskilledScore + crewQualityMod - modifier;
-                const roll = new Roll("1d20");
-                await roll.evaluate();
+                const roll = Dice.roll("1d20");
                 const success = roll.total <= effectiveTarget;
                 return {
                     success, roll: roll.total, needed: effectiveTarget,
@@ -236,8 +238,7 @@ export class ProficiencySystem {
             }
         }
 
-        const roll = new Roll("1d20");
-        await roll.evaluate();
+        const roll = Dice.roll("1d20");
         const effectiveTarget = bestScore + targetMod;
         const success = roll.total <= effectiveTarget;
 
@@ -0,0 +1,226 @@
+/**
+ * Trade Advisor
+ * Exact odds for selling a cargo, worked through the same tables
+ * CargoSelling.calculateSalePrice rolls on: the 3d6 demand roll moved by
+ * the Trade check, the demand table, port size and market demand, the
+ * distance d6, the Bargaining and Appraisal checks and the 3d6 sale
+ * adjustment roll through CargoRegistry.getSaleAdjustment.
+ *
+ * From the distribution of price per load it reports the expected price,
+ * its variance and the chance of selling below what was paid. The sale is
+ * taken to be made by the captain, not a port agent; duty and spoilage
+ * are not counted.
+ */
+
+import { CargoRegistry } from '../data/cargo.js';
+import { PortRegistry } from '../data/ports.js';
+import { MarketRegistry } from '../data/markets.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { CargoSelling } from './cargo-sell.js';
+import { TradingStrategy } from './trading-strategy.js';
+
+export class TradeAdvisor {
+
+    /**
+     * Distribution of the total of NdS
+     * @returns {Map<number, number>} total -> probability
+     */
+    static diceDistribution(count, sides) {
+        let dist = new Map([[0, 1]]);
+        for (let i = 0; i < count; i++) {
+            const next = new Map();
+            for (const [total, chance] of dist) {
+                for (let face = 1; face <= sides; face++) {
+                    this._addChance(next, total + face, chance / sides);
+                }
+            }
+            dist = next;
+        }
+        return dist;
+    }
+
+    /**
+     * Every d20 roll of a proficiency check with its outcome, mirroring
+     * ProficiencySystem.makeProficiencyCheck. Null when untrained.
+     * @returns {Array<{chance, success, oddFailure, margin}>|null}
+     */
+    static checkOutcomes(skillKey, scores, lieutenantSkills, crewQualityMod) {
+        const score = scores?.[skillKey] ?? null;
+        if (score === null) return null;
+
+        const target = score + crewQualityMod + (lieutenantSkills?.[skillKey] ? 1 : 0);
+        const outcomes = [];
+        for (let roll = 1; roll <= 20; roll++) {
+            const success = roll <= target;
+            outcomes.push({
+                chance: 1 / 20,
+                success,
+                oddFailure: !success && roll % 2 === 1,
+                margin: success ? Math.min(5, target - roll) : 0
+            });
+        }
+        return outcomes;
+    }
+
+    /**
+     * Distribution of the sale price per load
+     * @param {Object} params
+     * @param {string} params.cargoType - CargoRegistry id
+     * @param {number} params.distance - Miles the cargo will have been carried
+     * @param {string} params.portSize - Size of the port it is sold at
+     * @param {number} params.demandModifier - Market, sought-after and black market demand
+     * @param {Object} params.profScores - Seller's proficiency scores
+     * @param {number} params.saModifier - Extra points on the sale adjustment roll
+     * @returns {Map<number, number>} price per load -> probability
+     */
+    static saleDistribution({ cargoType, distance, portSize, demandModifier = 0, profScores, lieutenantSkills, crewQualityMod = 0, saModifier = 0 }) {
+        const scores = profScores || {};
+        const baseValue = CargoRegistry.get(cargoType).baseValue;
+
+        // Demand: 3d6, +4 on a Trade success and -4 on an odd failure, through the demand table
+        const tradeShift = this._adjustments(this.checkOutcomes("trade", scores, lieutenantSkills, crewQualityMod), 4);
+        const demand = new Map();
+        for (const [roll, chance] of this.diceDistribution(3, 6)) {
+            for (const [shift, shiftChance] of tradeShift) {
+                this._addChance(demand, CargoSelling.getDemandModifier(roll + shift), chance * shiftChance);
+            }
+        }
+
+        // Beyond 500 miles the +4 is certain; otherwise the d6 decides
+        const distanceMods = distance > 500
+            ? new Map([[4, 1]])
+            : new Map([[-1, 2 / 6], [0, 3 / 6], [2, 1 / 6]]);
+
+        const appraisal = this._adjustments(this.checkOutcomes("appraisal", scores, lieutenantSkills, crewQualityMod), 1);
+        const noSkillsPenalty = !scores.bargaining && !scores.appraisal && !scores.trade ? -2 : 0;
+        const fixed = PortRegistry.getSizeModifier(portSize) + demandModifier + saModifier + noSkillsPenalty;
+        const offsets = this._shift(this._sum(this._sum(demand, distanceMods), appraisal), fixed);
+
+        // Bargaining moves the roll by one and a success adds 5% per point of margin
+        const bargaining = this.checkOutcomes("bargaining", scores, lieutenantSkills, crewQualityMod)
+            || [{ chance: 1, success: false, oddFailure: false, margin: 0 }];
+
+        const saRoll = this.diceDistribution(3, 6);
+        const prices = new Map();
+        for (const barg of bargaining) {
+            const adj = barg.success ? 1 : barg.oddFailure ? -1 : 0;
+            const bargainBonus = Math.min(25, barg.margin * 5);
+            for (const [offset, offsetChance] of offsets) {
+                for (const [roll, rollChance] of saRoll) {
+                    const saPercent = CargoRegistry.getSaleAdjustment(roll + offset + adj);
+                    const finalPercent = Math.floor(saPercent * (100 + bargainBonus) / 100);
+                    const price = Math.max(1, Math.floor(baseValue * finalPercent / 100));
+                    this._addChance(prices, price, barg.chance * offsetChance * rollChance);
+                }
+            }
+        }
+        return prices;
+    }
+
+    /**
+     * Expected value, spread and chance of loss of a sale
+     * @param {Object} params - As saleDistribution, plus purchasePrice per load
+     */
+    static analyze(params) {
+        const { purchasePrice = 0 } = params;
+        const distribution = this.saleDistribution(params);
+        const prices = Array.from(distribution, ([price, chance]) => ({ price, chance }))
+            .sort((a, b) => a.price - b.price);
+
+        const expected = prices.reduce((sum, p) => sum + p.price * p.chance, 0);
+        const variance = prices.reduce((sum, p) => sum + p.chance * (p.price - expected) ** 2, 0);
+        const lossChance = prices.filter(p => p.price < purchasePrice).reduce((sum, p) => sum + p.chance, 0);
+
+        return {
+            prices,
+            expected,
+            variance,
+            stdDev: Math.sqrt(variance),
+            lossChance,
+            minPrice: prices[0].price,
+            maxPrice: prices[prices.length - 1].price,
+            expectedProfit: expected - purchasePrice
+        };
+    }
+
+    /**
+     * Odds of selling a good at each port ahead, best expected price first.
+     * Ports where the good is prohibited count only for a captain willing
+     * to sell on the black market.
+     * @param {Object} params
+     * @param {Array} params.remainingLegs - Legs still to sail, from the current port
+     * @param {boolean} params.carryContraband - Consider black market sales
+     * @returns {Array<Object>} analyze() results with portId, portName and distance
+     */
+    static adviseSale({ cargoType, good, purchasePrice, remainingLegs, profScores, lieutenantSkills, crewQualityMod, saModifier = 0, carryContraband = false }) {
+        const advice = [];
+        let distance = 0;
+        for (const leg of remainingLegs || []) {
+            distance += leg.distance;
+            const port = PortRegistry.get(leg.toID);
+            if (!port) continue;
+
+            let demandModifier = MarketRegistry.getDemandModifier(leg.toID, cargoType);
+            if (GoodsRegistry.isWantedAt(good, leg.toID)) demandModifier += 1;
+            if (good && !GoodsRegistry.isLegalAt(good, leg.toID)) {
+                if (!carryContraband) continue;
+                demandModifier += CargoSelling.BLACK_MARKET_DEMAND;
+            }
+
+            advice.push({
+                portId: leg.toID,
+                portName: port.name,
+                distance,
+                ...this.analyze({
+                    cargoType,
+                    distance,
+                    portSize: port.size,
+                    demandModifier,
+                    profScores,
+                    lieutenantSkills,
+                    crewQualityMod,
+                    saModifier,
+                    purchasePrice
+                })
+            });
+        }
+        return advice.sort((a, b) => b.expected - a.expected);
+    }
+
+    /**
+     * One-line summary of a port's odds for logs and dialogs
+     */
+    static describe(advice) {
+        return `${Math.round(advice.expected)} gp/load expected at ${advice.portName} (±${Math.round(advice.stdDev)}, ${advice.minPrice}-${advice.maxPrice} gp), ${TradingStrategy.formatChance(advice.lossChance)} chance of a loss`;
+    }
+
+    static _addChance(dist, value, chance) {
+        dist.set(value, (dist.get(value) || 0) + chance);
+    }
+
+    /**
+     * A check's effect on a roll: +size on success, -size on an odd failure
+     */
+    static _adjustments(outcomes, size) {
+        const dist = new Map();
+        for (const outcome of outcomes || [{ chance: 1, success: false, oddFailure: false }]) {
+            const adj = outcome.success ? size : outcome.oddFailure ? -size : 0;
+            this._addChance(dist, adj, outcome.chance);
+        }
+        return dist;
+    }
+
+    static _sum(a, b) {
+        const dist = new Map();
+        for (const [x, chanceA] of a) {
+            for (const [y, chanceB] of b) {
+                this._addChance(dist, x + y, chanceA * chanceB);
+            }
+        }
+        return dist;
+    }
+
+    static _shift(dist, by) {
+        return new Map(Array.from(dist, ([value, chance]) => [value + by, chance]));
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Trading Strategy System
- * Smart automation for cargo trading decisions
+ * Smart automation for cargo trading decisions, driven by the trading
+ * profile chosen for the voyage (see STRATEGIES)
  * 
  * Strategy based on AD&D Seafaring rules:
  * - Distance bonuses: <80mi (-1), ≤250mi (0), ≤500mi (+2), >500mi (+4 guaranteed)
@@ -14,9 +15,136 @@ import { PortRegistry } from '../data/ports.js';
 
 export class TradingStrategy {
 
+    /**
+     * Trading profiles. Each decides how automated trading buys, holds and
+     * sells, and what it will do at the customs house:
+     *
+     *   reserve           - share of treasury kept back, by how far the cargo will travel
+     *   maxPriceRatio     - offers dearer than this share of base value are declined
+     *                       unless still expected to profit
+     *   shortHaulDiscount - short hauls are bought only at or below this share of base value
+     *   saleOptimism      - points added to the sale adjustment roll when weighing odds
+     *   maxLossChance     - highest chance of selling at a loss the profile will accept
+     *   categories        - cargo categories dealt in, null for any
+     *   holdForLongHaul   - keep cargo aboard when the next port brings the +4 bonus
+     *   sellAtBonus       - sell at once with this distance bonus or better
+     *   evadeDuties       - land cargo without paying duty
+     *   carryContraband   - buy and carry goods prohibited at the ports ahead
+     *
+     * GMs can add their own with registerStrategy.
+     */
+    static STRATEGIES = {
+        conservative: {
+            name: "Conservative Merchant",
+            description: "Keeps a healthy reserve, pays duty and buys only at fair prices.",
+            reserve: { long: 0.2, medium: 0.3, short: 0.5 },
+            maxPriceRatio: 1.10,
+            shortHaulDiscount: 0.85,
+            saleOptimism: 0,
+            maxLossChance: 0.25,
+            categories: null,
+            holdForLongHaul: true,
+            sellAtBonus: 2,
+            evadeDuties: false,
+            carryContraband: false
+        },
+        aggressive: {
+            name: "Aggressive Speculator",
+            description: "Stakes nearly the whole treasury and pays up, betting on good sales.",
+            reserve: { long: 0.05, medium: 0.1, short: 0.25 },
+            maxPriceRatio: 1.30,
+            shortHaulDiscount: 0.95,
+            saleOptimism: 1,
+            maxLossChance: 0.5,
+            categories: null,
+            holdForLongHaul: true,
+            sellAtBonus: 2,
+            evadeDuties: false,
+            carryContraband: false
+        },
+        luxury: {
+            name: "Luxury Trader",
+            description: "Deals only in comfort items, fine goods and precious cargo.",
+            reserve: { long: 0.1, medium: 0.2, short: 0.4 },
+            maxPriceRatio: 1.20,
+            shortHaulDiscount: 0.85,
+            saleOptimism: 0,
+            maxLossChance: 0.35,
+            categories: ["comfort", "fine", "precious"],
+            holdForLongHaul: true,
+            sellAtBonus: 2,
+            evadeDuties: false,
+            carryContraband: false
+        },
+        bulk: {
+            name: "Bulk Hauler",
+            description: "Fills the hold with cheap primitive and consumer goods and turns them over at every port.",
+            reserve: { long: 0.2, medium: 0.3, short: 0.4 },
+            maxPriceRatio: 1.10,
+            shortHaulDiscount: 1.0,
+            saleOptimism: 0,
+            maxLossChance: 0.4,
+            categories: ["primitive", "consumer"],
+            holdForLongHaul: false,
+            sellAtBonus: 0,
+            evadeDuties: false,
+            carryContraband: false
+        },
+        smuggler: {
+            name: "Smuggler",
+            description: "Slips every cargo past customs and deals in contraband on the black market.",
+            reserve: { long: 0.2, medium: 0.3, short: 0.5 },
+            maxPriceRatio: 1.10,
+            shortHaulDiscount: 0.85,
+            saleOptimism: 0,
+            maxLossChance: 0.35,
+            categories: null,
+            holdForLongHaul: true,
+            sellAtBonus: 2,
+            evadeDuties: true,
+            carryContraband: true
+        }
+    };
+
+    static DEFAULT_STRATEGY = "conservative";
+
+    /**
+     * Profile by id. Unknown ids, including the "lawful" of older saves,
+     * fall back to the conservative merchant.
+     */
+    static getStrategy(strategyId) {
+        return this.STRATEGIES[strategyId] || this.STRATEGIES[this.DEFAULT_STRATEGY];
+    }
+
+    /**
+     * Add or replace a trading profile. Settings left out are taken from
+     * the conservative merchant.
+     * @param {string} id - Profile id, stored with the voyage
+     * @param {Object} profile - At least a name; see STRATEGIES for the rest
+     */
+    static registerStrategy(id, profile) {
+        if (!id || !profile?.name) throw new Error("A trading profile needs an id and a name");
+        const base = this.STRATEGIES[this.DEFAULT_STRATEGY];
+        this.STRATEGIES[id] = {
+            ...base,
+            ...profile,
+            reserve: { ...base.reserve, ...profile.reserve }
+        };
+        console.log(`Trading Strategy | Registered profile "${profile.name}" (${id})`);
+        return this.STRATEGIES[id];
+    }
+
+    /**
+     * Automated decision to land cargo without paying duty
+     */
+    static shouldEvadeDuties(strategyId, estimatedDuty) {
+        return this.getStrategy(strategyId).evadeDuties && estimatedDuty > 0;
+    }
+
     /**
      * Evaluate whether to buy cargo at current port
-     * @param {Object} params - Trading context
+     * @param {Object} params - Trading context; advice is TradeAdvisor.adviseSale
+     *   for the offer, best port first
      * @returns {Object} { shouldBuy, reason, maxLoads, expectedProfit }
      */
     static evaluatePurchase(params) {
@@ -26,13 +154,12 @@ export class TradingStrategy {
             loadsAvailable,
             shipCapacity,
             currentTreasury,
-            distanceToNextPort,
-            distanceToFinalPort,
-            isOriginPort,
             isFinalPort,
-            remainingLegs
+            advice,
+            strategy
         } = params;
 
+        const profile = this.getStrategy(strategy);
         const cargo = CargoRegistry.get(cargoType);
         const baseValue = cargo.baseValue;
 
@@ -46,18 +173,34 @@ export class TradingStrategy {
             };
         }
 
-        // Calculate best possible sale distance (farthest port we can reach)
-        const bestSaleDistance = this.calculateBestSaleDistance(remainingLegs);
-        const distanceBonus = this.getDistanceBonus(bestSaleDistance);
+        // RULE 1b: The profile's own line of trade
+        if (profile.categories && !profile.categories.includes(cargoType)) {
+            return {
+                shouldBuy: false,
+                reason: `Deals only in ${profile.categories.map(c => CargoRegistry.get(c)?.name || c).join(", ")}`,
+                maxLoads: 0,
+                expectedProfit: 0
+            };
+        }
 
-        // RULE 2: Evaluate profitability
-        const expectedSalePercent = this.estimateSalePercent(distanceBonus);
-        const expectedSalePrice = Math.floor(baseValue * expectedSalePercent / 100);
+        // RULE 2: Sell where the odds are best
+        const best = advice?.[0];
+        if (!best) {
+            return {
+                shouldBuy: false,
+                reason: "No port ahead will take it",
+                maxLoads: 0,
+                expectedProfit: 0
+            };
+        }
+
+        const expectedSalePrice = Math.floor(best.expected);
         const expectedProfitPerLoad = expectedSalePrice - pricePerLoad;
+        const odds = `${expectedSalePrice} gp/load expected at ${best.portName}, ${this.formatChance(best.lossChance)} chance of a loss`;
 
-        // RULE 3: Skip bad deals - don't buy if price > 110% of base
+        // RULE 3: Skip bad deals - don't buy above the profile's price ceiling
         const priceRatio = pricePerLoad / baseValue;
-        if (priceRatio > 1.10 && expectedProfitPerLoad < 0) {
+        if (priceRatio > profile.maxPriceRatio && expectedProfitPerLoad < 0) {
             return {
                 shouldBuy: false,
                 reason: `Price too high (${Math.round(priceRatio * 100)}% of base) with low profit potential`,
@@ -67,68 +210,50 @@ export class TradingStrategy {
             };
         }
 
-        // RULE 4: Prioritize long-distance trades
-        if (bestSaleDistance > 500) {
-            // Guaranteed +4 bonus - almost always profitable
-            const maxAffordable = Math.floor(currentTreasury * 0.8 / pricePerLoad); // Keep 20% reserve
-            const maxLoads = Math.min(shipCapacity, loadsAvailable, maxAffordable);
-            
+        // RULE 4: The expected sale must beat the price
+        if (expectedProfitPerLoad <= 0) {
             return {
-                shouldBuy: true,
-                reason: `Excellent trade: ${bestSaleDistance} mi to sale (+4 bonus guaranteed)`,
-                maxLoads,
-                expectedProfit: expectedProfitPerLoad * maxLoads,
-                expectedSalePrice,
-                distanceBonus: "+4 (Extraordinary)"
+                shouldBuy: false,
+                reason: `Expected sale doesn't cover ${pricePerLoad} gp/load (${odds})`,
+                maxLoads: 0,
+                expectedProfit: expectedProfitPerLoad
             };
         }
 
-        // RULE 5: Short distance trades - be cautious
-        if (bestSaleDistance < 250) {
-            // Only buy if price is very good (discount)
-            if (priceRatio <= 0.85) {
-                const maxAffordable = Math.floor(currentTreasury * 0.5 / pricePerLoad);
-                const maxLoads = Math.min(shipCapacity, loadsAvailable, maxAffordable);
-                
-                return {
-                    shouldBuy: true,
-                    reason: `Good discount (${Math.round(priceRatio * 100)}%) offsets short distance`,
-                    maxLoads,
-                    expectedProfit: expectedProfitPerLoad * maxLoads,
-                    expectedSalePrice,
-                    distanceBonus: bestSaleDistance < 80 ? "-1 (Short)" : "0 (Medium)"
-                };
-            }
-            
+        // RULE 5: ...and the risk of a loss be one the profile will take
+        if (best.lossChance > profile.maxLossChance) {
             return {
                 shouldBuy: false,
-                reason: `Short distance (${bestSaleDistance} mi) with no discount - likely loss`,
+                reason: `Too risky (${odds}; accepts ${this.formatChance(profile.maxLossChance)})`,
                 maxLoads: 0,
-                expectedProfit: expectedProfitPerLoad,
-                distanceBonus: bestSaleDistance < 80 ? "-1 (Short)" : "0 (Medium)"
+                expectedProfit: expectedProfitPerLoad
             };
         }
 
-        // RULE 6: Medium distance (250-500 mi) - buy if price is reasonable
-        if (priceRatio <= 1.0 || expectedProfitPerLoad > 0) {
-            const maxAffordable = Math.floor(currentTreasury * 0.7 / pricePerLoad);
-            const maxLoads = Math.min(shipCapacity, loadsAvailable, maxAffordable);
-            
+        // RULE 6: Short hauls only at a discount
+        if (best.distance < 250 && priceRatio > profile.shortHaulDiscount) {
             return {
-                shouldBuy: true,
-                reason: `Medium distance trade (${bestSaleDistance} mi), reasonable price`,
-                maxLoads,
-                expectedProfit: expectedProfitPerLoad * maxLoads,
-                expectedSalePrice,
-                distanceBonus: "0 to +2 (Medium/Long)"
+                shouldBuy: false,
+                reason: `Short distance (${best.distance} mi) with no discount (${odds})`,
+                maxLoads: 0,
+                expectedProfit: expectedProfitPerLoad
             };
         }
 
+        // Keep back more of the treasury the shorter the haul
+        const reserve = best.distance > 500 ? profile.reserve.long
+            : best.distance < 250 ? profile.reserve.short
+            : profile.reserve.medium;
+        const maxAffordable = Math.floor(currentTreasury * (1 - reserve) / pricePerLoad);
+        const maxLoads = Math.min(shipCapacity, loadsAvailable, maxAffordable);
+
         return {
-            shouldBuy: false,
-            reason: `Price too high (${Math.round(priceRatio * 100)}%) for medium distance`,
-            maxLoads: 0,
-            expectedProfit: expectedProfitPerLoad
+            shouldBuy: true,
+            reason: `Good odds: ${odds}`,
+            maxLoads,
+            expectedProfit: expectedProfitPerLoad * maxLoads,
+            expectedSalePrice,
+            salePort: best.portName
         };
     }
 
@@ -145,9 +270,12 @@ export class TradingStrategy {
             distanceTraveled,
             distanceToNextPort,
             isFinalPort,
-            remainingLegs
+            remainingLegs,
+            strategy
         } = params;
 
+        const profile = this.getStrategy(strategy);
+
         // RULE 1: Always sell at final port
         if (isFinalPort) {
             return {
@@ -164,29 +292,29 @@ export class TradingStrategy {
         const futureDistanceBonus = this.getDistanceBonus(futureDistance);
 
         // If we can get +4 by waiting, hold the cargo
-        if (currentDistanceBonus < 4 && futureDistanceBonus >= 4) {
+        if (profile.holdForLongHaul && currentDistanceBonus < 4 && futureDistanceBonus >= 4) {
             return {
                 shouldSell: false,
-                reason: `Hold cargo: current bonus +${currentDistanceBonus}, next port bonus +${futureDistanceBonus}`,
+                reason: `Hold cargo: current bonus ${this.formatBonus(currentDistanceBonus)}, next port bonus ${this.formatBonus(futureDistanceBonus)}`,
                 currentBonus: currentDistanceBonus,
                 futureBonus: futureDistanceBonus
             };
         }
 
-        // If current bonus is +2 or better, sell
-        if (currentDistanceBonus >= 2) {
+        // Sell once the bonus is as good as the profile asks for
+        if (currentDistanceBonus >= profile.sellAtBonus) {
             return {
                 shouldSell: true,
-                reason: `Good distance bonus (+${currentDistanceBonus}) - sell now`,
+                reason: `Good distance bonus (${this.formatBonus(currentDistanceBonus)}) - sell now`,
                 currentBonus: currentDistanceBonus
             };
         }
 
-        // If we're at +0 or less, check if we can do better
+        // Below that, check if we can do better
         if (futureDistanceBonus > currentDistanceBonus + 1) {
             return {
                 shouldSell: false,
-                reason: `Hold for better price: +${currentDistanceBonus} now vs +${futureDistanceBonus} at next port`,
+                reason: `Hold for better price: ${this.formatBonus(currentDistanceBonus)} now vs ${this.formatBonus(futureDistanceBonus)} at next port`,
                 currentBonus: currentDistanceBonus,
                 futureBonus: futureDistanceBonus
             };
@@ -195,7 +323,7 @@ export class TradingStrategy {
         // Default: sell to free up cargo space
         return {
             shouldSell: true,
-            reason: `Sell to free cargo hold (bonus: +${currentDistanceBonus})`,
+            reason: `Sell to free cargo hold (bonus: ${this.formatBonus(currentDistanceBonus)})`,
             currentBonus: currentDistanceBonus
         };
     }
@@ -287,27 +415,25 @@ export class TradingStrategy {
         return -1;                      // Short
     }
 
-    /**
-     * Estimate sale percentage based on distance bonus
-     * Conservative estimate assuming average rolls
-     */
-    static estimateSalePercent(distanceBonus) {
-        // Base SA roll averages 10.5 (3d6)
-        // Add distance bonus
-        // Average demand ~0
-        // Result: 10-11 range = 100-110%
-        const estimatedSA = 10 + distanceBonus;
-        return CargoRegistry.getSaleAdjustment(estimatedSA);
+    static formatBonus(bonus) {
+        return bonus >= 0 ? `+${bonus}` : `${bonus}`;
+    }
+
+    static formatChance(chance) {
+        const percent = chance * 100;
+        if (percent > 0 && percent < 1) return "<1%";
+        if (percent > 99 && percent < 100) return ">99%";
+        return `${Math.round(percent)}%`;
     }
 
     /**
-     * Rank cargo types by profit potential
+     * Rank a cargo offer by profit potential
+     * @param {Object} advice - TradeAdvisor odds for its best port
      */
-    static rankCargoByProfit(cargoType, pricePerLoad, distanceBonus) {
+    static rankCargoByProfit(cargoType, pricePerLoad, advice) {
         const cargo = CargoRegistry.get(cargoType);
         const baseValue = cargo.baseValue;
-        const expectedSalePercent = this.estimateSalePercent(distanceBonus);
-        const expectedSalePrice = Math.floor(baseValue * expectedSalePercent / 100);
+        const expectedSalePrice = Math.floor(advice.expected);
         const profit = expectedSalePrice - pricePerLoad;
         const profitMargin = profit / pricePerLoad;
 
@@ -318,6 +444,7 @@ export class TradingStrategy {
             expectedSalePrice,
             profit,
             profitMargin,
+            lossChance: advice.lossChance,
             // Higher value cargo with positive margin is best
             score: profit > 0 ? baseValue * profitMargin : profit
         };
@@ -4,14 +4,23 @@
  */
 
 import { CargoRegistry } from '../data/cargo.js';
+import { PortRegistry } from '../data/ports.js';
+import { Dice } from '../voyage/dice.js';
+import { Platform } from '../platform/platform.js';
 
 export class TransportHireSystem {
 
+    /**
+     * Undelivered cargo: the advance is returned plus this share of the
+     * full fee in damages
+     */
+    static PENALTY_RATE = 0.5;
+
     /**
      * Check if transport for hire is enabled
      */
     static isEnabled() {
-        return game.settings.get("adnd-voyage-simulator", "transportForHireEnabled");
+        return Platform.settings.get("adnd-voyage-simulator", "transportForHireEnabled");
     }
 
     /**
@@ -22,24 +31,20 @@ export class TransportHireSystem {
         if (!this.isEnabled()) return null;
 
         const chance = solicited ? 30 : 5;
-        const roll = new Roll("1d100");
-        await roll.evaluate();
+        const roll = Dice.roll("1d100");
 
         if (roll.total > chance) return null;
 
         // Determine cargo details
-        const loadsRoll = new Roll("1d12");
-        await loadsRoll.evaluate();
+        const loadsRoll = Dice.roll("1d12");
         const loads = loadsRoll.total;
 
         // Determine cargo type (same 3d6 table)
-        const typeRoll = new Roll("3d6");
-        await typeRoll.evaluate();
+        const typeRoll = Dice.roll("3d6");
         const cargoType = CargoRegistry.determineTypeFromRoll(typeRoll.total);
 
         // Destination distance: most remote port within 2d20 × 100 miles
-        const distRoll = new Roll("2d20 * 100");
-        await distRoll.evaluate();
+        const distRoll = Dice.roll("2d20 * 100");
         const maxDistance = distRoll.total;
 
         return {
@@ -64,6 +69,22 @@ export class TransportHireSystem {
         return Math.max(fee, 100);
     }
 
+    /**
+     * Most remote port ahead on the route within the job's maxDistance.
+     * remainingLegs are the legs still to sail from the current port.
+     * @returns {{portId: string, distance: number}|null}
+     */
+    static findDestination(job, remainingLegs, currentPortId) {
+        let destination = null;
+        let distance = 0;
+        for (const leg of remainingLegs) {
+            distance += leg.distance;
+            if (distance > job.maxDistance) break;
+            if (leg.toID !== currentPortId) destination = { portId: leg.toID, distance };
+        }
+        return destination;
+    }
+
     /**
      * Create a transport contract
      */
@@ -84,4 +105,39 @@ export class TransportHireSystem {
             status: "active"
         };
     }
-}
\ No newline at end of file
+
+    /**
+     * Owed when a contract cannot be delivered
+     */
+    static calculatePenalty(contract) {
+        return contract.upfrontPayment + Math.floor(contract.totalFee * this.PENALTY_RATE);
+    }
+
+    /**
+     * Accept or decline an offered contract. Automated trading takes every
+     * job that fits in the free hold; otherwise the player decides.
+     */
+    static async offerContract({ contract, freeLoads, portName, automateTrading }) {
+        const fits = contract.loads <= freeLoads;
+        if (automateTrading) return fits;
+
+        const destinationName = PortRegistry.get(contract.destinationPort)?.name || contract.destinationPort;
+        const { choice } = await Platform.prompts.choose({
+            id: "transportContract",
+            title: `Shipping Job - ${portName}`,
+            content: `
+                <p>A merchant wants ${contract.loads} loads of ${contract.cargoName} carried to <strong>${destinationName}</strong> (${contract.distance} miles).</p>
+                <p><strong>Fee:</strong> ${contract.totalFee} gp (${contract.upfrontPayment} gp now, ${contract.deliveryPayment} gp on delivery)</p>
+                <p><strong>Free hold:</strong> ${freeLoads} loads</p>
+                <p><em>Failing to deliver costs ${this.calculatePenalty(contract)} gp.</em></p>
+            `,
+            choices: {
+                accept: { label: "Accept Contract", disabled: !fits },
+                decline: "Decline"
+            },
+            default: "decline"
+        });
+
+        return choice === "accept";
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * Port & Route Manager
+ * GM editor for the world's port and route databases
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { RouteRegistry } from '../data/routes.js';
+import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+
+export class PortRouteManagerDialog extends FormApplication {
+
+    constructor(options = {}) {
+        super({}, options);
+        this.selectedPortId = null;
+        this.selectedRouteId = null;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'port-route-manager',
+            title: 'Ports & Routes',
+            template: 'modules/adnd-voyage-simulator/templates/port-route-manager.hbs',
+            width: 680,
+            height: 'auto',
+            closeOnSubmit: false,
+            submitOnChange: false,
+            resizable: true,
+            classes: ['adnd-voyage', 'port-route-manager']
+        });
+    }
+
+    getData() {
+        const ports = PortRegistry.getAllWithIds().sort((a, b) => a.name.localeCompare(b.name));
+        const routes = RouteRegistry.getAll();
+
+        if (!PortRegistry.get(this.selectedPortId)) this.selectedPortId = ports[0]?.id || null;
+        if (!RouteRegistry.get(this.selectedRouteId)) this.selectedRouteId = routes[0]?.id || null;
+
+        const port = PortRegistry.get(this.selectedPortId);
+        const route = RouteRegistry.get(this.selectedRouteId);
+        const portName = (id) => PortRegistry.get(id)?.name || `${id} (missing)`;
+
+        return {
+            ports: ports.map(p => ({ id: p.id, name: p.name, selected: p.id === this.selectedPortId })),
+            routes: routes.map(r => ({ id: r.id, name: r.name, selected: r.id === this.selectedRouteId })),
+            sizes: PortRegistry.SIZES,
+            waterTypes: PortRegistry.WATER_TYPES,
+
+            hasPort: !!port,
+            port: port ? {
+                id: this.selectedPortId,
+                name: port.name,
+                size: port.size,
+                trade: Array.from(CargoRegistry.types.entries()).map(([id, cargo]) => ({
+                    id,
+                    name: cargo.name,
+                    role: port.exports?.includes(id) ? "export" : port.imports?.includes(id) ? "import" : "normal"
+                })),
+                tariff: port.tariff ?? "",
+                goods: Array.from(GoodsRegistry.goods.entries()).map(([id, good]) => ({
+                    id,
+                    name: good.name,
+                    prohibited: port.prohibited?.includes(id) || false
+                })),
+                connections: Object.entries(port.connections).map(([id, distance]) => ({
+                    id,
+                    name: portName(id),
+                    distance,
+                    waterType: PortRegistry.getWaterType(this.selectedPortId, id) || "coastal",
+                    bearing: PortRegistry.getBearing(this.selectedPortId, id) ?? ""
+                })),
+                targets: ports.filter(p => p.id !== this.selectedPortId && !(p.id in port.connections))
+            } : null,
+
+            hasRoute: !!route,
+            route: route ? {
+                id: this.selectedRouteId,
+                name: route.name,
+                description: route.description,
+                topology: RouteRegistry.getTopology(route),
+                repeat: RouteRegistry.getRepeat(route),
+                errors: RouteRegistry.validate(route),
+                ports: route.ports.map((id, index) => ({
+                    id,
+                    index,
+                    name: portName(id),
+                    distanceToNext: index < route.ports.length - 1
+                        ? (PortRegistry.getDistance(id, route.ports[index + 1]) ?? "no connection")
+                        : null
+                }))
+            } : null,
+            topologies: RouteRegistry.TOPOLOGIES,
+            allPorts: ports
+        };
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('#portSelect').change(ev => { this.selectedPortId = ev.target.value; this.render(true); });
+        html.find('#routeSelect').change(ev => { this.selectedRouteId = ev.target.value; this.render(true); });
+
+        html.find('#newPort').click(this._onNewPort.bind(this));
+        html.find('#deletePort').click(this._onDeletePort.bind(this));
+        html.find('#addConnection').click(this._onAddConnection.bind(this));
+        html.find('.delete-connection').click(this._onDeleteConnection.bind(this));
+
+        html.find('#newRoute').click(this._onNewRoute.bind(this));
+        html.find('#deleteRoute').click(this._onDeleteRoute.bind(this));
+        html.find('#addRoutePort').click(this._onAddRoutePort.bind(this));
+        html.find('.route-port-up').click(ev => this._onMoveRoutePort(ev, -1));
+        html.find('.route-port-down').click(ev => this._onMoveRoutePort(ev, 1));
+        html.find('.delete-route-port').click(this._onDeleteRoutePort.bind(this));
+
+        html.find('#resetDefaults').click(this._onResetDefaults.bind(this));
+    }
+
+    /**
+     * Build a unique registry id from a display name
+     */
+    _makeId(name, registry) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "entry";
+        let id = base;
+        let n = 2;
+        while (registry.get(id)) id = `${base}_${n++}`;
+        return id;
+    }
+
+    /**
+     * Rebuild a route's segment list from its port order, keeping any
+     * water types already set for the same from/to pair.
+     */
+    _rebuildSegments(route) {
+        const segments = [];
+        for (let i = 0; i < route.ports.length - 1; i++) {
+            const from = route.ports[i];
+            const to = route.ports[i + 1];
+            const existing = route.segments?.find(s => s.from === from && s.to === to);
+            segments.push({ from, to, waterType: existing?.waterType || PortRegistry.getWaterType(from, to) || "coastal" });
+        }
+        route.segments = segments;
+    }
+
+    async _saveAll() {
+        await PortRegistry.save();
+        await RouteRegistry.save();
+    }
+
+    // ---- Ports ----
+
+    async _onNewPort(event) {
+        event.preventDefault();
+        const name = this.element.find('#newPortName').val()?.trim();
+        if (!name) {
+            ui.notifications.warn("Enter a name for the new port");
+            return;
+        }
+        const id = this._makeId(name, PortRegistry);
+        PortRegistry.set(id, { name, size: "Minor Port", connections: {} });
+        this.selectedPortId = id;
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onDeletePort(event) {
+        event.preventDefault();
+        const port = PortRegistry.get(this.selectedPortId);
+        if (!port) return;
+
+        const usedBy = RouteRegistry.getAll().filter(r => r.ports.includes(this.selectedPortId));
+        const warning = usedBy.length
+            ? `<p>It is used by: ${usedBy.map(r => r.name).join(', ')}. Those routes will lose this stop.</p>`
+            : "";
+        const confirmed = await Dialog.confirm({
+            title: "Delete Port",
+            content: `<p>Delete <strong>${port.name}</strong> and all connections to it?</p>${warning}`
+        });
+        if (!confirmed) return;
+
+        for (const r of usedBy) {
+            const route = RouteRegistry.get(r.id);
+            route.ports = route.ports.filter(id => id !== this.selectedPortId);
+            this._rebuildSegments(route);
+        }
+        PortRegistry.delete(this.selectedPortId);
+        this.selectedPortId = null;
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onAddConnection(event) {
+        event.preventDefault();
+        const targetId = this.element.find('#connTarget').val();
+        const distance = parseInt(this.element.find('#connDistance').val());
+        const waterType = this.element.find('#connWater').val() || "coastal";
+        const bearing = parseInt(this.element.find('#connBearing').val());
+        if (!targetId || !(distance > 0)) {
+            ui.notifications.warn("Choose a port and a distance in miles");
+            return;
+        }
+        PortRegistry.setConnection(this.selectedPortId, targetId, distance, waterType,
+            Number.isNaN(bearing) ? null : ((bearing % 360) + 360) % 360);
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onDeleteConnection(event) {
+        event.preventDefault();
+        PortRegistry.removeConnection(this.selectedPortId, event.currentTarget.dataset.target);
+        await this._saveAll();
+        this.render(true);
+    }
+
+    // ---- Routes ----
+
+    async _onNewRoute(event) {
+        event.preventDefault();
+        const name = this.element.find('#newRouteName').val()?.trim();
+        if (!name) {
+            ui.notifications.warn("Enter a name for the new route");
+            return;
+        }
+        const id = this._makeId(name, RouteRegistry);
+        RouteRegistry.set(id, { name, ports: [], description: "", topology: "oneWay", repeat: 1 });
+        this.selectedRouteId = id;
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onDeleteRoute(event) {
+        event.preventDefault();
+        const route = RouteRegistry.get(this.selectedRouteId);
+        if (!route) return;
+
+        const confirmed = await Dialog.confirm({
+            title: "Delete Route",
+            content: `<p>Delete the route <strong>${route.name}</strong>?</p>`
+        });
+        if (!confirmed) return;
+
+        RouteRegistry.delete(this.selectedRouteId);
+        this.selectedRouteId = null;
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onAddRoutePort(event) {
+        event.preventDefault();
+        const route = RouteRegistry.get(this.selectedRouteId);
+        const portId = this.element.find('#routePortAdd').val();
+        if (!route || !portId) return;
+
+        route.ports.push(portId);
+        this._rebuildSegments(route);
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onMoveRoutePort(event, offset) {
+        event.preventDefault();
+        const route = RouteRegistry.get(this.selectedRouteId);
+        const index = parseInt(event.currentTarget.dataset.index);
+        const target = index + offset;
+        if (!route || target < 0 || target >= route.ports.length) return;
+
+        [route.ports[index], route.ports[target]] = [route.ports[target], route.ports[index]];
+        this._rebuildSegments(route);
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onDeleteRoutePort(event) {
+        event.preventDefault();
+        const route = RouteRegistry.get(this.selectedRouteId);
+        if (!route) return;
+
+        route.ports.splice(parseInt(event.currentTarget.dataset.index), 1);
+        this._rebuildSegments(route);
+        await this._saveAll();
+        this.render(true);
+    }
+
+    async _onResetDefaults(event) {
+        event.preventDefault();
+        const confirmed = await Dialog.confirm({
+            title: "Reset Ports & Routes",
+            content: "<p>Replace all ports and routes with the built-in Greyhawk set? Custom entries will be lost.</p>"
+        });
+        if (!confirmed) return;
+
+        await PortRegistry.resetToDefaults();
+        await RouteRegistry.resetToDefaults();
+        this.selectedPortId = null;
+        this.selectedRouteId = null;
+        ui.notifications.info("Ports and routes reset to the Greyhawk defaults");
+        this.render(true);
+    }
+
+    async _updateObject(event, formData) {
+        const port = PortRegistry.get(this.selectedPortId);
+        if (port) {
+            port.name = formData.portName?.trim() || port.name;
+            if (PortRegistry.SIZES.includes(formData.portSize)) port.size = formData.portSize;
+
+            // Customs: blank tariff means a 2d10 roll per sale
+            const tariff = parseInt(formData.portTariff);
+            port.tariff = Number.isNaN(tariff) ? null : Math.min(Math.max(tariff, 0), 100);
+            port.prohibited = Object.entries(formData)
+                .filter(([key, value]) => key.startsWith("prohibit_") && value)
+                .map(([key]) => key.slice(9));
+
+            // Trade specialties: one select per cargo category
+            const roles = Object.entries(formData).filter(([key]) => key.startsWith("trade_"));
+            if (roles.length > 0) {
+                port.exports = roles.filter(([, role]) => role === "export").map(([key]) => key.slice(6));
+                port.imports = roles.filter(([, role]) => role === "import").map(([key]) => key.slice(6));
+            }
+
+            const edits = {};
+            for (const [key, value] of Object.entries(formData)) {
+                const connMatch = key.match(/^conn_(.+)_(distance|water|bearing)$/);
+                if (!connMatch) continue;
+                const [, targetId, field] = connMatch;
+                if (!(targetId in port.connections)) continue;
+                (edits[targetId] ??= {})[field] = value;
+            }
+
+            for (const [targetId, edit] of Object.entries(edits)) {
+                // Distance and water type are shared with the segment back
+                PortRegistry.setConnection(this.selectedPortId, targetId,
+                    parseInt(edit.distance) || port.connections[targetId],
+                    edit.water || PortRegistry.getWaterType(this.selectedPortId, targetId) || "coastal");
+
+                if ("bearing" in edit) {
+                    // Blank leaves the course to the reverse segment, if it has one
+                    const bearing = parseInt(edit.bearing);
+                    port.bearings = { ...(port.bearings || {}) };
+                    if (Number.isNaN(bearing)) delete port.bearings[targetId];
+                    else port.bearings[targetId] = ((bearing % 360) + 360) % 360;
+                }
+            }
+        }
+
+        const route = RouteRegistry.get(this.selectedRouteId);
+        if (route) {
+            route.name = formData.routeName?.trim() || route.name;
+            route.description = formData.routeDescription || "";
+            if (RouteRegistry.TOPOLOGIES.includes(formData.routeTopology)) route.topology = formData.routeTopology;
+            route.repeat = Math.max(1, parseInt(formData.routeRepeat) || 1);
+            delete route.circuit;
+            this._rebuildSegments(route);
+        }
+
+        await this._saveAll();
+        ui.notifications.info("Ports and routes saved");
+        this.render(true);
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * Ship Editor Dialog
- * Allows editing ship properties including hull points
+ * Allows creating, cloning, deleting and editing saved ships
  */
 
 import { ShipRegistry } from '../data/ships.js';
@@ -34,13 +34,17 @@ export class ShipEditorDialog extends FormApplication {
         
         this.selectedShipId = selectedShip?.id || ships[0]?.id;
 
+        const grouped = ShipRegistry.getTemplatesGrouped();
+
         return {
             ships: ships.map(s => ({
                 id: s.id,
                 name: s.name,
                 selected: s.id === this.selectedShipId
             })),
+            templates: [...grouped.dmg, ...grouped.seafaring],
             ship: selectedShip,
+            history: [...(selectedShip?.voyageHistory || [])].reverse(),
             hasShip: !!selectedShip
         };
     }
@@ -49,6 +53,9 @@ export class ShipEditorDialog extends FormApplication {
         super.activateListeners(html);
 
         html.find('#shipSelect').change(this._onShipChange.bind(this));
+        html.find('#createShip').click(this._onCreateShip.bind(this));
+        html.find('#cloneShip').click(this._onCloneShip.bind(this));
+        html.find('#deleteShip').click(this._onDeleteShip.bind(this));
         html.find('#resetHull').click(this._onResetHull.bind(this));
         html.find('#addCrew').click(this._onAddCrew.bind(this));
         html.find('.delete-crew').click(this._onDeleteCrew.bind(this));
@@ -59,12 +66,54 @@ export class ShipEditorDialog extends FormApplication {
         this.render(true);
     }
 
+    async _onCreateShip(event) {
+        event.preventDefault();
+        const templateId = this.element.find('#newShipTemplate').val();
+        const tmpl = ShipRegistry.getTemplate(templateId);
+        if (!tmpl) return;
+
+        const name = this.element.find('#newShipName').val()?.trim() || tmpl.shipType;
+        const ship = await ShipRegistry.createFromTemplate(templateId, name);
+        this.selectedShipId = ship.id;
+        ui.notifications.info(`${ship.name} created (${ship.hullPoints.max} hull points)`);
+        this.render(true);
+    }
+
+    async _onCloneShip(event) {
+        event.preventDefault();
+        const ship = ShipRegistry.get(this.selectedShipId);
+        if (!ship) return;
+
+        const copy = await ShipRegistry.clone(ship.id);
+        this.selectedShipId = copy.id;
+        ui.notifications.info(`${ship.name} cloned as ${copy.name}`);
+        this.render(true);
+    }
+
+    async _onDeleteShip(event) {
+        event.preventDefault();
+        const ship = ShipRegistry.get(this.selectedShipId);
+        if (!ship) return;
+
+        const confirmed = await Dialog.confirm({
+            title: "Delete Ship",
+            content: `<p>Delete <strong>${ship.name}</strong> and its voyage history?</p>`
+        });
+        if (!confirmed) return;
+
+        await ShipRegistry.delete(ship.id);
+        this.selectedShipId = null;
+        ui.notifications.info(`${ship.name} deleted`);
+        this.render(true);
+    }
+
     async _onResetHull(event) {
         event.preventDefault();
         const ship = ShipRegistry.get(this.selectedShipId);
         if (!ship) return;
 
         ship.hullPoints.value = ship.hullPoints.max;
+        await ShipRegistry.save(ship);
         ui.notifications.info(`${ship.name} hull reset to ${ship.hullPoints.max}`);
         this.render(true);
     }
@@ -79,6 +128,7 @@ export class ShipEditorDialog extends FormApplication {
             level: 0,
             count: 1
         });
+        await ShipRegistry.save(ship);
         this.render(true);
     }
 
@@ -89,6 +139,7 @@ export class ShipEditorDialog extends FormApplication {
 
         const index = parseInt(event.currentTarget.dataset.index);
         ship.crew.splice(index, 1);
+        await ShipRegistry.save(ship);
         this.render(true);
     }
 
@@ -105,6 +156,9 @@ export class ShipEditorDialog extends FormApplication {
         ship.movement = parseInt(formData.movement) || 0;
         ship.baseEarningsPerDay = parseInt(formData.baseEarningsPerDay) || 0;
         ship.currentPort = formData.currentPort;
+        ship.homePort = formData.homePort;
+        ship.daysSinceService = parseInt(formData.daysSinceService) || 0;
+        ship.status = formData.status || "active";
 
         // Update captain
         ship.captain.name = formData.captainName;
@@ -132,6 +186,7 @@ export class ShipEditorDialog extends FormApplication {
             }
         });
 
+        await ShipRegistry.save(ship);
         ui.notifications.info(`${ship.name} updated successfully!`);
         this.render(true);
     }
@@ -4,6 +4,7 @@
  */
 
 import { CargoRegistry } from '../data/cargo.js';
+import { TradingStrategy } from '../trading/trading-strategy.js';
 
 export class TradingDialogs {
 
@@ -129,6 +130,39 @@ export class TradingDialogs {
         });
     }
 
+    /**
+     * Trade advisor odds for each port ahead, best first, with the strategy's
+     * verdict, for the manual purchase prompt
+     */
+    static buildAdviceHTML(advice, recommendation) {
+        if (advice.length === 0 && !recommendation) return "";
+
+        const rows = advice.map(port => `
+            <tr>
+                <td>${port.portName} (${port.distance} mi)</td>
+                <td>${Math.round(port.expected)} gp</td>
+                <td>±${Math.round(port.stdDev)}</td>
+                <td>${port.minPrice}-${port.maxPrice} gp</td>
+                <td>${TradingStrategy.formatChance(port.lossChance)}</td>
+            </tr>`).join("");
+
+        const verdict = recommendation
+            ? `<p><strong>${recommendation.shouldBuy ? "✔ Recommended" : "✘ Not recommended"}:</strong> ${recommendation.reason}</p>`
+            : "";
+
+        return `
+            <div class="trade-advice">
+                <h4>Trade Advisor</h4>
+                ${advice.length > 0 ? `
+                <table style="width: 100%;">
+                    <tr><th>Sell at</th><th>Expected</th><th>Spread</th><th>Range</th><th>Chance of Loss</th></tr>
+                    ${rows}
+                </table>` : "<p><em>No port ahead will take this cargo.</em></p>"}
+                ${verdict}
+            </div>
+        `;
+    }
+
     /**
      * Cargo sale decision dialog
      */
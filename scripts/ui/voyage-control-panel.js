@@ -0,0 +1,202 @@
+/**
+ * Voyage Control Panel
+ * Persistent window for running manual voyages one day at a time
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { CargoHold } from '../trading/cargo-hold.js';
+import { VoyageSimulator } from '../voyage/simulation.js';
+import { DiversionSystem } from '../voyage/diversion.js';
+
+export class VoyageControlPanel extends FormApplication {
+
+    constructor(voyageId = null, options = {}) {
+        super({}, options);
+        this.selectedVoyageId = voyageId;
+        this.busy = false;
+    }
+
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'voyage-control-panel',
+            title: 'Voyage Control Panel',
+            template: 'modules/adnd-voyage-simulator/templates/voyage-control.hbs',
+            width: 620,
+            height: 'auto',
+            closeOnSubmit: false,
+            submitOnChange: false,
+            resizable: true,
+            classes: ['adnd-voyage', 'voyage-control']
+        });
+    }
+
+    async getData() {
+        const voyages = (await VoyageSimulator.listVoyages())
+            .filter(v => v.state?.mode === 'manual');
+
+        const selected = voyages.find(v => v.id === this.selectedVoyageId) || voyages[0];
+        this.selectedVoyageId = selected?.id || null;
+        const state = selected?.state;
+
+        return {
+            voyages: voyages.map(v => ({
+                id: v.id,
+                name: v.name + (v.state?.flags?.finished ? ' (finished)' : ''),
+                selected: v.id === this.selectedVoyageId
+            })),
+            hasVoyage: !!state,
+            finished: !!state?.flags?.finished,
+            busy: this.busy,
+            voyage: state ? this._buildSummary(state) : null,
+            log: state ? this._buildLog(state) : []
+        };
+    }
+
+    /**
+     * Flatten voyage state into the values the template displays
+     */
+    _buildSummary(state) {
+        const legs = state.legs || [];
+        const legIndex = Math.min(state.position?.legIndex ?? 0, Math.max(0, legs.length - 1));
+        const leg = legs[legIndex];
+        const portName = (id) => PortRegistry.get(id)?.name || id;
+
+        return {
+            shipName: state.ship?.name,
+            routeName: state.route?.name,
+            day: state.day ?? 0,
+            hull: state.ship?.hullPoints,
+            crew: (state.currentCrew || []).map(c => ({ role: c.role, count: c.count, level: c.level })),
+            cargo: CargoHold.describe(state.cargoHold),
+            contracts: (state.transportContracts || [])
+                .filter(c => c.status === "active")
+                .map(c => `${c.loads} loads of ${c.cargoName} to ${portName(c.destinationPort)}`),
+            treasury: Math.floor(state.treasury ?? 0),
+            morale: state.morale,
+            scurvy: state.scurvy,
+            maintenance: state.maintenance,
+            position: leg ? {
+                leg: legIndex + 1,
+                legs: legs.length,
+                from: leg.fromID ? portName(leg.fromID) : "at sea",
+                to: portName(leg.toID),
+                miles: state.position.milesOnSegment,
+                distance: leg.distance
+            } : null,
+            // Ports the ship can divert to once she is at sea
+            diversions: leg && !state.position.inHarbour
+                ? DiversionSystem.candidates(leg, state.position.milesOnSegment).map(c => ({ portId: c.portId, label: `${c.name} (${c.miles} miles)` }))
+                : [],
+            enableRowing: !!state.enableRowing,
+            galley: state.ship?.shipClass === "galley",
+            seed: state.seed
+        };
+    }
+
+    /**
+     * Day-by-day log, newest first, with each day's events attached
+     */
+    _buildLog(state) {
+        const days = state.log || [];
+        const events = state.events || [];
+
+        return days.map((entry, i) => {
+            const end = days[i + 1]?.eventStart ?? events.length;
+            const dayEvents = entry.eventStart === undefined ? [] : events.slice(entry.eventStart, end);
+            const parts = [`${entry.miles} miles`];
+            if (entry.weather?.wind) parts.push(`wind ${entry.weather.wind.speed} mph`);
+            if (entry.damage) parts.push(`${entry.damage} hull damage`);
+            if (entry.notes) parts.push(entry.notes);
+
+            return {
+                day: entry.day,
+                date: entry.date,
+                summary: parts.join(', '),
+                arrived: entry.arrivedPortId ? (PortRegistry.get(entry.arrivedPortId)?.name || entry.arrivedPortId) : null,
+                sank: entry.shipSank,
+                events: dayEvents.map(e => this._describeEvent(e))
+            };
+        }).reverse();
+    }
+
+    _describeEvent(event) {
+        switch (event.type) {
+            case 'encounter':
+                return `Encounter: ${event.encounter} (${event.numberAppearing})`;
+            case 'damage':
+                return `${event.sourceName || event.source}: ${event.hullDamage} hull damage`;
+            case 'crew_loss':
+                return `Crew lost: ${event.crewLost}${event.sourceName ? ` (${event.sourceName})` : ''}`;
+            case 'wind_damage':
+                return `Wind damage: ${event.event}`;
+            case 'scurvy':
+                return `Scurvy: ${event.affected} crew affected`;
+            case 'desertion':
+                return `Desertion: ${event.count} crew at ${event.port}`;
+            case 'maintenance':
+                return `Maintenance at ${event.port}: ${event.days} days, ${event.cost} gp`;
+            case 'forecast':
+                return `Forecast by ${event.officer}: ${event.forecast} (${event.decision})`;
+            case 'diversion':
+                return `Diverted to ${event.port}: ${event.reason}`;
+            case 'storm':
+                return `${event.name} passed: ${event.days} days, winds to ${event.peakWind} mph`;
+            case 'boarding':
+                return `Boarding${event.boarderName ? ` by ${event.boarderName}` : ''}: ${event.defenderVictory ? 'repelled' : 'defeated'}`;
+            default:
+                return event.type;
+        }
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('#voyageSelect').change(this._onVoyageChange.bind(this));
+        html.find('.roll-day').click(this._onRollDay.bind(this));
+        html.find('#refreshVoyage').click(() => this.render(true));
+    }
+
+    async _onVoyageChange(event) {
+        this.selectedVoyageId = event.target.value;
+        this.render(true);
+    }
+
+    /**
+     * Roll the next day. The button's data-action picks the decision
+     * passed through to simulateSailingDay.
+     */
+    async _onRollDay(event) {
+        event.preventDefault();
+        if (this.busy || !this.selectedVoyageId) return;
+
+        const action = event.currentTarget.dataset.action;
+        const decisions = {};
+        if (action === 'heaveTo') decisions.heaveTo = true;
+        if (action === 'row') decisions.row = true;
+        if (action === 'sprint') decisions.row = "sprint";
+        if (action === 'divert') decisions.divertTo = this.element.find('#divertTo').val();
+
+        this.busy = true;
+        this.render(false);
+        try {
+            const { state, result } = await game.adndVoyage.simulator.rollNextDay(this.selectedVoyageId, decisions);
+            if (result.shipSank) {
+                ui.notifications.error("The ship has sunk!");
+            } else if (state.flags.seized) {
+                ui.notifications.error("Creditors have seized the ship!");
+            } else if (result.arrivedPortId) {
+                ui.notifications.info(`Arrived at ${PortRegistry.get(result.arrivedPortId)?.name || result.arrivedPortId}.`);
+            }
+        } catch (err) {
+            console.error("Voyage Simulator | Manual day failed:", err);
+            ui.notifications.error(err.message);
+        } finally {
+            this.busy = false;
+            this.render(true);
+        }
+    }
+
+    async _updateObject(event, formData) {
+        // All actions are handled by button listeners
+    }
+}
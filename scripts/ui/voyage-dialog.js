@@ -8,8 +8,11 @@ import { ShipRegistry } from '../data/ships.js';
 import { PortRegistry } from '../data/ports.js';
 import { RouteRegistry } from '../data/routes.js';
 import { VoyageSimulator } from '../voyage/simulation.js';
+import { RoutePlanner } from '../voyage/route-planner.js';
+import { WeatherGenerator } from '../voyage/weather-generator.js';
 import { CrewGenerator } from '../data/crew-generator.js';
 import { ProficiencySystem } from '../trading/proficiency.js';
+import { TradingStrategy } from '../trading/trading-strategy.js';
 
 // Skill abbreviations for compact display
 const SKILL_ABBREV = {
@@ -17,7 +20,8 @@ const SKILL_ABBREV = {
     customsInspection: "Cust", seamanship: "Seam", shipCarpentry: "Carp",
     navigation: "Nav", piloting: "Pilot", seaLore: "Lore", shipRowing: "Row",
     shipSailing: "Sail", shipwright: "Wright", signaling: "Sig",
-    vesselIdentification: "VesID", boating: "Boat", artillerist: "Artil"
+    vesselIdentification: "VesID", boating: "Boat", artillerist: "Artil",
+    weatherSense: "WSense"
 };
 
 export class VoyageSetupDialog extends FormApplication {
@@ -139,10 +143,12 @@ export class VoyageSetupDialog extends FormApplication {
     async getData() {
         const data = await super.getData();
 
-        data.namedShips = ShipRegistry.getAll().map(ship => ({
+        data.namedShips = ShipRegistry.getAll().filter(ship => ship.status !== "sunk" && ship.status !== "seized").map(ship => ({
             id: ship.id,
             name: ship.name,
             shipType: ship.shipType,
+            portName: PortRegistry.get(ship.currentPort)?.name || ship.currentPort,
+            hull: `${ship.hullPoints.value}/${ship.hullPoints.max}`,
             selected: ship.id === this.savedData.shipID
         }));
 
@@ -157,6 +163,11 @@ export class VoyageSetupDialog extends FormApplication {
             selected: route.id === this.savedData.routeID
         }));
 
+        data.plannerPorts = PortRegistry.getAllWithIds()
+            .map(p => ({ id: p.id, name: p.name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        data.plannerWaypoints = [0, 1, 2].map(i => this.savedData.planWaypoints?.[i] || "");
+
         data.crewQualities = [
             { value: "Landlubber", label: "Landlubber (-2)", selected: this.savedData.crewQuality === "Landlubber" },
             { value: "Green", label: "Green (-2)", selected: this.savedData.crewQuality === "Green" },
@@ -177,10 +188,25 @@ export class VoyageSetupDialog extends FormApplication {
 
         data.saved = this.savedData;
         data.saved.startingGold = data.saved.startingGold || 1000;
+        data.saved.investorCapital = data.saved.investorCapital || 0;
         data.saved.tradeMode = data.saved.tradeMode || "speculation";
         data.saved.mode = data.saved.mode || "auto";
         data.saved.commissionRate = data.saved.commissionRate || 25;
+        data.tradeStrategies = Object.entries(TradingStrategy.STRATEGIES).map(([value, strategy]) => ({
+            value,
+            label: strategy.name,
+            description: strategy.description || "",
+            selected: value === (data.saved.tradeStrategy || TradingStrategy.DEFAULT_STRATEGY)
+        }));
         data.saved.latitude = data.saved.latitude || 40;
+        data.climates = [
+            { value: "", label: "By latitude", selected: !data.saved.climate },
+            ...Object.entries(WeatherGenerator.CLIMATES).map(([value, climate]) => ({
+                value,
+                label: climate.name,
+                selected: value === data.saved.climate
+            }))
+        ];
         data.saved.longitude = data.saved.longitude || 0;
         data.saved.startingYear = data.saved.startingYear || 569;
         data.saved.startingDay = data.saved.startingDay || 1;
@@ -203,6 +229,8 @@ export class VoyageSetupDialog extends FormApplication {
 
         html.find('input[name="tradeMode"]').change(this._onTradeModeChange.bind(this));
         html.find('#automateTrading').change(this._onAutomateToggle.bind(this));
+        html.find('#routeID').change(this._onRouteChange.bind(this));
+        html.find('#previewRoute').click(this._onPreviewRoute.bind(this));
         html.find('button[type="submit"]').click(this._onSubmit.bind(this));
 
         // Crew roster listeners
@@ -284,6 +312,34 @@ export class VoyageSetupDialog extends FormApplication {
         this.officers = updated;
     }
 
+    // ---- Route Planner ----
+
+    _onRouteChange(event) {
+        const planning = $(event.currentTarget).val() === '__plan__';
+        this.element.find('#routePlannerGroup').toggle(planning);
+    }
+
+    _getPlannerRequest(data) {
+        return {
+            origin: data.planOrigin,
+            destination: data.planDestination,
+            waypoints: data.planWaypoints,
+            mode: data.planMode
+        };
+    }
+
+    _onPreviewRoute(event) {
+        event.preventDefault();
+        const preview = this.element.find('#routePreview');
+        try {
+            const route = RoutePlanner.plan(this._getPlannerRequest(this._getFormData()));
+            const names = route.ports.map(id => PortRegistry.get(id)?.name || id);
+            preview.text(`${names.join(' → ')} (${route.distance} miles)`);
+        } catch (err) {
+            preview.text(err.message);
+        }
+    }
+
     // ---- Trade Mode Toggles ----
 
     _onTradeModeChange(event) {
@@ -325,16 +381,20 @@ export class VoyageSetupDialog extends FormApplication {
         formData.officers = this.officers;
         await game.settings.set('adnd-voyage-simulator', 'lastVoyageSettings', formData);
 
-        const voyageConfig = this._buildVoyageConfig(formData);
+        const voyageConfig = await this._buildVoyageConfig(formData);
         this.close();
 
-        const simulator = new VoyageSimulator();
+        const simulator = game.adndVoyage?.simulator || new VoyageSimulator();
         if (voyageConfig.mode === 'manual') {
-            ui.notifications.info("Initializing Manual Voyage. Use the macro or sidebar to advance days.");
+            ui.notifications.info("Initializing Manual Voyage. Use the Voyage Control Panel to advance days.");
         } else {
             ui.notifications.info("Starting Automated Voyage Simulation...");
         }
-        await simulator.startVoyage(voyageConfig);
+        const voyageId = await simulator.startVoyage(voyageConfig);
+        if (voyageId && voyageConfig.mode === 'manual') {
+            const { VoyageControlPanel } = await import('./voyage-control-panel.js');
+            new VoyageControlPanel(voyageId).render(true);
+        }
     }
 
     _getFormData() {
@@ -344,10 +404,14 @@ export class VoyageSetupDialog extends FormApplication {
             routeID: html.find('#routeID').val(),
             mode: html.find('#mode').val(),
             startingGold: parseInt(html.find('#startingGold').val()),
+            investorCapital: parseInt(html.find('#investorCapital').val()) || 0,
+            lettersOfCredit: html.find('#lettersOfCredit').is(':checked'),
             tradeMode: html.find('input[name="tradeMode"]:checked').val() || "speculation",
             commissionRate: parseInt(html.find('#commissionRate').val()),
+            tradeStrategy: html.find('#tradeStrategy').val() || TradingStrategy.DEFAULT_STRATEGY,
             latitude: parseFloat(html.find('#latitude').val()),
             longitude: parseFloat(html.find('#longitude').val()),
+            climate: html.find('#climate').val() || null,
             autoRepair: html.find('#autoRepair').is(':checked'),
             enableRowing: html.find('#enableRowing').is(':checked'),
             automateTrading: html.find('#automateTrading').is(':checked'),
@@ -355,6 +419,13 @@ export class VoyageSetupDialog extends FormApplication {
             startingMonth: html.find('#startingMonth').val(),
             startingDay: parseInt(html.find('#startingDay').val()),
             crewQuality: html.find('#crewQuality').val(),
+            seed: html.find('#seed').val()?.trim() || null,
+            repositionShip: html.find('#repositionShip').is(':checked'),
+            repeatCount: parseInt(html.find('#repeatCount').val()) || null,
+            planOrigin: html.find('#planOrigin').val(),
+            planDestination: html.find('#planDestination').val(),
+            planWaypoints: html.find('.plan-waypoint').map((i, el) => $(el).val()).get(),
+            planMode: html.find('#planMode').val() || "shortest",
             officers: this.officers
         };
     }
@@ -363,8 +434,29 @@ export class VoyageSetupDialog extends FormApplication {
         if (!data.shipID) return { valid: false, message: "Please select a ship" };
         if (!data.routeID) return { valid: false, message: "Please select a route" };
         if (data.startingGold < 0) return { valid: false, message: "Starting gold must be >= 0" };
+        if (data.investorCapital < 0) return { valid: false, message: "Investor capital must be >= 0" };
         if (!data.startingMonth) return { valid: false, message: "Please select a starting month" };
 
+        if (data.routeID === '__plan__') {
+            try {
+                RoutePlanner.plan(this._getPlannerRequest(data));
+            } catch (err) {
+                return { valid: false, message: err.message };
+            }
+        } else {
+            const route = RouteRegistry.get(data.routeID);
+            const routeErrors = RouteRegistry.validate(data.repeatCount ? { ...route, repeat: data.repeatCount } : route);
+            if (routeErrors.length > 0) return { valid: false, message: routeErrors.join("; ") };
+        }
+
+        // Named ships start where their last voyage ended
+        const ship = ShipRegistry.get(data.shipID);
+        const startPort = data.routeID === '__plan__' ? data.planOrigin : RouteRegistry.get(data.routeID)?.ports[0];
+        if (ship?.currentPort && startPort && ship.currentPort !== startPort && !data.repositionShip) {
+            const shipAt = PortRegistry.get(ship.currentPort)?.name || ship.currentPort;
+            return { valid: false, message: `${ship.name} is at ${shipAt}. Choose a route from there or allow a repositioning leg.` };
+        }
+
         // Must have at least a captain
         const hasCaptain = this.officers.some(o => o.role === "Captain");
         if (!hasCaptain) return { valid: false, message: "Ship requires a Captain" };
@@ -377,7 +469,10 @@ export class VoyageSetupDialog extends FormApplication {
         return { valid: true };
     }
 
-    _buildVoyageConfig(formData) {
+    async _buildVoyageConfig(formData) {
+        const planned = formData.routeID === '__plan__';
+        const route = planned ? RoutePlanner.plan(this._getPlannerRequest(formData)) : RouteRegistry.get(formData.routeID);
+
         // Build officer data with proficiency scores
         const allOfficers = this.officers.map(o => {
             const profScores = ProficiencySystem.createProficiencyScores({
@@ -411,8 +506,9 @@ export class VoyageSetupDialog extends FormApplication {
         }
 
         return {
-            shipId: this._resolveShipId(formData.shipID),
-            routeId: formData.routeID,
+            shipId: await this._resolveShipId(formData.shipID, route.ports[0]),
+            routeId: planned ? null : formData.routeID,
+            route: planned ? route : null,
             mode: formData.mode,
             captain: {
                 name: captain.name,
@@ -432,17 +528,24 @@ export class VoyageSetupDialog extends FormApplication {
             allOfficers,
             lieutenantSkills,
             startingGold: formData.startingGold,
+            investorCapital: formData.investorCapital,
+            lettersOfCredit: formData.lettersOfCredit,
             tradeMode: formData.tradeMode,
             commissionRate: formData.commissionRate,
+            tradeStrategy: formData.tradeStrategy,
             latitude: formData.latitude,
             longitude: formData.longitude,
+            climate: formData.climate,
             autoRepair: formData.autoRepair,
             enableRowing: formData.enableRowing,
             automateTrading: formData.automateTrading,
             startingYear: formData.startingYear,
             startingMonth: formData.startingMonth,
             startingDay: formData.startingDay,
-            crewQuality: formData.crewQuality
+            crewQuality: formData.crewQuality,
+            repositionShip: formData.repositionShip,
+            repeat: formData.repeatCount,
+            seed: formData.seed
         };
     }
 
@@ -450,7 +553,7 @@ export class VoyageSetupDialog extends FormApplication {
      * If the selected shipID is a template reference (tmpl:caravel),
      * create a named instance from it. Otherwise return the ID as-is.
      */
-    _resolveShipId(shipID) {
+    async _resolveShipId(shipID, startPort = null) {
         if (!shipID?.startsWith("tmpl:")) return shipID;
         const templateId = shipID.slice(5);
         const tmpl = ShipRegistry.getTemplate(templateId);
@@ -459,7 +562,8 @@ export class VoyageSetupDialog extends FormApplication {
             return shipID;
         }
         const shipName = tmpl.shipType; // default name = ship type
-        const instance = ShipRegistry.createFromTemplate(templateId, shipName);
+        // New ships are launched at the route's first port
+        const instance = await ShipRegistry.createFromTemplate(templateId, shipName, startPort || undefined);
         console.log(`Voyage Setup | Created ship "${instance.name}" (${instance.id}) from template ${templateId}`);
         return instance.id;
     }
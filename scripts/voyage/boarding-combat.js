@@ -14,6 +14,9 @@
  *   other "boarding" type from canCreatureHarmShip
  */
 
+import { Dice } from './dice.js';
+import { Platform } from '../platform/platform.js';
+
 export class BoardingCombat {
 
     // =========================================================================
@@ -94,8 +97,7 @@ export class BoardingCombat {
      * @returns {{ grappled: boolean, cutFreeRoll: number, note: string }}
      */
     static async resolveGrapple(state) {
-        const cutFreeRoll = new Roll("1d100");
-        await cutFreeRoll.evaluate();
+        const cutFreeRoll = Dice.roll("1d100");
 
         const cutFree = cutFreeRoll.total <= 25;
 
@@ -184,10 +186,8 @@ export class BoardingCombat {
      * Returns round result object.
      */
     static async resolveMassCombatRound(defenderState, attackerState, roundNum, pcModifier = 0, attackerModifier = 0) {
-        const defRoll = new Roll("1d20");
-        const atkRoll = new Roll("1d20");
-        await defRoll.evaluate();
-        await atkRoll.evaluate();
+        const defRoll = Dice.roll("1d20");
+        const atkRoll = Dice.roll("1d20");
 
         const defTotal = defRoll.total + Math.floor(defenderState.effectiveStrength / 5) + pcModifier;
         const atkTotal = atkRoll.total + Math.floor(attackerState.effectiveStrength / 5) + attackerModifier;
@@ -239,8 +239,7 @@ export class BoardingCombat {
         if (leaderKilled) modifier -= 4;
 
         const effectiveTarget = Math.max(2, moraleTarget + modifier);
-        const moraleRoll = new Roll("2d6");
-        await moraleRoll.evaluate();
+        const moraleRoll = Dice.roll("2d6");
 
         return {
             broken: moraleRoll.total > effectiveTarget,
@@ -281,8 +280,7 @@ export class BoardingCombat {
             if (!grapple.grappled) {
                 results.notes.push(grapple.note);
                 // Ship escapes — but takes a parting shot
-                const partingRoll = new Roll("1d4");
-                await partingRoll.evaluate();
+                const partingRoll = Dice.roll("1d4");
                 results.hullDamage = partingRoll.total;
                 results.notes.push(`Parting shot: ${partingRoll.total} hull damage as ship pulls away.`);
                 return results;
@@ -308,7 +306,7 @@ export class BoardingCombat {
 
         // Auto-resolve leader encounter: 50% chance PCs "win" (simplified)
         if (boardingCtx.leader) {
-            const leaderRoll = Math.random();
+            const leaderRoll = Dice.random();
             if (leaderRoll < 0.5) {
                 leaderKilled = true;
                 results.notes.push(`The ${boardingCtx.leader.name} is slain during the fighting!`);
@@ -393,8 +391,7 @@ export class BoardingCombat {
 
         // Hull damage from boarding action: d4 per 2 rounds fought
         const hullDmgDice = Math.max(1, Math.floor(results.rounds.length / 2));
-        const hullRoll = new Roll(`${hullDmgDice}d4`);
-        await hullRoll.evaluate();
+        const hullRoll = Dice.roll(`${hullDmgDice}d4`);
         results.hullDamage += hullRoll.total;
 
         // If attackers won: plunder
@@ -414,7 +411,7 @@ export class BoardingCombat {
      * The card shows round-by-round updates and buttons for the GM
      * to report the PC encounter result.
      *
-     * Returns the ChatMessage id. The GM responds via button clicks
+     * Returns the chat message id. The GM responds via button clicks
      * which are handled by the renderChatMessage hook in main.js.
      */
     static async postBoardingCard(state, boardingCtx, encounterResult) {
@@ -472,8 +469,7 @@ export class BoardingCombat {
             </div>
         </div>`;
 
-        const msg = await ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ alias: "Voyage Simulator" }),
+        const msg = await Platform.output.chat({
             content: cardHtml,
             flags: {
                 'adnd-voyage-simulator': {
@@ -543,7 +539,7 @@ export class BoardingCombat {
                 pcNote = "The party falls back under pressure. Boarders press the advantage.";
                 break;
             case "skipPcFight":
-                pcModifier = Math.random() < 0.5 ? 2 : 0;
+                pcModifier = Dice.random() < 0.5 ? 2 : 0;
                 leaderKilled = pcModifier > 0;
                 pcNote = leaderKilled
                     ? `The ${boardingCtx.leader?.name || 'leader'} falls in the confused fighting.`
@@ -616,8 +612,7 @@ export class BoardingCombat {
 
         // Hull damage
         const hullDice = Math.max(1, Math.floor(rounds.length / 2));
-        const hullRoll = new Roll(`${hullDice}d4`);
-        await hullRoll.evaluate();
+        const hullRoll = Dice.roll(`${hullDice}d4`);
         const hullDamage = hullRoll.total;
 
         const totalDefCasualties = origDefCount - (curMarines + curSailors);
@@ -725,13 +720,8 @@ export class BoardingCombat {
             if (sailors) sailors.count = Math.max(0, sailors.count - results.sailorLoss);
         }
 
-        // If plundered, lose cargo and a chunk of treasury
-        if (results.plundered) {
-            state.currentCargo = { type: null, loads: 0, purchasePrice: 0 };
-            const plunderAmount = Math.floor(state.treasury * 0.75);
-            state.treasury -= plunderAmount;
-            state.voyageLogHtml.value += `<p><strong>☠️ Plundered!</strong> Lost all cargo and ${plunderAmount} gp.</p>`;
-        }
+        // If plundered, lose cargo and a chunk of the coin aboard
+        if (results.plundered) await new VoyageSimulator().plunderShip(state);
 
         state.events.push({
             type: 'boarding',
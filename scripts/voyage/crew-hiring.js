@@ -3,6 +3,8 @@
  * Handles hiring replacement crew per DMG rules
  */
 
+import { Platform } from '../platform/platform.js';
+
 export class CrewHiringSystem {
 
     /**
@@ -82,23 +84,15 @@ export class CrewHiringSystem {
 
         const canAfford = true; // Wages paid later, so always "can afford"
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: "Hire Crew",
-                content: content,
-                buttons: {
-                    hire: {
-                        label: "Hire Full Crew",
-                        callback: () => resolve({ hired: shortfall, totalMonthlyWages: totalCost })
-                    },
-                    skip: {
-                        label: "Sail Short-Handed",
-                        callback: () => resolve(null)
-                    }
-                },
-                default: "hire"
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "crewHiring",
+            title: "Hire Crew",
+            content: content,
+            choices: { hire: "Hire Full Crew", skip: "Sail Short-Handed" },
+            default: "hire"
         });
+
+        return choice === "hire" ? { hired: shortfall, totalMonthlyWages: totalCost } : null;
     }
 
     /**
@@ -0,0 +1,130 @@
+/**
+ * Dice Service
+ * The single source of randomness for the simulation. Every subsystem rolls
+ * through here instead of Foundry's Roll or Math.random, so a voyage seeded
+ * with the same value and given the same decisions replays exactly.
+ *
+ * Generator: mulberry32 over a 32-bit state. String seeds are hashed, so
+ * players can share readable seeds like "pirates-of-relmor".
+ */
+
+export class Dice {
+
+    static _state = (Date.now() ^ 0x9e3779b9) >>> 0;
+    static _seed = null;
+
+    /**
+     * Seed the generator. Returns the seed actually used.
+     */
+    static seed(seed = null) {
+        const value = (seed === null || seed === undefined || seed === "") ? this.randomSeed() : seed;
+        this._seed = String(value);
+        this._state = this._hash(this._seed);
+        console.log(`Voyage Simulator | Dice seeded with "${this._seed}"`);
+        return this._seed;
+    }
+
+    /**
+     * A fresh seed for voyages started without one
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    static getSeed() {
+        return this._seed;
+    }
+
+    /**
+     * Generator position, saved with manual voyages between days
+     */
+    static getState() {
+        return { seed: this._seed, state: this._state };
+    }
+
+    static setState(saved) {
+        if (!saved || typeof saved.state !== "number") return;
+        this._seed = saved.seed ?? null;
+        this._state = saved.state >>> 0;
+    }
+
+    /**
+     * Uniform float in [0, 1)
+     */
+    static random() {
+        let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Single die, 1..sides
+     */
+    static die(sides) {
+        return Math.floor(this.random() * sides) + 1;
+    }
+
+    /**
+     * True with the given probability (0-1)
+     */
+    static chance(probability) {
+        return this.random() < probability;
+    }
+
+    static pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Roll a dice formula. Supports the forms the module uses: NdX terms,
+     * integers, "+", "-" and "*" (e.g. "10 + 1d8 + 1d4 - 1", "2d20 * 100").
+     * Returns { formula, total, rolls } so callers can keep using .total.
+     */
+    static roll(formula) {
+        const text = String(formula).replace(/\s+/g, "");
+        if (!/^[0-9d+\-*]+$/i.test(text)) throw new Error(`Unsupported dice formula: ${formula}`);
+
+        const rolls = [];
+        let total = 0;
+        for (const [, sign, term] of text.matchAll(/([+-]?)([^+-]+)/g)) {
+            let product = 1;
+            for (const factor of term.split("*")) {
+                const dice = factor.match(/^(\d*)d(\d+)$/i);
+                if (dice) {
+                    const count = dice[1] === "" ? 1 : parseInt(dice[1]);
+                    const sides = parseInt(dice[2]);
+                    let sum = 0;
+                    for (let i = 0; i < count; i++) {
+                        const result = this.die(sides);
+                        rolls.push({ sides, result });
+                        sum += result;
+                    }
+                    product *= sum;
+                } else if (/^\d+$/.test(factor)) {
+                    product *= parseInt(factor);
+                } else {
+                    throw new Error(`Unsupported dice formula: ${formula}`);
+                }
+            }
+            total += sign === "-" ? -product : product;
+        }
+        return { formula: String(formula), total, rolls };
+    }
+
+    /**
+     * cyrb53-style string hash folded to 32 bits
+     */
+    static _hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (h1 ^ h2) >>> 0;
+    }
+}
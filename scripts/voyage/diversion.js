@@ -0,0 +1,175 @@
+/**
+ * Diversion
+ * A ship at sea can leave its leg for another port connected to either end
+ * of it: to save a failing hull, to make port before the crew deserts, to
+ * land the scurvy-stricken, or to get out of a storm's way. Automated
+ * voyages divert when those thresholds are crossed; the captain can divert
+ * at will.
+ *
+ * From the diversion port the voyage either rejoins its route, sailing on
+ * to the leg's destination, or ends there.
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { RouteRegistry } from '../data/routes.js';
+import { RoutePlanner } from './route-planner.js';
+import { Platform } from '../platform/platform.js';
+
+export class DiversionSystem {
+
+    static REASONS = {
+        hull: "the hull is failing",
+        desertion: "the crew will desert before",
+        scurvy: "scurvy is raging",
+        storm: "a storm is coming",
+        orders: "the captain ordered it"
+    };
+
+    static HULL_CRITICAL = 0.5;  // Share of the hull lost
+    static SCURVY_RAGING = 0.2;  // Share of the crew down with scurvy
+    static DESERTION_DAYS = 60;  // Days without shore leave before crews desert at port
+
+    /**
+     * "the crew will desert before Dyvers"
+     */
+    static describeReason(reason, boundName) {
+        const text = this.REASONS[reason] || reason;
+        return reason === "desertion" ? `${text} ${boundName}` : text;
+    }
+
+    /**
+     * Ports the ship could divert to from where it is on a leg: those
+     * connected to either end of the leg, other than its destination,
+     * nearest first. Distances from the ship are reckoned from the
+     * recorded bearings, or round by the leg's port where there are none.
+     * @param {Object} leg - The leg being sailed
+     * @param {number} milesOnLeg - Miles made good on it
+     * @returns {Array} [{ portId, name, miles, bearing, waterType }]
+     */
+    static candidates(leg, milesOnLeg) {
+        // A ship already diverting is making for port
+        if (!leg.fromID || leg.diversion) return [];
+
+        const legBearing = leg.bearing ?? PortRegistry.getBearing(leg.fromID, leg.toID);
+        const ends = [
+            { portId: leg.fromID, miles: milesOnLeg, at: { x: 0, y: 0 } },
+            { portId: leg.toID, miles: Math.max(0, leg.distance - milesOnLeg), at: legBearing === null ? null : this._offset(legBearing, leg.distance) }
+        ];
+        const ship = legBearing === null ? null : this._offset(legBearing, milesOnLeg);
+
+        const found = new Map();
+        for (const end of ends) {
+            for (const [portId, distance] of Object.entries(PortRegistry.get(end.portId)?.connections || {})) {
+                if (portId === leg.toID || !PortRegistry.get(portId)) continue;
+                const course = this._course(ship, end, portId, distance);
+                if (course.miles <= 0 || found.get(portId)?.miles <= course.miles) continue;
+                found.set(portId, {
+                    portId,
+                    name: PortRegistry.get(portId).name,
+                    ...course,
+                    waterType: PortRegistry.getWaterType(end.portId, portId) || leg.waterType
+                });
+            }
+        }
+        return [...found.values()].sort((a, b) => a.miles - b.miles);
+    }
+
+    /**
+     * Miles and bearing from the ship to a port connected to one end of the leg
+     */
+    static _course(ship, end, portId, distance) {
+        const bearing = PortRegistry.getBearing(end.portId, portId);
+        if (!ship || !end.at || bearing === null) {
+            return { miles: Math.round(end.miles + distance), bearing: null };
+        }
+        const port = this._offset(bearing, distance);
+        const dx = end.at.x + port.x - ship.x;
+        const dy = end.at.y + port.y - ship.y;
+        return {
+            miles: Math.round(Math.hypot(dx, dy)),
+            bearing: Math.round((Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360)
+        };
+    }
+
+    static _offset(bearing, miles) {
+        const radians = bearing * Math.PI / 180;
+        return { x: Math.sin(radians) * miles, y: Math.cos(radians) * miles };
+    }
+
+    /**
+     * The automation thresholds: whether the ship should divert to the
+     * nearest port short of its destination, and why
+     * @param {Object} state - Voyage state
+     * @param {Object} leg - The leg being sailed
+     * @param {number} milesOnLeg - Miles made good on it
+     * @param {number} dailyMiles - A day's sail in fair conditions
+     * @returns {Object|null} A candidate port with its reason, or null
+     */
+    static assess(state, leg, milesOnLeg, dailyMiles) {
+        if (leg.rejoining) return null;
+        const remaining = leg.distance - milesOnLeg;
+        const port = this.candidates(leg, milesOnLeg).find(c => c.miles < remaining);
+        if (!port) return null;
+
+        const hull = state.ship.hullPoints;
+        if ((hull.max - hull.value) / hull.max >= this.HULL_CRITICAL) return { ...port, reason: "hull" };
+
+        const crew = (state.currentCrew || []).reduce((sum, group) => sum + (group.count || 0), 0);
+        if (crew > 0 && (state.scurvy?.affectedCrew || 0) / crew >= this.SCURVY_RAGING) return { ...port, reason: "scurvy" };
+
+        const days = state.morale?.daysSinceShoreLeave || 0;
+        if (days + Math.ceil(remaining / dailyMiles) >= this.DESERTION_DAYS
+            && days + Math.ceil(port.miles / dailyMiles) < this.DESERTION_DAYS) {
+            return { ...port, reason: "desertion" };
+        }
+        return null;
+    }
+
+    /**
+     * Legs from the diversion port back to the leg's destination, by the
+     * shortest known passage, or null when there is none
+     */
+    static rejoinLegs(fromId, toId) {
+        const path = RoutePlanner.findPath(fromId, toId, "shortest");
+        if (!path) return null;
+        const legs = [];
+        for (let i = 0; i < path.length - 1; i++) {
+            legs.push({
+                fromID: path[i],
+                toID: path[i + 1],
+                distance: PortRegistry.getDistance(path[i], path[i + 1]),
+                waterType: RouteRegistry.getSegmentWaterType(null, path[i], path[i + 1]),
+                bearing: RouteRegistry.getSegmentBearing(null, path[i], path[i + 1]),
+                rejoining: true
+            });
+        }
+        return legs;
+    }
+
+    /**
+     * Rejoin the route or end the voyage at the diversion port. Automated
+     * voyages rejoin when there is a way back.
+     * @param {Object} params
+     * @param {string} params.portName - The diversion port
+     * @param {string} params.boundName - The destination of the leg left
+     * @param {number|null} params.rejoinMiles - Miles back to it, or null when there is no way
+     * @param {boolean} params.automated
+     * @returns {Promise<string>} "rejoin" or "end"
+     */
+    static async chooseOutcome({ portName, boundName, rejoinMiles, automated }) {
+        if (rejoinMiles === null) return "end";
+        if (automated) return "rejoin";
+
+        const { choice } = await Platform.prompts.choose({
+            id: "diversionOutcome",
+            title: `Diversion - ${portName}`,
+            content: `<p>The ship has put in at <strong>${portName}</strong> instead of ${boundName}.</p>`,
+            choices: {
+                rejoin: `Rejoin the route for ${boundName} (${rejoinMiles} miles)`,
+                end: `End the voyage at ${portName}`
+            },
+            default: "rejoin"
+        });
+        return choice === "end" ? "end" : "rejoin";
+    }
+}
@@ -13,6 +13,7 @@
  */
 
 import { EncounterRegistry } from '../data/encounters.js';
+import { Dice } from './dice.js';
 
 export class EncounterSystem {
 
@@ -74,8 +75,7 @@ export class EncounterSystem {
      * Encounter occurs on 1 in 20 (d20 = 1)
      */
     static async rollForEncounter(timeOfDay = "dawn", depth = "SHALLOW") {
-        const encounterCheck = new Roll("1d20");
-        await encounterCheck.evaluate();
+        const encounterCheck = Dice.roll("1d20");
 
         console.log(`EncounterSystem | ${timeOfDay} check: d20=${encounterCheck.total} (need 1 for encounter)`);
         
@@ -95,8 +95,7 @@ export class EncounterSystem {
             encounter = EncounterRegistry.rollEncounter("INLAND_SEA", null, "temperate");
         } else {
             // Seafaring tables: determine frequency category (d100)
-            const frequencyRoll = new Roll("1d100");
-            await frequencyRoll.evaluate();
+            const frequencyRoll = Dice.roll("1d100");
             frequencyTotal = frequencyRoll.total;
 
             if (frequencyTotal <= 65) category = "COMMON";
@@ -157,8 +156,7 @@ export class EncounterSystem {
      */
     static async rollEncounterDistance(encounter) {
         const canSubmerge = this.canCreatureSubmerge(encounter);
-        const distRoll = new Roll("6d4");
-        await distRoll.evaluate();
+        const distRoll = Dice.roll("6d4");
         
         if (canSubmerge) {
             return {
@@ -223,8 +221,7 @@ export class EncounterSystem {
             }
         }
 
-        const surpriseRoll = new Roll("1d6");
-        await surpriseRoll.evaluate();
+        const surpriseRoll = Dice.roll("1d6");
 
         const shipSurprised = surpriseRoll.total <= surpriseChance;
         const surpriseSegments = shipSurprised ? surpriseChance : 0;
@@ -251,8 +248,7 @@ export class EncounterSystem {
                 .replace(/×/g, "*")
                 .replace(/x/gi, "*");
             
-            const roll = new Roll(formula);
-            await roll.evaluate();
+            const roll = Dice.roll(formula);
             return { count: roll.total, roll: formula };
         } catch (e) {
             const parsed = parseInt(encounter.number);
@@ -273,8 +269,7 @@ export class EncounterSystem {
         }
 
         const driveOffChance = oilBurning ? 90 : 75;
-        const roll = new Roll("1d100");
-        await roll.evaluate();
+        const roll = Dice.roll("1d100");
 
         const drivenOff = roll.total <= driveOffChance;
         return {
@@ -299,8 +294,7 @@ export class EncounterSystem {
         }
 
         const endChance = 50;
-        const roll = new Roll("1d100");
-        await roll.evaluate();
+        const roll = Dice.roll("1d100");
 
         const ended = roll.total <= endChance;
         return {
@@ -363,7 +357,7 @@ export class EncounterSystem {
         if (encounter.other?.toLowerCase().includes("attack")) return true;
         if (encounter.damage && encounter.damage !== "0" && encounter.damage !== "-") {
             // Only 15% of damage-capable creatures are aggressive
-            return Math.random() <= 0.15;
+            return Dice.random() <= 0.15;
         }
         return false;
     }
@@ -455,27 +449,23 @@ export class EncounterSystem {
             // Pirates: based on number
             if (canHarmShip.type === "large") {
                 const hdBasedDamage = Math.max(1, Math.floor(totalHD / 10));
-                const damageRoll = new Roll(`1d${Math.max(2, hdBasedDamage * 2)}`);
-                await damageRoll.evaluate();
+                const damageRoll = Dice.roll(`1d${Math.max(2, hdBasedDamage * 2)}`);
                 hullDamage += damageRoll.total;
             } else if (canHarmShip.type === "aerial") {
                 // Aerial creatures damage rigging/sails, less hull damage
-                const damageRoll = new Roll("1d4");
-                await damageRoll.evaluate();
+                const damageRoll = Dice.roll("1d4");
                 hullDamage += damageRoll.total;
                 notes = notes || "Rigging/sail damage from aerial attack";
             } else if (canHarmShip.type === "pirate") {
                 // Pirates: boarding action
-                const damageRoll = new Roll("1d6");
-                await damageRoll.evaluate();
+                const damageRoll = Dice.roll("1d6");
                 hullDamage += damageRoll.total;
                 notes = "Ship damaged during boarding action";
             }
 
             // Crew casualties - only from threats that can reach the deck
             if (canHarmShip.canHarmCrew && totalHD >= 6) {
-                const crewRoll = new Roll("1d4");
-                await crewRoll.evaluate();
+                const crewRoll = Dice.roll("1d4");
                 crewLoss = crewRoll.total;
             }
         }
@@ -598,18 +588,15 @@ export class EncounterSystem {
         const name = encounter.name.toLowerCase();
 
         if (name.includes("whirlpool") || name.includes("maelstrom")) {
-            const roll = new Roll("2d10");
-            await roll.evaluate();
+            const roll = Dice.roll("2d10");
             return { hull: roll.total, notes: "Ship dragged into whirlpool! Must escape or be destroyed." };
         }
         if (name.includes("ice")) {
-            const roll = new Roll("1d6");
-            await roll.evaluate();
+            const roll = Dice.roll("1d6");
             return { hull: roll.total, notes: "Ice collision! 10% chance of holing ship." };
         }
         if (name.includes("reef") || name.includes("shoals")) {
-            const roll = new Roll("2d6");
-            await roll.evaluate();
+            const roll = Dice.roll("2d6");
             return { hull: roll.total, notes: "Ship struck reef/shoals!" };
         }
         if (name.includes("seaweed")) {
@@ -0,0 +1,146 @@
+/**
+ * Weather Forecasting
+ * Each morning the officer with the best Weather Sense or Sea Lore reads
+ * the sky for the day and the next. A successful check foresees the
+ * weather systems the built-in generator has coming (WeatherGenerator.outlook);
+ * a failed one misreads them as settled weather, so storms go unforeseen
+ * until they break.
+ *
+ * A storm foreseen gives the captain a choice before it strikes: stay in
+ * port, run for shelter, divert to a port off the leg, or heave to and
+ * ride it out.
+ */
+
+import { ProficiencySystem } from '../trading/proficiency.js';
+import { WeatherGenerator } from './weather-generator.js';
+import { Platform } from '../platform/platform.js';
+import { Dice } from './dice.js';
+
+export class WeatherForecast {
+
+    // Proficiencies that read the weather, preferred in this order on equal scores
+    static SKILLS = ["weatherSense", "seaLore"];
+
+    static SKILL_NAMES = { weatherSense: "weather sense", seaLore: "sea lore" };
+
+    static DAYS_AHEAD = 2;
+    static STORM_WAIT_DAYS = 7; // Longest a ship stays weatherbound before sailing regardless
+
+    /**
+     * The proficiency the officers read the weather with: whichever gives
+     * the best score, or null when no officer has either
+     */
+    static bestSkill(officers) {
+        let best = null;
+        for (const skill of this.SKILLS) {
+            for (const officer of officers) {
+                const score = officer.proficiencyScores?.[skill];
+                if (score === null || score === undefined) continue;
+                if (!best || score > best.score) best = { skill, score };
+            }
+        }
+        return best?.skill || null;
+    }
+
+    /**
+     * The morning forecast
+     * @param {Array} officers - Officers with proficiencyScores
+     * @param {Array} outlook - WeatherGenerator.outlook for today and the days after
+     * @returns {Object|null} { officer, skill, success, roll, needed, days } or null
+     *   when no officer can read the weather
+     */
+    static async makeForecast(officers, outlook) {
+        const skill = this.bestSkill(officers);
+        if (!skill || outlook.length === 0) return null;
+
+        const check = await ProficiencySystem.makeBestOfficerCheck(skill, officers, 0);
+        return {
+            officer: check.officer,
+            skill,
+            success: check.success,
+            roll: check.roll,
+            needed: check.needed,
+            days: check.success ? outlook : this._misread(outlook)
+        };
+    }
+
+    /**
+     * A failed reading sees settled weather of some other kind than is
+     * coming, unless a storm is already blowing for anyone to see
+     */
+    static _misread(outlook) {
+        if (outlook[0].storm && outlook[0].stage !== "building") return outlook;
+        const actual = outlook[0].type;
+        const type = Dice.pick(Object.keys(WeatherGenerator.SYSTEMS).filter(t => t !== actual));
+        return outlook.map(day => ({ ...day, type, name: WeatherGenerator.SYSTEMS[type].name, storm: false, stage: null }));
+    }
+
+    /**
+     * The first storm day in a forecast, or null
+     */
+    static stormAhead(forecast) {
+        return forecast?.days.find(day => day.storm) || null;
+    }
+
+    /**
+     * "Gale building today, at its height tomorrow"
+     */
+    static describe(forecast) {
+        const when = ["today", "tomorrow"];
+        const parts = forecast.days.map((day, i) => {
+            return { name: day.name, text: `${this._stageText(day.stage)} ${when[i] || `in ${i} days`}` };
+        });
+        if (parts.every(p => p.name === parts[0].name && !forecast.days[0].storm)) {
+            return `${parts[0].name} ${parts.length > 1 ? "today and tomorrow" : "today"}`;
+        }
+        return parts.map((p, i) => i === 0 || p.name !== parts[i - 1].name ? `${p.name}${p.text}` : p.text.trim()).join(", ");
+    }
+
+    /**
+     * The weather system a day actually brought, as describe puts it
+     */
+    static describeWeather(weather) {
+        const system = weather.system;
+        if (!system) return "other weather";
+        return `${system.name}${this._stageText(system.stage)}`;
+    }
+
+    static _stageText(stage) {
+        if (!stage) return "";
+        return ` ${stage === "peak" ? "at its height" : stage}`;
+    }
+
+    /**
+     * Did the day's weather bear out the forecast for it?
+     */
+    static isAccurate(forecastDay, weather) {
+        return forecastDay.type === weather.system?.type && forecastDay.stage === (weather.system?.stage ?? null);
+    }
+
+    /**
+     * What to do about a storm foreseen. Automated voyages take the safest
+     * course on offer; otherwise the captain decides.
+     * @param {Object} params
+     * @param {Object} params.forecast - From makeForecast
+     * @param {Object} params.choices - Keys of stay, sail, shelter, divert, heaveTo mapped to labels
+     * @param {string} params.where - Where the ship is, for the prompt
+     * @param {boolean} params.automated
+     * @returns {Promise<string>} The chosen key
+     */
+    static async chooseAction({ forecast, choices, where, automated }) {
+        const safest = ["stay", "shelter", "divert", "heaveTo", "sail"].find(key => choices[key]);
+        if (automated) return safest;
+
+        const { choice } = await Platform.prompts.choose({
+            id: "stormForecast",
+            title: `Storm Warning - ${where}`,
+            content: `
+                <p><strong>${forecast.officer}</strong> reads the sky by ${this.SKILL_NAMES[forecast.skill]}: <strong>${this.describe(forecast)}</strong>.</p>
+                <p><em>A hove-to ship makes no way but rides out the wind more safely; a ship in harbour takes no harm from it.</em></p>
+            `,
+            choices,
+            default: safest
+        });
+        return choice;
+    }
+}
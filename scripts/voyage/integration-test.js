@@ -1,168 +1,660 @@
 /**
  * Integration Test for Ship Repairs, Crew Hiring, and Port Agents
- * Forces conditions that trigger all three systems
+ * Runs seeded voyages headless against the in-memory platform adapters and
+ * checks the resulting state and ledger.
+ *
+ * Run from the module root: node scripts/voyage/integration-test.js
  */
 
+import { Platform } from '../platform/platform.js';
+import { ShipRegistry } from '../data/ships.js';
+import { PortRegistry } from '../data/ports.js';
+import { RouteRegistry } from '../data/routes.js';
+import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { EncounterRegistry } from '../data/encounters.js';
+import { MarketRegistry } from '../data/markets.js';
+import { ConsignorRegistry } from '../data/consignors.js';
+import { CargoSelling } from '../trading/cargo-sell.js';
+import { TradeAdvisor } from '../trading/trade-advisor.js';
+import { TransportHireSystem } from '../trading/transport-hire.js';
+import { CargoHold } from '../trading/cargo-hold.js';
+import { CustomsSystem } from '../trading/customs.js';
+import { ConsignmentSystem } from '../trading/consignment.js';
+import { TradingStrategy } from '../trading/trading-strategy.js';
+import { VoyageSimulator } from './simulation.js';
+import { NavigationSystem } from './navigation.js';
+import { WeatherSystem } from './weather.js';
+import { WeatherGenerator } from './weather-generator.js';
+import { WeatherForecast } from './forecast.js';
+import { Dice } from './dice.js';
+
 export class VoyageIntegrationTest {
-    
+
+    static NS = "adnd-voyage-simulator";
+
+    /**
+     * Fresh in-memory platform and registries for each voyage
+     */
+    static async setup({ answers = {}, settings = {} } = {}) {
+        Platform.useMemory({ answers });
+        await Platform.settings.set(this.NS, "portAgentsEnabled", true);
+        await Platform.settings.set(this.NS, "transportForHireEnabled", false);
+        for (const [key, value] of Object.entries(settings)) await Platform.settings.set(this.NS, key, value);
+
+        ShipRegistry.initialize();
+        PortRegistry.initialize();
+        RouteRegistry.initialize();
+        CargoRegistry.initialize();
+        GoodsRegistry.initialize();
+        EncounterRegistry.initialize();
+        MarketRegistry.initialize();
+        ConsignorRegistry.initialize();
+    }
+
+    /**
+     * Start the voyage damaged: 30/36 hull
+     */
+    static async prepareTestShip() {
+        const ship = ShipRegistry.get("small_merchant_1");
+        ship.hullPoints.value = 30;
+        await ShipRegistry.save(ship);
+        return ship;
+    }
+
+    static buildConfig(overrides = {}) {
+        const officer = {
+            name: "Captain Beldan", level: 5,
+            strScore: 12, dexScore: 12, conScore: 12, intScore: 12, wisScore: 12, chaScore: 12,
+            // Storms, fog and ice call for piloting checks; sea lore sees storms coming
+            skills: { piloting: true, seaLore: true }
+        };
+        return {
+            shipId: "small_merchant_1",
+            routeId: "nyr_dyv_circuit",
+            mode: "auto",
+            seed: "integration-test-3",
+            repositionShip: true,
+            captain: officer,
+            lieutenant: { ...officer, name: "Lieutenant Arvid", level: 2 },
+            allOfficers: [],
+            lieutenantSkills: {},
+            startingGold: 5000,
+            tradeMode: "speculation",
+            commissionRate: 25,
+            automateTrading: true,
+            autoRepair: true,
+            enableRowing: false,
+            crewQuality: "Trained",
+            startingYear: 569,
+            startingMonth: "Planting",
+            startingDay: 1,
+            ...overrides
+        };
+    }
+
+    /**
+     * Run one seeded auto voyage and return its saved state
+     */
+    static async runVoyage(overrides = {}, options = {}) {
+        await this.setup(options);
+        await this.prepareTestShip();
+        const simulator = new VoyageSimulator();
+        const voyageId = await simulator.startVoyage(this.buildConfig(overrides));
+        if (!voyageId) throw new Error(Platform.output.notifications.map(n => n.message).join("; "));
+        return VoyageSimulator.loadState(voyageId);
+    }
+
     static async runFullSystemTest() {
         console.log("=== VOYAGE INTEGRATION TEST ===");
-        console.log("Testing: Ship Repairs, Crew Hiring, Port Agents");
-        console.log("");
-        
-        // Find the Surprise ship
-        const surprise = game.actors.find(a => a.name === "Surprise");
-        if (!surprise) {
-            ui.notifications.error("Ship 'Surprise' not found!");
-            return;
+        const failures = [];
+        const check = (condition, message) => {
+            if (!condition) failures.push(message);
+            console.log(`${condition ? "✓" : "✗"} ${message}`);
+        };
+
+        const state = await this.runVoyage();
+        const log = state.voyageLogHtml.value;
+
+        check(state.flags.finished, "Voyage finished");
+        check(state.totalDistance > 0, "Route legs were sailed");
+        check(state.ledger.length > 1, "Ledger recorded transactions");
+        check(state.ledger.every((entry, i) => i === 0 ||
+            entry.balance === state.ledger[i - 1].balance + (entry.income || 0) - (entry.expense || 0)), "Ledger running balance adds up");
+        check(state.portsVisited.length >= 4, "Called at every port on the circuit");
+        check(state.repairLog.length > 0 || /repairs deferred/.test(log), "Damaged hull was repaired or repairs were deferred");
+        check(state.cargoHold.length === 0, "Hold emptied at the final port");
+        check(Platform.output.journals.length === 1, "Journal entry written");
+        const month = (date) => date.split(" ")[1];
+        check(state.ledger.every(entry => parseInt(entry.date) <= 28) && month(state.ledger.at(-1).date) !== month(state.ledger[0].date),
+            "Calendar dates roll over at the end of each month");
+
+        // Same seed and decisions must reproduce the voyage exactly
+        const replay = await this.runVoyage();
+        check(replay.treasury === state.treasury && replay.totalDays === state.totalDays, "Replay with the same seed matches");
+        check(JSON.stringify(replay.ledger) === JSON.stringify(state.ledger), "Replay ledger matches");
+
+        this.checkMixedHold(state, check);
+        this.checkWaitingInPort(state, check);
+        await this.checkCustoms(state, check);
+        this.checkMarkets(check);
+        this.checkStrategies(check);
+        await this.checkTradeAdvisor(check);
+        await this.checkFinancing(check);
+        await this.checkTransportContracts(check);
+        await this.checkConsignments(check);
+        await this.checkConnections(check);
+        this.checkPointsOfSail(check);
+        this.checkWinterWeather(check);
+        await this.checkForecasts(check);
+        await this.checkDiversions(check);
+        await this.checkRowing(check);
+
+        console.log(failures.length ? `=== ${failures.length} CHECK(S) FAILED ===` : "=== TEST COMPLETE ===");
+        return { state, failures };
+    }
+
+    /**
+     * A voyage started short of coin: it borrows when the treasury runs dry,
+     * repays what it can and is seized for the loan it can't
+     */
+    static async checkFinancing(check) {
+        const state = await this.runVoyage({ startingGold: 2500 });
+        const loans = state.finance.loans;
+        const entries = (pattern) => state.ledger.filter(entry => pattern.test(entry.description));
+
+        check(loans.length > 0 && entries(/^Loan from/).length === loans.length &&
+            entries(/^Loan from/).every((entry, i) => entry.income === loans[i].principal), "Forced loans were booked as income");
+        const repaid = loans.filter(loan => loan.status === "repaid");
+        check(repaid.length > 0 && entries(/^Repaid loan/).map(entry => entry.expense).join() === repaid.map(loan => loan.repaid).join(),
+            "Repaid loans were booked with their interest");
+        check(state.flags.seized && loans.every(loan => loan.status !== "active"), "Unpaid creditors seized the ship and settled every loan");
+        check(ShipRegistry.get("small_merchant_1").status === "seized", "Seized ship is held by the creditors");
+        check(state.legAccumulatedCost === 0 && state.ledger.at(-1).balance === state.treasury, "Ledger balance matches the treasury after the seizure");
+    }
+
+    /**
+     * Lots of different goods share the hold: the strategy sells some at a
+     * port and holds others for a better market, and hold space counts every
+     * lot and contract aboard
+     */
+    static checkMixedHold(state, check) {
+        const decided = (activity, action) => new Set((activity.decisions || []).filter(d => d.action === action).map(d => d.good));
+        check(state.portActivities.some(activity => decided(activity, "hold").size > 1), "Several lots were carried at once");
+
+        const split = state.portActivities.find(activity => decided(activity, "sell").size > 0 &&
+            [...decided(activity, "hold")].some(good => !decided(activity, "sell").has(good)));
+        const held = split && [...decided(split, "hold")].find(good => !decided(split, "sell").has(good));
+        const laterSale = split && state.portActivities.slice(state.portActivities.indexOf(split) + 1)
+            .some(activity => decided(activity, "sell").has(held));
+        check(split && split.trades.some(trade => trade.type === "sale") && laterSale, "Merchants bought some lots while others were held for a later port");
+
+        const hold = [];
+        CargoHold.addLot(hold, { type: "consumer", good: "pottery", loads: 3, purchasePrice: 40 });
+        CargoHold.addLot(hold, { type: "consumer", good: "pottery", loads: 2, purchasePrice: 55 });
+        CargoHold.addLot(hold, { type: "fine", good: "silk", loads: 4, purchasePrice: 300 });
+        const ship = { cargoCapacity: 20 };
+        const contract = { loads: 6, status: "active" };
+        check(hold.length === 3 && new VoyageSimulator()._freeHold({ ship, cargoHold: hold, transportContracts: [contract] }) === 5,
+            "Hold space counts every lot and contract aboard");
+    }
+
+    /**
+     * Waiting a week for more merchants books its moorage and the crew's
+     * wages as lines of their own, and the next week's merchants arrive
+     */
+    static checkWaitingInPort(state, check) {
+        const waits = state.ledger.filter(entry => entry.description.startsWith("Moorage while waiting"));
+        check(waits.length > 0 && waits.every(entry => entry.expense > 0), "Moorage was booked for waiting in port");
+        check(waits.every(entry => {
+            const [, port, days] = entry.description.match(/at (.+) \((\d+) days\)$/);
+            const wages = state.ledger.find(line => line.date === entry.date && line.description === `Wages & provisions while waiting at ${port} (${days} days)`);
+            return wages?.expense === state.dailyOperationalCost * parseInt(days)
+                && new RegExp(`Merchants \\(${port}, week 2\\)`).test(state.voyageLogHtml.value.replace(/<[^>]+>/g, ""));
+        }), "Each wait booked its wages and brought the next week's merchants");
+    }
+
+    /**
+     * Duty on every sale is booked as taxes. Arriving at Verbobonc with
+     * magic aboard, with officers who always search and always take money:
+     * the honest captain is fined and loses the goods, the smuggler bribes
+     */
+    static async checkCustoms(state, check) {
+        const duties = state.ledger.filter(entry => entry.description.startsWith("Customs tax at"));
+        check(duties.length > 0 && state.breakdown.taxes === duties.reduce((sum, entry) => sum + entry.expense, 0), "Customs duty on sales was booked as taxes");
+
+        const roll = Dice.roll;
+        Dice.roll = formula => formula === "1d100" ? { formula, total: 1, rolls: [{ sides: 100, result: 1 }] } : roll.call(Dice, formula);
+        const arrive = async (tradeStrategy) => {
+            const hold = [];
+            CargoHold.addLot(hold, { type: "precious", good: "minor_magic", loads: 2 });
+            CargoHold.addLot(hold, { type: "comfort", loads: 3 });
+            const arrival = {
+                tradeStrategy, automateTrading: true, treasury: 5000, expenseTotal: 0, cargoHold: hold, consignments: [],
+                ledger: [], events: [], voyageLogHtml: { value: "" }, captainProficiencyScores: {}, lieutenantSkills: {}, crewQualityMod: 0,
+                breakdown: { wages: 0, food: 0, repairs: 0, fees: 0, cargo: 0, taxes: 0, penalties: 0, finance: 0 }
+            };
+            const fine = CustomsSystem.lotValue(CustomsSystem.contrabandLots(hold, "verbobonc"));
+            const impoundDays = await new VoyageSimulator().clearCustoms(arrival, "verbobonc", { activities: [] });
+            return { arrival, fine, impoundDays };
+        };
+        try {
+            await this.setup();
+            const honest = await arrive("conservative");
+            const [fined] = honest.arrival.events;
+            check(/Searched at Verbobonc and caught/.test(honest.arrival.voyageLogHtml.value) && fined?.type === "customs", "Customs searched the ship and found the contraband");
+            check(fined.bribe === 0 && fined.fine === honest.fine && honest.arrival.treasury === 5000 - honest.fine, "Honest captain paid the fine rather than a bribe");
+            check(honest.arrival.ledger[0]?.description === "Customs fine at Verbobonc" && honest.arrival.breakdown.penalties === honest.fine,
+                "Customs fine was booked as a penalty");
+            check(fined.confiscated && honest.arrival.cargoHold.length === 1 && !honest.arrival.cargoHold[0].good, "Contraband was confiscated and the legal cargo kept");
+            check(honest.impoundDays > 0 && fined.impoundDays === honest.impoundDays, "Ship was impounded for the contraband");
+
+            const smuggler = await arrive("smuggler");
+            const [bribed] = smuggler.arrival.events;
+            check(bribed.bribe === Math.ceil(smuggler.fine * CustomsSystem.BRIBE_RATE) && bribed.fine === 0 && !bribed.confiscated &&
+                smuggler.arrival.cargoHold.length === 2 && smuggler.arrival.breakdown.penalties === bribed.bribe,
+                "Smuggler bribed the officers and kept the contraband");
+        } finally {
+            Dice.roll = roll;
         }
-        
-        // Get voyage simulator
-        const { VoyageSimulator } = await import("./scripts/voyage/simulation.js");
-        
-        // Create test voyage with forced conditions
-        const testConfig = {
-            ship: surprise,
-            captain: game.actors.find(a => a.name.includes("Beldar")),
-            route: "nyr-dyv-circuit",
-            tradeMode: "speculation",
-            automateTrading: true,
-            
-            // FORCE DAMAGE: Start with 6 HP damage (16.7%)
-            forcedStartingHull: 30, // 30/36 = 83.3% condition
-            
-            // FORCE CREW SHORTFALL: Start with 4 crew missing (22% shortfall)
-            forcedStartingCrew: {
-                sailors: 12, // Should be 16
-                marines: 2,  // Should be 2
-                mates: 2,    // Should be 2
-                officers: 2  // Should be 2
-            },
-            
-            // FORCE LOW MERCHANTS: Override merchant rolls
-            forcedMerchantCounts: {
-                "verbobonc": 2,  // Low count triggers agent offer
-                "greyhawk": 8,   // Normal count
-                "leukish": 1,    // Very low triggers agent offer
-                "dyvers": 2      // Low count triggers agent offer
-            }
+    }
+
+    /**
+     * Shipping jobs: the advance on loading and the balance on delivery, or
+     * the advance back plus damages when the ship is lost with the cargo
+     */
+    static async checkTransportContracts(check) {
+        const options = { settings: { transportForHireEnabled: true } };
+        const booked = (state, prefix) => state.ledger.filter(entry => entry.description.startsWith(prefix));
+
+        const delivered = await this.runVoyage({ seed: "contracts-4" }, options);
+        const contracts = delivered.transportContracts;
+        check(contracts.length > 0 && contracts.every(contract => contract.status === "delivered"), "Shipping contracts were taken and delivered");
+        check(booked(delivered, "Transport contract advance").map(entry => entry.income).join() === contracts.map(contract => contract.upfrontPayment).join() &&
+            booked(delivered, "Transport contract delivery").map(entry => entry.income).join() === contracts.map(contract => contract.deliveryPayment).join(),
+            "Contract advances and delivery payments were booked");
+        check(delivered.contractIncome === contracts.reduce((sum, contract) => sum + contract.totalFee, 0), "Delivered contracts earned their full fees");
+
+        const lost = await this.runVoyage({ seed: "contracts-2" }, options);
+        const [failed] = lost.transportContracts;
+        const penalty = TransportHireSystem.calculatePenalty(failed);
+        check(failed?.status === "failed" && failed.penalty === penalty && penalty === failed.upfrontPayment + Math.floor(failed.totalFee * TransportHireSystem.PENALTY_RATE),
+            "Undelivered contract costs the advance back plus damages");
+        check(booked(lost, "Transport contract penalty")[0]?.expense === penalty && lost.contractIncome === failed.upfrontPayment && lost.breakdown.penalties >= penalty,
+            "Contract penalty was booked and only the advance earned");
+
+        const simulator = new VoyageSimulator();
+        const hold = { ship: { cargoCapacity: 20 }, cargoHold: [], transportContracts: [{ ...failed, loads: 7, status: "active" }, { ...failed, loads: 5, status: "delivered" }] };
+        check(simulator._freeHold(hold) === 13, "Active contracts take hold space; delivered ones free it");
+    }
+
+    /**
+     * Consignment voyage: houses load goods for ports ahead, pay the freight
+     * balance for goods on time and withhold it for late ones, are owed what
+     * spoils or never arrives, and think better or worse of us for it
+     */
+    static async checkConsignments(check) {
+        const state = await this.runVoyage({ tradeMode: "consignment", seed: "consignment-5" });
+        const consignments = state.consignments;
+        const booked = prefix => state.ledger.filter(entry => entry.description.startsWith(prefix));
+        const total = (list, field) => list.reduce((sum, item) => sum + (item[field] || 0), 0);
+
+        const onTime = consignments.filter(contract => contract.status === "delivered" && !contract.late);
+        const late = consignments.filter(contract => contract.status === "delivered" && contract.late);
+        check(consignments.length > 0 && booked("Consignment freight advance").map(entry => entry.income).join() === consignments.map(contract => contract.upfrontPayment).join(),
+            "Consignments were offered, loaded and their freight advanced");
+        check(onTime.length > 0 && late.length > 0 && total(booked("Consignment freight balance at"), "income") === total(onTime, "deliveryPayment") &&
+            state.contractIncome === total(consignments, "upfrontPayment") + total(onTime, "deliveryPayment"),
+            "Freight balance was paid on time and withheld when late");
+
+        const spoiled = consignments.find(contract => contract.status === "delivered" && contract.loadsLost > 0);
+        const failed = consignments.filter(contract => contract.status === "failed");
+        check(spoiled?.liability === ConsignmentSystem.calculateLiability(spoiled, spoiled.loadsLost) && failed.length > 0 &&
+            failed.every(contract => contract.liability === contract.declaredValue),
+            "Spoiled and undelivered goods are owed at their declared value");
+        check(total(booked("Consignment liability"), "expense") === total(consignments, "liability") && state.breakdown.penalties >= total(consignments, "liability"),
+            "Consignment liability was booked as penalties");
+
+        const outcome = contract => contract.status !== "delivered" || contract.loadsLost > 0 ? "lost" : contract.late ? "late" : "delivered";
+        check(Object.entries(ConsignorRegistry.standing).every(([id, standing]) => {
+            const mine = consignments.filter(contract => contract.consignor === id).map(outcome);
+            return ["delivered", "late", "lost"].every(key => standing[key] === mine.filter(o => o === key).length)
+                && standing.reputation === mine.reduce((sum, o) => sum + ConsignmentSystem.REPUTATION_CHANGE[o], 0);
+        }), "Each house's standing follows how its consignments ended");
+
+        const trusted = ConsignorRegistry.getReputation("millbridge_sons");
+        check(trusted > 0 && ConsignmentSystem.commissionFor("millbridge_sons", 25) === 25 + trusted * ConsignmentSystem.REPUTATION_COMMISSION_STEP,
+            "A house that trusts us offers a better commission");
+        check(!ConsignorRegistry.willDeal("wintershine_vintners") &&
+            ConsignmentSystem.generateOffer({ portId: "verbobonc", remainingLegs: [], freeLoads: 10, baseCommission: 25, currentDay: 0 })?.refused,
+            "A house let down too often refuses to consign");
+    }
+
+    /**
+     * Connections run both ways: editing or removing one side of a
+     * segment changes the way back too
+     */
+    static async checkConnections(check) {
+        await this.setup();
+        PortRegistry.setConnection("safeton", "verbobonc", 400, "lake", 270);
+        check(PortRegistry.getDistance("verbobonc", "safeton") === 400 && PortRegistry.getBearing("verbobonc", "safeton") === 90, "New connection is added in both directions");
+        PortRegistry.setConnection("verbobonc", "safeton", 450, "river");
+        check(PortRegistry.getDistance("safeton", "verbobonc") === 450 && PortRegistry.get("safeton").waterTypes.verbobonc === "river", "Edited connection keeps the way back in step");
+        PortRegistry.removeConnection("safeton", "verbobonc");
+        check(PortRegistry.getDistance("verbobonc", "safeton") === null && PortRegistry.getDistance("safeton", "verbobonc") === null, "Removed connection is gone both ways");
+        PortRegistry.initialize();
+    }
+
+    /**
+     * A temperate winter from 1 Ready'reat, without the DnD Weather module:
+     * the open sea sees gales, storms and fog, each a hazard to the pilot,
+     * and the same winter freezes a lake that open water never carries ice on
+     */
+    static checkWinterWeather(check) {
+        const winter = waterType => {
+            Dice.seed("winter-3");
+            const weatherState = WeatherGenerator.createState({ climate: "temperate", startingMonth: "Ready'reat" });
+            return Array.from({ length: 91 }, (_, day) => WeatherGenerator.generate(weatherState, { day, waterType }));
         };
-        
-        console.log("Test Conditions:");
-        console.log(`- Hull Damage: 6 HP (36 → 30, 16.7% damage)`);
-        console.log(`- Crew Shortfall: 4 sailors missing (18 → 14 crew, 22% shortfall)`);
-        console.log(`- Merchant Counts: Verbobonc(2), Greyhawk(8), Leukish(1), Dyvers(2)`);
-        console.log("");
-        console.log("Expected Triggers:");
-        console.log("✓ Ship repairs at EVERY port (damage >10% threshold)");
-        console.log("✓ Crew hiring at EVERY port (shortfall >20% threshold)");
-        console.log("✓ Port agents at 3 ports (Verbobonc, Leukish, Dyvers - low merchants)");
-        console.log("");
-        
-        // Apply forced conditions to voyage
-        const modifiedSimulator = this.patchSimulatorForTest(VoyageSimulator, testConfig);
-        
-        // Run voyage
-        console.log("Starting test voyage...");
-        const voyage = await modifiedSimulator.startVoyage(testConfig);
-        
-        console.log("");
-        console.log("=== TEST COMPLETE ===");
-        console.log("Check voyage log for:");
-        console.log("1. 'Ship damage: 6 HP (17%), repairs deferred' OR 'Ship Repaired: 6 hull points'");
-        console.log("2. 'Hired replacement crew' messages");
-        console.log("3. 'Port Agent Hired' messages");
-        
-        return voyage;
-    }
-    
-    /**
-     * Patch the simulator to inject test conditions
-     */
-    static patchSimulatorForTest(SimulatorClass, testConfig) {
-        const original = SimulatorClass.prototype.startVoyage;
-        
-        SimulatorClass.prototype.startVoyage = async function(config) {
-            // Apply forced hull damage
-            if (testConfig.forcedStartingHull) {
-                config.ship.system.hullPoints = {
-                    max: 36,
-                    value: testConfig.forcedStartingHull
-                };
-                console.log(`✓ Forced hull damage: ${testConfig.forcedStartingHull}/36`);
-            }
-            
-            // Apply forced crew shortfall
-            if (testConfig.forcedStartingCrew) {
-                config.ship.system.crew = testConfig.forcedStartingCrew;
-                console.log(`✓ Forced crew shortfall: 14 crew (need 18)`);
-            }
-            
-            // Patch merchant availability
-            if (testConfig.forcedMerchantCounts) {
-                this._testMerchantCounts = testConfig.forcedMerchantCounts;
-                console.log(`✓ Forced merchant counts: ${JSON.stringify(testConfig.forcedMerchantCounts)}`);
-            }
-            
-            return original.call(this, config);
+        const openWater = winter("openWater");
+        const hazard = weather => NavigationSystem.assessWeatherHazard(weather).hazardType;
+        const peaks = type => openWater.filter(weather => weather.system.type === type && weather.system.stage === "peak");
+
+        check(openWater.every(weather => weather.season === "winter"), "Winter run stays in winter");
+        check(peaks("gale").length > 0 && peaks("gale").every(weather => ["Major", "Critical"].includes(hazard(weather))), "Gales blow at gale force");
+        check(peaks("storm").length > 0 && peaks("storm").every(weather => hazard(weather) === "Critical"), "Storms blow at their peak");
+        check(openWater.some(weather => /fog/.test(weather.sky) && hazard(weather)), "Fog lies on the open sea");
+        check(openWater.every(weather => !weather.ice) && winter("lake").some(weather => weather.ice === "floes"), "Hard frosts ice the lakes but not the open sea");
+    }
+
+    /**
+     * A gale building on the Greyhawk to Verbobonc leg, read by an officer
+     * whose sea lore never fails and by one whose always does. The reading
+     * keeps the ship in harbour until the gale has blown out, runs her back
+     * to harbour when she is just out, and heaves her to in open water.
+     */
+    static async checkForecasts(check) {
+        const gale = () => ({ type: "gale", name: "Gale", storm: true, day: 0, days: 3, peakDays: 1, direction: 270, temp: -2 });
+        const seer = { name: "Old Tam", proficiencyScores: { seaLore: 20 } };
+        const greenhand = { name: "Pell", proficiencyScores: { seaLore: 0 } };
+
+        const building = WeatherGenerator.outlook({ ...WeatherGenerator.createState(), next: gale() }, { day: 0, days: 2 });
+        const read = await WeatherForecast.makeForecast([seer], building);
+        const misread = await WeatherForecast.makeForecast([greenhand], building);
+        const blowing = [{ ...building[0], stage: "peak" }];
+        check(read.success && read.days === building && WeatherForecast.stormAhead(read) === building[0], "Sea lore foresees a building gale");
+        check(!misread.success && !WeatherForecast.stormAhead(misread) && misread.days.every(day => day.type !== "gale" && WeatherGenerator.SYSTEMS[day.type]),
+            "A failed reading mistakes the gale for settled weather");
+        check(WeatherForecast._misread(blowing) === blowing, "A gale already blowing can't be misread");
+        const galeDay = { system: { type: "gale", stage: "building" } };
+        check(WeatherForecast.isAccurate(read.days[0], galeDay) && !WeatherForecast.isAccurate(misread.days[0], galeDay), "Forecasts are graded against the day's weather");
+
+        await this.setup();
+        await this.prepareTestShip();
+        const simulator = new VoyageSimulator();
+        const voyageId = await simulator.startVoyage(this.buildConfig({ mode: "manual", automateTrading: false }));
+        const watch = async (milesOnLeg, inHarbour) => {
+            const state = await VoyageSimulator.loadState(voyageId);
+            Object.assign(state, { mode: "auto", allOfficers: [seer] });
+            Object.assign(state.weatherState, { system: null, next: gale() });
+            state.position.inHarbour = inHarbour;
+            const decisions = await simulator._morningWatch(state, state.legs[0], milesOnLeg);
+            return { state, decisions };
         };
-        
-        // Patch cargo-buy to use forced merchant counts
-        const originalCargoBuy = SimulatorClass.prototype.attemptCargoPurchase;
-        SimulatorClass.prototype.attemptCargoPurchase = async function(state, portId, portActivity) {
-            if (this._testMerchantCounts) {
-                const portName = portId.toLowerCase().replace(/[^a-z]/g, '');
-                const forcedCount = this._testMerchantCounts[portName];
-                
-                if (forcedCount !== undefined) {
-                    // Temporarily override merchant roll
-                    const originalRoll = Roll.prototype.evaluate;
-                    Roll.prototype.evaluate = async function() {
-                        if (this.formula === "1d6") {
-                            this.total = Math.max(1, forcedCount - 2); // Adjust for modifiers
-                            this._evaluated = true;
-                            return this;
-                        }
-                        return originalRoll.call(this);
-                    };
-                    
-                    const result = await originalCargoBuy.call(this, state, portId, portActivity);
-                    
-                    // Restore original
-                    Roll.prototype.evaluate = originalRoll;
-                    
-                    return result;
-                }
+
+        const stay = await watch(0, true);
+        const weatherbound = stay.state.ledger.filter(entry => entry.description === "Moorage while weatherbound at City of Greyhawk");
+        check(weatherbound.length === 3 && stay.state.daysElapsed === 3 && Object.keys(stay.decisions).length === 0,
+            "Ship stays in harbour until the gale has blown out");
+        check(stay.state.forecasts?.made === 3 && stay.state.forecasts.accurate === 3, "Each day weatherbound bore out the forecast");
+
+        const shelter = await watch(10, false);
+        check(shelter.decisions.shelter?.portId === "greyhawk_city" && !shelter.decisions.shelter.ahead, "Ship just out runs back to harbour");
+
+        const heaveTo = await watch(300, false);
+        check(heaveTo.decisions.heaveTo && /the ship heaves to/.test(heaveTo.state.voyageLogHtml.value), "Ship in open water heaves to");
+    }
+
+    /**
+     * Courses into the wind are beaten to windward, lateen rigs pointing
+     * higher; courses before it are run, square rigs running faster
+     */
+    static checkPointsOfSail(check) {
+        const upwind = WeatherSystem.pointOfSail(0, 20, "square");
+        const upwindLateen = WeatherSystem.pointOfSail(0, 20, "lateen");
+        check(upwind.key === "beating" && upwind.tacking && upwind.madeGood < 1, "Square-rigger tacks on an upwind course");
+        check(upwindLateen.key === "beating" && upwindLateen.madeGood > upwind.madeGood, "Lateen rig makes more good to windward");
+        check(WeatherSystem.pointOfSail(0, 60, "lateen").key === "closeHauled", "Lateen rig sails close-hauled where a square-rigger tacks");
+
+        const downwind = WeatherSystem.pointOfSail(180, 0, "square");
+        const downwindLateen = WeatherSystem.pointOfSail(180, 0, "lateen");
+        check(downwind.key === "running" && !downwind.tacking && downwind.madeGood === 1, "Downwind course runs before the wind");
+        check(downwind.factor > downwindLateen.factor, "Square rig runs faster than lateen");
+        check(WeatherSystem.pointOfSail(350, 90, "square").key === "beamReach", "Course across the wind is a beam reach");
+
+        const weather = { wind: { speed: 25, direction: "N" }, precipitation: { type: "none" } };
+        const beating = WeatherSystem.calculateSailingSpeed(100, weather, { bearing: 0 });
+        const running = WeatherSystem.calculateSailingSpeed(100, weather, { bearing: 180 });
+        check(beating.speed < running.speed && beating.milesSailed > beating.speed, "Miles made good upwind fall short of miles sailed");
+    }
+
+    /**
+     * A manual voyage whose captain diverts to Hardby on the fourth day,
+     * then rejoins the route for Verbobonc or ends the voyage there
+     */
+    static async runDivertedVoyage(outcome) {
+        await this.setup({ answers: { shipRepair: "professional", crewHiring: "hire", diversionOutcome: outcome } });
+        await this.prepareTestShip();
+
+        const simulator = new VoyageSimulator();
+        const voyageId = await simulator.startVoyage(this.buildConfig({ mode: "manual", automateTrading: false }));
+        let state = await VoyageSimulator.loadState(voyageId);
+        for (let day = 0; day < 365 && !state.flags.finished; day++) {
+            ({ state } = await simulator.rollNextDay(voyageId, day === 3 ? { divertTo: "hardby" } : {}));
+        }
+        return state;
+    }
+
+    static async checkDiversions(check) {
+        const ended = await this.runDivertedVoyage("end");
+        const [endDiversion] = ended.diversions;
+        check(Platform.prompts.asked.some(prompt => prompt.id === "diversionOutcome" && prompt.choice === "end"), "Captain was asked whether to rejoin the route");
+        check(endDiversion?.port === "hardby" && endDiversion.bound === "verbobonc" && endDiversion.outcome === "end", "Diversion to Hardby was recorded");
+        check(ended.flags.finished && ended.portsVisited.at(-1) === "Hardby" && ended.legs.length === 1, "Voyage ended at the diversion port");
+
+        const rejoined = await this.runDivertedVoyage("rejoin");
+        const [rejoinDiversion] = rejoined.diversions;
+        const rejoinLegs = rejoined.legs.filter(leg => leg.rejoining);
+        check(rejoinDiversion?.outcome === "rejoin" && rejoinDiversion.extraMiles > 0, "Rejoined diversion was recorded with its extra miles");
+        check(rejoinLegs[0]?.fromID === "hardby" && rejoinLegs.at(-1)?.toID === "verbobonc", "Rejoining legs lead from Hardby back to Verbobonc");
+        const routeResumed = rejoined.legs[rejoined.legs.indexOf(rejoinLegs.at(-1)) + 1];
+        check(rejoined.flags.finished && routeResumed?.fromID === "verbobonc" && !routeResumed.rejoining, "Rejoined voyage sailed on along the rest of its route");
+    }
+
+    /**
+     * A galley's first day out of Greyhawk, becalmed, rowed at the given stroke
+     */
+    static async rowFirstDay(mode) {
+        await this.setup();
+        const ship = await ShipRegistry.createFromTemplate("galley_small", "Oarbird");
+
+        const simulator = new VoyageSimulator();
+        const voyageId = await simulator.startVoyage(this.buildConfig({ shipId: ship.id, mode: "manual", automateTrading: false, enableRowing: true }));
+        const before = await VoyageSimulator.loadState(voyageId);
+        const { state } = await simulator.rollNextDay(voyageId, { row: mode });
+        return { state, cost: state.legAccumulatedCost - before.legAccumulatedCost };
+    }
+
+    static async checkRowing(check) {
+        const cruise = await this.rowFirstDay("cruise");
+        const sprint = await this.rowFirstDay("sprint");
+        const speeds = NavigationSystem.oarSpeeds(cruise.state.ship);
+        const rowers = NavigationSystem.rowers(cruise.state.ship, cruise.state.currentCrew);
+
+        check(cruise.state.position.milesOnSegment === speeds.cruise && sprint.state.position.milesOnSegment === speeds.sprint && speeds.sprint > speeds.cruise,
+            "Galley rows further at sprint than at cruise");
+        check(cruise.state.consecutiveRowingDays === 1 && sprint.state.consecutiveRowingDays === 2, "Sprinting tires the oarsmen twice as fast");
+        check(sprint.cost - cruise.cost === Math.ceil(rowers.aboard / 5), "Sprinting oarsmen eat double provisions");
+
+        const fresh = NavigationSystem.handleRowing({ mode: "cruise", speeds, rowers, consecutiveRowingDays: 0 });
+        const tired = NavigationSystem.handleRowing({ mode: "cruise", speeds, rowers, consecutiveRowingDays: NavigationSystem.ROWING_FATIGUE_THRESHOLD + 1 });
+        const spent = NavigationSystem.handleRowing({ mode: "sprint", speeds, rowers, consecutiveRowingDays: NavigationSystem.ROWING_EXHAUSTED });
+        check(tired.fatigued && tired.rowingSpeed === Math.floor(fresh.rowingSpeed / 2), "Fatigued oarsmen row at half speed");
+        check(!spent.canRow && spent.exhausted, "Exhausted oarsmen cannot row");
+    }
+
+    /**
+     * Port markets: our sales glut them, our purchases make goods scarce,
+     * and both drift halfway back to equilibrium every HALF_LIFE_DAYS
+     */
+    static checkMarkets(check) {
+        MarketRegistry.initialize();
+        const [portId, cargoType] = ["dyvers", "comfort"];
+        const equilibrium = MarketRegistry.getEquilibrium(portId, cargoType);
+        check(MarketRegistry.getOfferTerms(portId, cargoType).pricePercent > 0, "Imports are dearer than usual at equilibrium");
+
+        MarketRegistry.recordSale(portId, cargoType, 40, 120);
+        const glut = { ...MarketRegistry.getMarket(portId, cargoType) };
+        check(glut.stock === equilibrium.stock + 40 && glut.demand < equilibrium.demand && glut.prices.at(-1)?.kind === "sale",
+            "Selling into a market raises stock and lowers demand");
+        check(MarketRegistry.getOfferTerms(portId, cargoType).pricePercent < 0, "A glut is offered cheap");
+
+        MarketRegistry.advanceDays(MarketRegistry.HALF_LIFE_DAYS);
+        const drifted = { ...MarketRegistry.getMarket(portId, cargoType) };
+        check(Math.abs(drifted.stock - (equilibrium.stock + 20)) < 1e-9 && Math.abs(drifted.demand - (equilibrium.demand + glut.demand) / 2) < 1e-9,
+            "Market drifts halfway back to equilibrium over its half-life");
+
+        MarketRegistry.recordPurchase(portId, cargoType, 1000, 200);
+        const terms = MarketRegistry.getOfferTerms(portId, cargoType);
+        check(terms.stock === 0 && terms.pricePercent === 50 && MarketRegistry.getMarket(portId, cargoType).demand > drifted.demand,
+            "Buying a market out makes what's left scarce and dear");
+        MarketRegistry.initialize();
+    }
+
+    /**
+     * Trading profiles decide differently on the same offer or hold, and a
+     * registered profile takes what it leaves out from the conservative one
+     */
+    static checkStrategies(check) {
+        const { baseValue } = CargoRegistry.get("primitive");
+        const offer = strategy => TradingStrategy.evaluatePurchase({
+            cargoType: "primitive", pricePerLoad: Math.floor(baseValue * 0.8), loadsAvailable: 10, shipCapacity: 20, currentTreasury: 5000,
+            isFinalPort: false, advice: [{ portName: "Leukish", expected: baseValue * 2, lossChance: 0, distance: 600 }], strategy
+        });
+        check(offer("conservative").shouldBuy && !offer("luxury").shouldBuy && /^Deals only in/.test(offer("luxury").reason),
+            "Luxury trader declines primitive goods a conservative merchant buys");
+
+        const sells = (strategy, distanceTraveled, distanceToNextPort) => TradingStrategy.evaluateSale({
+            cargoType: "primitive", loadsCurrent: 10, purchasePrice: baseValue, distanceTraveled, distanceToNextPort, isFinalPort: false, remainingLegs: [], strategy
+        }).shouldSell;
+        check(sells("bulk", 100, 250) && !sells("conservative", 100, 250), "Bulk hauler sells at a middling bonus the conservative merchant holds out past");
+        check(sells("bulk", 300, 300) && !sells("conservative", 300, 300), "Bulk hauler doesn't hold for the long-haul bonus");
+        check(TradingStrategy.shouldEvadeDuties("smuggler", 50) && !TradingStrategy.shouldEvadeDuties("conservative", 50), "Only the smuggler evades duty");
+        check(TradingStrategy.getStrategy("lawful") === TradingStrategy.getStrategy("conservative"), "Unknown profiles fall back to the conservative merchant");
+
+        const coaster = TradingStrategy.registerStrategy("coaster", { name: "Coaster", reserve: { short: 0.6 }, sellAtBonus: 0 });
+        const base = TradingStrategy.getStrategy("conservative");
+        check(coaster.sellAtBonus === 0 && coaster.maxLossChance === base.maxLossChance && !coaster.evadeDuties &&
+            JSON.stringify(coaster.reserve) === JSON.stringify({ ...base.reserve, short: 0.6 }),
+            "Registered profile takes its missing settings from the conservative merchant");
+        let unnamed = null;
+        try {
+            TradingStrategy.registerStrategy("nameless", {});
+        } catch (err) {
+            unnamed = err;
+        }
+        check(unnamed && !TradingStrategy.STRATEGIES.nameless, "A profile without a name is refused");
+        delete TradingStrategy.STRATEGIES.coaster;
+    }
+
+    /**
+     * The advisor's odds must be those of the sale itself: a distribution
+     * summing to one, matching calculateSalePrice run through every total of
+     * every roll it makes
+     */
+    static async checkTradeAdvisor(check) {
+        const profScores = { trade: 11, bargaining: 13, appraisal: null };
+        const sale = { cargoType: "consumer", distance: 300, portSize: "Port", demandModifier: 1, profScores, lieutenantSkills: { bargaining: true }, crewQualityMod: 1 };
+
+        const advised = TradeAdvisor.saleDistribution(sale);
+        const total = [...advised.values()].reduce((sum, chance) => sum + chance, 0);
+        check(Math.abs(total - 1) < 1e-9, "Trade advisor sale odds sum to 1");
+
+        const enumerated = await this.enumerateSalePrice(sale);
+        const prices = new Set([...advised.keys(), ...enumerated.keys()]);
+        check([...prices].every(price => Math.abs((advised.get(price) || 0) - (enumerated.get(price) || 0)) < 1e-9),
+            "Trade advisor sale odds match every roll of calculateSalePrice");
+    }
+
+    /**
+     * Price per load -> probability, by calling calculateSalePrice once for
+     * each combination of dice totals it can roll
+     */
+    static async enumerateSalePrice({ cargoType, distance, portSize, demandModifier, profScores, lieutenantSkills, crewQualityMod }) {
+        const totals = (count, sides) => {
+            let faces = [[0, 1]];
+            for (let i = 0; i < count; i++) {
+                faces = faces.flatMap(([sum, chance]) => Array.from({ length: sides }, (_, face) => [sum + face + 1, chance / sides]));
             }
-            
-            return originalCargoBuy.call(this, state, portId, portActivity);
+            const tally = new Map();
+            for (const [sum, chance] of faces) tally.set(sum, (tally.get(sum) || 0) + chance);
+            return [...tally];
         };
-        
-        return SimulatorClass;
+
+        const roll = Dice.roll;
+        const prices = new Map();
+        const path = [];  // One { outcomes, index } per roll made, in order
+        try {
+            do {
+                let depth = 0;
+                let chance = 1;
+                Dice.roll = (formula) => {
+                    if (depth === path.length) {
+                        const [, count, sides] = formula.match(/^(\d*)d(\d+)$/);
+                        path.push({ outcomes: totals(parseInt(count || "1"), parseInt(sides)), index: 0 });
+                    }
+                    const { outcomes, index } = path[depth++];
+                    chance *= outcomes[index][1];
+                    return { formula, total: outcomes[index][0], rolls: [] };
+                };
+                const { pricePerLoad } = await CargoSelling.calculateSalePrice(cargoType, 1, portSize, PortRegistry.getSizeModifier(portSize),
+                    distance, profScores, lieutenantSkills, crewQualityMod, { value: "" }, false, demandModifier);
+                prices.set(pricePerLoad, (prices.get(pricePerLoad) || 0) + chance);
+
+                // Next combination: advance the last roll, carrying into the ones before it
+                path.length = depth;
+                while (path.length > 0 && ++path[path.length - 1].index === path[path.length - 1].outcomes.length) path.pop();
+            } while (path.length > 0);
+        } finally {
+            Dice.roll = roll;
+        }
+        return prices;
     }
-    
+
     /**
-     * Manual mode test - opens dialogs for user interaction
+     * Manual mode: scripted answers stand in for the player's dialogs and
+     * days are rolled one at a time until the voyage ends.
      */
     static async runManualTest() {
         console.log("=== MANUAL MODE TEST ===");
-        console.log("This will open dialogs for you to test manually");
-        
-        // Same as runFullSystemTest but with automateTrading: false
-        const testConfig = {
-            // ... same config as above
-            automateTrading: false, // Manual mode
-        };
-        
-        console.log("Test will present dialogs for:");
-        console.log("1. Ship repair choice (professional vs DIY)");
-        console.log("2. Crew hiring choice");
-        console.log("3. Port agent hiring choice");
-        
-        // Run test
-        return this.runFullSystemTest();
+        await this.setup({ answers: { shipRepair: "professional", crewHiring: "hire", purchaseLoads: { choice: "buy", values: { loadsToBuy: 5 } } } });
+        await this.prepareTestShip();
+
+        const simulator = new VoyageSimulator();
+        const voyageId = await simulator.startVoyage(this.buildConfig({ mode: "manual", automateTrading: false }));
+        let state = await VoyageSimulator.loadState(voyageId);
+        for (let day = 0; day < 365 && !state.flags.finished; day++) {
+            ({ state } = await simulator.rollNextDay(voyageId));
+        }
+
+        console.log(`Manual voyage ${state.flags.finished ? "finished" : "still at sea"} after ${state.totalDays} days, ${Platform.prompts.asked.length} prompts answered`);
+        return state;
     }
 }
 
-// Execute test
-VoyageIntegrationTest.runFullSystemTest();
\ No newline at end of file
+// Run directly under Node
+if (globalThis.process?.argv?.[1] && import.meta.url.endsWith(globalThis.process.argv[1].replace(/\\/g, "/"))) {
+    const { failures } = await VoyageIntegrationTest.runFullSystemTest();
+    await VoyageIntegrationTest.runManualTest();
+    globalThis.process.exitCode = failures.length ? 1 : 0;
+}
@@ -4,6 +4,7 @@
  */
 
 import { ProficiencySystem } from '../trading/proficiency.js';
+import { Dice } from './dice.js';
 
 export class NavigationSystem {
 
@@ -56,6 +57,23 @@ export class NavigationSystem {
             }
         }
 
+        // Ice floes and driving snow or sleet
+        const iceHazards = [];
+        if (weather.ice) iceHazards.push({ mod: 4, description: "Ice Floes" });
+        if (["snowstorm-heavy", "sleetstorm"].includes(precipType)) {
+            iceHazards.push({ mod: 2, description: precipType === "sleetstorm" ? "Sleet" : "Heavy Snow" });
+        }
+        for (const ice of iceHazards) {
+            if (!hazardType) {
+                hazardType = "Minor";
+                pilotingModifier = ice.mod;
+                hazardDescription = ice.description;
+            } else {
+                pilotingModifier += ice.mod;
+                hazardDescription += ` + ${ice.description}`;
+            }
+        }
+
         return {
             hazardType: hazardType,
             pilotingModifier: pilotingModifier,
@@ -87,42 +105,34 @@ export class NavigationSystem {
             if (missedBy >= 1 && missedBy <= 4) {
                 damage = 1;
             } else if (missedBy >= 5 && missedBy <= 7) {
-                damageRoll = new Roll("1d3 + 1");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d3 + 1");
                 damage = damageRoll.total;
             } else if (missedBy >= 8) {
-                damageRoll = new Roll("1d4 + 2");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d4 + 2");
                 damage = damageRoll.total;
             }
         } else if (hazardType === "Major") {
             if (missedBy >= 1 && missedBy <= 2) {
                 damage = 1;
             } else if (missedBy >= 3 && missedBy <= 4) {
-                damageRoll = new Roll("1d3 + 1");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d3 + 1");
                 damage = damageRoll.total;
             } else if (missedBy >= 5) {
-                damageRoll = new Roll("1d5 + 3");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d5 + 3");
                 damage = damageRoll.total;
             }
         } else if (hazardType === "Critical") {
             if (missedBy >= 1 && missedBy <= 2) {
-                damageRoll = new Roll("1d3 + 1");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d3 + 1");
                 damage = damageRoll.total;
             } else if (missedBy >= 3 && missedBy <= 4) {
-                damageRoll = new Roll("1d4 + 2");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d4 + 2");
                 damage = damageRoll.total;
             } else if (missedBy >= 5 && missedBy <= 7) {
-                damageRoll = new Roll("1d5 + 3");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d5 + 3");
                 damage = damageRoll.total;
             } else if (missedBy >= 8) {
-                damageRoll = new Roll("1d6 + 4");
-                await damageRoll.evaluate();
+                damageRoll = Dice.roll("1d6 + 4");
                 damage = damageRoll.total;
             }
         }
@@ -145,31 +155,74 @@ export class NavigationSystem {
         };
     }
 
+    // Hours a day at the oars; DMG oar speeds are in mph
+    static ROWING_HOURS_PER_DAY = 8;
+
+    // Cruising rows at normalOar, sprinting at maxOar. A day at the oars adds
+    // its fatigue to consecutiveRowingDays; each day off works one off.
+    // Rowers eat more: food is extra provisions per 5 rowers a day, in gp.
+    static ROWING_MODES = {
+        cruise: { fatigue: 1, food: 1 },
+        sprint: { fatigue: 2, food: 2 }
+    };
+    static ROWING_FATIGUE_THRESHOLD = 3; // Beyond this the oarsmen row at half speed
+    static ROWING_EXHAUSTED = 6;         // At this they can't row until rested
+
     /**
-     * Handle rowing as backup propulsion
+     * A day's rowing in miles at cruise (normalOar) and sprint (maxOar).
+     * Seafaring ships give the cruise as dailyOar; DMG ships give mph.
      */
-    static handleRowing(enableRowing, oarsmenCount, consecutiveRowingDays, baseRowingSpeed) {
-        if (!enableRowing || oarsmenCount === 0) {
-            return {
-                canRow: false,
-                rowingSpeed: 0,
-                fatigued: false
-            };
-        }
+    static oarSpeeds(ship) {
+        const cruise = ship.dailyOar || (ship.normalOar || 0) * this.ROWING_HOURS_PER_DAY;
+        const sprintRatio = ship.normalOar ? (ship.maxOar || ship.normalOar) / ship.normalOar : 1;
+        return { cruise: Math.round(cruise), sprint: Math.round(cruise * sprintRatio) };
+    }
 
-        const rowingFatigueThreshold = 3;
-        let speed = baseRowingSpeed;
-        let fatigued = false;
+    /**
+     * The ship's rowers: her oarsmen, or the sailors of a ship whose
+     * complement has none, against the number the complement calls for
+     */
+    static rowers(ship, currentCrew) {
+        const role = ship.crew?.some(c => c.role === "oarsman") ? "oarsman" : "sailor";
+        return {
+            role,
+            needed: ship.crew?.find(c => c.role === role)?.count || 0,
+            aboard: currentCrew.find(c => c.role === role)?.count || 0
+        };
+    }
 
-        if (consecutiveRowingDays > rowingFatigueThreshold) {
-            speed = Math.floor(speed / 2);
-            fatigued = true;
+    /**
+     * How far the rowers can take the ship today. Short-handed benches row
+     * slower in proportion; tired ones at half speed; exhausted ones not at all.
+     * @param {Object} params
+     * @param {string} params.mode - "cruise" or "sprint"
+     * @param {Object} params.speeds - From oarSpeeds
+     * @param {Object} params.rowers - From rowers
+     * @param {number} params.consecutiveRowingDays - Fatigue carried from earlier days
+     * @returns {Object} { canRow, rowingSpeed, fatigued, exhausted, shorthanded, mode,
+     *   fatigue, food } with the fatigue the day adds and the extra provisions it costs
+     */
+    static handleRowing({ mode = "cruise", speeds, rowers, consecutiveRowingDays = 0 }) {
+        const exhausted = consecutiveRowingDays >= this.ROWING_EXHAUSTED;
+        if (!rowers.aboard || !rowers.needed || !speeds[mode] || exhausted) {
+            return { canRow: false, rowingSpeed: 0, fatigued: false, exhausted, shorthanded: false, mode };
         }
 
+        const shorthanded = rowers.aboard < rowers.needed;
+        const fatigued = consecutiveRowingDays > this.ROWING_FATIGUE_THRESHOLD;
+        let speed = speeds[mode] * Math.min(1, rowers.aboard / rowers.needed);
+        if (fatigued) speed /= 2;
+
+        const modeInfo = this.ROWING_MODES[mode];
         return {
             canRow: true,
-            rowingSpeed: speed,
-            fatigued: fatigued
+            rowingSpeed: Math.floor(speed),
+            fatigued,
+            exhausted: false,
+            shorthanded,
+            mode,
+            fatigue: modeInfo.fatigue,
+            food: Math.ceil(rowers.aboard / 5) * modeInfo.food
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Route Planner
+ * Shortest/safest paths over the PortRegistry connection graph.
+ *
+ * "shortest" minimises miles sailed. "safest" adds a risk weight per
+ * segment water type and a penalty for calling at small ports, where
+ * repairs, crew and supplies are hard to find.
+ */
+
+import { PortRegistry } from '../data/ports.js';
+import { RouteRegistry } from '../data/routes.js';
+
+export class RoutePlanner {
+
+    static MODES = ["shortest", "safest"];
+
+    // Multiplier on segment miles for the "safest" mode
+    static WATER_RISK = {
+        coastal: 1.0,
+        lake: 1.0,
+        river: 1.1,
+        openWater: 1.5
+    };
+
+    // Extra "miles" per step below Major Port for intermediate stops
+    static PORT_SIZE_PENALTY = 25;
+
+    /**
+     * Plan a route through origin → waypoints → destination.
+     * Returns a route object startVoyage accepts as config.route.
+     * Throws if any stretch has no path.
+     */
+    static plan({ origin, destination, waypoints = [], mode = "shortest" }) {
+        if (!PortRegistry.get(origin)) throw new Error(`Unknown origin port: ${origin}`);
+        if (!PortRegistry.get(destination)) throw new Error(`Unknown destination port: ${destination}`);
+        if (origin === destination && waypoints.length === 0) throw new Error("Origin and destination are the same port");
+
+        const stops = [origin, ...waypoints.filter(Boolean), destination];
+        const ports = [origin];
+        for (let i = 0; i < stops.length - 1; i++) {
+            const path = this.findPath(stops[i], stops[i + 1], mode);
+            if (!path) {
+                const fromName = PortRegistry.get(stops[i])?.name || stops[i];
+                const toName = PortRegistry.get(stops[i + 1])?.name || stops[i + 1];
+                throw new Error(`No known passage from ${fromName} to ${toName}`);
+            }
+            ports.push(...path.slice(1));
+        }
+
+        const segments = [];
+        let distance = 0;
+        for (let i = 0; i < ports.length - 1; i++) {
+            distance += PortRegistry.getDistance(ports[i], ports[i + 1]);
+            segments.push({ from: ports[i], to: ports[i + 1], waterType: RouteRegistry.getSegmentWaterType(null, ports[i], ports[i + 1]) });
+        }
+
+        const originName = PortRegistry.get(origin).name;
+        const destName = PortRegistry.get(destination).name;
+        return {
+            name: `${originName} → ${destName} (planned)`,
+            ports,
+            description: `${mode === "safest" ? "Safest" : "Shortest"} planned route, ${distance} miles via ${ports.length - 2} intermediate port(s)`,
+            topology: "oneWay",
+            segments,
+            planned: true,
+            distance
+        };
+    }
+
+    /**
+     * Dijkstra over port connections. Returns the port id list from → to,
+     * or null if unreachable.
+     */
+    static findPath(fromId, toId, mode = "shortest") {
+        if (fromId === toId) return [fromId];
+
+        const cost = new Map([[fromId, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+
+        while (true) {
+            // Small graphs, so a linear scan for the next port is fine
+            let current = null;
+            for (const [id, c] of cost) {
+                if (!visited.has(id) && (current === null || c < cost.get(current))) current = id;
+            }
+            if (current === null) return null;
+            if (current === toId) break;
+            visited.add(current);
+
+            const connections = PortRegistry.get(current)?.connections || {};
+            for (const next of Object.keys(connections)) {
+                if (visited.has(next) || !PortRegistry.get(next)) continue;
+                const total = cost.get(current) + this.edgeCost(current, next, toId, mode);
+                if (!cost.has(next) || total < cost.get(next)) {
+                    cost.set(next, total);
+                    previous.set(next, current);
+                }
+            }
+        }
+
+        const path = [toId];
+        while (path[0] !== fromId) path.unshift(previous.get(path[0]));
+        return path;
+    }
+
+    /**
+     * Weighted cost of sailing fromId → toId
+     */
+    static edgeCost(fromId, toId, finalId, mode) {
+        const miles = PortRegistry.getDistance(fromId, toId);
+        if (mode !== "safest") return miles;
+
+        const waterType = RouteRegistry.getSegmentWaterType(null, fromId, toId);
+        let cost = miles * (this.WATER_RISK[waterType] ?? 1.0);
+
+        // Only stops along the way are penalised; the destination is fixed
+        if (toId !== finalId) {
+            const sizeMod = PortRegistry.getSizeModifier(PortRegistry.get(toId)?.size);
+            cost += (2 - sizeMod) * this.PORT_SIZE_PENALTY;
+        }
+        return cost;
+    }
+}
@@ -3,6 +3,8 @@
  * Handles hull damage repairs per "Oops, I'm at Sea" rules
  */
 
+import { Platform } from '../platform/platform.js';
+
 export class ShipRepairSystem {
 
     /**
@@ -78,29 +80,21 @@ export class ShipRepairSystem {
             </div>
         `;
 
-        return new Promise((resolve) => {
-            new Dialog({
-                title: "Ship Repairs",
-                content: content,
-                buttons: {
-                    professional: {
-                        label: "Professional Repair",
-                        disabled: !canAffordPro,
-                        callback: () => resolve({ type: "professional", ...professional })
-                    },
-                    diy: {
-                        label: "DIY Repair",
-                        disabled: !canAffordDIY || !hasProficiency,
-                        callback: () => resolve({ type: "diy", ...diy })
-                    },
-                    skip: {
-                        label: "Skip Repairs",
-                        callback: () => resolve(null)
-                    }
-                },
-                default: "skip"
-            }).render(true);
+        const { choice } = await Platform.prompts.choose({
+            id: "shipRepair",
+            title: "Ship Repairs",
+            content: content,
+            choices: {
+                professional: { label: "Professional Repair", disabled: !canAffordPro },
+                diy: { label: "DIY Repair", disabled: !canAffordDIY || !hasProficiency },
+                skip: "Skip Repairs"
+            },
+            default: "skip"
         });
+
+        if (choice === "professional") return { type: "professional", ...professional };
+        if (choice === "diy") return { type: "diy", ...diy };
+        return null;
     }
 
     /**
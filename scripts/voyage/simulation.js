@@ -6,17 +6,33 @@
 import { ShipRegistry } from '../data/ships.js';
 import { PortRegistry } from '../data/ports.js';
 import { RouteRegistry } from '../data/routes.js';
-import { CargoRegistry } from '../data/cargo.js';
+import { GoodsRegistry } from '../data/goods.js';
+import { MarketRegistry } from '../data/markets.js';
 import { ProficiencySystem } from '../trading/proficiency.js';
 import { CargoPurchasing } from '../trading/cargo-buy.js';
 import { CargoSelling } from '../trading/cargo-sell.js';
 import { CargoOperations } from '../trading/cargo-operations.js';
 import { TradingStrategy } from '../trading/trading-strategy.js';
+import { TradeAdvisor } from '../trading/trade-advisor.js';
+import { TradingDialogs } from '../ui/trading-dialogs.js';
 import { ReportGenerator } from '../journal/report-generator.js';
 import { ShipRepairSystem } from './ship-repair.js';
 import { CrewHiringSystem } from './crew-hiring.js';
 import { MerchantTimingSystem } from '../trading/merchant-timing.js';
 import { PortAgentSystem } from '../trading/port-agent.js';
+import { TransportHireSystem } from '../trading/transport-hire.js';
+import { ConsignmentSystem } from '../trading/consignment.js';
+import { ConsignorRegistry } from '../data/consignors.js';
+import { CargoHold } from '../trading/cargo-hold.js';
+import { PortFees } from '../port/fees.js';
+import { CustomsSystem } from '../trading/customs.js';
+import { FinancingSystem } from '../trading/financing.js';
+import { WeatherSystem } from './weather.js';
+import { WeatherGenerator } from './weather-generator.js';
+import { WeatherForecast } from './forecast.js';
+import { DiversionSystem } from './diversion.js';
+import { Dice } from './dice.js';
+import { Platform } from '../platform/platform.js';
 
 export class VoyageSimulator {
   /** Persist active voyages in a single world setting */
@@ -25,11 +41,11 @@ export class VoyageSimulator {
 
   static async _getStore() {
       try {
-      const raw = await game.settings.get(this.STORE_NS, this.STORE_KEY);
+      const raw = await Platform.settings.get(this.STORE_NS, this.STORE_KEY);
       return raw && typeof raw === "object" ? raw : {};
       } catch {
       // First run: register the setting if needed
-      await game.settings.register(this.STORE_NS, this.STORE_KEY, {
+      await Platform.settings.register(this.STORE_NS, this.STORE_KEY, {
           name: "Voyage Store",
           scope: "world",
           config: false,
@@ -39,7 +55,7 @@ export class VoyageSimulator {
       }
   }
   static async _setStore(store) {
-      return game.settings.set(this.STORE_NS, this.STORE_KEY, store || {});
+      return Platform.settings.set(this.STORE_NS, this.STORE_KEY, store || {});
   }
 
   static async saveState(voyageId, state) {
@@ -49,7 +65,13 @@ export class VoyageSimulator {
   }
   static async loadState(voyageId) {
       const store = await this._getStore();
-      return store[voyageId] ?? null;
+      const state = store[voyageId] ?? null;
+      // Voyages saved before the hold held lots
+      if (state && !state.cargoHold) {
+          state.cargoHold = CargoHold.fromLegacy(state.currentCargo);
+          delete state.currentCargo;
+      }
+      return state;
   }
   static async listVoyages() {
       const store = await this._getStore();
@@ -73,43 +95,20 @@ export class VoyageSimulator {
     const voyageState = this.initializeVoyageState(voyageConfig);
     voyageState.id = voyageId;
     voyageState.mode = mode;
+    voyageState.name = `${voyageState.ship.name}: ${voyageState.route.name}`;
 
     const validation = this.validatevoyageConfig(voyageConfig);
     if (!validation.valid) {
-        ui.notifications.error(validation.message);
+        Platform.output.notify("error", validation.message);
         return null;
     }
 
-    // Date/Time Setup — prefer CTT, fall back to weather module
-    const ctt = game.modules?.get('calendar-time-tracker')?.api;
-    if (ctt && voyageConfig.startingYear && voyageConfig.startingMonth && voyageConfig.startingDay) {
-        // CTT expects numeric month index, but voyageConfig has month name string
-        // Look up the index from CTT's calendar configuration
-        let monthIndex = voyageConfig.startingMonth;
-        if (typeof monthIndex === 'string') {
-            const calConfig = ctt.getMonthData?.(0); // probe to check if API works
-            // Search CTT's calendar months for the matching name
-            const tracker = game.modules.get('calendar-time-tracker')?.timeTracker;
-            const months = tracker?.calendarSystem?.configuration?.months || [];
-            const foundIdx = months.findIndex(m => m.name === monthIndex);
-            if (foundIdx >= 0) {
-                monthIndex = foundIdx;
-                console.log(`[Voyage Setup] Resolved month "${voyageConfig.startingMonth}" to CTT index ${monthIndex}`);
-            } else {
-                console.warn(`[Voyage Setup] Could not find month "${voyageConfig.startingMonth}" in CTT calendar, skipping setDateTime`);
-                monthIndex = null;
-            }
-        }
-        if (monthIndex !== null) {
-            ctt.setDateTime({
-                year: voyageConfig.startingYear,
-                month: monthIndex,
-                day: voyageConfig.startingDay,
-                hour: 6, minute: 0, second: 0
-            });
-            console.log(`[Voyage Setup] Date set via CTT: ${ctt.getCurrentDate().fullDateTime}`);
-        }
-    }
+    // Date/Time Setup — the calendar adapter picks CTT or the weather module
+    Platform.calendar.setStartDate({
+        year: voyageConfig.startingYear,
+        month: voyageConfig.startingMonth,
+        day: voyageConfig.startingDay
+    });
 
     // Weather System Setup
     if (globalThis.dndWeather?.weatherSystem) {
@@ -119,18 +118,7 @@ export class VoyageSimulator {
         system.settings.terrain = "coast-warm";
         system.settings.elevation = 0;
         system.settings.locationName = PortRegistry.get(voyageState.route.ports[0])?.name || "At Sea";
-
-        // Only set weather calendar if CTT is NOT handling dates
-        if (!ctt && system.calendarTracker && voyageConfig.startingYear && voyageConfig.startingMonth && voyageConfig.startingDay) {
-            system.calendarTracker.setDate({
-                year: voyageConfig.startingYear,
-                month: voyageConfig.startingMonth,
-                day: voyageConfig.startingDay,
-                hour: 6,
-                minute: 0
-            });
-            console.log(`[Voyage Setup] Date set via Weather module: ${system.calendarTracker.getDateString()}`);
-        }
+        voyageState.voyageLogHtml.value += `<p><em>Weather is generated by the DnD Weather module, which the dice seed does not cover. Replays of this voyage may differ.</em></p>`;
     }
 
     // Initial Ledger Entry
@@ -143,10 +131,23 @@ export class VoyageSimulator {
     await VoyageSimulator.saveState(voyageId, voyageState);
 
     if (mode === "manual") {
+        // Manual voyages sail the same legs as auto runs, one day per call
+        const legs = this.buildRouteLegs(voyageState.route, voyageState.repositionFrom);
+        voyageState.legs = legs;
+        voyageState.totalDistance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+
+        await this.processOriginPort(voyageState, legs);
+        if (legs.length > 0) this._beginLeg(voyageState, legs[0], 0);
+        voyageState.rngState = Dice.getState();
+        await VoyageSimulator.saveState(voyageId, voyageState);
+
         console.log(`Voyage ${voyageId} initialized in MANUAL mode.`);
         return voyageId;
     } else {
         await this.runSimulation(voyageId);
+        // Keep the finished voyage so its ledger and state can be reviewed
+        voyageState.flags.finished = true;
+        await VoyageSimulator.saveState(voyageId, voyageState);
         return voyageId;
     }
   }
@@ -181,8 +182,18 @@ export class VoyageSimulator {
    * Initialize voyage state object
    */
   initializeVoyageState(config) {
+      // Seed before anything rolls so the whole voyage replays from config.seed
+      const seed = Dice.seed(config.seed);
       const ship = ShipRegistry.createInstance(config.shipId);
-      const route = RouteRegistry.get(config.routeId);
+      // Planned routes arrive as a route object instead of a registry id
+      const baseRoute = config.route || RouteRegistry.get(config.routeId);
+      const route = config.repeat > 0 ? { ...baseRoute, repeat: config.repeat } : baseRoute;
+      delete ship.voyageHistory;
+
+      // A ship starting away from the route's first port sails there first
+      const repositionFrom = config.repositionShip && ship.currentPort && ship.currentPort !== route.ports[0]
+          ? ship.currentPort
+          : null;
       
       const captainProficiencyScores = ProficiencySystem.createProficiencyScores(config.captain);
       const lieutenantSkills = config.lieutenant?.skills ?? {};
@@ -236,7 +247,7 @@ export class VoyageSimulator {
       // "1-4 = 5th, 5-7 = 6th, 8-9 = 7th, 0 = 8th"
       let capLevel = config.captain.level;
       if (!capLevel) {
-          const roll = Math.floor(Math.random() * 10) + 1; // d10
+          const roll = Dice.die(10); // d10
           if (roll <= 4) capLevel = 5;
           else if (roll <= 7) capLevel = 6;
           else if (roll <= 9) capLevel = 7;
@@ -266,7 +277,8 @@ export class VoyageSimulator {
       return {
           // Core Data
           ship: ship,
-          currentCrew: JSON.parse(JSON.stringify(ship.crew)),
+          // The crew aboard when she last came home, or a full complement
+          currentCrew: JSON.parse(JSON.stringify(ship.currentCrew || ship.crew)),
           route: route,
           
           // Actors
@@ -282,37 +294,61 @@ export class VoyageSimulator {
           
           // Configuration
           tradeMode: config.tradeMode,
+          tradeStrategy: config.tradeStrategy || TradingStrategy.DEFAULT_STRATEGY,
           commissionRate: config.commissionRate,
           autoRepair: config.autoRepair,
           enableRowing: config.enableRowing,
           automateTrading: config.automateTrading,
           crewQuality: config.crewQuality,
           crewQualityMod: crewQualityMod,
+          latitude: config.latitude,
+          startingMonth: config.startingMonth,
+          startingDay: config.startingDay,
+          // Built-in weather when the DnD Weather module is absent
+          weatherState: WeatherGenerator.createState({
+              climate: config.climate,
+              latitude: config.latitude,
+              startingMonth: config.startingMonth,
+              startingDay: config.startingDay
+          }),
           
-          // Finances
-          treasury: config.startingGold,
-          startingCapital: config.startingGold,
+          // Finances — investors' capital sails with the owner's
+          treasury: config.startingGold + (config.investorCapital || 0),
+          startingCapital: config.startingGold + (config.investorCapital || 0),
+          finance: FinancingSystem.createFinance({
+              startingGold: config.startingGold,
+              investorCapital: config.investorCapital || 0,
+              lettersOfCredit: config.lettersOfCredit
+          }),
           crewEarningsFromTrade: 0,
           revenueTotal: 0,
           expenseTotal: 0,
+          contractIncome: 0,
           
           // Ledger & Expenses
           ledger: [],
           dailyOperationalCost: dailyWageCost + dailyFoodCost,
           legAccumulatedCost: 0,
-          breakdown: { wages: 0, food: 0, repairs: 0, fees: 0, cargo: 0, taxes: 0 },
+          breakdown: { wages: 0, food: 0, repairs: 0, fees: 0, cargo: 0, taxes: 0, penalties: 0, finance: 0 },
           
           // Cargo
-          currentCargo: { type: null, loads: 0, purchasePrice: 0 },
+          cargoHold: [], // Lots of trade cargo, see CargoHold
+          transportContracts: [], // Shipping jobs carried for other merchants
+          consignments: [], // Goods carried for sale on a merchant house's behalf
           
           // Tracking
           totalDays: 0,
+          daysElapsed: 0, // Days since departure, at sea and in port; consignment deadlines count these
           totalDistance: 0,
           totalHullDamage: ship.hullPoints.max - ship.hullPoints.value,
           consecutiveRowingDays: 0,
-          position: { routeSegment: 0, milesOnSegment: 0 }, 
-          weatherSeed: null,
+          day: 0,
+          legs: [],
+          position: { legIndex: 0, routeSegment: 0, milesOnSegment: 0 },
+          seed,
+          rngState: null, // Dice position between manual days
           currentWaterType: "SHALLOW", // FRESH, COASTAL, SHALLOW, or DEEP - for encounter checks
+          repositionFrom,
           
           // Logs
           voyageLogHtml: { value: "" },
@@ -332,7 +368,8 @@ export class VoyageSimulator {
               speedPenalty: 0,
               temporaryRepairs: []
           },
-          maintenance: { daysSinceService: 0, speedPenalty: 0, quality: "Average" },
+          // Carried over from the ship's last voyage
+          maintenance: { daysSinceService: ship.daysSinceService || 0, speedPenalty: 0, quality: "Average" },
           
           // Scurvy tracking
           scurvy: {
@@ -352,15 +389,36 @@ export class VoyageSimulator {
           // Dates & Flags
           shipStartDate: null,
           shipEndDate: null,
-          flags: { atSea: true, inPort: false, finished: false, lastPortId: config.routeId ? RouteRegistry.get(config.routeId).ports[0] : null }
+          flags: { atSea: true, inPort: false, finished: false, lastPortId: repositionFrom || route.ports[0] }
       };
   }
 
   // ... (Rest of the file remains the same: validatevoyageConfig, runSimulation, buildRouteLegs, etc.) ...
   validatevoyageConfig(config) {
-      if (!ShipRegistry.get(config.shipId)) return { valid: false, message: "Invalid ship ID" };
-      if (!RouteRegistry.get(config.routeId)) return { valid: false, message: "Invalid route ID" };
+      const ship = ShipRegistry.get(config.shipId);
+      const route = config.route || RouteRegistry.get(config.routeId);
+      if (!ship) return { valid: false, message: "Invalid ship ID" };
+      if (!route) return { valid: false, message: "Invalid route ID" };
+      const routeErrors = RouteRegistry.validate(route);
+      if (routeErrors.length > 0) return { valid: false, message: routeErrors.join("; ") };
+      if (ship.status === "sunk") return { valid: false, message: `${ship.name} was lost at sea and cannot sail` };
+      if (ship.status === "seized") return { valid: false, message: `${ship.name} is held by creditors and cannot sail` };
+      if (ship.hullPoints.value <= 0) return { valid: false, message: `${ship.name} has no hull points left and must be repaired first` };
+
+      // The ship must start where it is, or sail a repositioning leg to the route
+      const startPort = route.ports[0];
+      if (ship.currentPort && ship.currentPort !== startPort) {
+          const shipAt = PortRegistry.get(ship.currentPort)?.name || ship.currentPort;
+          const routeStart = PortRegistry.get(startPort)?.name || startPort;
+          if (!config.repositionShip) {
+              return { valid: false, message: `${ship.name} is at ${shipAt}, not ${routeStart}. Choose a route from ${shipAt} or allow a repositioning leg.` };
+          }
+          if (!PortRegistry.getDistance(ship.currentPort, startPort)) {
+              return { valid: false, message: `No known passage from ${shipAt} to ${routeStart} for a repositioning leg` };
+          }
+      }
       if (config.startingGold < 0) return { valid: false, message: "Starting gold must be >= 0" };
+      if (config.investorCapital < 0) return { valid: false, message: "Investor capital must be >= 0" };
       if (config.tradeMode === "consignment" && (config.commissionRate < 10 || config.commissionRate > 40)) {
           return { valid: false, message: "Commission rate must be 10-40%" };
       }
@@ -372,7 +430,7 @@ export class VoyageSimulator {
       const state = this.activeVoyages.get(voyageId);
       if (!state) return;
 
-      const legs = this.buildRouteLegs(state.route);
+      const legs = this.buildRouteLegs(state.route, state.repositionFrom);
       state.totalDistance = legs.reduce((sum, leg) => sum + leg.distance, 0);
       
       await this.processOriginPort(state, legs);
@@ -384,9 +442,16 @@ export class VoyageSimulator {
               await this.handleVoyageFailure(state);
               return;
           }
+          state.flags.lastPortId = legs[i].toID;
+          state.ship.currentPort = legs[i].toID;
+          if (legs[i].diversion) await this._settleDiversion(state, legs, i);
           
-          if (i < legs.length - 1 || this.isCircuitRoute(state.route)) {
-              await this.processPort(state, legs[i].toID, i, legs);
+          // Every leg ends in a port call; the last one is the final port
+          await this.processPort(state, legs[i].toID, i, legs);
+
+          if (state.flags.seized) {
+              await this.handleShipSeized(state);
+              return;
           }
           
           if (state.ship.hullPoints.value <= 0) {
@@ -398,37 +463,35 @@ export class VoyageSimulator {
       await this.finalizeVoyage(state);
   }
 
-  buildRouteLegs(route) {
+  /**
+   * Expand a route into legs using its declared topology and repeat count
+   * (see RouteRegistry.getStops). Missing connections throw; callers should
+   * have checked RouteRegistry.validate first.
+   */
+  buildRouteLegs(route, repositionFrom = null) {
       const legs = [];
       const ports = route.ports;
-      for (let i = 0; i < ports.length - 1; i++) {
-          const distance = PortRegistry.getDistance(ports[i], ports[i + 1]);
-          if (!distance) continue;
-          const waterType = route.segments
-              ? (route.segments.find(s => s.from === ports[i] && s.to === ports[i + 1])?.waterType || "coastal")
-              : "coastal";
-          legs.push({ fromID: ports[i], toID: ports[i + 1], distance: distance, waterType: waterType });
-      }
-      if (route.name.toLowerCase().includes("circuit") && legs.length > 0) {
-          const lastPort = ports[ports.length - 1];
-          const firstPort = ports[0];
-          const returnDist = PortRegistry.getDistance(lastPort, firstPort);
-          if (returnDist) {
-              const waterType = route.segments
-                  ? (route.segments.find(s => s.from === lastPort && s.to === firstPort)?.waterType || "coastal")
-                  : "coastal";
-              legs.push({ fromID: lastPort, toID: firstPort, distance: returnDist, waterType: waterType });
+      if (repositionFrom && repositionFrom !== ports[0]) {
+          const distance = PortRegistry.getDistance(repositionFrom, ports[0]);
+          if (distance) {
+              const waterType = RouteRegistry.getSegmentWaterType(route, repositionFrom, ports[0]);
+              const bearing = RouteRegistry.getSegmentBearing(route, repositionFrom, ports[0]);
+              legs.push({ fromID: repositionFrom, toID: ports[0], distance, waterType, bearing, repositioning: true });
           }
       }
+      const stops = RouteRegistry.getStops(route);
+      for (let i = 0; i < stops.length - 1; i++) {
+          const distance = PortRegistry.getDistance(stops[i], stops[i + 1]);
+          if (!distance) throw new Error(`No connection from ${stops[i]} to ${stops[i + 1]} on route ${route.name}`);
+          const waterType = RouteRegistry.getSegmentWaterType(route, stops[i], stops[i + 1]);
+          const bearing = RouteRegistry.getSegmentBearing(route, stops[i], stops[i + 1]);
+          legs.push({ fromID: stops[i], toID: stops[i + 1], distance: distance, waterType: waterType, bearing: bearing });
+      }
       return legs;
   }
 
-  isCircuitRoute(route) {
-      return route.name.toLowerCase().includes("circuit");
-  }
-
   async processOriginPort(state, legs) {
-      const originID = state.route.ports[0];
+      const originID = legs[0]?.fromID || state.route.ports[0];
       const originPort = PortRegistry.get(originID);
       const originName = originPort.name;
       
@@ -442,6 +505,7 @@ export class VoyageSimulator {
           date: this.getCurrentDate(),
           fees: {},
           activities: [],
+          trades: [],
           totalCost: 0
       };
       
@@ -462,18 +526,18 @@ export class VoyageSimulator {
       
       // Crew Hiring
       await this.offerCrewHiring(state, originPort, portActivity);
-      
-      if (state.tradeMode === "consignment") {
-          await this.loadConsignmentCargo(state, portActivity);
-      } else {
-          // At origin, use strategy with all legs ahead
-          await this.attemptStrategicPurchase(state, originID, portActivity, -1, legs);
-      }
+
+      // At origin, use strategy with all legs ahead
+      await this.tradeWithMerchants(state, originID, portActivity, -1, legs, {
+          daysInPort: 3,
+          moorageType: portFees.moorage.type
+      });
+
+      await this._financeBeforeSailing(state, originID, portActivity, legs.length === 0);
   }
 
   async calculatePortFees(state, port, daysInPort) {
-      const entranceRoll = new Roll("1d10 + 10");
-      await entranceRoll.evaluate();
+      const entranceRoll = Dice.roll("1d10 + 10");
       const entrance = entranceRoll.total;
       
       const pilot = state.ship.hullPoints.max;
@@ -487,8 +551,7 @@ export class VoyageSimulator {
       const berthIsCheap = state.ship.hullPoints.max <= 5; // Very small boats - berth is ≤5 gp/day
       
       // Check berth availability (80% chance per rules)
-      const berthAvailableRoll = new Roll("1d100");
-      await berthAvailableRoll.evaluate();
+      const berthAvailableRoll = Dice.roll("1d100");
       const berthAvailable = berthAvailableRoll.total <= 80;
 
       let moorageCost, moorageType, moorageReason;
@@ -518,28 +581,53 @@ export class VoyageSimulator {
   }
 
   async sailLeg(state, leg, legIndex, allLegs) {
-      const fromName = PortRegistry.get(leg.fromID).name;
-      const toName = PortRegistry.get(leg.toID).name;
-      
-      state.voyageLogHtml.value += `<h4>Leg ${legIndex + 1}: ${fromName} → ${toName}</h4><p><strong>Distance:</strong> ${leg.distance} miles</p>`;
-      
-      // Set waterType for this leg from route segment data
-      state.currentWaterType = this._waterTypeToEncounterKey(leg.waterType || "coastal");
+      let toName = PortRegistry.get(leg.toID).name;
+      this._beginLeg(state, leg, legIndex);
 
       let remainingDistance = leg.distance;
       let sailingDays = 0;
       
       while (remainingDistance > 0 || sailingDays === 0) {
-          const dayResult = await this.simulateSailingDay(state, toName, remainingDistance, leg);
+          const milesOnLeg = leg.distance - remainingDistance;
+          const watch = await this._morningWatch(state, leg, milesOnLeg);
+          const diversion = watch.divert
+              || (!state.position.inHarbour && DiversionSystem.assess(state, leg, milesOnLeg, this._baseSailingSpeed(state)));
+          if (diversion) {
+              // The diversion replaces the rest of the leg, so runSimulation puts in there
+              leg = this._divert(state, allLegs, legIndex, milesOnLeg, diversion);
+              toName = diversion.name;
+              remainingDistance = leg.distance;
+          }
+          const dayResult = await this.simulateSailingDay(state, toName, remainingDistance, leg, watch);
           if (dayResult.shipSank) return false;
+          CargoHold.age(state.cargoHold, Math.min(dayResult.distanceCovered, Math.max(0, remainingDistance)));
           remainingDistance -= dayResult.distanceCovered;
           sailingDays++;
           state.totalDays++;
-          this.advanceDay();
+          this.advanceDay(state);
+          if (watch.shelter && !watch.shelter.ahead) {
+              remainingDistance = leg.distance;
+              await this._waitOutStorm(state, leg.fromID);
+          }
       }
       return true;
   }
 
+  /**
+   * Log the leg header and set the encounter water type for a new leg,
+   * which starts with the ship still in harbour
+   */
+  _beginLeg(state, leg, legIndex) {
+      state.position.inHarbour = true;
+      const fromName = PortRegistry.get(leg.fromID)?.name || leg.fromID;
+      const toName = PortRegistry.get(leg.toID)?.name || leg.toID;
+
+      state.voyageLogHtml.value += `<h4>Leg ${legIndex + 1}: ${fromName} → ${toName}</h4><p><strong>Distance:</strong> ${leg.distance} miles</p>`;
+
+      // Set waterType for this leg from route segment data
+      state.currentWaterType = this._waterTypeToEncounterKey(leg.waterType || "coastal");
+  }
+
   /**
    * Map route segment waterType strings to EncounterSystem keys
    */
@@ -554,7 +642,17 @@ export class VoyageSimulator {
       return map[waterType] || "SHALLOW";
   }
 
-  async simulateSailingDay(state, destinationName, remainingDistance, leg = null) {
+  /**
+   * Resolve one day at sea. Shared by auto mode (sailLeg) and manual mode
+   * (simulateDay) so both produce the same log, events and damage.
+   * decisions.heaveTo keeps the ship in place for the day and eases the
+   * wind's worst; decisions.row overrides the voyage's enableRowing setting,
+   * true or "cruise" for the normal stroke and "sprint" for the fastest, and
+   * puts a galley to the oars whatever the wind; decisions.shelter (from
+   * _morningWatch) puts the ship in harbour at the end of the day, clear of
+   * the weather.
+   */
+  async simulateSailingDay(state, destinationName, remainingDistance, leg = null, decisions = {}) {
       const dateStr = this.getCurrentDate();
       
       if (state.dailyOperationalCost) {
@@ -568,6 +666,7 @@ export class VoyageSimulator {
               state.breakdown.food += dailyFood;
               state.breakdown.wages += (state.dailyOperationalCost - dailyFood);
           }
+          this._trackArrears(state, dateStr);
       }
 
       let parsedWeather = null;
@@ -575,49 +674,27 @@ export class VoyageSimulator {
           const weatherArr = await globalThis.dndWeather.weatherSystem.generateWeather();
           const weather = weatherArr[0];
           globalThis.dndWeather.weatherSystem.setCurrentWeather(weather);
-          
-          const temp = weather.baseConditions?.temperature;
-          const wind = weather.baseConditions?.wind;
-          const precip = weather.baseConditions?.precipitation;
-          
-          parsedWeather = {
-              temperature: { high: temp?.high || 70, low: temp?.low || 50 },
-              wind: { speed: wind?.speed || 10, direction: wind?.direction || "N" },
-              precipitation: { type: precip?.type || "none", duration: precip?.duration || 0 },
-              sky: weather.baseConditions?.sky || "clear",
-              raw: weather
-          };
+          parsedWeather = WeatherSystem.parseWeatherObject(weather);
       } else {
-          const windRoll = new Roll("2d10 + 5");
-          await windRoll.evaluate();
-          parsedWeather = {
-              temperature: { high: 70, low: 55 },
-              wind: { speed: windRoll.total, direction: "Variable" },
-              precipitation: { type: "none", duration: 0 },
-              sky: "partly cloudy",
-              raw: null
-          };
+          parsedWeather = WeatherSystem.getFallbackWeather(this._weatherState(state), {
+              day: state.daysElapsed || 0,
+              waterType: leg?.waterType
+          });
       }
       
-      // Speed: Seafaring ships store dailySail (miles/day) directly.
-      // DMG ships store normalSail (mph) — convert via hours/day.
-      // Legacy ships store movement ("inches") — convert via MILES_PER_INCH_DAILY.
-      const SAILING_HOURS_PER_DAY = 10;
-      let baseSpeed;
-      if (state.ship.dailySail) {
-          baseSpeed = state.ship.dailySail;
-      } else if (state.ship.normalSail) {
-          baseSpeed = state.ship.normalSail * SAILING_HOURS_PER_DAY;
-      } else {
-          baseSpeed = state.ship.movement * this.MILES_PER_INCH_DAILY;
-      }
-      const speedInfo = this.calculateSailingSpeed(baseSpeed, parsedWeather);
+      const baseSpeed = this._baseSailingSpeed(state);
+      const speedInfo = this.calculateSailingSpeed(baseSpeed, parsedWeather, {
+          rigging: state.ship.rigging || "square",
+          bearing: leg?.bearing ?? null
+      });
       
       let distanceCovered = 0;
       let damage = 0;
       let shipSank = false;
+      state.position.inHarbour = false;
       
-      // --- Maintenance evaluation ---
+      // --- Maintenance evaluation: the upkeep clock runs at sea as in port ---
+      if (state.maintenance) state.maintenance.daysSinceService = (state.maintenance.daysSinceService || 0) + 1;
       this._evaluateMaintenance(state, dateStr);
 
       // --- Scurvy tracking (at sea = sea rations) ---
@@ -629,34 +706,58 @@ export class VoyageSimulator {
       // Apply morale penalty to speed
       const moralePenalty = state.morale?.proficiencyPenalty || 0;
 
-      // Apply maintenance speed penalty
-      const maintSpeedPenalty = state.maintenance?.speedPenalty || 0;
-
-      if (speedInfo.becalmed) {
+      // Apply maintenance and hull damage speed penalties
+      const { NavigationSystem } = await import('./navigation.js');
+      const hull = state.ship.hullPoints;
+      const hullSpeedPenalty = hull?.max
+          ? NavigationSystem.calculateHullDamagePenalty(Math.max(0, hull.max - hull.value), hull.max).speedPenaltyPercent
+          : 0;
+      const speedPenalty = Math.min(100, (state.maintenance?.speedPenalty || 0) + hullSpeedPenalty);
+
+      const rowingEnabled = (decisions?.row ?? state.enableRowing) && !decisions?.heaveTo;
+      const rowingMode = decisions?.row === "sprint" ? "sprint" : "cruise";
+      let rowed = false;
+
+      if (decisions?.shelter) {
+          // Under all the sail she can carry, the ship makes harbour before the weather breaks
+          const shelter = decisions.shelter;
+          distanceCovered = shelter.ahead ? Math.min(shelter.miles, remainingDistance) : 0;
+          state.voyageLogHtml.value += `<p><strong>⚓ ${dateStr}:</strong> Ran for shelter at ${shelter.name}, ${shelter.miles} miles ${shelter.ahead ? "ahead" : "astern"}, and made harbour before the weather broke.</p>`;
+      } else if (speedInfo.becalmed) {
           state.voyageLogHtml.value += `<p><strong>${dateStr}:</strong> Becalmed! No progress made. ${speedInfo.note}</p>`;
-          if (state.enableRowing) {
-              const { NavigationSystem } = await import('./navigation.js');
-              const rowingInfo = NavigationSystem.handleRowing(
-                  state.enableRowing,
-                  (state.ship?.crew || []).find(c => c.role === "oarsmen")?.count || 0,
-                  state.consecutiveRowingDays,
-                  8
-              );
-              if (rowingInfo.canRow) {
-                  distanceCovered = Math.min(rowingInfo.rowingSpeed, remainingDistance);
-                  state.consecutiveRowingDays++;
-                  state.voyageLogHtml.value += `<p>Crew rows: ${distanceCovered} miles. ${rowingInfo.fatigued ? '(Crew fatigued)' : ''}</p>`;
+          if (rowingEnabled) {
+              const rowing = await this._planRowing(state, rowingMode);
+              if (rowing.canRow) {
+                  distanceCovered = Math.min(rowing.rowingSpeed, remainingDistance);
+                  this._row(state, rowing, distanceCovered, dateStr);
+                  rowed = true;
+              } else if (rowing.exhausted) {
+                  state.voyageLogHtml.value += `<p>The oarsmen are spent and must rest before they can row again.</p>`;
               }
           }
       } else {
-          state.consecutiveRowingDays = 0;
           let adjustedSpeed = speedInfo.speed;
-          // Apply cumulative maintenance speed penalty
-          if (maintSpeedPenalty > 0) {
-              adjustedSpeed = Math.max(1, Math.floor(adjustedSpeed * (100 - maintSpeedPenalty) / 100));
+          // Apply cumulative maintenance and hull damage speed penalties
+          if (speedPenalty > 0) {
+              adjustedSpeed = Math.max(1, Math.floor(adjustedSpeed * (100 - speedPenalty) / 100));
           }
           distanceCovered = Math.min(adjustedSpeed, remainingDistance);
 
+          // Galleys row by choice: when ordered to, or when the oars make more way than the wind
+          if (rowingEnabled && state.ship.shipClass === "galley") {
+              const rowing = await this._planRowing(state, rowingMode);
+              if (rowing.canRow && (decisions?.row || rowing.rowingSpeed > adjustedSpeed)) {
+                  distanceCovered = Math.min(rowing.rowingSpeed, remainingDistance);
+                  this._row(state, rowing, distanceCovered, dateStr);
+                  rowed = true;
+              }
+          }
+
+          if (decisions?.heaveTo) {
+              distanceCovered = 0;
+              state.voyageLogHtml.value += `<p><strong>${dateStr}:</strong> Hove to. No progress made.</p>`;
+          }
+
           // --- Daily navigation check (openWater segments only) ---
           const segWaterType = leg?.waterType || "coastal";
           if (segWaterType === "openWater" && distanceCovered > 0) {
@@ -669,13 +770,12 @@ export class VoyageSimulator {
           }
 
           // --- Wind damage table (gale+ conditions, every 6 hours) ---
-          const windDmgResults = await this._processWindDamage(state, parsedWeather, dateStr);
+          const windDmgResults = await this._processWindDamage(state, parsedWeather, dateStr, !!decisions?.heaveTo);
           for (const wd of windDmgResults) {
               if (wd.damage) damage += wd.damage;
               if (wd.sank) shipSank = true;
           }
 
-          const { NavigationSystem } = await import('./navigation.js');
           const hazard = NavigationSystem.assessWeatherHazard(parsedWeather);
 
           if (hazard && hazard.hazardType) {
@@ -703,9 +803,14 @@ export class VoyageSimulator {
               }
           }
       }
+
+      // A day off the oars is a day's rest for the oarsmen
+      if (!rowed) state.consecutiveRowingDays = Math.max(0, (state.consecutiveRowingDays || 0) - 1);
       
       const weatherLog = this.formatWeatherLog(dateStr, parsedWeather, speedInfo, destinationName);
       state.weatherLogHtml.value += weatherLog;
+      this._gradeForecast(state, parsedWeather);
+      this._trackStorm(state, parsedWeather, dateStr);
       
       // Process daily encounters based on water type
       const { EncounterSystem } = await import('./encounter-system.js');
@@ -791,7 +896,39 @@ export class VoyageSimulator {
           }
       }
       
-      return { distanceCovered, shipSank, damage };
+      return { distanceCovered, shipSank, damage, weather: parsedWeather, speedInfo, encounters };
+  }
+
+  /**
+   * What the rowers could make today at the given stroke
+   * @param {string} mode - "cruise" or "sprint"
+   */
+  async _planRowing(state, mode) {
+      const { NavigationSystem } = await import('./navigation.js');
+      return NavigationSystem.handleRowing({
+          mode,
+          speeds: NavigationSystem.oarSpeeds(state.ship),
+          rowers: NavigationSystem.rowers(state.ship, state.currentCrew || []),
+          consecutiveRowingDays: state.consecutiveRowingDays || 0
+      });
+  }
+
+  /**
+   * A day at the oars: the rowers' fatigue and the extra provisions they eat
+   */
+  _row(state, rowing, miles, dateStr) {
+      state.consecutiveRowingDays = (state.consecutiveRowingDays || 0) + rowing.fatigue;
+
+      const food = rowing.food;
+      state.treasury -= food;
+      state.expenseTotal += food;
+      state.legAccumulatedCost = (state.legAccumulatedCost || 0) + food;
+      if (state.breakdown) state.breakdown.food += food;
+
+      const notes = [];
+      if (rowing.shorthanded) notes.push("short-handed benches");
+      if (rowing.fatigued) notes.push("crew fatigued");
+      state.voyageLogHtml.value += `<p><strong>🚣 ${dateStr}:</strong> Crew rows${rowing.mode === "sprint" ? " at full stroke" : ""}: ${miles} miles${notes.length ? ` (${notes.join(", ")})` : ""}. Extra provisions for the rowers: ${food} gp.</p>`;
   }
 
   // ===========================================================================
@@ -830,8 +967,7 @@ export class VoyageSimulator {
       const navScore = capNav || ltNav || 10;
       const target = Math.max(1, navScore - modifier);
 
-      const navRoll = new Roll("1d20");
-      await navRoll.evaluate();
+      const navRoll = Dice.roll("1d20");
 
       if (navRoll.total <= target) return { failed: false };
 
@@ -850,9 +986,9 @@ export class VoyageSimulator {
   // ===========================================================================
   // WIND DAMAGE TABLE — called every 6 hours during gale+ conditions
   // Checks: capsizing, broken mast, broken beams/leaking, torn sails, man overboard
-  // Thresholds by severity: gale / storm / hurricane
+  // Thresholds by severity: gale / storm / hurricane; halved for a ship hove to
   // ===========================================================================
-  async _processWindDamage(state, weather, dateStr) {
+  async _processWindDamage(state, weather, dateStr, hoveTo = false) {
       const windSpeed = weather.wind.speed;
       const results = [];
       if (windSpeed < 50) return results; // Below gale, no wind damage checks
@@ -874,9 +1010,8 @@ export class VoyageSimulator {
       // 4 checks per day (every 6 hours)
       for (let watch = 0; watch < 4; watch++) {
           for (const [event, chances] of Object.entries(thresholds)) {
-              const chance = chances[tier];
-              const roll = new Roll("1d100");
-              await roll.evaluate();
+              const chance = hoveTo ? Math.floor(chances[tier] / 2) : chances[tier];
+              const roll = Dice.roll("1d100");
               if (roll.total > chance) continue;
 
               let entry = { event, roll: roll.total, chance, damage: 0, sank: false };
@@ -895,8 +1030,7 @@ export class VoyageSimulator {
                   state.events.push({ type: 'wind_damage', date: dateStr, event: 'brokenMast' });
               }
               if (event === "leaking") {
-                  const leakDmg = new Roll("1d4");
-                  await leakDmg.evaluate();
+                  const leakDmg = Dice.roll("1d4");
                   state.ship.hullPoints.value = Math.max(0, state.ship.hullPoints.value - leakDmg.total);
                   state.totalHullDamage += leakDmg.total;
                   entry.damage = leakDmg.total;
@@ -928,7 +1062,7 @@ export class VoyageSimulator {
    */
   _resolveManOverboard(state) {
       // 20% chance it's an officer, 80% regular crew
-      const isOfficer = Math.random() < 0.20;
+      const isOfficer = Dice.random() < 0.20;
       if (isOfficer) {
           const mates = state.officerCounts?.mates || 0;
           const lts = state.officerCounts?.lieutenants || 0;
@@ -1015,8 +1149,7 @@ export class VoyageSimulator {
 
       // Check desertion if 60+ days without shore leave
       if (state.morale.daysSinceShoreLeave >= 60) {
-          const desertRoll = new Roll("1d4");
-          await desertRoll.evaluate();
+          const desertRoll = Dice.roll("1d4");
           const deserted = desertRoll.total;
           let remaining = deserted;
           const sailors = state.currentCrew.find(c => c.role === "sailor" || c.role === "sailors");
@@ -1135,12 +1268,7 @@ export class VoyageSimulator {
                   }
 
                   // Plunder if attackers won
-                  if (result.attackerVictory) {
-                      state.currentCargo = { type: null, loads: 0, purchasePrice: 0 };
-                      const plunderAmount = Math.floor(state.treasury * 0.75);
-                      state.treasury -= plunderAmount;
-                      state.voyageLogHtml.value += `<p><strong>☠️ Plundered!</strong> Lost all cargo and ${plunderAmount} gp.</p>`;
-                  }
+                  if (result.attackerVictory) await this.plunderShip(state);
 
                   state.events.push({
                       type: 'boarding',
@@ -1163,42 +1291,280 @@ export class VoyageSimulator {
       return await EncounterSystem.calculateEncounterDamage(enc, classification, numAppearing);
   }
 
-  calculateSailingSpeed(baseSpeed, weather) {
-      let currentSpeed = baseSpeed;
-      let speedNote = "";
-      const windSpeed = weather.wind.speed;
+  calculateSailingSpeed(baseSpeed, weather, course = {}) {
+      return WeatherSystem.calculateSailingSpeed(baseSpeed, weather, course);
+  }
+
+  /**
+   * The voyage's built-in weather, started for voyages saved before it existed
+   */
+  _weatherState(state) {
+      return state.weatherState ??= WeatherGenerator.createState({
+          latitude: state.latitude,
+          startingMonth: state.startingMonth,
+          startingDay: state.startingDay
+      });
+  }
+
+  /**
+   * A day's sail in fair conditions, in miles
+   */
+  _baseSailingSpeed(state) {
+      // Speed: Seafaring ships store dailySail (miles/day) directly.
+      // DMG ships store normalSail (mph) — convert via hours/day.
+      // Legacy ships store movement ("inches") — convert via MILES_PER_INCH_DAILY.
+      const SAILING_HOURS_PER_DAY = 10;
+      if (state.ship.dailySail) return state.ship.dailySail;
+      if (state.ship.normalSail) return state.ship.normalSail * SAILING_HOURS_PER_DAY;
+      return state.ship.movement * this.MILES_PER_INCH_DAILY;
+  }
+
+  /**
+   * The morning watch before a day on the leg: the officers' forecast and,
+   * when it foresees a storm, the captain's answer to it. Days spent
+   * weatherbound in port pass here.
+   * @param {number} milesOnLeg - Miles already made good on the leg
+   * @param {Object} [decisions] - The player's orders for the day, which stand
+   * @returns {Object} Decisions for the day: heaveTo, shelter { portId, name, miles, ahead },
+   *   or divert, a port off the leg (see DiversionSystem.candidates)
+   */
+  async _morningWatch(state, leg, milesOnLeg, decisions = {}) {
+      // The DnD Weather module's weather can't be foreseen
+      if (globalThis.dndWeather?.weatherSystem) return {};
+      const officers = this._forecastOfficers(state);
+      if (!WeatherForecast.bestSkill(officers)) return {};
+
+      const harbour = PortRegistry.get(leg.fromID)?.name || leg.fromID;
+      for (let waited = 0; ; waited++) {
+          const dateStr = this.getCurrentDate();
+          const outlook = WeatherGenerator.outlook(this._weatherState(state), {
+              day: state.daysElapsed || 0,
+              days: WeatherForecast.DAYS_AHEAD
+          });
+          const forecast = await WeatherForecast.makeForecast(officers, outlook);
+          const text = WeatherForecast.describe(forecast);
+          state.pendingForecast = { day: forecast.days[0], text };
+          state.weatherLogHtml.value += `<p><strong>🔭 Forecast (${dateStr}):</strong> ${forecast.officer} reads the sky by ${WeatherForecast.SKILL_NAMES[forecast.skill]} (${forecast.roll} vs ${forecast.needed}): ${text}.</p>`;
+
+          const storm = WeatherForecast.stormAhead(forecast);
+          if (!storm || decisions.heaveTo) return {};
+
+          const choices = {};
+          let shelter = null;
+          let refuge = null;
+          if (state.position.inHarbour) {
+              if (waited < WeatherForecast.STORM_WAIT_DAYS) choices.stay = `Stay in ${harbour}`;
+              choices.sail = "Sail";
+          } else {
+              shelter = this._nearestShelter(state, leg, milesOnLeg);
+              if (shelter) choices.shelter = `Run for ${shelter.name} (${shelter.miles} miles ${shelter.ahead ? "ahead" : "astern"})`;
+              // Failing the leg's own ports, another within a day's sail
+              refuge = !shelter && DiversionSystem.candidates(leg, milesOnLeg).find(c => c.miles <= this._baseSailingSpeed(state));
+              if (refuge) choices.divert = `Divert to ${refuge.name} (${refuge.miles} miles)`;
+              if (storm === forecast.days[0]) choices.heaveTo = "Heave to";
+              choices.sail = "Sail on";
+          }
+          const where = state.position.inHarbour ? harbour : `at sea, bound for ${PortRegistry.get(leg.toID)?.name || leg.toID}`;
+          const choice = Object.keys(choices).length > 1
+              ? await WeatherForecast.chooseAction({ forecast, choices, where, automated: state.mode !== "manual" })
+              : "sail";
+
+          state.events.push({ type: 'forecast', date: dateStr, officer: forecast.officer, forecast: text, decision: choices[choice] });
+          if (choice === "stay") {
+              state.voyageLogHtml.value += `<p><strong>⛈️ Weatherbound (${dateStr}):</strong> ${text}; the ship stays in ${harbour}.</p>`;
+              await this._weatherboundDay(state, leg.fromID);
+              continue;
+          }
+          if (choice === "heaveTo") {
+              state.voyageLogHtml.value += `<p><strong>⛈️ Storm foreseen (${dateStr}):</strong> ${text}; the ship heaves to.</p>`;
+              return { heaveTo: true };
+          }
+          if (choice === "shelter") return { shelter };
+          if (choice === "divert") return { divert: { ...refuge, reason: "storm" } };
+          state.voyageLogHtml.value += `<p><strong>⛈️ Storm foreseen (${dateStr}):</strong> ${text}; the ship sails on.</p>`;
+          return {};
+      }
+  }
+
+  /**
+   * Officers who might read the weather, with their proficiency scores
+   */
+  _forecastOfficers(state) {
+      if (state.allOfficers?.length) return state.allOfficers;
+      const officers = [{ name: state.captain.name, proficiencyScores: state.captainProficiencyScores }];
+      if (state.lieutenant?.skills) {
+          officers.push({ name: state.lieutenant.name, proficiencyScores: ProficiencySystem.createProficiencyScores(state.lieutenant) });
+      }
+      return officers;
+  }
+
+  /**
+   * The nearer port of the leg, back or ahead, if the ship can make it today.
+   * A ship diverting has only its new port ahead.
+   */
+  _nearestShelter(state, leg, milesOnLeg) {
+      const ahead = { portId: leg.toID, miles: Math.round(Math.max(0, leg.distance - milesOnLeg)), ahead: true };
+      const astern = leg.fromID ? { portId: leg.fromID, miles: Math.round(milesOnLeg), ahead: false } : null;
+      const nearest = !astern || ahead.miles <= astern.miles ? ahead : astern;
+      if (nearest.miles > this._baseSailingSpeed(state)) return null;
+      return { ...nearest, name: PortRegistry.get(nearest.portId)?.name || nearest.portId };
+  }
+
+  /**
+   * A day in harbour waiting on the weather: anchorage and the crew's keep
+   */
+  async _weatherboundDay(state, portId) {
+      const portName = PortRegistry.get(portId)?.name || portId;
+      const moorage = PortFees.calculateDailyMoorage("anchor", state.ship.hullPoints.max, 1);
+      state.treasury -= moorage;
+      state.expenseTotal += moorage;
+      if (state.breakdown) state.breakdown.fees += moorage;
+      this.recordLedgerEntry(state, this.getCurrentDate(), `Moorage while weatherbound at ${portName}`, 0, moorage);
+      await this._passDaysInPort(state, portName, 1);
+  }
+
+  /**
+   * After running back for shelter, ride out the storm in harbour
+   * @returns {number} days waited
+   */
+  async _waitOutStorm(state, portId) {
+      state.position.inHarbour = true;
+      let days = 0;
+      while (days < WeatherForecast.STORM_WAIT_DAYS && WeatherGenerator.outlook(this._weatherState(state), { day: state.daysElapsed || 0, days: 1 })[0]?.storm) {
+          await this._weatherboundDay(state, portId);
+          days++;
+      }
+      if (days > 0) {
+          state.voyageLogHtml.value += `<p><strong>⛈️ Weatherbound:</strong> ${days} days in ${PortRegistry.get(portId)?.name || portId} while the storm blew itself out.</p>`;
+      }
+      return days;
+  }
+
+  /**
+   * Set the morning's forecast against the day's weather in the weather log
+   */
+  _gradeForecast(state, weather) {
+      const pending = state.pendingForecast;
+      if (!pending) return;
+      state.pendingForecast = null;
+
+      const tally = (state.forecasts ??= { made: 0, accurate: 0 });
+      const accurate = WeatherForecast.isAccurate(pending.day, weather);
+      tally.made++;
+      if (accurate) tally.accurate++;
+      state.weatherLogHtml.value += `<p><em>Forecast ${accurate ? "borne out" : `wrong: the day brought ${WeatherForecast.describeWeather(weather)}`} (${tally.accurate} of ${tally.made} right so far).</em></p>`;
+  }
 
-      if (windSpeed < 5) {
-          currentSpeed = 0;
-          speedNote = "Becalmed! Wind too light for sailing (< 5 mph).";
-          return { speed: 0, note: speedNote, becalmed: true };
-      } else if (windSpeed >= 5 && windSpeed < 20) {
-          const penalty = Math.floor((20 - windSpeed) / 10) * 8;
-          currentSpeed = Math.max(1, baseSpeed - penalty);
-          speedNote = `Light winds (${windSpeed} mph). Speed reduced by ${penalty} mi/day.`;
-      } else if (windSpeed >= 20 && windSpeed <= 30) {
-          speedNote = `Good sailing winds (${windSpeed} mph).`;
-      } else if (windSpeed > 30) {
-          const bonus = Math.floor((windSpeed - 30) / 10) * 16;
-          currentSpeed = baseSpeed + bonus;
-          speedNote = `Strong winds (${windSpeed} mph). Speed increased by ${bonus} mi/day.`;
+  /**
+   * Follow a storm of the built-in weather from the day it builds to the
+   * day it blows out, and log its passing in the weather log
+   */
+  _trackStorm(state, weather, dateStr) {
+      const system = weather.system;
+      if (!system?.stage) return;
+
+      const storms = (state.storms ??= []);
+      let storm = storms[storms.length - 1];
+      if (!storm || storm.ended || system.day === 1) {
+          storm = { type: system.type, name: system.name, began: dateStr, ended: null, days: 0, peakWind: 0 };
+          storms.push(storm);
       }
+      storm.days++;
+      storm.peakWind = Math.max(storm.peakWind, weather.wind.speed);
+      if (system.day < system.days) return;
+
+      storm.ended = dateStr;
+      state.weatherLogHtml.value += `<p><strong>🌀 ${storm.name} passed (${dateStr}):</strong> ${storm.days} days from ${storm.began}, winds to ${storm.peakWind} mph.</p>`;
+      state.events.push({ type: 'storm', date: dateStr, name: storm.name, days: storm.days, peakWind: storm.peakWind });
+  }
+
+  /**
+   * Bear away from the leg for another port. The diversion leg replaces the
+   * rest of the leg; on arrival _settleDiversion rejoins the route or ends
+   * the voyage there.
+   * @param {Array} legs - The voyage's legs, changed in place
+   * @param {Object} diversion - A DiversionSystem candidate with its reason
+   * @returns {Object} The diversion leg
+   */
+  _divert(state, legs, legIndex, milesOnLeg, diversion) {
+      const leg = legs[legIndex];
+      const dateStr = this.getCurrentDate();
+      const boundName = PortRegistry.get(leg.toID)?.name || leg.toID;
+      const reasonText = DiversionSystem.describeReason(diversion.reason, boundName);
+      const remaining = Math.max(0, leg.distance - milesOnLeg);
+      const divLeg = {
+          fromID: null,
+          toID: diversion.portId,
+          distance: diversion.miles,
+          waterType: diversion.waterType,
+          bearing: diversion.bearing,
+          diversion: { reason: diversion.reason, bound: leg.toID }
+      };
+      legs.splice(legIndex, 1, divLeg);
+      state.totalDistance += divLeg.distance - remaining;
+      state.currentWaterType = this._waterTypeToEncounterKey(divLeg.waterType || "coastal");
+
+      (state.diversions ??= []).push({
+          date: dateStr,
+          reason: diversion.reason,
+          reasonText,
+          from: leg.fromID,
+          bound: leg.toID,
+          port: diversion.portId,
+          miles: diversion.miles,
+          remaining,
+          startDay: state.daysElapsed || 0,
+          days: null,
+          outcome: null
+      });
+      state.voyageLogHtml.value += `<p><strong>🧭 Diversion (${dateStr}):</strong> ${reasonText}; the ship bears away for ${diversion.name}, ${diversion.miles} miles off, with ${Math.round(remaining)} miles still to ${boundName}.</p>`;
+      state.events.push({ type: 'diversion', date: dateStr, port: diversion.name, reason: reasonText });
+      return divLeg;
+  }
+
+  /**
+   * A captain's order to divert, if the port is one the ship can divert to
+   */
+  _orderedDiversion(state, leg, milesOnLeg, portId) {
+      if (!portId || state.position.inHarbour) return null;
+      const port = DiversionSystem.candidates(leg, milesOnLeg).find(c => c.portId === portId);
+      return port ? { ...port, reason: "orders" } : null;
+  }
 
-      if (["drizzle", "rainstorm-light", "rainstorm-heavy", "hailstorm"].includes(weather.precipitation.type)) {
-          const wetBonus = Math.floor(Math.random() * 6) + 5;
-          const bonusMiles = Math.floor(currentSpeed * (wetBonus / 100));
-          currentSpeed += bonusMiles;
-          speedNote += ` Wet sails: +${bonusMiles} mi.`;
+  /**
+   * On reaching a diversion port: rejoin the route for the destination of
+   * the leg left, or end the voyage here and drop the legs after it
+   * @param {Array} legs - The voyage's legs, changed in place
+   */
+  async _settleDiversion(state, legs, legIndex) {
+      const leg = legs[legIndex];
+      const record = state.diversions?.at(-1);
+      const portName = PortRegistry.get(leg.toID)?.name || leg.toID;
+      const boundName = PortRegistry.get(leg.diversion.bound)?.name || leg.diversion.bound;
+      const rejoin = DiversionSystem.rejoinLegs(leg.toID, leg.diversion.bound);
+      const rejoinMiles = rejoin ? rejoin.reduce((sum, l) => sum + l.distance, 0) : null;
+
+      const outcome = await DiversionSystem.chooseOutcome({ portName, boundName, rejoinMiles, automated: state.mode !== "manual" });
+      if (outcome === "rejoin") {
+          legs.splice(legIndex + 1, 0, ...rejoin);
+          state.totalDistance += rejoinMiles;
+      } else {
+          const dropped = legs.splice(legIndex + 1);
+          state.totalDistance -= dropped.reduce((sum, l) => sum + l.distance, 0);
       }
 
-      return { speed: currentSpeed, note: speedNote, becalmed: false };
+      if (record) {
+          record.days = (state.daysElapsed || 0) - record.startDay;
+          record.outcome = outcome;
+          record.extraMiles = outcome === "rejoin" ? Math.round(leg.distance + rejoinMiles - record.remaining) : null;
+      }
+      state.voyageLogHtml.value += outcome === "rejoin"
+          ? `<p><strong>🧭 Making port at ${portName}:</strong> the ship will rejoin her route from here, ${rejoinMiles} miles on to ${boundName}.</p>`
+          : `<p><strong>🧭 Making port at ${portName}:</strong> the voyage will end here.</p>`;
   }
 
   formatWeatherLog(dateStr, weather, speedInfo, destination) {
-      const temp = weather.temperature;
-      const wind = weather.wind;
-      const precip = weather.precipitation;
-      return `<p><strong>${dateStr} (sailing to ${destination}):</strong> High ${temp.high}°F, Low ${temp.low}°F | ${weather.sky} | Wind ${wind.speed} mph ${wind.direction} | ${precip.type !== "none" ? `${precip.type} (${precip.duration}h)` : "No precipitation"}. ${speedInfo.note}</p>`;
+      return WeatherSystem.formatWeatherLog(dateStr, weather, speedInfo, destination);
   }
 
   async processPort(state, portId, legIndex, allLegs) {
@@ -1214,24 +1580,34 @@ export class VoyageSimulator {
       }
 
       // 2. Determine base time in port
-      let daysInPort = legIndex === allLegs.length - 1 ? 3 : Math.floor(Math.random() * 3) + 2;
+      let daysInPort = legIndex === allLegs.length - 1 ? 3 : Math.floor(Dice.random() * 3) + 2;
       const portActivity = {
           portName: portName,
           portType: legIndex === allLegs.length - 1 ? "destination" : "intermediate",
           date: this.getCurrentDate(),
           fees: {},
           activities: [],
+          trades: [],
           totalCost: 0
       };
 
       state.voyageLogHtml.value += `<h3>Arrived at ${portName}</h3>`;
 
+      this.deliverTransportContracts(state, portId, portActivity);
+      await this.deliverConsignments(state, portId, portActivity);
+
+      // Customs: contraband aboard may be searched for; impounded days add to the stay
+      daysInPort += await this.clearCustoms(state, portId, portActivity);
+
       // --- Scurvy: reset counter, fresh food ---
       this._resetScurvyAtPort(state, daysInPort, dateStr);
 
       // --- Morale: shore leave, desertion check ---
       await this._processMoraleAtPort(state, portName, dateStr);
 
+      // --- Finances: letters of credit, moneylenders, unpaid crew ---
+      await this._financeOnArrival(state, portId, portActivity, legIndex === allLegs.length - 1);
+
       // --- Maintenance: auto-perform if overdue ---
       let maintenanceDays = 0;
       if ((state.maintenance?.daysSinceService || 0) > 180) {
@@ -1243,7 +1619,7 @@ export class VoyageSimulator {
       // 1 load per hour per 5 crew at dock, 75% longer at anchor, 150% at beach
       const totalCrew = (state.currentCrew || []).reduce((s, g) => s + (g.count || 0), 0);
       const loadsPerHour = Math.max(1, Math.floor(totalCrew / 5));
-      const cargoLoads = state.currentCargo?.loads || 0;
+      const cargoLoads = CargoHold.totalLoads(state.cargoHold) + this._contractLoads(state);
       const cargoCapacity = state.ship?.cargoCapacity || 30;
       const totalLoadsToHandle = cargoLoads + cargoCapacity; // unload + load
       let loadingHours = Math.ceil(totalLoadsToHandle / loadsPerHour);
@@ -1278,27 +1654,7 @@ export class VoyageSimulator {
       await this.offerCrewHiring(state, port, portActivity);
       
       // 4. Simulate Days in Port (Weather & Costs)
-      for (let i = 0; i < daysInPort; i++) {
-          this.advanceDay();
-          state.maintenance.daysSinceService = (state.maintenance.daysSinceService || 0) + 1;
-          if (state.dailyOperationalCost) {
-              state.expenseTotal += state.dailyOperationalCost;
-              state.treasury -= state.dailyOperationalCost;
-              state.legAccumulatedCost = (state.legAccumulatedCost || 0) + state.dailyOperationalCost;
-              
-              if (state.breakdown) {
-                  const foodRatio = 0.3;
-                  const dailyFood = Math.floor(state.dailyOperationalCost * foodRatio);
-                  state.breakdown.food += dailyFood;
-                  state.breakdown.wages += (state.dailyOperationalCost - dailyFood);
-              }
-          }
-
-          const { WeatherSystem } = await import('./weather.js');
-          const weather = await WeatherSystem.generateDayWeather();
-          const weatherLog = WeatherSystem.formatPortWeatherLog(this.getCurrentDate(), weather, portName);
-          state.weatherLogHtml.value += weatherLog;
-      }
+      await this._passDaysInPort(state, portName, daysInPort);
       
       // 5. Handle Passengers
       let distanceRemaining = 0;
@@ -1327,115 +1683,219 @@ export class VoyageSimulator {
           }
       }
 
-      // 5b. Merchant Timing — week-based merchant availability
-      const weeksInPort = Math.max(1, Math.floor(daysInPort / 7));
-      const merchantTotal = MerchantTimingSystem.rollTotalMerchants(port.size, state.captain.chaScore);
-      const merchantsAvailable = MerchantTimingSystem.getCumulativeMerchants(merchantTotal.total, weeksInPort);
-      state.voyageLogHtml.value += `<p><strong>Merchants (${portName}):</strong> ${merchantsAvailable} of ${merchantTotal.total} available (${weeksInPort} week${weeksInPort > 1 ? 's' : ''} in port).</p>`;
+      state.portActivities.push(portActivity);
+      
+      // 6. Handle Cargo Trading with Strategy, week by week
+      await this.tradeWithMerchants(state, portId, portActivity, legIndex, allLegs, {
+          daysInPort,
+          moorageType: portFees.moorage.type
+      });
 
-      // 5c. Transport for Hire — roll for shipping jobs
-      try {
-          const { TransportHireSystem } = await import('../trading/transport-hire.js');
-          const job = await TransportHireSystem.rollForJob(true);
-          if (job && job.available) {
-              const fee = TransportHireSystem.calculateFee(job.loads, distanceRemaining > 0 ? distanceRemaining : 500);
-              state.voyageLogHtml.value += `<p><strong>📋 Shipping job available:</strong> ${job.loads} loads of ${job.cargoName}, max ${job.maxDistance} miles, fee ${fee} gp.</p>`;
-              portActivity.activities.push(`Transport job offered: ${job.loads} loads ${job.cargoName} for ${fee} gp`);
+      // 7. Settle with creditors before sailing
+      await this._financeBeforeSailing(state, portId, portActivity, legIndex === allLegs.length - 1);
+  }
+
+  /**
+   * Advance the calendar through days spent in port: wages, upkeep clock,
+   * the oarsmen's rest and port weather
+   */
+  async _passDaysInPort(state, portName, days) {
+      for (let i = 0; i < days; i++) {
+          this.advanceDay(state);
+          state.maintenance.daysSinceService = (state.maintenance.daysSinceService || 0) + 1;
+          state.consecutiveRowingDays = Math.max(0, (state.consecutiveRowingDays || 0) - 1);
+          if (state.dailyOperationalCost) {
+              state.expenseTotal += state.dailyOperationalCost;
+              state.treasury -= state.dailyOperationalCost;
+              state.legAccumulatedCost = (state.legAccumulatedCost || 0) + state.dailyOperationalCost;
+              
+              if (state.breakdown) {
+                  const foodRatio = 0.3;
+                  const dailyFood = Math.floor(state.dailyOperationalCost * foodRatio);
+                  state.breakdown.food += dailyFood;
+                  state.breakdown.wages += (state.dailyOperationalCost - dailyFood);
+              }
+              this._trackArrears(state, this.getCurrentDate());
           }
-      } catch (e) {
-          // TransportHireSystem may require game settings; silently skip
+
+          const weather = await WeatherSystem.generateDayWeather(this._weatherState(state), { day: state.daysElapsed || 0 });
+          const weatherLog = WeatherSystem.formatPortWeatherLog(this.getCurrentDate(), weather, portName);
+          state.weatherLogHtml.value += weatherLog;
+          this._gradeForecast(state, weather);
+          this._trackStorm(state, weather, this.getCurrentDate());
       }
+  }
 
-      state.portActivities.push(portActivity);
-      
-      // 6. Handle Cargo Trading with Strategy
+  /**
+   * Trade with the port's merchant pool. Merchants arrive over the weeks
+   * per MerchantTimingSystem; each merchant this week can take one cargo
+   * type off our hands and make one offer of their own. After each week
+   * the captain (or shouldAutoWait) decides whether to stay for more.
+   */
+  async tradeWithMerchants(state, portId, portActivity, legIndex, allLegs, { daysInPort, moorageType }) {
+      const port = PortRegistry.get(portId);
       const isFinalPort = legIndex === allLegs.length - 1;
       const remainingLegs = allLegs.slice(legIndex + 1);
-      
-      let cargoDistanceTraveled = 0;
-      if (state.currentCargo.loads > 0 && state.currentCargo.purchaseLegIndex !== undefined) {
-          for (let k = state.currentCargo.purchaseLegIndex; k <= legIndex; k++) {
-              cargoDistanceTraveled += allLegs[k]?.distance || 0;
+      const trading = state.tradeMode === "speculation";
+      const consigning = state.tradeMode === "consignment";
+
+      const merchantTotal = MerchantTimingSystem.rollTotalMerchants(port.size, state.captain.chaScore);
+      const reactionNote = merchantTotal.reactionAdj !== 0 ? ` + CHA: ${merchantTotal.reactionAdj >= 0 ? '+' : ''}${merchantTotal.reactionAdj}` : '';
+      state.voyageLogHtml.value += `<p><em>Market at ${port.name}: ${MarketRegistry.describe(portId)}.</em></p>`;
+      state.voyageLogHtml.value += `<p><strong>Merchants in ${port.name}:</strong> ${merchantTotal.total} in all (1d6: ${merchantTotal.roll} + size: ${merchantTotal.portSizeMod}${reactionNote}), arriving over the coming weeks.</p>`;
+
+      let week = 1;
+      let merchantsSeen = 0;
+      while (true) {
+          const arriving = MerchantTimingSystem.getCumulativeMerchants(merchantTotal.total, week) - merchantsSeen;
+          merchantsSeen += arriving;
+          state.voyageLogHtml.value += `<p><strong>Merchants (${port.name}, week ${week}):</strong> ${arriving} new, ${merchantsSeen} of ${merchantTotal.total} seen.</p>`;
+
+          if (trading && state.cargoHold.length > 0) {
+              await this._sellToMerchants(state, portId, portActivity, arriving, isFinalPort, remainingLegs);
+          }
+
+          // Transport for Hire — shipping jobs take hold space before speculative buying
+          if (week === 1) await this.offerTransportContract(state, portId, portActivity, legIndex, allLegs);
+
+          // Buying decision: fill whatever hold space is free
+          if (trading && this._freeHold(state) > 0 && !isFinalPort) {
+              await this.attemptStrategicPurchase(state, portId, portActivity, legIndex, allLegs, arriving);
           }
+
+          // Consignment: merchant houses fill the hold with goods for ports ahead
+          if (consigning && this._freeHold(state) > 0 && !isFinalPort) {
+              await this.offerConsignments(state, portId, portActivity, legIndex, allLegs, arriving);
+          }
+
+          // Worth staying only with cargo left to sell here or room to buy
+          const stillTrading = (trading && (isFinalPort ? state.cargoHold.length > 0 : this._freeHold(state) > 0))
+              || (consigning && !isFinalPort && this._freeHold(state) > 0);
+          if (!stillTrading || merchantsSeen >= merchantTotal.total) break;
+
+          const wait = state.automateTrading
+              ? MerchantTimingSystem.shouldAutoWait(merchantTotal.total, week, merchantsSeen)
+              : await MerchantTimingSystem.offerWaitChoice(merchantTotal.total, week, merchantsSeen, daysInPort);
+          if (!wait) break;
+
+          daysInPort += await this._waitInPort(state, port, portActivity, moorageType, daysInPort, week + 1);
+          week++;
       }
-      
-      // Selling decision
-      if (state.currentCargo.loads > 0 && state.tradeMode === "speculation") {
-          const distanceToNext = remainingLegs[0]?.distance || 0;
+
+      if (isFinalPort && state.cargoHold.length > 0) {
+          state.voyageLogHtml.value += `<p><em>📦 ${CargoHold.describe(state.cargoHold)} unsold at ${port.name}; no more buyers.</em></p>`;
+      }
+
+      await MarketRegistry.save();
+  }
+
+  /**
+   * Stay in port until the next merchant week. Moorage and the crew's
+   * wages for the wait get their own ledger lines so the cost of waiting
+   * can be weighed against what the extra merchants brought.
+   * @returns {number} days waited
+   */
+  async _waitInPort(state, port, portActivity, moorageType, daysInPort, nextWeek) {
+      const days = MerchantTimingSystem.daysUntilNextWeek(daysInPort);
+      const date = this.getCurrentDate();
+
+      const moorage = PortFees.applyDailyMoorage(portActivity, moorageType, state.ship.hullPoints.max, days);
+      state.treasury -= moorage;
+      state.expenseTotal += moorage;
+      if (state.breakdown) state.breakdown.fees += moorage;
+      this.recordLedgerEntry(state, date, `Moorage while waiting for merchants at ${port.name} (${days} days)`, 0, moorage);
+
+      // Wages for the wait are booked now rather than with the next leg's expenses
+      const costBefore = state.legAccumulatedCost || 0;
+      await this._passDaysInPort(state, port.name, days);
+      const wages = (state.legAccumulatedCost || 0) - costBefore;
+      state.legAccumulatedCost = costBefore;
+      if (wages > 0) {
+          this.recordLedgerEntry(state, date, `Wages & provisions while waiting at ${port.name} (${days} days)`, 0, wages);
+      }
+
+      state.voyageLogHtml.value += `<p><strong>⏳ Waited ${days} days at ${port.name}</strong> for week ${nextWeek} merchants: ${moorage} gp moorage + ${wages} gp wages & provisions.</p>`;
+      portActivity.activities.push(`Waited ${days} days for more merchants (${moorage + wages} gp)`);
+      return days;
+  }
+
+  /**
+   * Decide lot by lot what to sell, then sell to this week's merchants.
+   * Each merchant buys one cargo type; lots beyond that wait for more buyers.
+   */
+  async _sellToMerchants(state, portId, portActivity, merchants, isFinalPort, remainingLegs) {
+      const distanceToNext = remainingLegs[0]?.distance || 0;
+      const strategy = TradingStrategy.getStrategy(state.tradeStrategy);
+      const lotsToSell = [];
+      for (const lot of state.cargoHold) {
+          if (lot.good && !GoodsRegistry.isLegalAt(lot.good, portId) && !strategy.carryContraband) {
+              const reason = `prohibited in ${PortRegistry.get(portId).name}`;
+              this._recordDecision(state, portActivity, "hold", CargoHold.lotName(lot), reason);
+              state.voyageLogHtml.value += `<p><em>📦 Holding ${lot.loads} loads of ${CargoHold.lotName(lot)}: ${reason}.</em></p>`;
+              continue;
+          }
           const sellEval = TradingStrategy.evaluateSale({
-              cargoType: state.currentCargo.type,
-              loadsCurrent: state.currentCargo.loads,
-              purchasePrice: state.currentCargo.purchasePrice,
-              distanceTraveled: cargoDistanceTraveled,
+              cargoType: lot.type,
+              loadsCurrent: lot.loads,
+              purchasePrice: lot.purchasePrice,
+              distanceTraveled: lot.milesCarried,
               distanceToNextPort: distanceToNext,
               isFinalPort,
-              remainingLegs
+              remainingLegs,
+              strategy: state.tradeStrategy
           });
-          
+
           if (sellEval.shouldSell) {
-              console.log(`[Voyage Trade] Selling: ${sellEval.reason}`);
-              await this.attemptCargoSale(state, portId, portActivity, cargoDistanceTraveled);
+              console.log(`[Voyage Trade] ${strategy.name} selling lot ${lot.id}: ${sellEval.reason}`);
+              this._recordDecision(state, portActivity, "sell", CargoHold.lotName(lot), sellEval.reason);
+              lotsToSell.push(lot);
           } else {
-              console.log(`[Voyage Trade] Holding cargo: ${sellEval.reason}`);
-              state.voyageLogHtml.value += `<p><em>📦 Holding ${state.currentCargo.loads} loads of ${CargoRegistry.get(state.currentCargo.type)?.name}: ${sellEval.reason}</em></p>`;
+              console.log(`[Voyage Trade] ${strategy.name} holding lot ${lot.id}: ${sellEval.reason}`);
+              this._recordDecision(state, portActivity, "hold", CargoHold.lotName(lot), sellEval.reason);
+              state.voyageLogHtml.value += `<p><em>📦 ${strategy.name} holds ${lot.loads} loads of ${CargoHold.lotName(lot)}: ${sellEval.reason}</em></p>`;
           }
       }
-      
-      // Buying decision  
-      if (state.tradeMode === "speculation" && state.currentCargo.loads === 0 && !isFinalPort) {
-          await this.attemptStrategicPurchase(state, portId, portActivity, legIndex, allLegs);
-      }
-  }
-
-  async attemptCargoPurchase(state, portId, portActivity) {
-      const result = await CargoPurchasing.handleCargoPurchase({
-          portId: portId,
-          shipTemplate: state.ship,
-          currentTreasury: state.treasury,
-          captainProficiencyScores: state.captainProficiencyScores,
-          lieutenantSkills: state.lieutenantSkills,
-          automateTrading: state.automateTrading,
-          currentPortActivity: portActivity,
-          voyageLogHtmlRef: state.voyageLogHtml,
-          tradeMode: state.tradeMode,
-          commissionRate: state.commissionRate,
-          crewQualityMod: state.crewQualityMod,
-          captainCharisma: state.captain.chaScore
-      });
-      
-      state.treasury = result.newTreasury;
-      state.expenseTotal += result.totalPurchaseCost;
-      
-      if (state.breakdown) state.breakdown.cargo += result.totalPurchaseCost;
+      if (lotsToSell.length === 0) return;
 
-      if (result.loadsBought > 0) {
-          console.log(`[Voyage Trade] Purchased ${result.loadsBought} loads of ${result.cargoType} for ${result.totalPurchaseCost} gp`);
-          this.recordLedgerEntry(state, this.getCurrentDate(), `Purchased ${result.loadsBought} loads of ${CargoRegistry.get(result.cargoType)?.name || result.cargoType}`, 0, result.totalPurchaseCost);
-          state.currentCargo = {
-              type: result.cargoType,
-              loads: result.loadsBought,
-              purchasePrice: result.purchasePricePerLoad
-          };
+      const buyerTypes = [...new Set(lotsToSell.map(lot => lot.type))].slice(0, merchants);
+      const sold = lotsToSell.filter(lot => buyerTypes.includes(lot.type));
+      const unsold = lotsToSell.filter(lot => !buyerTypes.includes(lot.type));
+      if (unsold.length > 0) {
+          state.voyageLogHtml.value += `<p><em>📦 No buyer yet for ${CargoHold.describe(unsold)}.</em></p>`;
       }
+      if (sold.length > 0) await this.attemptCargoSale(state, portId, portActivity, sold);
   }
 
-  async attemptStrategicPurchase(state, portId, portActivity, legIndex, allLegs) {
+  async attemptStrategicPurchase(state, portId, portActivity, legIndex, allLegs, merchantCount) {
       const isOriginPort = legIndex === -1;
       const remainingLegs = isOriginPort ? allLegs : allLegs.slice(legIndex + 1);
-      const bestSaleDistance = TradingStrategy.calculateBestSaleDistance(remainingLegs);
       
       // Get merchant offers to evaluate
       const port = PortRegistry.get(portId);
-      const merchantResult = await CargoPurchasing.rollMerchantAvailability(port, state.captain.chaScore);
-      
-      const reactionNote = merchantResult.reactionAdj !== 0 ? ` + CHA: ${merchantResult.reactionAdj >= 0 ? '+' : ''}${merchantResult.reactionAdj}` : '';
-      state.voyageLogHtml.value += `<p><strong>Merchants in ${port.name}:</strong> ${merchantResult.merchantCount} available (1d6: ${merchantResult.roll} + size: ${merchantResult.portSizeMod}${reactionNote}).</p>`;
-      
-      if (merchantResult.merchantCount === 0) {
+      if (this._freeHold(state) === 0) {
+          state.voyageLogHtml.value += `<p><em>No hold space free for trade cargo at ${port.name}.</em></p>`;
+          return;
+      }
+      if (merchantCount === 0) {
           state.voyageLogHtml.value += `<p><em>No merchants available at ${port.name}.</em></p>`;
           return;
       }
       
+      // Each merchant makes one offer; keep buying until the hold is full
+      for (let m = 0; m < merchantCount && this._freeHold(state) > 0; m++) {
+          const outcome = await this._buyFromMerchant(state, portId, portActivity, legIndex, remainingLegs);
+          if (outcome === "broke") break;
+      }
+  }
+
+  /**
+   * Roll one merchant's offer and buy it if the strategy approves.
+   * @returns {"bought"|"declined"|"broke"}
+   */
+  async _buyFromMerchant(state, portId, portActivity, legIndex, remainingLegs) {
+      const isOriginPort = legIndex === -1;
+      const port = PortRegistry.get(portId);
+
       // Roll for cargo offer
       const cargoOffer = await CargoPurchasing.rollCargoOffer({
           portId,
@@ -1446,7 +1906,7 @@ export class VoyageSimulator {
       
       if (!cargoOffer) {
           state.voyageLogHtml.value += `<p><em>No cargo available at ${port.name}.</em></p>`;
-          return;
+          return "declined";
       }
       
       // Log skill check results
@@ -1461,7 +1921,7 @@ export class VoyageSimulator {
           }
       }
       
-      state.voyageLogHtml.value += `<p><strong>Available Cargo:</strong> ${cargoOffer.loadsAvailable} loads of ${cargoOffer.cargoName} @ ${cargoOffer.baseValue} gp/load base.</p>`;
+      state.voyageLogHtml.value += `<p><strong>Available Cargo:</strong> ${cargoOffer.loadsAvailable} loads of ${cargoOffer.goodName} (${cargoOffer.cargoName}) @ ${cargoOffer.baseValue} gp/load base.</p>`;
       
       if (cargoOffer.bargainResult) {
           const barg = cargoOffer.bargainResult;
@@ -1472,56 +1932,167 @@ export class VoyageSimulator {
           }
       }
       
+      if (cargoOffer.marketAdjustPercent !== 0) {
+          state.voyageLogHtml.value += `<p><strong>Market:</strong> ${cargoOffer.marketStock} loads in stock → ${cargoOffer.marketAdjustPercent > 0 ? '+' : ''}${cargoOffer.marketAdjustPercent}% ${cargoOffer.marketAdjustPercent > 0 ? 'scarcity premium' : 'glut discount'}.</p>`;
+      }
+      
       state.voyageLogHtml.value += `<p><strong>Offered Price:</strong> ${cargoOffer.pricePerLoad} gp/load (${Math.round(cargoOffer.pricePerLoad / cargoOffer.baseValue * 100)}% of base).</p>`;
       
-      // Evaluate with strategy
-      const buyEval = TradingStrategy.evaluatePurchase({
+      const goodName = cargoOffer.goodName;
+      const strategy = TradingStrategy.getStrategy(state.tradeStrategy);
+
+      // Odds of selling it at each port ahead; ports where it is prohibited only for smugglers
+      const advice = TradeAdvisor.adviseSale({
           cargoType: cargoOffer.cargoType,
-          pricePerLoad: cargoOffer.pricePerLoad,
-          loadsAvailable: cargoOffer.loadsAvailable,
-          shipCapacity: state.ship.cargoCapacity - state.currentCargo.loads,
-          currentTreasury: state.treasury,
-          distanceToNextPort: remainingLegs[0]?.distance || 0,
-          distanceToFinalPort: bestSaleDistance,
-          isOriginPort,
-          isFinalPort: false,
-          remainingLegs
+          good: cargoOffer.good,
+          purchasePrice: cargoOffer.pricePerLoad,
+          remainingLegs,
+          profScores: state.captainProficiencyScores,
+          lieutenantSkills: state.lieutenantSkills,
+          crewQualityMod: state.crewQualityMod,
+          saModifier: strategy.saleOptimism,
+          carryContraband: strategy.carryContraband
+      });
+      if (advice.length > 0) {
+          state.voyageLogHtml.value += `<p><em>Trade Advisor: ${TradeAdvisor.describe(advice[0])}.</em></p>`;
+      }
+
+      // Evaluate with strategy
+      const buyEval = TradingStrategy.evaluatePurchase({
+          cargoType: cargoOffer.cargoType,
+          pricePerLoad: cargoOffer.pricePerLoad,
+          loadsAvailable: cargoOffer.loadsAvailable,
+          shipCapacity: this._freeHold(state),
+          currentTreasury: this._spendableFunds(state, portId),
+          isFinalPort: false,
+          advice,
+          strategy: state.tradeStrategy
       });
       
-      const cargo = CargoRegistry.get(cargoOffer.cargoType);
+      // Goods that can't be sold openly anywhere ahead aren't worth carrying
+      if (advice.length === 0 &&
+          !remainingLegs.some(leg => GoodsRegistry.isLegalAt(cargoOffer.good, leg.toID))) {
+          buyEval.reason = `prohibited at every port ahead`;
+      }
       
+      if (!state.automateTrading) {
+          return this._offerPurchase(state, portId, portActivity, cargoOffer, advice, buyEval, isOriginPort ? 0 : legIndex + 1);
+      }
+
       if (!buyEval.shouldBuy) {
-          console.log(`[Voyage Trade] Skipping purchase: ${buyEval.reason}`);
-          state.voyageLogHtml.value += `<p><em>💰 Declined ${cargo?.name || cargoOffer.cargoType}: ${buyEval.reason}</em></p>`;
-          return;
+          console.log(`[Voyage Trade] ${strategy.name} skipping purchase: ${buyEval.reason}`);
+          this._recordDecision(state, portActivity, "decline", goodName, buyEval.reason);
+          state.voyageLogHtml.value += `<p><em>💰 ${strategy.name} declined ${goodName}: ${buyEval.reason}</em></p>`;
+          return "declined";
       }
       
       // Proceed with purchase
-      console.log(`[Voyage Trade] Buying: ${buyEval.reason}`);
+      console.log(`[Voyage Trade] ${strategy.name} buying: ${buyEval.reason}`);
       const loadsToBuy = Math.min(buyEval.maxLoads, cargoOffer.loadsAvailable);
-      const totalCost = loadsToBuy * cargoOffer.pricePerLoad;
-      
+      if (loadsToBuy <= 0) {
+          this._recordDecision(state, portActivity, "decline", goodName, `could not afford any at ${cargoOffer.pricePerLoad} gp/load beyond the reserve`);
+          state.voyageLogHtml.value += `<p><em>💰 Could not afford any ${goodName} at ${cargoOffer.pricePerLoad} gp/load.</em></p>`;
+          return "broke";
+      }
+      this._takeCargo(state, portId, portActivity, cargoOffer, loadsToBuy, isOriginPort ? 0 : legIndex + 1);
+      state.voyageLogHtml.value += `<p><em>${strategy.name}: ${buyEval.reason}.</em></p>`;
+      this._recordDecision(state, portActivity, "buy", goodName, `${loadsToBuy} loads: ${buyEval.reason}`);
+      return "bought";
+  }
+
+  /**
+   * Manual trading: put the offer to the captain with the trade advisor's
+   * odds and the strategy's verdict, and buy as many loads as they choose
+   * @returns {"bought"|"declined"|"broke"}
+   */
+  async _offerPurchase(state, portId, portActivity, cargoOffer, advice, buyEval, purchaseLegIndex) {
+      const port = PortRegistry.get(portId);
+      const goodName = cargoOffer.goodName;
+      const funds = this._spendableFunds(state, portId);
+      const maxPurchasable = Math.min(this._freeHold(state), cargoOffer.loadsAvailable, Math.floor(funds / cargoOffer.pricePerLoad));
+      if (maxPurchasable <= 0) {
+          state.voyageLogHtml.value += `<p><em>💰 Could not afford any ${goodName} at ${cargoOffer.pricePerLoad} gp/load.</em></p>`;
+          return "broke";
+      }
+
+      const { choice, values } = await Platform.prompts.choose({
+          id: "purchaseLoads",
+          title: `Purchase Cargo at ${port.name}`,
+          content: `
+              <p>A merchant offers <strong>${cargoOffer.loadsAvailable} loads of ${goodName}</strong>
+              at <strong>${cargoOffer.pricePerLoad} gp/load</strong>.</p>
+              <p>You have <strong>${funds} gp</strong> to spend.
+              Free hold space: <strong>${this._freeHold(state)} loads</strong>.</p>
+              ${TradingDialogs.buildAdviceHTML(advice, buyEval)}
+              <p>How many loads to buy? (Max: ${maxPurchasable})</p>
+              <input type="number" id="loadsToBuy" min="0" max="${maxPurchasable}"
+                     value="${buyEval.shouldBuy ? Math.min(buyEval.maxLoads, maxPurchasable) : maxPurchasable}" style="width: 100%;">
+          `,
+          choices: { buy: "Buy Cargo", decline: "Decline" },
+          default: buyEval.shouldBuy ? "buy" : "decline",
+          fields: ["loadsToBuy"]
+      });
+
+      // A headless prompt without a value buys what the strategy advised, or the offered maximum
+      let loadsToBuy = 0;
+      if (choice === "buy") {
+          const advised = buyEval.shouldBuy ? buyEval.maxLoads : maxPurchasable;
+          loadsToBuy = values.loadsToBuy === undefined ? advised : (parseInt(values.loadsToBuy) || 0);
+          loadsToBuy = Math.min(Math.max(loadsToBuy, 0), maxPurchasable);
+      }
+      if (loadsToBuy === 0) {
+          state.voyageLogHtml.value += `<p><em>💰 Declined ${goodName} at ${cargoOffer.pricePerLoad} gp/load.</em></p>`;
+          portActivity.activities.push(`Declined ${goodName}`);
+          return "declined";
+      }
+
+      this._takeCargo(state, portId, portActivity, cargoOffer, loadsToBuy, purchaseLegIndex);
+      return "bought";
+  }
+
+  /**
+   * Pay for loads of an offer and stow them in the hold
+   */
+  _takeCargo(state, portId, portActivity, cargoOffer, loads, purchaseLegIndex) {
+      const goodName = cargoOffer.goodName;
+      const totalCost = loads * cargoOffer.pricePerLoad;
+
       state.treasury -= totalCost;
       state.expenseTotal += totalCost;
       if (state.breakdown) state.breakdown.cargo += totalCost;
-      
-      this.recordLedgerEntry(state, this.getCurrentDate(), `Purchased ${loadsToBuy} loads of ${cargo?.name || cargoOffer.cargoType}`, 0, totalCost);
-      
-      state.currentCargo = {
+
+      this.recordLedgerEntry(state, this.getCurrentDate(), `Purchased ${loads} loads of ${goodName}`, 0, totalCost);
+      MarketRegistry.recordPurchase(portId, cargoOffer.cargoType, loads, cargoOffer.pricePerLoad);
+
+      CargoHold.addLot(state.cargoHold, {
           type: cargoOffer.cargoType,
-          loads: loadsToBuy,
+          good: cargoOffer.good,
+          loads,
           purchasePrice: cargoOffer.pricePerLoad,
-          purchaseLegIndex: isOriginPort ? 0 : legIndex  // Track when cargo was bought
-      };
-      
-      state.voyageLogHtml.value += `<p><strong>📦 Purchased:</strong> ${loadsToBuy} loads of ${cargo?.name} at ${cargoOffer.pricePerLoad} gp/load (${totalCost} gp total)</p>`;
-      state.voyageLogHtml.value += `<p><em>Strategy: ${buyEval.reason}. Expected sale: ${buyEval.expectedSalePrice || '?'} gp/load (${buyEval.distanceBonus || 'varies'})</em></p>`;
-      
-      portActivity.activities.push(`Purchased ${loadsToBuy} loads of ${cargo?.name} for ${totalCost} gp`);
+          purchasePort: portId,
+          purchaseLegIndex  // Leg the cargo sails on first
+      });
+
+      state.voyageLogHtml.value += `<p><strong>📦 Purchased:</strong> ${loads} loads of ${goodName} at ${cargoOffer.pricePerLoad} gp/load (${totalCost} gp total)</p>`;
+      portActivity.activities.push(`Purchased ${loads} loads of ${goodName} for ${totalCost} gp`);
+      portActivity.trades.push({ type: "purchase", cargoType: cargoOffer.cargoType, good: cargoOffer.good, loads, pricePerLoad: cargoOffer.pricePerLoad, total: totalCost });
+  }
+
+  /**
+   * Note an automated trading decision, and the profile that made it, for
+   * the journal
+   */
+  _recordDecision(state, portActivity, action, goodName, reason) {
+      const strategy = TradingStrategy.getStrategy(state.tradeStrategy);
+      (portActivity.decisions ??= []).push({ strategy: strategy.name, action, good: goodName, reason });
   }
 
-  async attemptCargoSale(state, portId, portActivity, distanceTraveled) {
-      // Perishability is now checked inside handleCargoSale after the distance roll
+  /**
+   * Sell the given lots in one customs transaction. Lots not listed stay
+   * in the hold. Consignment sales pass the contract's commission rate.
+   */
+  async attemptCargoSale(state, portId, portActivity, lots, { tradeMode = state.tradeMode, commissionRate = state.commissionRate } = {}) {
+      // Perishability is checked per lot inside handleCargoSale after its distance roll
       const result = await CargoSelling.handleCargoSale({
           portId: portId,
           currentTreasury: state.treasury,
@@ -1530,66 +2101,603 @@ export class VoyageSimulator {
           automateTrading: state.automateTrading,
           currentPortActivity: portActivity,
           voyageLogHtmlRef: state.voyageLogHtml,
-          currentCargoType: state.currentCargo.type,
-          currentLoads: state.currentCargo.loads,
-          currentPurchaseCost: state.currentCargo.purchasePrice * state.currentCargo.loads,
-          tradeMode: state.tradeMode,
-          commissionRate: state.commissionRate,
-          distanceTraveled: distanceTraveled,
+          lots,
+          tradeMode,
+          commissionRate,
           crewQualityMod: state.crewQualityMod,
-          crewEarningsFromTrade: state.crewEarningsFromTrade
+          crewEarningsFromTrade: state.crewEarningsFromTrade,
+          tradeStrategy: state.tradeStrategy
       });
-      
-      // Handle case where all cargo spoiled
-      if (result.spoiledAll) {
-          state.currentCargo = { type: null, loads: 0, purchasePrice: 0 };
-          return;
-      }
-      
+
       state.treasury = result.newTreasury;
       state.crewEarningsFromTrade = result.newCrewEarningsFromTrade;
-      state.expenseTotal += result.taxAmount;
-      
+      state.expenseTotal += result.taxAmount + result.agentFee;
       if (state.breakdown) state.breakdown.taxes += result.taxAmount;
-      
-      if (result.totalSaleValueForOwner > 0) {
-          state.revenueTotal += result.totalSaleValueForOwner; 
-          this.recordLedgerEntry(state, this.getCurrentDate(), `Sold ${state.currentCargo.loads} loads of ${CargoRegistry.get(state.currentCargo.type)?.name || state.currentCargo.type}`, result.totalSaleValueForOwner, 0);
+
+      const date = this.getCurrentDate();
+      for (const sale of result.lots) {
+          // Sold and spoiled loads both leave the hold
+          CargoHold.removeLoads(state.cargoHold, sale.lotId, sale.loadsSold + sale.loadsSpoiled);
+          if (sale.loadsSold > 0) MarketRegistry.recordSale(portId, sale.cargoType, sale.loadsSold, sale.pricePerLoad);
+          const goodName = CargoHold.lotName({ type: sale.cargoType, good: sale.good });
+          if (sale.loadsSold > 0 && tradeMode === "speculation") {
+              portActivity.trades.push({ type: "sale", cargoType: sale.cargoType, good: sale.good, loads: sale.loadsSold, pricePerLoad: sale.pricePerLoad, total: sale.totalSaleValueForOwner });
+          }
+          if (sale.totalSaleValueForOwner > 0) {
+              state.revenueTotal += sale.totalSaleValueForOwner;
+              this.recordLedgerEntry(state, date, `Sold ${sale.loadsSold} loads of ${goodName}`, sale.totalSaleValueForOwner, 0);
+          }
       }
-      
+
+      const portName = PortRegistry.get(portId).name;
       if (result.taxAmount > 0) {
-          this.recordLedgerEntry(state, this.getCurrentDate(), `Customs tax at ${PortRegistry.get(portId).name}`, 0, result.taxAmount);
+          this.recordLedgerEntry(state, date, `Customs tax at ${portName}`, 0, result.taxAmount);
+      }
+      if (result.agentFee > 0) {
+          this.recordLedgerEntry(state, date, `Port agent fee at ${portName}`, 0, result.agentFee);
       }
+      this._bookCustomsPenalties(state, portName, result.customsFine, result.customsBribe);
+      return result;
+  }
 
-      state.currentCargo = { type: null, loads: 0, purchasePrice: 0 };
+  /**
+   * Fines and bribes paid to customs. The treasury has already been
+   * charged by whoever settled with the officers.
+   */
+  _bookCustomsPenalties(state, portName, fine = 0, bribe = 0) {
+      const date = this.getCurrentDate();
+      state.expenseTotal += fine + bribe;
+      if (state.breakdown) state.breakdown.penalties = (state.breakdown.penalties || 0) + fine + bribe;
+      if (fine > 0) this.recordLedgerEntry(state, date, `Customs fine at ${portName}`, 0, fine);
+      if (bribe > 0) this.recordLedgerEntry(state, date, `Bribe to customs at ${portName}`, 0, bribe);
   }
 
-  async loadConsignmentCargo(state, portActivity) {
-      state.currentCargo = {
-          type: "consumer",
-          loads: state.ship.cargoCapacity,
-          purchasePrice: 0
-      };
-      const cargo = CargoRegistry.get("consumer");
-      const totalRouteDistance = state.route.ports.reduce((total, port, index, ports) => {
-          if (index === 0) return 0;
-          const distance = PortRegistry.getDistance(ports[index - 1], port);
-          return total + (distance || 0);
-      }, 0);
-      const tons = state.currentCargo.loads / 2;
-      const segments = Math.ceil(totalRouteDistance / 500);
-      const totalTransportFee = Math.max(tons * 40 * segments, 100);
-      const upfrontPayment = Math.floor(totalTransportFee / 2);
-      
-      state.treasury += upfrontPayment;
-      state.revenueTotal += upfrontPayment;
-      
-      this.recordLedgerEntry(state, this.getCurrentDate(), "Consignment Upfront Payment", upfrontPayment, 0);
+  /**
+   * Arriving with goods the port prohibits: customs may search the ship.
+   * If caught, contraband is bribed through or confiscated with a fine.
+   * @returns {number} days the ship is impounded
+   */
+  async clearCustoms(state, portId, portActivity) {
+      const contraband = CustomsSystem.contrabandLots(state.cargoHold, portId);
+      if (contraband.length === 0) return 0;
+
+      const portName = PortRegistry.get(portId).name;
+      state.voyageLogHtml.value += `<p><strong>Contraband Aboard:</strong> ${CargoHold.describe(contraband)} may not be landed at ${portName}.</p>`;
+
+      const inspection = await CustomsSystem.inspect({
+          portId,
+          captainProficiencyScores: state.captainProficiencyScores,
+          lieutenantSkills: state.lieutenantSkills,
+          crewQualityMod: state.crewQualityMod,
+          logRef: state.voyageLogHtml
+      });
+      if (!inspection.caught) return 0;
+
+      const outcome = await CustomsSystem.resolveCaught({
+          portId,
+          fine: CustomsSystem.lotValue(contraband),
+          contraband: true,
+          treasury: state.treasury,
+          evadeByDefault: TradingStrategy.getStrategy(state.tradeStrategy).carryContraband,
+          automateTrading: state.automateTrading,
+          logRef: state.voyageLogHtml
+      });
+
+      state.treasury -= outcome.fine + outcome.bribe;
+      this._bookCustomsPenalties(state, portName, outcome.fine, outcome.bribe);
+
+      if (outcome.confiscate) {
+          for (const lot of contraband) CargoHold.removeLoads(state.cargoHold, lot.id, lot.loads);
+          portActivity.activities.push(`Customs confiscated ${CargoHold.describe(contraband)} and fined ${outcome.fine} gp`);
+          await this.settleConsignmentLosses(state, "confiscated by customs", portActivity);
+      } else {
+          portActivity.activities.push(`Bribed customs ${outcome.bribe} gp to overlook ${CargoHold.describe(contraband)}`);
+      }
+      if (outcome.impoundDays > 0) {
+          portActivity.activities.push(`Ship impounded for ${outcome.impoundDays} days`);
+      }
+
+      state.events.push({
+          type: "customs",
+          date: this.getCurrentDate(),
+          port: portName,
+          fine: outcome.fine,
+          bribe: outcome.bribe,
+          confiscated: outcome.confiscate,
+          impoundDays: outcome.impoundDays
+      });
+      return outcome.impoundDays;
+  }
+
+  /**
+   * Loads held for active transport contracts
+   */
+  _contractLoads(state) {
+      return (state.transportContracts || [])
+          .filter(c => c.status === "active")
+          .reduce((sum, c) => sum + c.loads, 0);
+  }
+
+  /**
+   * Hold space left after trade cargo and contracted cargo
+   */
+  _freeHold(state) {
+      return Math.max(0, state.ship.cargoCapacity - CargoHold.totalLoads(state.cargoHold) - this._contractLoads(state));
+  }
+
+  /**
+   * Roll for a shipping job and, if taken, load it for the most remote
+   * port ahead within the job's range. Half the fee is paid up front.
+   */
+  async offerTransportContract(state, portId, portActivity, legIndex, allLegs) {
+      const job = await TransportHireSystem.rollForJob(true);
+      if (!job) return;
+
+      const port = PortRegistry.get(portId);
+      const remainingLegs = allLegs.slice(legIndex + 1);
+      const destination = TransportHireSystem.findDestination(job, remainingLegs, portId);
+      if (!destination) {
+          state.voyageLogHtml.value += `<p><em>📋 Shipping job for ${job.loads} loads of ${job.cargoName} declined: no port ahead within ${job.maxDistance} miles.</em></p>`;
+          return;
+      }
+
+      const contract = TransportHireSystem.createContract(job, destination.portId, destination.distance);
+      const destinationName = PortRegistry.get(destination.portId)?.name || destination.portId;
+      const freeLoads = this._freeHold(state);
+      const accepted = await TransportHireSystem.offerContract({
+          contract,
+          freeLoads,
+          portName: port.name,
+          automateTrading: state.automateTrading
+      });
+
+      if (!accepted) {
+          const reason = contract.loads > freeLoads ? ` (only ${freeLoads} loads free)` : "";
+          state.voyageLogHtml.value += `<p><em>📋 Declined shipping job: ${contract.loads} loads of ${contract.cargoName} to ${destinationName} for ${contract.totalFee} gp${reason}.</em></p>`;
+          return;
+      }
+
+      contract.id = `contract-${state.transportContracts.length + 1}`;
+      contract.originPort = portId;
+      contract.acceptedDate = this.getCurrentDate();
+      state.transportContracts.push(contract);
+
+      state.treasury += contract.upfrontPayment;
+      state.revenueTotal += contract.upfrontPayment;
+      state.contractIncome += contract.upfrontPayment;
+      this.recordLedgerEntry(state, this.getCurrentDate(), `Transport contract advance: ${contract.cargoName} to ${destinationName}`, contract.upfrontPayment, 0);
 
-      state.voyageLogHtml.value += `<p><strong>Consignment Load:</strong> ${cargo.name} (${state.currentCargo.loads} loads). Commission: ${state.commissionRate}%</p>`;
-      state.voyageLogHtml.value += `<p><strong>Transport Fee (upfront payment):</strong> ${upfrontPayment} gp (${totalTransportFee} gp total for ${totalRouteDistance} miles, ${upfrontPayment} gp due on delivery)</p>`;
-      portActivity.activities.push(`Loaded ${state.currentCargo.loads} loads of ${cargo.name} on consignment.`);
-      portActivity.activities.push(`Received upfront transport payment: ${upfrontPayment} gp`);
+      state.voyageLogHtml.value += `<p><strong>📋 Shipping contract:</strong> ${contract.loads} loads of ${contract.cargoName} to ${destinationName} (${contract.distance} miles). Fee ${contract.totalFee} gp, ${contract.upfrontPayment} gp paid now.</p>`;
+      (portActivity.contracts ??= []).push({
+          description: `Accepted ${contract.loads} loads of ${contract.cargoName} for ${destinationName} (advance)`,
+          amount: contract.upfrontPayment
+      });
+  }
+
+  /**
+   * Unload contracted cargo bound for this port and collect the balance
+   */
+  deliverTransportContracts(state, portId, portActivity) {
+      const portName = PortRegistry.get(portId)?.name || portId;
+      for (const contract of state.transportContracts || []) {
+          if (contract.status !== "active" || contract.destinationPort !== portId) continue;
+
+          contract.status = "delivered";
+          state.treasury += contract.deliveryPayment;
+          state.revenueTotal += contract.deliveryPayment;
+          state.contractIncome += contract.deliveryPayment;
+          this.recordLedgerEntry(state, this.getCurrentDate(), `Transport contract delivery at ${portName}`, contract.deliveryPayment, 0);
+
+          state.voyageLogHtml.value += `<p><strong>📋 Contract delivered:</strong> ${contract.loads} loads of ${contract.cargoName}. Received ${contract.deliveryPayment} gp on delivery.</p>`;
+          (portActivity.contracts ??= []).push({
+              description: `Delivered ${contract.loads} loads of ${contract.cargoName} (balance)`,
+              amount: contract.deliveryPayment
+          });
+      }
+  }
+
+  /**
+   * Contracts still aboard when the voyage ends cost the advance back plus
+   * damages
+   */
+  failTransportContracts(state, reason, portActivity = null) {
+      for (const contract of state.transportContracts || []) {
+          if (contract.status !== "active") continue;
+
+          const penalty = TransportHireSystem.calculatePenalty(contract);
+          const destinationName = PortRegistry.get(contract.destinationPort)?.name || contract.destinationPort;
+          contract.status = "failed";
+          contract.penalty = penalty;
+          state.treasury -= penalty;
+          state.expenseTotal += penalty;
+          if (state.breakdown) state.breakdown.penalties = (state.breakdown.penalties || 0) + penalty;
+          this.recordLedgerEntry(state, this.getCurrentDate(), `Transport contract penalty: ${contract.cargoName} not delivered to ${destinationName}`, 0, penalty);
+
+          state.voyageLogHtml.value += `<p><strong>📋 Contract failed:</strong> ${contract.loads} loads of ${contract.cargoName} never reached ${destinationName} (${reason}). Penalty ${penalty} gp.</p>`;
+          if (portActivity) {
+              (portActivity.contracts ??= []).push({
+                  description: `Failed to deliver ${contract.loads} loads of ${contract.cargoName} to ${destinationName} (penalty)`,
+                  amount: -penalty
+              });
+          }
+      }
+  }
+
+  /**
+   * Each merchant this week may be a house with goods to consign. Offers
+   * are sized to the free hold; the freight advance is paid on loading.
+   */
+  async offerConsignments(state, portId, portActivity, legIndex, allLegs, merchantCount) {
+      const port = PortRegistry.get(portId);
+      const remainingLegs = allLegs.slice(legIndex + 1);
+
+      for (let m = 0; m < merchantCount && this._freeHold(state) > 0; m++) {
+          const contract = ConsignmentSystem.generateOffer({
+              portId,
+              remainingLegs,
+              freeLoads: this._freeHold(state),
+              baseCommission: state.commissionRate,
+              currentDay: state.daysElapsed || 0
+          });
+          if (!contract) {
+              state.voyageLogHtml.value += `<p><em>📋 A merchant at ${port.name} has nothing to consign for the ports ahead.</em></p>`;
+              continue;
+          }
+          if (contract.refused) {
+              state.voyageLogHtml.value += `<p><em>📋 ${contract.consignorName} will not trust goods to this ship (reputation ${contract.reputation}).</em></p>`;
+              continue;
+          }
+
+          const destinationName = PortRegistry.get(contract.destinationPort)?.name || contract.destinationPort;
+          const accepted = await ConsignmentSystem.offerContract({
+              contract,
+              portName: port.name,
+              automateTrading: state.automateTrading
+          });
+          if (!accepted) {
+              state.voyageLogHtml.value += `<p><em>📋 Declined consignment: ${contract.loads} loads of ${contract.goodName} from ${contract.consignorName} to ${destinationName}.</em></p>`;
+              continue;
+          }
+
+          contract.id = `consignment-${state.consignments.length + 1}`;
+          contract.acceptedDate = this.getCurrentDate();
+          state.consignments.push(contract);
+          CargoHold.addLot(state.cargoHold, {
+              type: contract.cargoType,
+              good: contract.good,
+              loads: contract.loads,
+              purchasePort: portId,
+              purchaseLegIndex: legIndex + 1,
+              consignment: true,
+              contract: contract.id
+          });
+
+          state.treasury += contract.upfrontPayment;
+          state.revenueTotal += contract.upfrontPayment;
+          state.contractIncome += contract.upfrontPayment;
+          this.recordLedgerEntry(state, this.getCurrentDate(), `Consignment freight advance: ${contract.goodName} for ${contract.consignorName}`, contract.upfrontPayment, 0);
+
+          state.voyageLogHtml.value += `<p><strong>📋 Consignment:</strong> ${contract.loads} loads of ${contract.goodName} from ${contract.consignorName} for sale at ${destinationName} within ${contract.daysAllowed} days. Declared value ${contract.declaredValue} gp, commission ${contract.commissionRate}%, freight ${contract.freight} gp (${contract.upfrontPayment} gp paid now).</p>`;
+          (portActivity.contracts ??= []).push({
+              description: `Consigned ${contract.loads} loads of ${contract.goodName} by ${contract.consignorName} for ${destinationName} (freight advance)`,
+              amount: contract.upfrontPayment
+          });
+      }
+  }
+
+  /**
+   * Sell consigned goods bound for this port. The freight balance is paid
+   * if the ship is on time; loads spoiled on the way are owed to the
+   * consignor at their declared value.
+   */
+  async deliverConsignments(state, portId, portActivity) {
+      const portName = PortRegistry.get(portId)?.name || portId;
+      const due = (state.consignments || []).filter(c => c.status === "active" && c.destinationPort === portId);
+      for (const contract of due) {
+          const lot = state.cargoHold.find(l => l.contract === contract.id);
+          let loadsSold = 0;
+          if (lot) {
+              const result = await this.attemptCargoSale(state, portId, portActivity, [lot], {
+                  tradeMode: "consignment",
+                  commissionRate: contract.commissionRate
+              });
+              loadsSold = result.loadsSold;
+              // Whatever is left of the lot is handed to the consignor's factor
+              CargoHold.removeLoads(state.cargoHold, lot.id, state.cargoHold.find(l => l.id === lot.id)?.loads || 0);
+          }
+
+          const spoiled = contract.loads - contract.loadsLost - loadsSold;
+          if (spoiled > 0) this._payConsignmentLiability(state, contract, spoiled, "spoiled", portActivity);
+
+          const late = (state.daysElapsed || 0) > contract.deadlineDay;
+          contract.status = "delivered";
+          contract.deliveredDate = this.getCurrentDate();
+          contract.late = late;
+          if (!late) {
+              state.treasury += contract.deliveryPayment;
+              state.revenueTotal += contract.deliveryPayment;
+              state.contractIncome += contract.deliveryPayment;
+              this.recordLedgerEntry(state, this.getCurrentDate(), `Consignment freight balance at ${portName}`, contract.deliveryPayment, 0);
+              (portActivity.contracts ??= []).push({
+                  description: `Delivered ${loadsSold} loads of ${contract.goodName} for ${contract.consignorName} (freight balance)`,
+                  amount: contract.deliveryPayment
+              });
+          } else {
+              (portActivity.contracts ??= []).push({
+                  description: `Delivered ${loadsSold} loads of ${contract.goodName} for ${contract.consignorName} late (freight balance withheld)`,
+                  amount: 0
+              });
+          }
+
+          const outcome = contract.loadsLost > 0 ? "lost" : late ? "late" : "delivered";
+          const reputation = ConsignorRegistry.recordOutcome(contract.consignor, outcome, ConsignmentSystem.REPUTATION_CHANGE[outcome]);
+          const timing = late ? `${(state.daysElapsed || 0) - contract.deadlineDay} days late; the freight balance is withheld` : `on time; freight balance ${contract.deliveryPayment} gp`;
+          state.voyageLogHtml.value += `<p><strong>📋 Consignment delivered:</strong> ${loadsSold} of ${contract.loads} loads of ${contract.goodName} for ${contract.consignorName}, ${timing}. Standing with ${contract.consignorName}: ${ConsignorRegistry.describeReputation(reputation)} (${reputation >= 0 ? "+" : ""}${reputation}).</p>`;
+      }
+      if (due.length > 0) await ConsignorRegistry.save();
+  }
+
+  /**
+   * Consigned loads no longer aboard (plundered, confiscated) are owed to
+   * their consignors now
+   */
+  async settleConsignmentLosses(state, reason, portActivity = null) {
+      const active = (state.consignments || []).filter(c => c.status === "active");
+      for (const contract of active) {
+          const aboard = state.cargoHold.find(l => l.contract === contract.id)?.loads || 0;
+          const missing = contract.loads - contract.loadsLost - aboard;
+          if (missing > 0) this._payConsignmentLiability(state, contract, missing, reason, portActivity);
+          if (aboard === 0) {
+              contract.status = "lost";
+              ConsignorRegistry.recordOutcome(contract.consignor, "lost", ConsignmentSystem.REPUTATION_CHANGE.lost);
+          }
+      }
+      if (active.length > 0) await ConsignorRegistry.save();
+  }
+
+  /**
+   * Consignments still aboard when the voyage ends never reach their
+   * buyers; the goods are forfeit to the consignor's claim
+   */
+  async failConsignments(state, reason, portActivity = null) {
+      const active = (state.consignments || []).filter(c => c.status === "active");
+      for (const contract of active) {
+          const lot = state.cargoHold.find(l => l.contract === contract.id);
+          const undelivered = contract.loads - contract.loadsLost;
+          if (undelivered > 0) this._payConsignmentLiability(state, contract, undelivered, reason, portActivity);
+          if (lot) CargoHold.removeLoads(state.cargoHold, lot.id, lot.loads);
+          contract.status = "failed";
+          ConsignorRegistry.recordOutcome(contract.consignor, "lost", ConsignmentSystem.REPUTATION_CHANGE.lost);
+      }
+      if (active.length > 0) await ConsignorRegistry.save();
+  }
+
+  _payConsignmentLiability(state, contract, loads, reason, portActivity) {
+      const liability = ConsignmentSystem.calculateLiability(contract, loads);
+      contract.loadsLost += loads;
+      contract.liability = (contract.liability || 0) + liability;
+      state.treasury -= liability;
+      state.expenseTotal += liability;
+      if (state.breakdown) state.breakdown.penalties = (state.breakdown.penalties || 0) + liability;
+      this.recordLedgerEntry(state, this.getCurrentDate(), `Consignment liability: ${loads} loads of ${contract.goodName} owed to ${contract.consignorName}`, 0, liability);
+
+      state.voyageLogHtml.value += `<p><strong>📋 Consignment loss:</strong> ${loads} loads of ${contract.goodName} ${reason}. ${liability} gp owed to ${contract.consignorName} at declared value.</p>`;
+      if (portActivity) {
+          (portActivity.contracts ??= []).push({
+              description: `Lost ${loads} loads of ${contract.goodName} consigned by ${contract.consignorName} (liability)`,
+              amount: -liability
+          });
+      }
+  }
+
+  // ===========================================================================
+  // FINANCING — loans, letters of credit and unpaid crew (see FinancingSystem)
+  // ===========================================================================
+
+  _finance(state) {
+      return state.finance ??= FinancingSystem.createFinance({ startingGold: state.startingCapital });
+  }
+
+  /**
+   * Funds that can buy cargo here: everything at a banking port, only the
+   * coin aboard elsewhere, less what is owed to moneylenders. Borrowed
+   * money keeps the crew paid; it is not staked on cargo.
+   */
+  _spendableFunds(state, portId) {
+      const funds = FinancingSystem.hasBank(portId) ? state.treasury : FinancingSystem.coinAboard(state);
+      return Math.max(0, funds - FinancingSystem.totalOwed(state.finance, state.daysElapsed));
+  }
+
+  /**
+   * Wages fall into arrears while the treasury is empty
+   */
+  _trackArrears(state, dateStr) {
+      const finance = this._finance(state);
+      if (state.treasury >= 0) {
+          finance.arrearsDays = 0;
+          return;
+      }
+      finance.arrearsDays++;
+      if (finance.arrearsDays === 1) {
+          state.voyageLogHtml.value += `<p><strong>💸 Treasury empty (${dateStr})!</strong> ${state.treasury} gp; the crew's wages are going unpaid.</p>`;
+      }
+  }
+
+  /**
+   * On arrival: cash letters of credit back to the float, borrow if the
+   * treasury is empty before any cargo is sold, and lose the crew that
+   * still goes unpaid
+   */
+  async _financeOnArrival(state, portId, portActivity, isFinalPort) {
+      const finance = this._finance(state);
+      const port = PortRegistry.get(portId);
+      const dateStr = this.getCurrentDate();
+      const reserve = FinancingSystem.reserveFor(state.dailyOperationalCost);
+
+      if (FinancingSystem.hasBank(portId)) this._drawOnLetters(state, port, reserve);
+
+      const lender = FinancingSystem.getLender(portId);
+      if (lender && !isFinalPort && state.treasury < 0) {
+          const amount = FinancingSystem.loanAmount(lender, finance, reserve - state.treasury);
+          const borrow = amount > 0 && await FinancingSystem.offerLoan({
+              lender,
+              amount,
+              treasury: state.treasury,
+              reserve,
+              automateTrading: state.automateTrading
+          });
+          if (borrow) {
+              const loan = FinancingSystem.createLoan(lender, amount, state.daysElapsed);
+              loan.id = `loan-${finance.loans.length + 1}`;
+              finance.loans.push(loan);
+              state.treasury += amount;
+              this.recordLedgerEntry(state, dateStr, `Loan from ${lender.name} (${lender.rate}% a month)`, amount, 0);
+              state.voyageLogHtml.value += `<p><strong>🏦 Loan:</strong> Borrowed ${amount} gp from ${lender.name} at ${lender.rate}% a month, due in ${FinancingSystem.LOAN_TERM_DAYS} days.</p>`;
+              portActivity.activities.push(`Borrowed ${amount} gp from ${lender.name} at ${lender.rate}% a month`);
+          } else if (amount > 0) {
+              portActivity.activities.push(`Declined a loan of ${amount} gp from ${lender.name}`);
+          }
+      }
+
+      // Crew still unpaid desert: 1d4 for each week of arrears
+      if (state.treasury < 0 && finance.arrearsDays > 0) {
+          const weeks = Math.ceil(finance.arrearsDays / 7);
+          let remaining = Dice.roll(`${weeks}d4`).total;
+          let deserted = 0;
+          for (const role of ["sailor", "oarsman", "marine"]) {
+              const group = state.currentCrew.find(c => c.role === role || c.role === `${role}s`);
+              if (!group || remaining <= 0) continue;
+              const lost = Math.min(group.count, remaining);
+              group.count -= lost;
+              remaining -= lost;
+              deserted += lost;
+          }
+          if (deserted > 0) {
+              state.morale.desertedTotal = (state.morale.desertedTotal || 0) + deserted;
+              state.voyageLogHtml.value += `<p><strong>🏃 Unpaid crew desert at ${port.name}!</strong> ${deserted} crew walk off after ${finance.arrearsDays} days without wages.</p>`;
+              portActivity.activities.push(`${deserted} unpaid crew deserted`);
+              state.events.push({ type: 'desertion', date: dateStr, count: deserted, port: port.name, reason: 'unpaid' });
+          }
+          finance.arrearsDays = 0;
+      }
+  }
+
+  /**
+   * Before sailing: repay every loan the treasury can cover, let creditors
+   * long unpaid (or unpaid at the final port) seize the ship, and
+   * put surplus coin on letters of credit.
+   * @returns {boolean} true if the ship was seized
+   */
+  async _financeBeforeSailing(state, portId, portActivity, isFinalPort) {
+      const finance = this._finance(state);
+      const port = PortRegistry.get(portId);
+      const dateStr = this.getCurrentDate();
+      const day = state.daysElapsed;
+      const reserve = FinancingSystem.reserveFor(state.dailyOperationalCost);
+
+      for (const loan of FinancingSystem.activeLoans(finance)) {
+          const owed = FinancingSystem.amountOwed(loan, day);
+          const due = isFinalPort || day >= loan.dueDay;
+          if (state.treasury >= owed) {
+              const interest = owed - loan.principal;
+              state.treasury -= owed;
+              state.expenseTotal += interest;
+              if (state.breakdown) state.breakdown.finance = (state.breakdown.finance || 0) + interest;
+              loan.repaid = owed;
+              loan.repaidDay = day;
+              loan.status = "repaid";
+              this.recordLedgerEntry(state, dateStr, `Repaid loan from ${loan.lender} (${interest} gp interest)`, 0, owed);
+              state.voyageLogHtml.value += `<p><strong>🏦 Loan Repaid:</strong> ${owed} gp to ${loan.lender} (${loan.principal} gp borrowed, ${interest} gp interest).</p>`;
+              portActivity.activities.push(`Repaid ${owed} gp to ${loan.lender}`);
+          } else if (due && (isFinalPort || FinancingSystem.isDefaulted(loan, day))) {
+              await this._seizeShip(state, portId, portActivity, loan);
+              return true;
+          } else if (due) {
+              state.voyageLogHtml.value += `<p><strong>⚠️ Loan Overdue:</strong> ${owed} gp owed to ${loan.lender}; the treasury holds ${state.treasury} gp. The creditors will seize the ship after day ${loan.dueDay + FinancingSystem.GRACE_DAYS}.</p>`;
+          }
+      }
+
+      if (FinancingSystem.hasBank(portId)) {
+          this._drawOnLetters(state, port, reserve);
+          if (finance.lettersOfCredit && !isFinalPort) this._buyLetters(state, port, reserve);
+      }
+      return false;
+  }
+
+  /**
+   * Exchange coin beyond the float for letters of credit
+   */
+  _buyLetters(state, port, float) {
+      const finance = this._finance(state);
+      const surplus = FinancingSystem.coinAboard(state) - float;
+      if (surplus < FinancingSystem.LOAN_STEP) return;
+
+      const fee = Math.ceil(surplus * FinancingSystem.LETTER_FEE_PERCENT / 100);
+      state.treasury -= fee;
+      state.expenseTotal += fee;
+      if (state.breakdown) state.breakdown.finance = (state.breakdown.finance || 0) + fee;
+      finance.credit += surplus - fee;
+      finance.letterFees += fee;
+      this.recordLedgerEntry(state, this.getCurrentDate(), `Letters of credit at ${port.name} (${FinancingSystem.LETTER_FEE_PERCENT}% fee)`, 0, fee);
+      state.voyageLogHtml.value += `<p><strong>📜 Letters of Credit:</strong> ${surplus - fee} gp placed with the bankers of ${port.name} (fee ${fee} gp); ${FinancingSystem.coinAboard(state)} gp kept aboard, ${finance.credit} gp on letters.</p>`;
+  }
+
+  /**
+   * Cash letters of credit until the coin aboard is back to the float
+   */
+  _drawOnLetters(state, port, float) {
+      const finance = this._finance(state);
+      const draw = Math.min(finance.credit, float - FinancingSystem.coinAboard(state));
+      if (draw <= 0) return;
+
+      finance.credit -= draw;
+      state.voyageLogHtml.value += `<p><strong>📜 Letters of Credit:</strong> Drew ${draw} gp at ${port.name}; ${finance.credit} gp left on letters.</p>`;
+  }
+
+  /**
+   * Creditors take the ship and whatever coin is left once the voyage's
+   * costs are booked and its contracts settled: the contracts fail with
+   * the seizure and their penalties come out of the treasury first
+   */
+  async _seizeShip(state, portId, portActivity, loan) {
+      const finance = this._finance(state);
+      const port = PortRegistry.get(portId);
+      const owed = FinancingSystem.totalOwed(finance, state.daysElapsed);
+
+      if (state.legAccumulatedCost && state.legAccumulatedCost > 0) {
+          this.recordLedgerEntry(state, this.getCurrentDate(), "Voyage expenses (Wages & Provisions)", 0, state.legAccumulatedCost);
+          state.legAccumulatedCost = 0;
+      }
+      this.failTransportContracts(state, "ship seized", portActivity);
+      await this.failConsignments(state, "ship seized", portActivity);
+
+      const taken = Math.max(0, state.treasury);
+      for (const active of FinancingSystem.activeLoans(finance)) active.status = "seized";
+
+      if (taken > 0) {
+          state.treasury -= taken;
+          finance.credit = 0;
+          this.recordLedgerEntry(state, this.getCurrentDate(), `Treasury taken by creditors at ${port.name}`, 0, taken);
+      }
+      state.flags.seized = { portId, lender: loan.lender, owed };
+      state.voyageLogHtml.value += `<p><strong>⚖️ Ship Seized!</strong> ${loan.lender} and the other creditors seize ${state.ship.name} at ${port.name} for ${owed} gp unpaid${taken > 0 ? `, taking the ${taken} gp in the treasury as well` : ""}.</p>`;
+      portActivity.activities.push(`Ship seized by creditors for ${owed} gp of unpaid loans`);
+      state.events.push({ type: 'seizure', date: this.getCurrentDate(), port: port.name, lender: loan.lender, owed });
+  }
+
+  /**
+   * Boarders take the cargo and most of the coin aboard; letters of
+   * credit are no use to them
+   */
+  async plunderShip(state) {
+      state.cargoHold = [];
+      const plunderAmount = Math.floor(Math.max(0, FinancingSystem.coinAboard(state)) * 0.75);
+      state.treasury -= plunderAmount;
+      const credit = state.finance?.credit || 0;
+      state.voyageLogHtml.value += `<p><strong>☠️ Plundered!</strong> Lost all cargo and ${plunderAmount} gp${credit > 0 ? `; ${credit} gp on letters of credit is safe` : ""}.</p>`;
+      if (plunderAmount > 0) this.recordLedgerEntry(state, this.getCurrentDate(), "Coin plundered by boarders", 0, plunderAmount);
+      // Consigned goods are owed to their consignors
+      await this.settleConsignmentLosses(state, "plundered");
   }
 
   async offerShipRepairs(state, port, portActivity) {
@@ -1722,55 +2830,72 @@ export class VoyageSimulator {
     }
 }
 
-  /** Get CTT API if available */
-  _getCTT() {
-      return game.modules?.get('calendar-time-tracker')?.api ?? null;
-  }
-
   getCurrentDate() {
-      // Priority 1: CTT module
-      const ctt = this._getCTT();
-      if (ctt) {
-          const d = ctt.getCurrentDate();
-          return d.fullDateTime || d.formatted || `${d.year}-${d.month}-${d.day}`;
-      }
-      // Priority 2: Weather module calendar
-      if (globalThis.dndWeather?.weatherSystem?.calendarTracker) {
-          return globalThis.dndWeather.weatherSystem.calendarTracker.getDateString();
-      }
-      if (globalThis.dndWeather?.weatherSystem?.currentWeather?.timestamp) {
-          return globalThis.dndWeather.weatherSystem.currentWeather.timestamp;
-      }
-      return "Unknown Date";
+      return Platform.calendar.getCurrentDate();
   }
 
-  advanceDay() {
-      // Priority 1: CTT module
-      const ctt = this._getCTT();
-      if (ctt) {
-          ctt.advanceTime(1, "day");
-          return;
-      }
-      // Priority 2: Weather module calendar
-      if (globalThis.dndWeather?.weatherSystem?.calendarTracker) {
-          globalThis.dndWeather.weatherSystem.calendarTracker.advanceDay();
-      }
+  advanceDay(state = null) {
+      Platform.calendar.advanceDay();
+      MarketRegistry.advanceDays(1);
+      if (state) state.daysElapsed = (state.daysElapsed || 0) + 1;
   }
 
   advanceHours(hours) {
-      const ctt = this._getCTT();
-      if (ctt) {
-          ctt.advanceTime(hours, "hour");
-          return;
-      }
-      // Weather module has no hour-level advance; skip
+      Platform.calendar.advanceHours(hours);
   }
 
   async handleVoyageFailure(state) {
-      await ChatMessage.create({
-          speaker: ChatMessage.getSpeaker({ alias: "Voyage Simulator" }),
+      await Platform.output.chat({
           content: `<h3>⚓ Voyage FAILED: ${state.ship.name} Sank</h3><p><strong>Captain:</strong> ${state.captain.name}</p><p><strong>Total Days:</strong> ${state.totalDays}</p><p><strong>Distance Sailed:</strong> ${state.totalDistance} miles</p>`
       });
+
+      state.shipEndDate = this.getCurrentDate();
+      this.failTransportContracts(state, "ship lost");
+      await this.failConsignments(state, "ship lost");
+      await this._returnShipToFleet(state, "sank");
+  }
+
+  /**
+   * Creditors have taken the ship: the voyage ends where it lies, with
+   * contracts unfulfilled and the accounts written up
+   */
+  async handleShipSeized(state) {
+      const seizure = state.flags.seized;
+      const portName = PortRegistry.get(seizure.portId)?.name || seizure.portId;
+      await Platform.output.chat({
+          content: `<h3>⚖️ Voyage ENDED: ${state.ship.name} Seized by Creditors</h3><p><strong>Captain:</strong> ${state.captain.name}</p><p><strong>Port:</strong> ${portName}</p><p><strong>Unpaid Debt:</strong> ${seizure.owed} gp to ${seizure.lender}</p><p><strong>Total Days:</strong> ${state.totalDays}</p>`
+      });
+
+      state.shipEndDate = this.getCurrentDate();
+      // Costs, contracts and the treasury were settled when the creditors seized her (_seizeShip)
+      await ReportGenerator.createVoyageJournal(state);
+      await this._returnShipToFleet(state, "seized");
+  }
+
+  /**
+   * Write the ship's end-of-voyage condition back to the fleet and add
+   * the voyage to its history, so the next voyage starts from here.
+   */
+  async _returnShipToFleet(state, outcome) {
+      if (!ShipRegistry.get(state.ship?.id)) return;
+      const sank = outcome === "sank";
+      await ShipRegistry.recordVoyage(state.ship.id, {
+          voyageId: state.id || null,
+          route: state.route?.name,
+          captain: state.captain?.name,
+          startDate: state.shipStartDate,
+          endDate: state.shipEndDate,
+          days: state.totalDays,
+          distance: state.totalDistance,
+          netProfit: state.treasury - state.startingCapital,
+          outcome
+      }, {
+          hullValue: Math.max(0, state.ship.hullPoints.value),
+          crew: state.currentCrew,
+          currentPort: sank ? null : state.flags.lastPortId,
+          daysSinceService: state.maintenance?.daysSinceService ?? 0,
+          status: sank ? "sunk" : outcome === "seized" ? "seized" : "active"
+      });
   }
 
   async finalizeVoyage(state) {
@@ -1781,17 +2906,20 @@ export class VoyageSimulator {
           state.legAccumulatedCost = 0;
       }
 
+      this.failTransportContracts(state, "voyage ended", state.portActivities.at(-1));
+      await this.failConsignments(state, "voyage ended", state.portActivities.at(-1));
+
       await ReportGenerator.createVoyageJournal(state);
       
       const ownerNetProfit = state.treasury - state.startingCapital;
       const profitDistribution = ReportGenerator.calculateProfitDistribution({
           ownerNetProfit,
           crewEarningsFromTrade: state.crewEarningsFromTrade,
-          ship: state.ship
+          ship: state.ship,
+          investors: state.finance?.investors
       });
       
-      await ChatMessage.create({
-          speaker: ChatMessage.getSpeaker({ alias: "Voyage Simulator" }),
+      await Platform.output.chat({
           content: `
               <div class="adnd-voyage-complete">
                   <h3>⚓ Voyage Complete: ${state.ship.name}</h3>
@@ -1803,17 +2931,20 @@ export class VoyageSimulator {
                   <p><strong>Starting Capital:</strong> ${state.startingCapital} gp</p>
                   <p><strong>Final Treasury:</strong> ${state.treasury} gp</p>
                   <p><strong>Net Result:</strong> ${ownerNetProfit >= 0 ? 'Profit' : 'Loss'} of ${Math.abs(ownerNetProfit)} gp</p>
+                  ${state.finance?.investors ? `<p><strong>Investors Repaid:</strong> ${profitDistribution.investorReturn} gp</p>` : ''}
                   <p><strong>Crew Payout:</strong> ${profitDistribution.totalCrewPayout} gp</p>
               </div>
           `,
           flags: { 'adnd-voyage-simulator': { voyageComplete: true } }
       });
+
+      await this._returnShipToFleet(state, "completed");
       
       for (const [id, s] of this.activeVoyages.entries()) {
         if (s === state) { this.activeVoyages.delete(id); break; }
       }
       
-      ui.notifications.info(`Voyage complete! Journal entry created.`);
+      Platform.output.notify("info", `Voyage complete! Journal entry created.`);
   }
 
   // ==========================================================================
@@ -1827,152 +2958,130 @@ export class VoyageSimulator {
   async simulateDay(voyageId, decisions = {}) {
     const state = await VoyageSimulator.loadState(voyageId);
     if (!state || state.flags.finished) throw new Error("Voyage not found or already finished.");
-
-    if (state.dailyOperationalCost) {
-        state.expenseTotal += state.dailyOperationalCost;
-        state.treasury -= state.dailyOperationalCost;
-        state.legAccumulatedCost = (state.legAccumulatedCost || 0) + state.dailyOperationalCost;
-        
-        if (state.breakdown) {
-            const foodRatio = 0.3;
-            const dailyFood = Math.floor(state.dailyOperationalCost * foodRatio);
-            state.breakdown.food += dailyFood;
-            state.breakdown.wages += (state.dailyOperationalCost - dailyFood);
-        }
+    // Pick up the dice where the previous day left off
+    Dice.setState(state.rngState);
+
+    const legIndex = state.position.legIndex ?? 0;
+    let leg = state.legs?.[legIndex];
+    if (!leg) throw new Error("Voyage has no route legs to sail.");
+
+    const date = this.getCurrentDate();
+    const eventStart = state.events.length;
+    const watch = await this._morningWatch(state, leg, state.position.milesOnSegment, decisions);
+    const diversion = watch.divert || this._orderedDiversion(state, leg, state.position.milesOnSegment, decisions.divertTo);
+    if (diversion) {
+        leg = this._divert(state, state.legs, legIndex, state.position.milesOnSegment, diversion);
+        state.position.milesOnSegment = 0;
     }
+    const toName = PortRegistry.get(leg.toID)?.name || leg.toID;
+    const remaining = Math.max(0, leg.distance - state.position.milesOnSegment);
+    const dayResult = await this.simulateSailingDay(state, toName, remaining, leg, { ...decisions, ...watch });
 
-    const weather = await this._getOrRollWeatherForDay(state);
-
-    const SAILING_HOURS = 10;
-    let baseMiles;
-    if (state.ship?.dailySail) {
-        baseMiles = state.ship.dailySail;
-    } else if (state.ship?.normalSail) {
-        baseMiles = state.ship.normalSail * SAILING_HOURS;
-    } else {
-        baseMiles = (state.ship?.movement ?? 6) * (this.MILES_PER_INCH_DAILY ?? 24);
-    } 
-    const hullMax  = state.ship?.hullPoints?.max ?? 0;
-    const hullVal  = state.ship?.hullPoints?.value ?? hullMax;
-    const hullLost = Math.max(0, hullMax - hullVal);
-
-    let hullPenaltyPct = 0;
-    try {
-      const { NavigationSystem } = await import("./navigation.js");
-      hullPenaltyPct = NavigationSystem.calculateHullDamagePenalty?.(hullLost, hullMax)?.speedPenaltyPercent ?? 0;
-    } catch {}
-
-    const maintPenaltyPct = Number(state.maintenance?.speedPenalty ?? 0);
-    const penalizedBase = Math.max(0, Math.floor(baseMiles * (100 - hullPenaltyPct - maintPenaltyPct) / 100));
-
-    const speedInfo = this.calculateSailingSpeed(penalizedBase, weather);
-    let milesToday = speedInfo.speed || 0;
-
-    let navCheck = null;
-    try {
-      const { NavigationSystem } = await import("./navigation.js");
-      navCheck = NavigationSystem.makeDailyNavigationCheck?.(state, weather) || null;
-      if (navCheck?.milesLost) milesToday = Math.max(0, milesToday - navCheck.milesLost);
-    } catch {}
-
-    const hazards = [];
-    try {
-      const { NavigationSystem } = await import("./navigation.js");
-      const inHazard = this._segmentIsHazard?.(state) || false;
-      if (inHazard && milesToday > 0) {
-        const checks = Math.floor(milesToday / 5);
-        for (let i = 0; i < checks; i++) {
-          const hz = await this._resolveHazardCheck(state, weather, NavigationSystem, decisions);
-          hazards.push(hz);
-          if (hz?.deadInWater) { milesToday = 0; break; }
-        }
-      }
-    } catch {}
-
-    const travel = this._advancePosition(state, milesToday);
-    const arrived = travel?.arrivedPortId ?? null;
-
-    await this._applyDayDecisions(state, decisions, arrived);
+    const travel = dayResult.shipSank
+        ? { arrivedPortId: null, milesMoved: 0, legIndex }
+        : this._advancePosition(state, dayResult.distanceCovered);
+    CargoHold.age(state.cargoHold, travel.milesMoved);
+    const arrived = travel.arrivedPortId;
 
-    state.maintenance.daysSinceService = (state.maintenance.daysSinceService ?? 0) + 1;
-
-    // Process daily scurvy/morale/maintenance for manual mode
-    const dateStr = this.getCurrentDate?.() || "Unknown";
-    this._processScurvy(state, dateStr);
-    this._processMorale(state, dateStr);
-    this._evaluateMaintenance(state, dateStr);
-
-    // Wind damage for manual mode
-    const windDmgResults = await this._processWindDamage(state, weather, dateStr);
-    for (const wd of windDmgResults) {
-      if (wd.sank) hazards.push({ ...wd, deadInWater: true });
-    }
-
-    // Navigation check for manual mode (openWater only)
-    if (!navCheck) {
-        const segWaterType = state.currentSegmentWaterType || "coastal";
-        if (segWaterType === "openWater" && milesToday > 0) {
-            const moralePen = state.morale?.proficiencyPenalty || 0;
-            navCheck = await this._rollNavigationCheck(state, weather, moralePen);
-            if (navCheck?.failed) {
-                const lost = Math.max(0, Math.floor(milesToday * navCheck.lostPercent / 100));
-                milesToday = Math.max(0, milesToday - lost);
-                navCheck.milesLost = lost;
-            }
-        }
-    }
+    // The raw weather-module object is not needed in the saved day log
+    const { raw, ...weather } = dayResult.weather;
 
     const result = {
       day: state.day + 1,
-      weather, speedInfo, navCheck,
-      miles: milesToday,
-      hazards,
+      date,
+      eventStart,
+      weather,
+      speedInfo: dayResult.speedInfo,
+      miles: travel.milesMoved,
+      damage: dayResult.damage,
+      encounters: dayResult.encounters.length,
+      legIndex,
       arrivedPortId: arrived,
-      notes: speedInfo.note || "",
+      shipSank: dayResult.shipSank,
+      notes: dayResult.speedInfo.note || "",
     };
 
     state.day++;
+    state.totalDays++;
     state.log.push(result);
+    this.advanceDay(state);
+
+    if (dayResult.shipSank) {
+        state.flags.finished = true;
+        state.flags.atSea = false;
+        await this.handleVoyageFailure(state);
+    } else if (arrived) {
+        await this._arriveAtPort(state, legIndex);
+    } else if (watch.shelter && !watch.shelter.ahead) {
+        state.position.milesOnSegment = 0;
+        await this._waitOutStorm(state, leg.fromID);
+    }
+
+    state.rngState = Dice.getState();
     await VoyageSimulator.saveState(state.id, state);
 
     return { state, result };
   }
 
-  async _getOrRollWeatherForDay(state) {
-    try {
-      const { WeatherSystem } = await import("./weather.js");
-      return await WeatherSystem.generateDayWeather();
-    } catch {
-      return { wind:{speed: 10, direction:"N"}, precipitation:{type:"none",duration:0}, sky:"clear", temperature:{high:70,low:55} };
-    }
-  }
+  /**
+   * Manual-mode arrival at the end of a leg. Runs the same port pipeline as
+   * runSimulation, then either sets up the next leg or finalizes the voyage.
+   */
+  async _arriveAtPort(state, legIndex) {
+      const legs = state.legs || [];
+      const leg = legs[legIndex];
+
+      state.flags.atSea = false;
+      state.flags.inPort = true;
+      state.flags.lastPortId = leg.toID;
+      state.ship.currentPort = leg.toID;
+      if (leg.diversion) await this._settleDiversion(state, legs, legIndex);
+      const isLastLeg = legIndex >= legs.length - 1;
+
+      await this.processPort(state, leg.toID, legIndex, legs);
+
+      if (state.flags.seized) {
+          state.flags.finished = true;
+          await this.handleShipSeized(state);
+          return;
+      }
 
-  _segmentIsHazard(state) {
-    return !!state?.routeSegmentHazard;
-  }
+      if (state.ship.hullPoints.value <= 0) {
+          state.flags.finished = true;
+          await this.handleVoyageFailure(state);
+          return;
+      }
 
-  async _resolveHazardCheck(state, weather, NavigationSystem, decisions) {
-    const haz = NavigationSystem.assessWeatherHazard?.(weather);
-    if (!haz || haz.severity === "NONE") return { severity: "NONE" };
-    const pilotRoll = NavigationSystem.makePilotingCheck?.(state, haz, decisions?.pilotMods ?? 0);
-    const dmg = NavigationSystem.calculateHazardDamage?.(haz.type, haz.severity, pilotRoll?.missBy ?? 0);
-    if (dmg?.hull) {
-      state.ship.hullPoints.value = Math.max(0, state.ship.hullPoints.value - dmg.hull);
-    }
-    return { ...haz, pilotRoll, dmg, deadInWater: dmg?.deadInWater || false };
+      if (isLastLeg) {
+          state.flags.finished = true;
+          await this.finalizeVoyage(state);
+          return;
+      }
+
+      // Set up the next leg
+      state.position.legIndex = legIndex + 1;
+      state.position.routeSegment = legIndex + 1;
+      state.position.milesOnSegment = 0;
+      state.flags.atSea = true;
+      state.flags.inPort = false;
+      this._beginLeg(state, legs[legIndex + 1], legIndex + 1);
   }
 
+  /**
+   * Move the ship along the current leg. Miles are capped at the leg's
+   * remaining distance, like sailLeg does for auto runs.
+   */
   _advancePosition(state, milesToday) {
-    state.position.milesOnSegment += milesToday;
-    return { arrivedPortId: null };
-  }
+    const legIndex = state.position.legIndex ?? 0;
+    const leg = state.legs?.[legIndex];
+    if (!leg) return { arrivedPortId: null, milesMoved: 0, legIndex };
 
-  async _applyDayDecisions(state, decisions, arrivedPortId) {
-    if (decisions?.heaveTo) return;
-    if (arrivedPortId && decisions?.autoTradeDays) {
-      try {
-        const { CargoSelling } = await import("../trading/cargo-sell.js");
-      } catch {}
-    }
+    const remaining = Math.max(0, leg.distance - state.position.milesOnSegment);
+    const milesMoved = Math.min(Math.max(0, milesToday), remaining);
+    state.position.milesOnSegment += milesMoved;
+    state.position.routeSegment = legIndex;
+
+    const arrived = state.position.milesOnSegment >= leg.distance;
+    return { arrivedPortId: arrived ? leg.toID : null, milesMoved, legIndex };
   }
 }
\ No newline at end of file
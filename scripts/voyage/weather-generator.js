@@ -0,0 +1,354 @@
+/**
+ * Weather Generator
+ * Seasonal weather for voyages sailed without the DnD Weather module,
+ * rolled on the voyage's dice so replays match.
+ *
+ * The climate zone comes from the voyage's latitude unless one is chosen,
+ * and the season from the Greyhawk calendar, counted on from the starting
+ * date. Weather arrives in systems lasting several days: fair spells,
+ * unsettled spells, warm and cold fronts, and now and then a storm that
+ * builds, blows for a day or more and blows itself out. Open water is
+ * windier, rivers more sheltered; fog lies thickest on coasts and rivers,
+ * and lakes and rivers carry ice in hard frosts.
+ *
+ * The weather state lives on the voyage state:
+ *
+ *   { climate, startDay, waterType, system: { type, name, day, days, ... }, next }
+ *
+ * (next is the system to follow, once a forecast has looked past the
+ * current one; see outlook), and each day's weather has the same shape
+ * WeatherSystem.parseWeatherObject gives, plus ice and the system it
+ * belongs to.
+ */
+
+import { Dice } from './dice.js';
+import { WeatherSystem } from './weather.js';  // Imports this module in turn; used only inside methods
+
+export class WeatherGenerator {
+
+    // The Greyhawk calendar: four festival weeks and twelve months of 28 days
+    static CALENDAR = [
+        { name: "Needfest", days: 7, season: "winter" },
+        { name: "Fireseek", days: 28, season: "winter" },
+        { name: "Readying", days: 28, season: "spring" },
+        { name: "Coldeven", days: 28, season: "spring" },
+        { name: "Growfest", days: 7, season: "spring" },
+        { name: "Planting", days: 28, season: "spring" },
+        { name: "Flocktime", days: 28, season: "summer" },
+        { name: "Wealsun", days: 28, season: "summer" },
+        { name: "Richfest", days: 7, season: "summer" },
+        { name: "Reaping", days: 28, season: "summer" },
+        { name: "Goodmonth", days: 28, season: "autumn" },
+        { name: "Harvester", days: 28, season: "autumn" },
+        { name: "Brewfest", days: 7, season: "autumn" },
+        { name: "Patchwall", days: 28, season: "autumn" },
+        { name: "Ready'reat", days: 28, season: "winter" },
+        { name: "Sunsebb", days: 28, season: "winter" }
+    ];
+
+    /**
+     * Climate zones, poleward to maxLatitude:
+     *   prevailing - bearing the prevailing wind blows from
+     *   temps      - [high, low] °F by season
+     *   storms     - chance that a new weather system is a storm, by season
+     *   hurricanes - seasons when a storm may be a hurricane
+     */
+    static CLIMATES = {
+        tropical: {
+            name: "Tropical", maxLatitude: 23.5, prevailing: 67.5,
+            temps: { winter: [80, 68], spring: [85, 72], summer: [88, 76], autumn: [86, 74] },
+            storms: { winter: 0.02, spring: 0.03, summer: 0.05, autumn: 0.07 },
+            hurricanes: ["summer", "autumn"]
+        },
+        subtropical: {
+            name: "Subtropical", maxLatitude: 35, prevailing: 225,
+            temps: { winter: [60, 45], spring: [72, 55], summer: [88, 70], autumn: [76, 60] },
+            storms: { winter: 0.05, spring: 0.04, summer: 0.04, autumn: 0.06 },
+            hurricanes: ["autumn"]
+        },
+        temperate: {
+            name: "Temperate", maxLatitude: 55, prevailing: 270,
+            temps: { winter: [36, 22], spring: [58, 40], summer: [78, 60], autumn: [60, 44] },
+            storms: { winter: 0.08, spring: 0.04, summer: 0.03, autumn: 0.07 },
+            hurricanes: []
+        },
+        subarctic: {
+            name: "Subarctic", maxLatitude: 66.5, prevailing: 270,
+            temps: { winter: [20, 2], spring: [42, 28], summer: [62, 46], autumn: [42, 30] },
+            storms: { winter: 0.10, spring: 0.06, summer: 0.03, autumn: 0.08 },
+            hurricanes: []
+        },
+        arctic: {
+            name: "Arctic", maxLatitude: 90, prevailing: 45,
+            temps: { winter: [0, -20], spring: [22, 6], summer: [45, 33], autumn: [25, 10] },
+            storms: { winter: 0.08, spring: 0.06, summer: 0.03, autumn: 0.07 },
+            hurricanes: []
+        }
+    };
+
+    // Wind and fog by the water sailed
+    static WATER = {
+        openWater: { wind: 1.2, fog: 0.8, freezes: false },
+        coastal: { wind: 1.0, fog: 1.5, freezes: false },
+        lake: { wind: 0.9, fog: 1.2, freezes: true },
+        river: { wind: 0.6, fog: 1.5, freezes: true }
+    };
+
+    /**
+     * Weather systems other than storms, drawn by weight:
+     *   veer - compass points the wind swings from the prevailing direction
+     *   temp - °F added to the season's temperatures
+     *   rain - daily chance of precipitation; fog - daily chance of fog
+     */
+    static SYSTEMS = {
+        fair: { name: "Fair spell", weight: 4, days: "1d4+1", wind: "1d12+2", veer: 0, temp: 4, sky: ["clear", "clear", "partly cloudy"], rain: 0.05, fog: 0.15 },
+        unsettled: { name: "Unsettled spell", weight: 3, days: "1d3+1", wind: "2d10+5", veer: -2, temp: 0, sky: ["partly cloudy", "cloudy", "overcast"], rain: 0.35, fog: 0.05 },
+        warm: { name: "Warm front", weight: 2, days: "1d3+1", wind: "2d8+6", veer: -4, temp: 6, sky: ["overcast", "cloudy"], rain: 0.5, fog: 0.2 },
+        cold: { name: "Cold front", weight: 2, days: "1d2+1", wind: "2d10+15", veer: 2, temp: -8, sky: ["cloudy", "partly cloudy", "clear"], rain: 0.35, fog: 0 }
+    };
+
+    // Storms: peak wind, days at peak, and what falls at the height of it
+    static STORMS = {
+        gale: { name: "Gale", peakWind: "2d8+48", peakDays: "1d2" },
+        storm: { name: "Storm", peakWind: "2d12+73", peakDays: "1" },
+        hurricane: { name: "Hurricane", peakWind: "2d20+100", peakDays: "1d3" }
+    };
+
+    /**
+     * Weather state for a new voyage
+     * @param {Object} params
+     * @param {string} [params.climate] - CLIMATES key; chosen by latitude when absent
+     * @param {number} [params.latitude] - Degrees north
+     * @param {string} [params.startingMonth] - Greyhawk month name
+     * @param {number} [params.startingDay]
+     */
+    static createState({ climate = null, latitude = 40, startingMonth = null, startingDay = 1 } = {}) {
+        return {
+            climate: this.CLIMATES[climate] ? climate : this.climateFor(latitude),
+            startDay: this.dayOfYear(startingMonth, startingDay),
+            waterType: null,
+            system: null,
+            next: null
+        };
+    }
+
+    static climateFor(latitude) {
+        const lat = Math.abs(Number.isFinite(latitude) ? latitude : 40);
+        return Object.entries(this.CLIMATES).find(([, c]) => lat <= c.maxLatitude)[0];
+    }
+
+    /**
+     * Days since the start of the year (0 = 1 Needfest). Unknown months
+     * count from the start of spring.
+     */
+    static dayOfYear(month, day = 1) {
+        let index = this.CALENDAR.findIndex(m => m.name === month);
+        if (index < 0) index = this.CALENDAR.findIndex(m => m.name === "Readying");
+        const before = this.CALENDAR.slice(0, index).reduce((sum, m) => sum + m.days, 0);
+        return before + Math.max(0, (day || 1) - 1);
+    }
+
+    static seasonOn(dayOfYear) {
+        const yearLength = this.CALENDAR.reduce((sum, m) => sum + m.days, 0);
+        let remaining = ((dayOfYear % yearLength) + yearLength) % yearLength;
+        for (const month of this.CALENDAR) {
+            if (remaining < month.days) return month.season;
+            remaining -= month.days;
+        }
+        return "winter";
+    }
+
+    /**
+     * One day's weather. Advances the state's weather system, starting a
+     * new one when the last has run its course.
+     * @param {Object} weatherState - From createState; updated in place
+     * @param {Object} conditions
+     * @param {number} conditions.day - Days since the voyage began
+     * @param {string} [conditions.waterType] - coastal, openWater, river or lake;
+     *   in port, the water last sailed
+     */
+    static generate(weatherState, { day = 0, waterType = null } = {}) {
+        if (waterType) weatherState.waterType = waterType;
+        waterType = weatherState.waterType || "coastal";
+        const climate = this.CLIMATES[weatherState.climate] || this.CLIMATES.temperate;
+        const season = this.seasonOn(weatherState.startDay + day);
+        const water = this.WATER[waterType] || this.WATER.coastal;
+
+        if (!weatherState.system || weatherState.system.day >= weatherState.system.days) {
+            // A system already foreseen by outlook comes in as foreseen
+            weatherState.system = weatherState.next || this._newSystem(climate, season);
+            weatherState.next = null;
+        }
+        const system = weatherState.system;
+        system.day++;
+
+        // Temperature: the season, the system and the day
+        const [seasonHigh, seasonLow] = climate.temps[season];
+        const shift = (system.temp || 0) + Dice.roll("1d7").total - 4;
+        const high = seasonHigh + shift;
+        const low = Math.min(high - 6, seasonLow + shift);
+
+        const weather = system.storm
+            ? this._stormDay(system, climate, high, low)
+            : this._settledDay(system, climate, water, high, low);
+
+        weather.wind.speed = Math.max(0, Math.round(weather.wind.speed * water.wind));
+        weather.ice = water.freezes && low <= 20 ? "floes"
+            : waterType === "coastal" && low <= 5 ? "floes"
+            : null;
+        weather.system = {
+            type: system.type,
+            name: system.name,
+            day: system.day,
+            days: system.days,
+            stage: system.storm ? this._stormStage(system) : null
+        };
+        weather.season = season;
+        weather.climate = weatherState.climate;
+        weather.raw = null;
+        return weather;
+    }
+
+    /**
+     * The weather systems of the coming days, without rolling the days
+     * themselves: what a forecaster reading the sky could know. The system
+     * that follows the current one is rolled now and kept on the state as
+     * next, so that generate brings in the system foreseen.
+     * @param {Object} weatherState - From createState
+     * @param {Object} conditions
+     * @param {number} conditions.day - Days since the voyage began, of the first day to foresee
+     * @param {number} [conditions.days=2] - Days to look ahead; no further than the next system
+     * @returns {Array<{day, type, name, storm, stage}>}
+     */
+    static outlook(weatherState, { day = 0, days = 2 } = {}) {
+        const climate = this.CLIMATES[weatherState.climate] || this.CLIMATES.temperate;
+        const ahead = [];
+        let system = weatherState.system;
+        let systemDay = system?.day ?? 0;
+        for (let i = 0; i < days; i++) {
+            if (!system || systemDay >= system.days) {
+                if (system && system === weatherState.next) break;
+                weatherState.next ??= this._newSystem(climate, this.seasonOn(weatherState.startDay + day + i));
+                system = weatherState.next;
+                systemDay = 0;
+            }
+            systemDay++;
+            ahead.push({
+                day: day + i,
+                type: system.type,
+                name: system.name,
+                storm: system.storm,
+                stage: system.storm ? this._stormStage({ day: systemDay, days: system.days }) : null
+            });
+        }
+        return ahead;
+    }
+
+    /**
+     * Start the next weather system: a storm on the climate's chance for
+     * the season, otherwise a spell drawn by weight
+     */
+    static _newSystem(climate, season) {
+        if (Dice.random() < climate.storms[season]) {
+            const roll = Dice.roll("1d100").total;
+            const type = climate.hurricanes.includes(season) && roll <= 10 ? "hurricane"
+                : roll >= 86 ? "storm"
+                : "gale";
+            const storm = this.STORMS[type];
+            const peakDays = Dice.roll(storm.peakDays).total;
+            return {
+                type,
+                name: storm.name,
+                storm: true,
+                day: 0,
+                days: peakDays + 2, // A day building and a day blowing out
+                peakDays,
+                direction: this._veer(climate.prevailing, Dice.roll("1d5").total - 3),
+                temp: -2
+            };
+        }
+
+        const total = Object.values(this.SYSTEMS).reduce((sum, s) => sum + s.weight, 0);
+        let roll = Dice.random() * total;
+        const [type, spell] = Object.entries(this.SYSTEMS).find(([, s]) => (roll -= s.weight) < 0);
+        return {
+            type,
+            name: spell.name,
+            storm: false,
+            day: 0,
+            days: Dice.roll(spell.days).total,
+            direction: this._veer(climate.prevailing, spell.veer),
+            temp: spell.temp
+        };
+    }
+
+    static _settledDay(system, climate, water, high, low) {
+        const spell = this.SYSTEMS[system.type];
+        const windSpeed = Dice.roll(spell.wind).total;
+        const direction = this._veer(system.direction, Dice.roll("1d3").total - 2);
+
+        let sky = Dice.pick(spell.sky);
+        let precipitation = { type: "none", duration: 0 };
+        if (Dice.random() < spell.rain) {
+            const heavy = system.type === "cold" || Dice.random() < 0.25;
+            precipitation = { type: this._precipitationType(high, low, heavy, system.type === "cold"), duration: Dice.roll(heavy ? "1d6" : "1d12").total };
+            if (sky === "clear") sky = "cloudy";
+        } else if (windSpeed < 15 && Dice.random() < spell.fog * water.fog) {
+            const thickness = Dice.roll("1d6").total;
+            sky = thickness <= 3 ? "mist" : thickness <= 5 ? "light fog" : "heavy fog";
+        }
+
+        return {
+            temperature: { high, low },
+            wind: { speed: windSpeed, direction: WeatherSystem.compassPoint(direction) },
+            precipitation,
+            sky
+        };
+    }
+
+    /**
+     * A storm builds on its first day, blows at its peak, and eases on its last
+     */
+    static _stormDay(system, climate, high, low) {
+        const stage = this._stormStage(system);
+        const peak = stage === "peak";
+        const windSpeed = peak ? Dice.roll(this.STORMS[system.type].peakWind).total : Dice.roll("2d10+28").total;
+
+        // The wind swings round as the storm passes
+        system.direction = this._veer(system.direction, 1);
+
+        let type;
+        if (peak && system.type === "hurricane") type = "hurricane";
+        else if (peak && system.type === "gale") type = "gale";
+        else if (peak && high > 60) type = climate.hurricanes.length > 0 ? "tropical-storm" : "thunderstorm";
+        else type = this._precipitationType(high, low, true, false);
+
+        return {
+            temperature: { high, low },
+            wind: { speed: windSpeed, direction: WeatherSystem.compassPoint(system.direction) },
+            precipitation: { type, duration: peak ? 24 : Dice.roll("2d6").total },
+            sky: "overcast"
+        };
+    }
+
+    static _stormStage(system) {
+        if (system.day <= 1) return "building";
+        if (system.day >= system.days) return "waning";
+        return "peak";
+    }
+
+    /**
+     * Rain, sleet or snow as the temperature allows
+     */
+    static _precipitationType(high, low, heavy, squall) {
+        if (high <= 32) return heavy ? "snowstorm-heavy" : "snowstorm-light";
+        if (low <= 32 && high <= 40) return "sleetstorm";
+        if (squall && high >= 70) return Dice.random() < 0.15 ? "hailstorm" : "thunderstorm";
+        if (heavy) return "rainstorm-heavy";
+        return Dice.random() < 0.5 ? "drizzle" : "rainstorm-light";
+    }
+
+    static _veer(bearing, points) {
+        return (((bearing + points * 22.5) % 360) + 360) % 360;
+    }
+}
@@ -1,17 +1,46 @@
 /**
  * Weather Integration System
- * Handles weather generation and effects on sailing
+ * Handles weather generation and effects on sailing. Weather comes from
+ * the DnD Weather module when it is installed, otherwise from the built-in
+ * seasonal generator (see WeatherGenerator).
+ *
+ * Wind direction is where the wind blows from. Against the course of the
+ * leg it gives the point of sail, and the ship's rigging decides how well
+ * she sails on it: square-riggers run well but cannot point high, lateen
+ * rigs point higher but run poorly. A course closer to the wind than the
+ * rig can point is made good by tacking, sailing extra miles for each mile
+ * gained. Ships without sails are rowed and pay the wind's direction no mind.
  */
 
+import { Dice } from './dice.js';
+import { WeatherGenerator } from './weather-generator.js';
+
 export class WeatherSystem {
 
+    static COMPASS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+    // Points of sail by angle between course and wind, up to maxAngle degrees
+    static POINTS_OF_SAIL = [
+        { key: "closeHauled", name: "Close-hauled", maxAngle: 80 },
+        { key: "beamReach", name: "Beam reach", maxAngle: 100 },
+        { key: "broadReach", name: "Broad reach", maxAngle: 150 },
+        { key: "running", name: "Running before the wind", maxAngle: 180 }
+    ];
+
+    // How close to the wind each rig can point (degrees), and speed on each point of sail
+    static RIGGING = {
+        square: { pointing: 67, closeHauled: 0.7, beamReach: 1.0, broadReach: 1.2, running: 1.1 },
+        lateen: { pointing: 45, closeHauled: 0.9, beamReach: 1.0, broadReach: 1.1, running: 0.8 }
+    };
+
     /**
-     * Generate weather for a sailing day
+     * Generate weather for a day
+     * @param {Object} [weatherState] - Voyage weather state for the fallback generator
+     * @param {Object} [conditions] - { day, waterType } for the fallback generator
      */
-    static async generateDayWeather() {
+    static async generateDayWeather(weatherState = null, conditions = {}) {
         if (!globalThis.dndWeather?.weatherSystem) {
-            console.warn("ADnD Weather module not found - using fallback weather");
-            return this.getFallbackWeather();
+            return this.getFallbackWeather(weatherState, conditions);
         }
 
         const weatherArr = await globalThis.dndWeather.weatherSystem.generateWeather();
@@ -49,25 +78,59 @@ export class WeatherSystem {
     }
 
     /**
-     * Fallback weather when DnD Weather unavailable
+     * Fallback weather when DnD Weather unavailable: the seasonal generator,
+     * carrying on the voyage's weather when given its state
      */
-    static getFallbackWeather() {
-        const windRoll = new Roll("2d10 + 5");
-        windRoll.evaluate({ async: false });
+    static getFallbackWeather(weatherState = null, conditions = {}) {
+        return WeatherGenerator.generate(weatherState || WeatherGenerator.createState(), conditions);
+    }
 
-        return {
-            temperature: { high: 70, low: 55 },
-            wind: { speed: windRoll.total, direction: "Variable" },
-            precipitation: { type: "none", duration: 0 },
-            sky: "partly cloudy",
-            raw: null
-        };
+    /**
+     * Compass direction ("NE", "Northeast", "north-east") to degrees, or
+     * null for variable or unknown winds
+     */
+    static windBearing(direction) {
+        const key = String(direction || "").toUpperCase().replace(/[^A-Z]/g, "")
+            .replace(/NORTH/g, "N").replace(/SOUTH/g, "S").replace(/EAST/g, "E").replace(/WEST/g, "W");
+        const index = this.COMPASS.indexOf(key);
+        return index < 0 ? null : index * 22.5;
+    }
+
+    static compassPoint(bearing) {
+        return this.COMPASS[Math.round(bearing / 22.5) % 16];
+    }
+
+    /**
+     * Point of sail for a course against the wind, with the speed factor
+     * for the rig. Courses closer to the wind than the rig can point are
+     * beaten to windward: the ship sails close-hauled on alternate tacks and
+     * makes good cos(pointing)/cos(angle) of the miles sailed.
+     * @param {number} course - Bearing sailed, degrees
+     * @param {number} windFrom - Bearing the wind blows from, degrees
+     * @param {string} rigging - "square" or "lateen"
+     */
+    static pointOfSail(course, windFrom, rigging = "square") {
+        const rig = this.RIGGING[rigging] || this.RIGGING.square;
+        let angle = Math.abs(course - windFrom) % 360;
+        if (angle > 180) angle = 360 - angle;
+
+        if (angle < rig.pointing) {
+            const madeGood = Math.cos(rig.pointing * Math.PI / 180) / Math.cos(angle * Math.PI / 180);
+            return { key: "beating", name: "Beating to windward", angle, factor: rig.closeHauled, madeGood, tacking: true };
+        }
+
+        const point = this.POINTS_OF_SAIL.find(p => angle <= p.maxAngle);
+        return { key: point.key, name: point.name, angle, factor: rig[point.key], madeGood: 1, tacking: false };
     }
 
     /**
-     * Calculate sailing speed based on weather
+     * Calculate sailing speed based on weather, and on the course sailed
+     * when the leg's bearing is known
+     * @param {Object} [course]
+     * @param {string} [course.rigging] - Ship's rigging: square, lateen or none
+     * @param {number|null} [course.bearing] - Compass course of the leg
      */
-    static calculateSailingSpeed(baseSpeed, weather) {
+    static calculateSailingSpeed(baseSpeed, weather, { rigging = "square", bearing = null } = {}) {
         let currentSpeed = baseSpeed;
         let speedNote = "";
         const windSpeed = weather.wind.speed;
@@ -76,6 +139,7 @@ export class WeatherSystem {
         if (windSpeed < 5) {
             currentSpeed = 0;
             speedNote = "Becalmed! Wind too light for sailing (< 5 mph).";
+            return { speed: 0, note: speedNote, becalmed: true, pointOfSail: null, milesSailed: 0 };
         } else if (windSpeed >= 5 && windSpeed < 20) {
             const penalty = Math.floor((20 - windSpeed) / 10) * 8; // 8 mi/day per 10 mph deficit
             currentSpeed = Math.max(1, baseSpeed - penalty);
@@ -90,16 +154,34 @@ export class WeatherSystem {
 
         // Wet sails bonus
         if (["drizzle", "rainstorm-light", "rainstorm-heavy", "hailstorm"].includes(weather.precipitation.type)) {
-            const wetBonus = Math.floor(Math.random() * 6) + 5; // 5-10%
+            const wetBonus = Math.floor(Dice.random() * 6) + 5; // 5-10%
             const bonusMiles = Math.floor(currentSpeed * (wetBonus / 100));
             currentSpeed += bonusMiles;
             speedNote += ` Wet sails bonus: +${bonusMiles} mi/day (${wetBonus}%).`;
         }
 
+        // Point of sail
+        let pointOfSail = null;
+        let milesSailed = currentSpeed;
+        const windFrom = this.windBearing(weather.wind.direction);
+        if (rigging === "none") {
+            speedNote += " Under oars; the wind's direction is no matter.";
+        } else if (bearing !== null && bearing !== undefined && windFrom !== null) {
+            pointOfSail = this.pointOfSail(bearing, windFrom, rigging);
+            milesSailed = Math.max(1, Math.floor(currentSpeed * pointOfSail.factor));
+            currentSpeed = Math.max(1, Math.floor(milesSailed * pointOfSail.madeGood));
+            speedNote += ` ${pointOfSail.name}, course ${this.compassPoint(bearing)} with the wind from ${this.compassPoint(windFrom)}`;
+            speedNote += pointOfSail.tacking
+                ? `: tacking, ${milesSailed} miles sailed to make ${currentSpeed} good.`
+                : ` (${Math.round(pointOfSail.factor * 100)}% speed).`;
+        }
+
         return {
             speed: currentSpeed,
             note: speedNote,
-            becalmed: windSpeed < 5
+            becalmed: false,
+            pointOfSail,
+            milesSailed
         };
     }
 
@@ -107,8 +189,7 @@ export class WeatherSystem {
      * Calculate long voyage penalty
      */
     static async calculateLongVoyagePenalty(currentSpeed) {
-        const penaltyRoll = new Roll("1d4");
-        await penaltyRoll.evaluate();
+        const penaltyRoll = Dice.roll("1d4");
         
         const penaltyPercent = penaltyRoll.total * 5;
         const reducedSpeed = Math.floor(currentSpeed * (100 - penaltyPercent) / 100);
@@ -131,7 +212,8 @@ export class WeatherSystem {
         return `<p><strong>${dateStr} (sailing to ${destination}):</strong> ` +
                `High ${temp.high}°F, Low ${temp.low}°F | ${weather.sky} | ` +
                `Wind ${wind.speed} mph ${wind.direction} | ` +
-               `${precip.type !== "none" ? `${precip.type} (${precip.duration}h)` : "No precipitation"}. ` +
+               `${precip.type !== "none" ? `${precip.type} (${precip.duration}h)` : "No precipitation"}` +
+               `${this.describeConditions(weather)}. ` +
                `${speedInfo.note}</p>`;
     }
 
@@ -146,6 +228,22 @@ export class WeatherSystem {
         return `<p><strong>${dateStr} (In Port at ${portName}):</strong> ` +
                `High ${temp.high}°F, Low ${temp.low}°F | ${weather.sky} | ` +
                `Wind ${wind.speed} mph ${wind.direction} | ` +
-               `${precip.type !== "none" ? `${precip.type} (${precip.duration}h)` : "No precipitation"}.</p>`;
+               `${precip.type !== "none" ? `${precip.type} (${precip.duration}h)` : "No precipitation"}` +
+               `${this.describeConditions(weather)}.</p>`;
+    }
+
+    /**
+     * Weather system and ice from the built-in generator, for the logs
+     */
+    static describeConditions(weather) {
+        const parts = [];
+        const system = weather.system;
+        if (system) {
+            parts.push(system.stage
+                ? `${system.name} ${system.stage === "peak" ? "at its height" : system.stage}`
+                : `${system.name} (day ${system.day} of ${system.days})`);
+        }
+        if (weather.ice) parts.push(`ice ${weather.ice}`);
+        return parts.length ? ` | ${parts.join(" | ")}` : "";
     }
 }
\ No newline at end of file